@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Node entry point for the palette generator CLI (see src/cli/index.js).
+import { readFile, writeFile } from 'node:fs/promises';
+import { runCli } from '../src/cli/index.js';
+
+process.exitCode = await runCli(process.argv.slice(2), {
+    readFile: (path) => readFile(path, 'utf8'),
+    writeFile: (path, text) => writeFile(path, text, 'utf8'),
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+});
@@ -1,133 +1,111 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import chroma from 'chroma-js';
 import logoSrc from './logo.png'; // Make sure you have a logo.png file in the src folder
 import './App.css'; // Make sure you have the updated App.css file
+import CommandPalette from './components/CommandPalette';
+import ContrastPanel from './components/ContrastPanel';
+import CustomColorNames from './components/CustomColorNames';
+import ExportMenu from './components/ExportMenu';
+import GradientBuilder from './components/GradientBuilder';
+import HistoryPanel from './components/HistoryPanel';
+import LibraryRestoreDialog from './components/LibraryRestoreDialog';
+import PaletteCompare, { CURRENT_PALETTE } from './components/PaletteCompare';
+import PaletteLibrary from './components/PaletteLibrary';
+import ShortcutHelp from './components/ShortcutHelp';
+import UiPreview from './components/UiPreview';
+import {
+    COLOR_SPACES, DISPLAY_FORMATS, GRADIENT_DIRECTIONS, MAX_COLOR_COUNT, MAX_MIX_WEIGHT, MAX_SWATCH_SLOTS, MIN_COLOR_COUNT, MIN_MIX_WEIGHT, MIX_METHODS, PALETTE_TYPES, RAMP_STEP_COUNT, SCHEMA_VERSION,
+    createId, createPaletteFromColors, formatColor, formatSchemaErrors, generatePalette, mixBaseColors, normalizeColorSpaceSettings, normalizeMixMethod,
+    normalizeMixWeight, parseColor, parseColorInput, parseColorList, parsePaletteFile, readPalette, serializePalette,
+} from './engine';
+import { getBestTextColor, getWcagLevels } from './utils/contrast';
+import { getScaleStepNames } from './utils/codeExport';
+import { COLOR_FORMAT_GROUPS, DEFAULT_DETAIL_FORMATS, getColorFormatLabel, isColorFormatList } from './utils/colorFormats';
+import { COLOR_NAME_DICTIONARIES, DEFAULT_COLOR_NAME_DICTIONARY, findNearestColorName, formatColorNameMatch, getDictionaryEntries, isColorNameList } from './utils/colorNames';
+import { CVD_DELTA_E_THRESHOLD, CVD_TYPES, findConfusablePairs, simulateColor, simulateImageData, simulatePalette } from './utils/cvd';
+import { downloadJson } from './utils/download';
+import { buildGradientCss, normalizeGradientSettings, resolveGradientStops } from './utils/gradient';
+import { runColorExtraction } from './utils/extractColors';
+import { DEFAULT_HISTORY_DEPTH, createHistory, describeStateChange, isSameHistoryState, jumpToHistory, normalizeHistoryDepth, recordHistory, trimHistory } from './utils/history';
+import { LOUPE_ZOOMS, SAMPLE_SIZES, canvasToImagePoint, fitView, imageToCanvasPoint, panView, sampleImageData, zoomView } from './utils/imageSampling';
+import { normalizeTags } from './utils/library';
+import { createLibraryBackup } from './utils/libraryBackup';
+import { getMixShares } from './utils/mixing';
+import { loadPaletteLibrary, mergeLoadedPalettes, savePaletteChanges } from './utils/paletteStore';
+import { MAX_URL_MIX_COLORS, decodeHashState, encodeHashState } from './utils/permalink';
+import { EXTRACTION_METHODS } from './utils/quantize';
+import { getShortcutAction, isCommandPaletteShortcut, isTextEntryTarget } from './utils/shortcuts';
+import { SWATCH_FILE_EXTENSIONS, decodeSwatchFile, getSwatchFormatFromFileName } from './utils/swatchFiles';
+import { applySwatchOverrides, moveSwatch, parseSwatchOrder, parseSwatchOverrides, serializeSwatchOverrides } from './utils/swatchOverrides';
+import { normalizeUiRoles, remapUiRoles, resolveUiRoles } from './utils/uiRoles';
 
 // --- Constants ---
 const LOCAL_STORAGE_KEYS = {
     DARK_MODE: 'appDarkMode_v3',
-    SAVED_PALETTES: 'appSavedPalettes_v3',
+    SAVED_PALETTES: 'appSavedPalettes_v3', // Legacy blob; migrated into IndexedDB on load
     DISPLAY_FORMAT: 'appDisplayFormat_v1',
+    DETAIL_FORMATS: 'appDetailFormats_v1',
+    HISTORY_DEPTH: 'appHistoryDepth_v1',
+    GRADIENT_SETTINGS: 'appGradientSettings_v1',
+    COLOR_NAME_DICTIONARY: 'appColorNameDictionary_v1',
+    CUSTOM_COLOR_NAMES: 'appCustomColorNames_v1',
 };
-const MAX_SAVED_PALETTES = 20;
-const GRADIENT_DIRECTIONS = [ 'to right', 'to bottom', 'to top left', 'to bottom right', '45deg', '135deg' ];
-const PALETTE_TYPES = [
-    { value: 'monochromatic', label: 'Monochromatic' },
-    { value: 'analogous', label: 'Analogous' },
-    { value: 'complementary', label: 'Complementary' },
-    { value: 'split-complementary', label: 'Split Complementary' },
-    { value: 'triadic', label: 'Triadic' },
+const URL_UPDATE_DELAY = 400; // ms to wait before pushing a new history entry
+const HISTORY_RECORD_DELAY = 500; // ms of inactivity before an edit becomes an undo step
+const SWATCH_IMPORT_TARGETS = [
+    { value: 'library', label: 'Saved Palette' },
+    { value: 'mix', label: 'Mix Colors' },
 ];
-const DISPLAY_FORMATS = [
-    { value: 'hex', label: 'HEX' },
-    { value: 'rgb', label: 'RGB' },
-    { value: 'hsl', label: 'HSL' }
-];
-
 // --- Helper Functions ---
 
-// Generate Palette (Improved error handling)
-const generatePalette = (baseColor, type = 'monochromatic', count = 5) => {
-     if (!baseColor || !chroma.valid(baseColor) || count < 1) return [];
-    try {
-        const base = chroma(baseColor);
-        let colors = [];
-        const baseHex = base.hex(); // Use hex for consistency in scales
-
-        if (base.luminance() === 0) { // Black
-            colors = chroma.scale(['#000000', base.brighten(2).hex(), '#888888']).mode('lch').colors(count);
-        } else if (base.luminance() === 1) { // White
-            colors = chroma.scale(['#888888', base.darken(2).hex(), '#ffffff']).mode('lch').colors(count).reverse();
-        } else {
-            switch (type) {
-                case 'analogous':
-                    colors = chroma.scale([base.set('hsl.h', '+30'), base, base.set('hsl.h', '-30')]).mode('lch').colors(count);
-                    break;
-                case 'complementary':
-                    const complementHue = (base.hsl()[0] + 180) % 360;
-                    const complement = base.set('hsl.h', complementHue);
-                    colors = (count <= 2)
-                        ? [baseHex, complement.hex()].slice(0, count)
-                        : chroma.scale([baseHex, complement.hex()]).mode('lch').colors(count);
-                    break;
-                case 'triadic':
-                    const t1 = base.set('hsl.h', '+120');
-                    const t2 = base.set('hsl.h', '-120');
-                    colors = chroma.scale([base, t1, t2, base]).mode('lch').colors(count);
-                    break;
-                case 'split-complementary':
-                    const sc1 = base.set('hsl.h', '+150');
-                    const sc2 = base.set('hsl.h', '-150');
-                    colors = chroma.scale([base, sc1, sc2, base]).mode('lch').colors(count);
-                    break;
-                case 'monochromatic':
-                default:
-                    colors = chroma.scale([base.darken(2), base, base.brighten(2)]).mode('lch').colors(count);
-                    break;
-            }
-        }
-        return colors.map(c => {
-            try { return chroma.valid(c) ? chroma(c).hex() : '#FF0000'; }
-            catch { return '#FF0000'; }
-        });
-    } catch (error) {
-        console.error(`Error generating ${type} palette for ${baseColor}:`, error);
-        return [];
-    }
-};
-
-// Format color values (with error check)
-const safeColorFormat = (color, format) => {
-     if (!color || !chroma.valid(color)) return 'N/A';
-    try {
-        const c = chroma(color);
-        if (format === 'rgb') return `rgb(${c.rgb().map(Math.round).join(', ')})`;
-        if (format === 'hsl') {
-            const hsl = c.hsl();
-            const h = isNaN(hsl[0]) ? 0 : Math.round(hsl[0]);
-            const s = Math.round((isNaN(hsl[1]) ? 0 : hsl[1]) * 100);
-            const l = Math.round((isNaN(hsl[2]) ? 0 : hsl[2]) * 100);
-            return `hsl(${h}, ${s}%, ${l}%)`;
-        }
-        if (format === 'name') {
-            try { return c.name(); }
-            catch { return '~' + c.hex(); }
-        }
-        return c.hex();
-    } catch {
-        return 'Error';
-    }
-};
-
 // Get random color
 const getRandomHexColor = () => {
      try { return chroma.random().hex(); }
      catch { return '#808080'; }
 };
 
-// Download helper
-const downloadJson = (data, filename = 'palette.json') => {
-     const jsonString = `data:text/json;charset=utf-8,${encodeURIComponent(JSON.stringify(data, null, 2))}`;
-     const link = document.createElement("a");
-     link.href = jsonString;
-     link.download = filename;
-     link.click();
-     link.remove();
-};
-
 // ID generator for mix colors
 let nextMixColorId = Date.now();
-const createMixColorItem = (color) => {
+const createMixColorItem = (color, weight) => {
      nextMixColorId++;
      const initialColor = color || getRandomHexColor();
+     const parsed = parseColor(initialColor);
      return {
         id: nextMixColorId,
-        color: initialColor,
-        valid: chroma.valid(initialColor),
+        color: parsed || initialColor,
+        valid: Boolean(parsed),
         locked: false,
+        weight: normalizeMixWeight(weight),
     };
 };
 
+// Migrate and validate a stored/imported saved palette; null if it can't be read
+const normalizeSavedPalette = (raw) => {
+    const { record, errors } = readPalette(raw);
+    if (!record) {
+        console.warn(`Skipping saved palette "${raw?.name ?? '?'}": ${formatSchemaErrors(errors)}`);
+        return null;
+    }
+    return {
+        ...record,
+        mixColors: record.mixColors.map(mc => ({ ...createMixColorItem(mc.color, mc.weight), locked: mc.locked === true })),
+        tags: normalizeTags(record.tags),
+        collection: record.collection.trim(),
+        swatchOverrides: serializeSwatchOverrides(parseSwatchOverrides(record.swatchOverrides)),
+        swatchOrder: parseSwatchOrder(record.swatchOrder),
+        uiRoles: normalizeUiRoles(record.uiRoles),
+    };
+};
+
+// Accepted values for each stored preference
+const PREFERENCE_VALIDATORS = {
+    [LOCAL_STORAGE_KEYS.DARK_MODE]: (value) => typeof value === 'boolean',
+    [LOCAL_STORAGE_KEYS.DISPLAY_FORMAT]: (value) => DISPLAY_FORMATS.some(f => f.value === value),
+    [LOCAL_STORAGE_KEYS.DETAIL_FORMATS]: isColorFormatList,
+    [LOCAL_STORAGE_KEYS.HISTORY_DEPTH]: (value) => Number.isInteger(value) && normalizeHistoryDepth(value) === value,
+    [LOCAL_STORAGE_KEYS.COLOR_NAME_DICTIONARY]: (value) => COLOR_NAME_DICTIONARIES.some(d => d.value === value),
+    [LOCAL_STORAGE_KEYS.CUSTOM_COLOR_NAMES]: isColorNameList,
+};
 
 // Load state from Local Storage (with robust parsing and default structure)
 const loadStateFromLocalStorage = (key, defaultValue) => {
@@ -136,37 +114,11 @@ const loadStateFromLocalStorage = (key, defaultValue) => {
         if (saved === null) return defaultValue;
 
         const parsed = JSON.parse(saved);
-
-        if (key === LOCAL_STORAGE_KEYS.SAVED_PALETTES && Array.isArray(parsed)) {
-             return parsed.map(p => ({
-                id: p.id || Date.now() + Math.random(),
-                name: p.name || `Saved Palette ${p.id || ''}`,
-                mixColors: Array.isArray(p.mixColors) ? p.mixColors.map(mc => {
-                    if (typeof mc === 'string') {
-                        return createMixColorItem(mc); // Use helper to ensure structure
-                    }
-                    return {
-                        id: mc.id || Date.now() + Math.random(),
-                        color: mc.color || '#ffffff',
-                        valid: mc.valid !== undefined ? mc.valid : chroma.valid(mc.color || '#ffffff'),
-                        locked: mc.locked !== undefined ? mc.locked : false,
-                    };
-                }) : [createMixColorItem('#ffffff')],
-                mixedColor: p.mixedColor || '#808080',
-                palette: Array.isArray(p.palette) ? p.palette : [],
-                type: p.type || 'monochromatic',
-                count: p.count || 5,
-                gradientDirection: p.gradientDirection || 'to right',
-            })).slice(0, MAX_SAVED_PALETTES);
-        }
-
-        if (key === LOCAL_STORAGE_KEYS.DARK_MODE) {
-            return typeof parsed === 'boolean' ? parsed : defaultValue;
-        }
-        if (key === LOCAL_STORAGE_KEYS.DISPLAY_FORMAT) {
-             return typeof parsed === 'string' && ['hex', 'rgb', 'hsl'].includes(parsed) ? parsed : defaultValue;
+        const isValid = PREFERENCE_VALIDATORS[key];
+        if (isValid && !isValid(parsed)) {
+            console.warn(`LS Warning: ignoring invalid value for ${key}:`, parsed);
+            return defaultValue;
         }
-
         return parsed;
     } catch (error) {
         console.error(`LS Error (Loading ${key}):`, error);
@@ -174,38 +126,127 @@ const loadStateFromLocalStorage = (key, defaultValue) => {
     }
 };
 
+// Build a saved palette entry from a plain list of colors (swatch files, image extraction)
+const createSavedPaletteFromColors = (colors, name) => {
+    const record = createPaletteFromColors(colors, name);
+    return { ...record, mixColors: record.mixColors.map(mc => createMixColorItem(mc.color, mc.weight)) };
+};
+
+// Read generator state from the URL hash (invalid or hostile values are dropped)
+const readUrlState = () => decodeHashState(window.location.hash, {
+    paletteTypes: PALETTE_TYPES.map(t => t.value),
+    displayFormats: DISPLAY_FORMATS.map(f => f.value),
+    gradientDirections: GRADIENT_DIRECTIONS,
+    colorSpaces: COLOR_SPACES.map(space => space.value),
+    mixMethods: MIX_METHODS.map(method => method.value),
+    minCount: MIN_COLOR_COUNT,
+    maxCount: MAX_COLOR_COUNT,
+});
+
+// Feedback for links that carried more mix colors than a permalink loads
+const describeDroppedMixColors = (droppedMixColors) => `This link has ${MAX_URL_MIX_COLORS + droppedMixColors} mix colors; only the first ${MAX_URL_MIX_COLORS} were loaded.`;
+
+// Turn URL mix colors ({ color, locked, weight }) into full mix color items
+const createMixColorsFromUrl = (urlColors) => urlColors.map(({ color, locked, weight }) => ({ ...createMixColorItem(color, weight), locked }));
+
 // --- Image Picker Modal Component ---
-const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
-    const canvasRef = useRef(null);
-    const [hoverColor, setHoverColor] = useState(null); // Color under the cursor
-    const [selectedColor, setSelectedColor] = useState(null); // Color selected by clicking
+const LOUPE_SIZE = 132; // Loupe canvas edge in px
+const DRAG_THRESHOLD = 3; // px the mouse must move before a press pans instead of picking
+
+// Mouse position in canvas pixels (CSS may draw the canvas smaller than its pixel size)
+const getCanvasPoint = (canvas, event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (canvas.width / rect.width),
+        y: (event.clientY - rect.top) * (canvas.height / rect.height),
+    };
+};
+
+// Run what's drawn on a canvas through the vision simulation; only on-screen pixels are ever simulated
+const simulateCanvas = (ctx, cvdMode) => {
+    if (cvdMode === 'none') return;
+    const { width, height } = ctx.canvas;
+    const pixels = ctx.getImageData(0, 0, width, height);
+    ctx.putImageData(new ImageData(simulateImageData(pixels, cvdMode), width, height), 0, 0);
+};
 
-    // Draw image onto canvas when modal opens or image changes
+// Ring (and optional number) marking a picked pixel, readable on light and dark images
+const drawPickMarker = (ctx, { x, y }, label) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 7, 0, Math.PI * 2);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.stroke();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+    if (label) {
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.strokeText(label, x + 10, y - 10);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, x + 10, y - 10);
+    }
+};
+
+const IMAGE_PICKER_TITLES = {
+    pick: 'Pick a Color from Image',
+    multi: 'Pick Several Colors from Image',
+    extract: 'Extract a Palette from Image',
+};
+
+const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect, onColorsAdd, onPaletteSave, cvdMode = 'none' }) => {
+    const canvasRef = useRef(null);
+    const loupeRef = useRef(null);
+    const sourceCanvasRef = useRef(null); // Full-resolution image, drawn into the visible canvas and loupe
+    const originalImageDataRef = useRef(null); // Full-resolution unsimulated pixels, used for picking
+    const dragRef = useRef(null); // { clientX, clientY, view, panned } while the mouse button is down
+    const suppressClickRef = useRef(false); // The click that ends a pan doesn't pick
+    const nextPickIdRef = useRef(1);
+    const [imageVersion, setImageVersion] = useState(0); // Bumped whenever a new image is loaded
+    const [frame, setFrame] = useState(null); // { imageWidth, imageHeight, canvasWidth, canvasHeight }
+    const [view, setView] = useState(null); // { scale, x, y } zoom and pan
+    const [isPanning, setIsPanning] = useState(false);
+    const [hoverPoint, setHoverPoint] = useState(null); // Image pixel under the cursor
+    const [selectedPoint, setSelectedPoint] = useState(null); // Image pixel selected by clicking { x, y, color }
+    const [picks, setPicks] = useState([]); // Multi-pick points [{ id, x, y, color }], sampled when clicked
+    const [sampleSize, setSampleSize] = useState(1);
+    const [loupeZoom, setLoupeZoom] = useState(8);
+    const [mode, setMode] = useState('pick'); // 'pick' one color, 'multi' pick several, or 'extract' a palette
+    const [extractCount, setExtractCount] = useState(5);
+    const [extractMethod, setExtractMethod] = useState('kmeans');
+    const [extractedColors, setExtractedColors] = useState([]); // [{ color, coverage }]
+    const [isExtracting, setIsExtracting] = useState(false);
+
+    // Load the image at full resolution; the visible canvas fits it to the viewport
     useEffect(() => {
         if (isOpen && imageSrc && canvasRef.current) {
             const canvas = canvasRef.current;
-            const ctx = canvas.getContext('2d', { willReadFrequently: true }); // willReadFrequently for performance
             const img = new Image();
             img.onload = () => {
-                // Resize canvas to fit image while maintaining aspect ratio (max width/height)
-                const maxWidth = window.innerWidth * 0.8; // Max 80% viewport width
-                const maxHeight = window.innerHeight * 0.7; // Max 70% viewport height
-                let { width, height } = img;
-
-                if (width > maxWidth) {
-                    height *= maxWidth / width;
-                    width = maxWidth;
-                }
-                if (height > maxHeight) {
-                    width *= maxHeight / height;
-                    height = maxHeight;
-                }
-
-                canvas.width = width;
-                canvas.height = height;
-                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-                setSelectedColor(null); // Reset selected color when new image loads
-                setHoverColor(null); // Reset hover color
+                const { naturalWidth: imageWidth, naturalHeight: imageHeight } = img;
+                const source = document.createElement('canvas');
+                source.width = imageWidth;
+                source.height = imageHeight;
+                const sourceCtx = source.getContext('2d', { willReadFrequently: true }); // willReadFrequently for performance
+                sourceCtx.drawImage(img, 0, 0);
+                sourceCanvasRef.current = source;
+                originalImageDataRef.current = sourceCtx.getImageData(0, 0, imageWidth, imageHeight);
+
+                // Fit within 80% of the viewport width and 70% of its height, never upscaled
+                const fit = Math.min(1, (window.innerWidth * 0.8) / imageWidth, (window.innerHeight * 0.7) / imageHeight);
+                canvas.width = Math.max(1, Math.round(imageWidth * fit));
+                canvas.height = Math.max(1, Math.round(imageHeight * fit));
+                const nextFrame = { imageWidth, imageHeight, canvasWidth: canvas.width, canvasHeight: canvas.height };
+                setFrame(nextFrame);
+                setView(fitView(nextFrame));
+                setImageVersion(v => v + 1);
+                setExtractedColors([]);
+                setSelectedPoint(null); // Reset picks when a new image loads
+                setHoverPoint(null);
+                setPicks([]);
             };
             img.onerror = () => {
                  console.error("Error loading image for canvas.");
@@ -215,41 +256,127 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
         }
     }, [isOpen, imageSrc, onClose]);
 
-    // Get color from canvas coordinates
-    const getColorFromCanvas = (event) => {
-        if (!canvasRef.current) return null;
+    const markers = useMemo(() => {
+        if (mode === 'multi') return picks;
+        return mode === 'pick' && selectedPoint ? [selectedPoint] : [];
+    }, [mode, picks, selectedPoint]);
+
+    // Draw the visible part of the image at the current zoom, plus pick markers
+    useEffect(() => {
         const canvas = canvasRef.current;
+        const source = sourceCanvasRef.current;
+        if (!isOpen || !canvas || !source || !view) return;
         const ctx = canvas.getContext('2d');
-        const rect = canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-
-        // Ensure coordinates are within canvas bounds
-        if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) {
-            return null;
-        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.imageSmoothingEnabled = view.scale < 1; // Show crisp pixels once zoomed past 1:1
+        ctx.setTransform(view.scale, 0, 0, view.scale, -view.x * view.scale, -view.y * view.scale);
+        ctx.drawImage(source, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        simulateCanvas(ctx, cvdMode);
+        markers.forEach((point, index) => drawPickMarker(ctx, imageToCanvasPoint(view, point.x, point.y), mode === 'multi' ? String(index + 1) : null));
+    }, [isOpen, view, markers, mode, cvdMode, imageVersion]);
+
+    // Magnify the pixels around the cursor and outline the averaged area
+    useEffect(() => {
+        const loupe = loupeRef.current;
+        const source = sourceCanvasRef.current;
+        if (!loupe || !source) return;
+        const ctx = loupe.getContext('2d');
+        ctx.clearRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        if (!hoverPoint) return;
+        const cells = Math.floor(LOUPE_SIZE / loupeZoom) | 1; // Odd, so the hovered pixel sits in the middle
+        const cellSize = LOUPE_SIZE / cells;
+        const half = (cells - 1) / 2;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, hoverPoint.x - half, hoverPoint.y - half, cells, cells, 0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        simulateCanvas(ctx, cvdMode);
+        const side = sampleSize * cellSize;
+        const start = (LOUPE_SIZE - side) / 2;
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.strokeRect(start, start, side, side);
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#ffffff';
+        ctx.strokeRect(start, start, side, side);
+    }, [hoverPoint, loupeZoom, sampleSize, mode, cvdMode, imageVersion]);
+
+    // Zoom around the cursor with the wheel (a native listener, so the page doesn't scroll)
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!isOpen || !canvas || !frame) return undefined;
+        const handleWheel = (event) => {
+            event.preventDefault();
+            const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // Lines -> pixels
+            const point = getCanvasPoint(canvas, event);
+            setView(prev => (prev ? zoomView(prev, 2 ** (-delta / 300), point, frame) : prev));
+        };
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    }, [isOpen, frame]);
+
+    // Image pixel under the mouse, or null outside the image
+    const getImagePoint = (event) => {
+        if (!canvasRef.current || !view || !frame) return null;
+        const canvasPoint = getCanvasPoint(canvasRef.current, event);
+        const point = canvasToImagePoint(view, canvasPoint.x, canvasPoint.y);
+        const isInside = point.x >= 0 && point.y >= 0 && point.x < frame.imageWidth && point.y < frame.imageHeight;
+        return isInside ? point : null;
+    };
 
-        const pixelData = ctx.getImageData(x, y, 1, 1).data;
-        // Convert RGBA to HEX (ignoring alpha for simplicity here)
-        try {
-            const color = chroma([pixelData[0], pixelData[1], pixelData[2]]).hex();
-            return color;
-        } catch {
-            return null; // Return null if chroma fails
-        }
+    // Colors always come from the original, unsimulated pixels
+    const sampleAt = (point) => (point && originalImageDataRef.current
+        ? sampleImageData(originalImageDataRef.current, point.x, point.y, sampleSize)
+        : null);
+    const hoverColor = sampleAt(hoverPoint);
+    const selectedColor = selectedPoint?.color ?? null;
+    const validPickedColors = picks.map(pick => pick.color).filter(Boolean);
+
+    // A press starts a pan once the mouse moves; otherwise it's a click
+    const handleMouseDown = (event) => {
+        if (event.button !== 0 || !view) return;
+        dragRef.current = { clientX: event.clientX, clientY: event.clientY, view, panned: false };
     };
 
     // Handle mouse move over canvas
     const handleMouseMove = (event) => {
-        const color = getColorFromCanvas(event);
-        setHoverColor(color);
+        const drag = dragRef.current;
+        if (drag && frame) {
+            const dx = event.clientX - drag.clientX;
+            const dy = event.clientY - drag.clientY;
+            if (drag.panned || Math.hypot(dx, dy) > DRAG_THRESHOLD) {
+                const canvas = canvasRef.current;
+                const ratio = canvas.width / canvas.getBoundingClientRect().width;
+                drag.panned = true;
+                setIsPanning(true);
+                setView(panView(drag.view, dx * ratio, dy * ratio, frame));
+                return;
+            }
+        }
+        setHoverPoint(getImagePoint(event));
+    };
+
+    const handleMouseUp = () => {
+        if (dragRef.current?.panned) suppressClickRef.current = true;
+        dragRef.current = null;
+        setIsPanning(false);
     };
 
     // Handle click on canvas
     const handleCanvasClick = (event) => {
-        const color = getColorFromCanvas(event);
-        if (color) {
-            setSelectedColor(color); // Set the selected color for preview
+        if (suppressClickRef.current) {
+            suppressClickRef.current = false;
+            return;
+        }
+        const point = getImagePoint(event);
+        if (!point) return;
+        // Keep the color sampled now, so changing the sample size later doesn't alter earlier picks
+        const color = sampleAt(point);
+        if (mode === 'multi') {
+            const id = nextPickIdRef.current++;
+            setPicks(prev => [...prev, { id, ...point, color }]);
+        } else if (mode === 'pick') {
+            setSelectedPoint({ ...point, color }); // Set the selected point for preview
         }
     };
 
@@ -263,7 +390,46 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
 
     // Handle leaving the canvas area
     const handleMouseLeave = () => {
-        setHoverColor(null); // Clear hover color when mouse leaves
+        dragRef.current = null;
+        setIsPanning(false);
+        setHoverPoint(null); // Clear hover point when mouse leaves
+    };
+
+    // Zoom buttons keep the middle of the canvas in place
+    const zoomBy = (factor) => {
+        if (!view || !frame) return;
+        setView(zoomView(view, factor, { x: frame.canvasWidth / 2, y: frame.canvasHeight / 2 }, frame));
+    };
+
+    const handleAddPicksClick = () => {
+        if (validPickedColors.length === 0) return;
+        onColorsAdd(validPickedColors);
+        onClose();
+    };
+
+    // Quantize the whole image into its dominant colors (runs in a Web Worker)
+    const handleExtractClick = async () => {
+        if (!originalImageDataRef.current || isExtracting) return;
+        setIsExtracting(true);
+        try {
+            setExtractedColors(await runColorExtraction(originalImageDataRef.current.data, extractCount, extractMethod));
+        } catch (error) {
+            console.error("Extraction error:", error);
+            setExtractedColors([]);
+        } finally {
+            setIsExtracting(false);
+        }
+    };
+
+    const handleAddExtractedClick = () => {
+        if (extractedColors.length === 0) return;
+        onColorsAdd(extractedColors.map(c => c.color));
+        onClose();
+    };
+
+    const handleSaveExtractedClick = () => {
+        if (extractedColors.length === 0) return;
+        onPaletteSave(extractedColors.map(c => c.color));
     };
 
     if (!isOpen) return null;
@@ -279,14 +445,16 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
         backgroundColor: 'var(--background-card)', color: 'var(--text-dark)',
         padding: '20px 30px', borderRadius: 'var(--border-radius-lg)',
         boxShadow: 'var(--shadow-xl)', display: 'flex', flexDirection: 'column',
-        alignItems: 'center', gap: '15px', maxWidth: '90vw', maxHeight: '90vh'
+        alignItems: 'center', gap: '15px', maxWidth: '90vw', maxHeight: '90vh',
+        overflowY: 'auto'
     };
     const canvasContainerStyle = {
         maxWidth: 'calc(90vw - 60px)', // Account for padding
         maxHeight: 'calc(90vh - 150px)', // Account for padding and controls height
         overflow: 'auto', // Add scroll if canvas is larger than container
         border: '1px solid var(--border-color)',
-        cursor: 'crosshair' // Indicate picking mode
+        cursor: isPanning ? 'grabbing' : 'crosshair', // Indicate picking mode
+        flexShrink: 0
     };
      const previewStyle = {
         display: 'flex', alignItems: 'center', gap: '10px',
@@ -297,32 +465,134 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
     };
     const swatchStyle = (color) => ({
         width: '25px', height: '25px', borderRadius: 'var(--border-radius-sm)',
-        backgroundColor: color || 'transparent',
+        backgroundColor: color ? simulateColor(color, cvdMode) : 'transparent',
         border: '1px solid var(--border-color)',
         flexShrink: 0
     });
 
+    // Loupe with the hovered color; `children` adds lines below the hover readout
+    const renderSamplePanel = (children) => (
+        <div style={{ ...previewStyle, alignItems: 'flex-start' }}>
+            <canvas ref={loupeRef} width={LOUPE_SIZE} height={LOUPE_SIZE} className="image-picker-loupe" aria-hidden="true" />
+            <div className="image-picker-readout">
+                <div className="image-picker-readout-line">
+                    <span>Hover:</span>
+                    <div style={swatchStyle(hoverColor)}></div>
+                    <span>{hoverColor || 'N/A'}</span>
+                    {hoverPoint && <span className="image-picker-coords">{hoverPoint.x}, {hoverPoint.y}</span>}
+                </div>
+                {children}
+            </div>
+        </div>
+    );
+
     return (
         <div style={modalStyle} onClick={onClose}> {/* Close on backdrop click */}
             <div style={contentStyle} onClick={(e) => e.stopPropagation()}> {/* Prevent closing when clicking content */}
-                <h3>Pick a Color from Image</h3>
+                <h3>{IMAGE_PICKER_TITLES[mode]}</h3>
+                <div role="tablist" aria-label="Image picker mode" style={{ display: 'flex', gap: '8px' }}>
+                    <button role="tab" aria-selected={mode === 'pick'} onClick={() => setMode('pick')} className={`button ${mode === 'pick' ? 'save-palette-button' : ''}`}>Pick Pixel</button>
+                    <button role="tab" aria-selected={mode === 'multi'} onClick={() => setMode('multi')} className={`button ${mode === 'multi' ? 'save-palette-button' : ''}`}>Multi-Pick</button>
+                    <button role="tab" aria-selected={mode === 'extract'} onClick={() => setMode('extract')} className={`button ${mode === 'extract' ? 'save-palette-button' : ''}`}>Extract Palette</button>
+                </div>
+                <div className="image-picker-toolbar">
+                    <div className="image-picker-zoom" role="group" aria-label="Image zoom">
+                        <button onClick={() => zoomBy(0.5)} className="button icon-only" title="Zoom out" aria-label="Zoom out" disabled={!view}>−</button>
+                        <span className="image-picker-zoom-level" title="Size of one image pixel on screen">{view ? `${Math.round(view.scale * 100)}%` : '—'}</span>
+                        <button onClick={() => zoomBy(2)} className="button icon-only" title="Zoom in" aria-label="Zoom in" disabled={!view}>+</button>
+                        <button onClick={() => frame && setView(fitView(frame))} className="button" title="Show the whole image" disabled={!frame}>Fit</button>
+                    </div>
+                    {mode !== 'extract' && (<>
+                        <label htmlFor="sampleSizeSelect" className="sub-label">Sample:</label>
+                        <select id="sampleSizeSelect" value={sampleSize} onChange={(e) => setSampleSize(Number(e.target.value))} className="select-input small">
+                            {SAMPLE_SIZES.map(size => <option key={size.value} value={size.value}>{size.label}</option>)}
+                        </select>
+                        <label htmlFor="loupeZoomSelect" className="sub-label">Loupe:</label>
+                        <select id="loupeZoomSelect" value={loupeZoom} onChange={(e) => setLoupeZoom(Number(e.target.value))} className="select-input small">
+                            {LOUPE_ZOOMS.map(zoom => <option key={zoom} value={zoom}>{zoom}×</option>)}
+                        </select>
+                    </>)}
+                </div>
                 <div style={canvasContainerStyle}>
                     <canvas
                         ref={canvasRef}
+                        onMouseDown={handleMouseDown}
                         onMouseMove={handleMouseMove}
+                        onMouseUp={handleMouseUp}
                         onClick={handleCanvasClick}
                         onMouseLeave={handleMouseLeave}
-                        title="Move mouse to see color, click to select"
+                        title="Click to pick, scroll to zoom, drag to pan"
                     />
                 </div>
-                 <div style={previewStyle}>
-                    <span>Hover:</span>
-                    <div style={swatchStyle(hoverColor)}></div>
-                    <span>{hoverColor || 'N/A'}</span>
-                    <span style={{ marginLeft: 'auto' }}>Selected:</span>
-                    <div style={swatchStyle(selectedColor)}></div>
-                    <span>{selectedColor || 'N/A'}</span>
+                {mode === 'extract' ? (<>
+                <div style={previewStyle}>
+                    <label htmlFor="extractCountSlider">Colors: {extractCount}</label>
+                    <input type="range" id="extractCountSlider" min={MIN_COLOR_COUNT} max={MAX_COLOR_COUNT} value={extractCount} onChange={(e) => setExtractCount(parseInt(e.target.value, 10))} className="range-slider" style={{ maxWidth: '140px' }} />
+                    <select value={extractMethod} onChange={(e) => setExtractMethod(e.target.value)} className="select-input small" aria-label="Extraction method">
+                        {EXTRACTION_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                    </select>
+                    <button onClick={handleExtractClick} className="button randomize-button" disabled={isExtracting} style={{ marginLeft: 'auto' }}>
+                        {isExtracting ? 'Extracting…' : 'Extract'}
+                    </button>
                 </div>
+                {extractedColors.length > 0 && (
+                    <div style={{ ...previewStyle, flexWrap: 'wrap' }} aria-label="Extracted colors">
+                        {extractedColors.map(({ color, coverage }) => (
+                            <div key={color} style={{ display: 'flex', alignItems: 'center', gap: '6px' }} title={`${color} covers ${(coverage * 100).toFixed(1)}% of the image`}>
+                                <div style={swatchStyle(color)}></div>
+                                <span>{color} · {(coverage * 100).toFixed(1)}%</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <div>
+                    <button onClick={handleAddExtractedClick} className="button save-palette-button" disabled={extractedColors.length === 0} style={{ marginRight: '10px' }}>
+                        Add All as Mix Colors
+                    </button>
+                    <button onClick={handleSaveExtractedClick} className="button export-button" disabled={extractedColors.length === 0} style={{ marginRight: '10px' }}>
+                        Save as Palette
+                    </button>
+                    <button onClick={onClose} className="button delete-button">
+                        Cancel
+                    </button>
+                </div>
+                </>) : mode === 'multi' ? (<>
+                {renderSamplePanel(
+                    picks.length === 0 ? (
+                        <p className="image-picker-hint">Click points on the image to collect colors.</p>
+                    ) : (
+                        <ol className="image-picker-picks" aria-label="Picked colors">
+                            {picks.map((pick, index) => (
+                                <li key={pick.id} className="image-picker-pick" title={`Picked at ${pick.x}, ${pick.y}`}>
+                                    <span className="image-picker-pick-number">{index + 1}</span>
+                                    <div style={swatchStyle(pick.color)}></div>
+                                    <span>{pick.color || 'Transparent'}</span>
+                                    <button onClick={() => setPicks(prev => prev.filter(p => p.id !== pick.id))} className="button icon-only remove-color-button" title="Remove Pick" aria-label={`Remove pick ${index + 1}`}>&times;</button>
+                                </li>
+                            ))}
+                        </ol>
+                    )
+                )}
+                <div>
+                    <button onClick={handleAddPicksClick} className="button save-palette-button" disabled={validPickedColors.length === 0} style={{ marginRight: '10px' }}>
+                        {`Add ${validPickedColors.length} as Mix Colors`}
+                    </button>
+                    <button onClick={() => setPicks([])} className="button export-button" disabled={picks.length === 0} style={{ marginRight: '10px' }}>
+                        Clear Picks
+                    </button>
+                    <button onClick={onClose} className="button delete-button">
+                        Cancel
+                    </button>
+                </div>
+                </>) : (<>
+                {renderSamplePanel(
+                    <div className="image-picker-readout-line">
+                        <span>Selected:</span>
+                        <div style={swatchStyle(selectedColor)}></div>
+                        <span>{selectedColor || 'N/A'}</span>
+                        {selectedPoint && <span className="image-picker-coords">{selectedPoint.x}, {selectedPoint.y}</span>}
+                    </div>
+                )}
                 <div>
                     <button
                         onClick={handleSelectClick}
@@ -336,6 +606,7 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
                         Cancel
                     </button>
                 </div>
+                </>)}
             </div>
         </div>
     );
@@ -345,31 +616,52 @@ const ImagePickerModal = ({ isOpen, imageSrc, onClose, onColorSelect }) => {
 // --- Main Application Component ---
 function App() {
     // --- State Variables ---
-    const [mixColors, setMixColors] = useState(() => [
-        createMixColorItem('#e11d48'),
-        createMixColorItem('#2563eb'),
-    ]);
+    const [initialUrlState] = useState(readUrlState); // State shared via permalink, if any
+    const [mixColors, setMixColors] = useState(() => initialUrlState?.mixColors
+        ? createMixColorsFromUrl(initialUrlState.mixColors)
+        : [createMixColorItem('#e11d48'), createMixColorItem('#2563eb')]
+    );
+    const [mixColorDrafts, setMixColorDrafts] = useState({}); // Text being typed into mix color fields, by id
     const [mixedColor, setMixedColor] = useState(null);
-    const [paletteType, setPaletteType] = useState('monochromatic');
-    const [colorCount, setColorCount] = useState(5);
-    const [palette, setPalette] = useState([]);
+    const [paletteType, setPaletteType] = useState(initialUrlState?.paletteType || 'monochromatic');
+    const [colorCount, setColorCount] = useState(initialUrlState?.colorCount || 5);
+    const [generatedPalette, setGeneratedPalette] = useState([]);
+    const [swatchOverrides, setSwatchOverrides] = useState({}); // Locked/edited swatches by slot
+    const [swatchOrder, setSwatchOrder] = useState(null); // Manual swatch order (null = as generated)
+    const palette = useMemo(() => applySwatchOverrides(generatedPalette, swatchOrder, swatchOverrides), [generatedPalette, swatchOrder, swatchOverrides]);
     const [copiedValue, setCopiedValue] = useState(null);
     const [isDarkMode, setIsDarkMode] = useState(() =>
         loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.DARK_MODE, window.matchMedia('(prefers-color-scheme: dark)').matches)
     );
     const [showDetails, setShowDetails] = useState(false);
+    const [detailFormats, setDetailFormats] = useState(() => loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.DETAIL_FORMATS, DEFAULT_DETAIL_FORMATS));
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [cvdMode, setCvdMode] = useState('none'); // Color vision deficiency simulation
     const [displayFormat, setDisplayFormat] = useState(() =>
-        loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.DISPLAY_FORMAT, 'hex')
-    );
-    const [savedPalettes, setSavedPalettes] = useState(() =>
-        loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.SAVED_PALETTES, [])
+        initialUrlState?.displayFormat || loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.DISPLAY_FORMAT, 'hex')
     );
+    const [savedPalettes, setSavedPalettes] = useState([]); // Loaded from IndexedDB on mount
+    const [libraryStorage, setLibraryStorage] = useState(null); // 'indexedDB' | 'localStorage' once loaded
+    const [pendingRestore, setPendingRestore] = useState(null); // { fileName, backup } awaiting confirmation
+    const [compareSelection, setCompareSelection] = useState(null); // { before, after } palette selections, null when closed
+    const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+    const [showCommandPalette, setShowCommandPalette] = useState(false);
     const [feedbackMessage, setFeedbackMessage] = useState('');
-    const [gradientDirection, setGradientDirection] = useState('to right');
-    const [editingPaletteId, setEditingPaletteId] = useState(null);
-    const [editedPaletteName, setEditedPaletteName] = useState('');
+    const [gradientDirection, setGradientDirection] = useState(initialUrlState?.gradientDirection || 'to right');
+    const [colorSpaceSettings, setColorSpaceSettings] = useState(() => normalizeColorSpaceSettings(initialUrlState?.colorSpace));
+    const [mixMethod, setMixMethod] = useState(() => normalizeMixMethod(initialUrlState?.mixMethod));
+    const [swatchImportTarget, setSwatchImportTarget] = useState('library'); // Where imported swatch files go
+    const [historyDepth, setHistoryDepth] = useState(() => loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.HISTORY_DEPTH, DEFAULT_HISTORY_DEPTH));
+    const [uiRoles, setUiRoles] = useState(null); // Role -> swatch slot per light/dark variant (null = automatic)
+    const [gradientSettings, setGradientSettings] = useState(() => normalizeGradientSettings(loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.GRADIENT_SETTINGS, null)));
+    const [colorNameDictionary, setColorNameDictionary] = useState(() => loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.COLOR_NAME_DICTIONARY, DEFAULT_COLOR_NAME_DICTIONARY));
+    const [customColorNames, setCustomColorNames] = useState(() => loadStateFromLocalStorage(LOCAL_STORAGE_KEYS.CUSTOM_COLOR_NAMES, []));
+    const [history, setHistory] = useState(() => createHistory({ mixColors, paletteType, colorCount, gradientDirection, swatchOverrides, swatchOrder, savedPalettes }));
     const fileInputRef = useRef(null); // For JSON import
     const imageInputRef = useRef(null); // For Image upload
+    const hasSyncedUrlRef = useRef(false); // First URL sync replaces instead of pushing history
+    const persistedPalettesRef = useRef([]); // Last library snapshot written to storage
+    const unreadablePalettesRef = useRef([]); // Raw localStorage entries that failed validation, kept as-is
     const [isEyeDropperSupported, setIsEyeDropperSupported] = useState(false);
     const [showImagePicker, setShowImagePicker] = useState(false); // Modal visibility
     const [uploadedImageSrc, setUploadedImageSrc] = useState(null); // Data URL of uploaded image
@@ -385,25 +677,24 @@ function App() {
 
     // Calculate mixed color
     useEffect(() => {
-        const validColorsToMix = mixColors.filter(item => item.valid).map(item => item.color);
-        if (validColorsToMix.length >= 2) {
-            try { setMixedColor(chroma.average(validColorsToMix, 'lab').hex()); }
+        const validItems = mixColors.filter(item => item.valid);
+        if (validItems.length > 0) {
+            try {
+                setMixedColor(mixBaseColors(validItems, { method: mixMethod, mode: colorSpaceSettings.mixMode }));
+            }
             catch (e) { console.error("Mixing error:", e); setMixedColor(null); }
-        } else if (validColorsToMix.length === 1) {
-            try { setMixedColor(chroma(validColorsToMix[0]).hex()); }
-            catch { setMixedColor(null); }
         } else {
             setMixedColor(null);
         }
-    }, [mixColors]);
+    }, [mixColors, mixMethod, colorSpaceSettings.mixMode]);
 
     // Regenerate palette
     useEffect(() => {
-        setPalette(mixedColor && chroma.valid(mixedColor)
-            ? generatePalette(mixedColor, paletteType, colorCount)
+        setGeneratedPalette(mixedColor && chroma.valid(mixedColor)
+            ? generatePalette(mixedColor, paletteType, colorCount, colorSpaceSettings)
             : []
         );
-    }, [mixedColor, paletteType, colorCount]);
+    }, [mixedColor, paletteType, colorCount, colorSpaceSettings]);
 
     // Toggle dark mode class & save preference
     useEffect(() => {
@@ -413,17 +704,121 @@ function App() {
         catch (e) { console.error("LS Error (Dark Mode):", e); }
     }, [isDarkMode]);
 
-    // Save palettes to LS
-     useEffect(() => {
-        try { localStorage.setItem(LOCAL_STORAGE_KEYS.SAVED_PALETTES, JSON.stringify(savedPalettes)); }
-        catch (e) { console.error("LS Error (Saving Palettes):", e); setFeedbackMessage("Error saving palettes: Storage full?"); }
-     }, [savedPalettes]);
+    // Load the saved palette library (migrating the old localStorage blob on first run)
+    useEffect(() => {
+        let isCancelled = false;
+        loadPaletteLibrary({ legacyKey: LOCAL_STORAGE_KEYS.SAVED_PALETTES, normalize: normalizeSavedPalette })
+            .then(({ palettes, storage, migrated, invalid, unreadable }) => {
+                if (isCancelled) return;
+                unreadablePalettesRef.current = unreadable;
+                // Only what was read counts as persisted; palettes saved while loading get written next
+                persistedPalettesRef.current = palettes;
+                setSavedPalettes(prev => mergeLoadedPalettes(palettes, prev));
+                setLibraryStorage(storage);
+                // Loading isn't an undoable step
+                setHistory(prev => {
+                    const state = prev.entries[prev.index].state;
+                    return createHistory({ ...state, savedPalettes: mergeLoadedPalettes(palettes, state.savedPalettes) });
+                });
+                if (invalid > 0) setFeedbackMessage(`${invalid} saved palette(s) could not be read and were left untouched (see console).`);
+                else if (migrated > 0) setFeedbackMessage(`Moved ${migrated} saved palette(s) to the new library.`);
+            })
+            .catch(error => {
+                console.error("Library Error (Loading):", error);
+                // Leave storage unset so nothing overwrites the library we couldn't read
+                setFeedbackMessage("Could not open the palette library. Changes to saved palettes won't be kept.");
+            });
+        return () => { isCancelled = true; };
+    }, []);
 
-    // Save display format preference
+    // Persist library changes
     useEffect(() => {
-        try { localStorage.setItem(LOCAL_STORAGE_KEYS.DISPLAY_FORMAT, displayFormat); }
+        if (!libraryStorage) return;
+        const previous = persistedPalettesRef.current;
+        persistedPalettesRef.current = savedPalettes;
+        savePaletteChanges(previous, savedPalettes, { storage: libraryStorage, legacyKey: LOCAL_STORAGE_KEYS.SAVED_PALETTES, unreadable: unreadablePalettesRef.current })
+            .catch(error => { console.error("Library Error (Saving):", error); setFeedbackMessage(`Error saving palettes: ${error?.message || 'storage unavailable'}`); });
+    }, [savedPalettes, libraryStorage]);
+
+    // Save display format preferences
+    useEffect(() => {
+        try {
+            localStorage.setItem(LOCAL_STORAGE_KEYS.DISPLAY_FORMAT, JSON.stringify(displayFormat));
+            localStorage.setItem(LOCAL_STORAGE_KEYS.DETAIL_FORMATS, JSON.stringify(detailFormats));
+        }
         catch (e) { console.error("LS Error (Display Format):", e); }
-    }, [displayFormat]);
+    }, [displayFormat, detailFormats]);
+
+    // Record undoable changes once edits settle
+    const historySnapshot = useMemo(() => ({ mixColors, paletteType, colorCount, gradientDirection, swatchOverrides, swatchOrder, savedPalettes }), [mixColors, paletteType, colorCount, gradientDirection, swatchOverrides, swatchOrder, savedPalettes]);
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setHistory(prev => {
+                const current = prev.entries[prev.index].state;
+                if (isSameHistoryState(current, historySnapshot)) return prev;
+                return recordHistory(prev, historySnapshot, describeStateChange(current, historySnapshot), historyDepth);
+            });
+        }, HISTORY_RECORD_DELAY);
+        return () => clearTimeout(timer);
+    }, [historySnapshot, historyDepth]);
+
+    // Save history depth and drop entries beyond it
+    useEffect(() => {
+        setHistory(prev => trimHistory(prev, historyDepth));
+        try { localStorage.setItem(LOCAL_STORAGE_KEYS.HISTORY_DEPTH, JSON.stringify(historyDepth)); }
+        catch (e) { console.error("LS Error (History Depth):", e); }
+    }, [historyDepth]);
+
+    // Save gradient builder settings
+    useEffect(() => {
+        try { localStorage.setItem(LOCAL_STORAGE_KEYS.GRADIENT_SETTINGS, JSON.stringify(gradientSettings)); }
+        catch (e) { console.error("LS Error (Gradient Settings):", e); }
+    }, [gradientSettings]);
+
+    // Save the color name dictionary and the custom name list
+    useEffect(() => {
+        try {
+            localStorage.setItem(LOCAL_STORAGE_KEYS.COLOR_NAME_DICTIONARY, JSON.stringify(colorNameDictionary));
+            localStorage.setItem(LOCAL_STORAGE_KEYS.CUSTOM_COLOR_NAMES, JSON.stringify(customColorNames));
+        }
+        catch (e) { console.error("LS Error (Color Names):", e); }
+    }, [colorNameDictionary, customColorNames]);
+
+    // Keep the URL hash in sync with the generator state (debounced, one history entry per change)
+    useEffect(() => {
+        const hash = `#${encodeHashState({ mixColors, paletteType, colorCount, gradientDirection, displayFormat, colorSpace: colorSpaceSettings, mixMethod })}`;
+        if (hash === window.location.hash) { hasSyncedUrlRef.current = true; return; }
+        if (!hasSyncedUrlRef.current) {
+            hasSyncedUrlRef.current = true;
+            window.history.replaceState(null, '', hash);
+            return;
+        }
+        const timer = setTimeout(() => { window.history.pushState(null, '', hash); }, URL_UPDATE_DELAY);
+        return () => clearTimeout(timer);
+    }, [mixColors, paletteType, colorCount, gradientDirection, displayFormat, colorSpaceSettings, mixMethod]);
+
+    // Restore state when the user navigates with back/forward
+    useEffect(() => {
+        const handlePopState = () => {
+            const urlState = readUrlState();
+            if (!urlState) return;
+            if (urlState.mixColors) setMixColors(createMixColorsFromUrl(urlState.mixColors));
+            if (urlState.droppedMixColors) setFeedbackMessage(describeDroppedMixColors(urlState.droppedMixColors));
+            if (urlState.paletteType) setPaletteType(urlState.paletteType);
+            if (urlState.colorCount) setColorCount(urlState.colorCount);
+            if (urlState.gradientDirection) setGradientDirection(urlState.gradientDirection);
+            if (urlState.displayFormat) setDisplayFormat(urlState.displayFormat);
+            if (urlState.colorSpace) setColorSpaceSettings(normalizeColorSpaceSettings(urlState.colorSpace));
+            setMixMethod(normalizeMixMethod(urlState.mixMethod));
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // Say so when the opening link had more mix colors than were loaded
+    useEffect(() => {
+        if (initialUrlState?.droppedMixColors) setFeedbackMessage(describeDroppedMixColors(initialUrlState.droppedMixColors));
+    }, [initialUrlState]);
 
     // Clear feedback message
     useEffect(() => {
@@ -434,15 +829,42 @@ function App() {
 
     // --- Event Handlers ---
 
+    // Valid input is stored as hex; invalid text is kept as typed (and flagged) so it can be fixed
     const handleMixColorChange = useCallback((id, value) => {
+        const color = parseColor(value);
         setMixColors(prev => prev.map(item =>
-            item.id === id ? { ...item, color: value, valid: chroma.valid(value) } : item
+            item.id === id ? { ...item, color: color || value, valid: Boolean(color) } : item
         ));
     }, []);
+    // The text field shows what was typed until it loses focus, then the normalized hex
+    const handleMixColorTextChange = useCallback((id, value) => {
+        setMixColorDrafts(prev => ({ ...prev, [id]: value }));
+        handleMixColorChange(id, value);
+    }, [handleMixColorChange]);
+    const commitMixColorText = useCallback((id) => {
+        setMixColorDrafts(prev => {
+            const { [id]: _draft, ...rest } = prev;
+            return rest;
+        });
+    }, []);
+    // Pasting several colors fills this field with the first and adds the rest after it
+    const handleMixColorPaste = useCallback((id, e) => {
+        const { colors, errors } = parseColorList(e.clipboardData.getData('text'));
+        if (colors.length + errors.length < 2) return; // A single value pastes as usual
+        e.preventDefault();
+        if (colors.length === 0) { setFeedbackMessage(`No colors found in the pasted text: ${errors[0].message}`); return; }
+        const [first, ...rest] = colors;
+        commitMixColorText(id);
+        setMixColors(prev => prev.flatMap(item => (item.id === id
+            ? [{ ...item, color: first, valid: true }, ...rest.map(color => createMixColorItem(color))]
+            : [item])));
+        const skipped = errors.length > 0 ? ` Skipped ${errors.length}: ${errors.map(error => `"${error.input}"`).join(', ')}.` : '';
+        setFeedbackMessage(`Pasted ${colors.length} color(s).${skipped}`);
+    }, [commitMixColorText]);
 
     // Modified addMixColor to optionally accept a color
     const addMixColor = useCallback((colorToAdd = null) => {
-        const newColor = colorToAdd && chroma.valid(colorToAdd) ? colorToAdd : getRandomHexColor();
+        const newColor = (colorToAdd && parseColor(colorToAdd)) || getRandomHexColor();
         setMixColors(prev => [...prev, createMixColorItem(newColor)]);
         setFeedbackMessage(`Color added: ${newColor}`);
     }, []);
@@ -453,6 +875,10 @@ function App() {
         setMixColors(prev => prev.filter(item => item.id !== id));
     }, [mixColors.length]);
 
+    const handleMixWeightChange = useCallback((id, value) => {
+        setMixColors(prev => prev.map(item => item.id === id ? { ...item, weight: normalizeMixWeight(value) } : item));
+    }, []);
+
     const toggleMixColorLock = useCallback((id) => {
         let wasLocked = false;
         setMixColors(prev => prev.map(item => {
@@ -474,10 +900,56 @@ function App() {
         else { setFeedbackMessage(id !== null ? `Color is locked.` : `All colors are locked.`); }
     }, []);
 
+    // --- Per-Swatch Lock / Edit / Reorder ---
+    const toggleSwatchLock = useCallback((index) => {
+        const isLocked = Boolean(swatchOverrides[index]);
+        setSwatchOverrides(prev => {
+            const next = { ...prev };
+            if (isLocked) delete next[index];
+            else next[index] = { color: palette[index], edited: false };
+            return next;
+        });
+        setFeedbackMessage(isLocked ? "Swatch unlocked" : "Swatch locked");
+    }, [swatchOverrides, palette]);
+    // Swatch edits accept anything the mix fields do
+    const editSwatchColor = useCallback((index, value) => {
+        const { color, error } = parseColorInput(value);
+        if (!color) { setFeedbackMessage(`Invalid color for swatch ${index + 1}: ${error}`); return; }
+        setSwatchOverrides(prev => ({ ...prev, [index]: { color, edited: true } }));
+    }, []);
+    const moveSwatchBy = useCallback((index, offset) => {
+        const moved = moveSwatch({ order: swatchOrder, overrides: swatchOverrides }, index, index + offset, palette.length);
+        setSwatchOrder(moved.order);
+        setSwatchOverrides(moved.overrides);
+        setUiRoles(prev => remapUiRoles(prev, swatchOrder, moved.order, palette.length));
+    }, [swatchOrder, swatchOverrides, palette.length]);
+    const resetSwatchOverrides = useCallback(() => {
+        setSwatchOverrides({});
+        setSwatchOrder(null);
+        setUiRoles(prev => remapUiRoles(prev, swatchOrder, null, palette.length));
+        setFeedbackMessage("Swatch locks, edits and order reset.");
+    }, [swatchOrder, palette.length]);
+    const commitSwatchText = (index, e) => {
+        const value = e.target.value.trim();
+        const { color, error } = parseColorInput(value);
+        if (color && color !== palette[index]) { editSwatchColor(index, color); return; }
+        if (value && !color) setFeedbackMessage(`Invalid color for swatch ${index + 1}: ${error}`);
+        e.target.value = palette[index]; // Unchanged or unreadable: show the current color again
+    };
+
     const handleTypeChange = useCallback((e) => { setPaletteType(e.target.value); }, []);
     const handleCountChange = useCallback((e) => { setColorCount(parseInt(e.target.value, 10)); }, []);
-    const handleGradientDirectionChange = useCallback((e) => { setGradientDirection(e.target.value); }, []);
+    const handleGradientDirectionChange = useCallback((direction) => { setGradientDirection(direction); }, []);
     const handleDisplayFormatChange = useCallback((e) => { setDisplayFormat(e.target.value); }, []);
+    // Keep detail formats in DISPLAY_FORMATS order
+    const toggleDetailFormat = useCallback((format) => {
+        setDetailFormats(prev => DISPLAY_FORMATS.map(f => f.value).filter(value => (value === format) !== prev.includes(value)));
+    }, []);
+    const handleCvdModeChange = useCallback((e) => { setCvdMode(e.target.value); }, []);
+    const handleMixMethodChange = useCallback((e) => { setMixMethod(normalizeMixMethod(e.target.value)); }, []);
+    const handleColorSpaceSettingChange = useCallback((key, value) => {
+        setColorSpaceSettings(prev => normalizeColorSpaceSettings({ ...prev, [key]: value }));
+    }, []);
 
     const handleCopyValue = useCallback((value, type = 'hex') => {
         if (!value || value === 'N/A' || value === 'Error') { setFeedbackMessage('Cannot copy invalid or N/A value.'); return; }
@@ -490,8 +962,14 @@ function App() {
             .catch(err => { console.error('Clipboard Copy Error:', err); setFeedbackMessage('Copy failed.'); });
     }, []);
 
+    const copyPermalink = useCallback(() => {
+        const hash = `#${encodeHashState({ mixColors, paletteType, colorCount, gradientDirection, displayFormat, colorSpace: colorSpaceSettings, mixMethod })}`;
+        handleCopyValue(`${window.location.origin}${window.location.pathname}${hash}`, 'Link');
+    }, [mixColors, paletteType, colorCount, gradientDirection, displayFormat, colorSpaceSettings, mixMethod, handleCopyValue]);
+
     const toggleDarkMode = useCallback(() => { setIsDarkMode(prev => !prev); }, []);
     const toggleDetailsDisplay = useCallback(() => { setShowDetails(prev => !prev); }, []);
+    const toggleExportMenu = useCallback(() => { setShowExportMenu(prev => !prev); }, []);
 
     // --- EyeDropper API Handler ---
     const pickColorFromScreen = useCallback(async () => {
@@ -511,70 +989,168 @@ function App() {
 
 
     // --- Saved Palette Handlers ---
+    // Saved palette entry for the current editor state (optionally with different swatch overrides)
+    const buildSavedPalette = useCallback((name, overrides = swatchOverrides) => {
+        const colors = applySwatchOverrides(generatedPalette, swatchOrder, overrides);
+        return { schemaVersion: SCHEMA_VERSION, id: createId(), name, mixColors: mixColors.filter(mc => mc.valid).map(mc => ({...mc})), mixedColor, palette: colors, type: paletteType, count: colorCount, gradientDirection, colorSpace: { ...colorSpaceSettings }, mixMethod, swatchOverrides: serializeSwatchOverrides(overrides, colors.length), swatchOrder, uiRoles, tags: [], favorite: false, collection: '', createdAt: Date.now() };
+    }, [generatedPalette, swatchOrder, swatchOverrides, mixColors, mixedColor, paletteType, colorCount, gradientDirection, colorSpaceSettings, mixMethod, uiRoles]);
+
     const saveCurrentPalette = useCallback(() => {
         if (!mixedColor || palette.length === 0 || !chroma.valid(mixedColor)) { setFeedbackMessage("Cannot save an empty or invalid palette."); return; }
-        if (savedPalettes.length >= MAX_SAVED_PALETTES) { setFeedbackMessage(`Max ${MAX_SAVED_PALETTES} palettes reached.`); return; }
+        if (!mixColors.some(mc => mc.valid)) { setFeedbackMessage("Add at least one valid mix color before saving."); return; }
         const now = new Date();
         const paletteName = `${paletteType} (${colorCount}) - ${now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
-        const newSavedPalette = { id: now.getTime(), name: paletteName, mixColors: mixColors.map(mc => ({...mc})), mixedColor, palette: [...palette], type: paletteType, count: colorCount, gradientDirection };
-        const isDuplicate = savedPalettes.some(saved => JSON.stringify(saved.palette) === JSON.stringify(palette) && saved.type === paletteType && saved.count === colorCount && saved.gradientDirection === gradientDirection && JSON.stringify(saved.mixColors.map(m => m.color)) === JSON.stringify(mixColors.map(m => m.color)));
+        const newSavedPalette = buildSavedPalette(paletteName);
+        const isDuplicate = savedPalettes.some(saved => JSON.stringify(saved.palette) === JSON.stringify(palette) && saved.type === paletteType && saved.count === colorCount && saved.gradientDirection === gradientDirection && JSON.stringify(normalizeColorSpaceSettings(saved.colorSpace)) === JSON.stringify(colorSpaceSettings) && normalizeMixMethod(saved.mixMethod) === mixMethod && JSON.stringify(normalizeUiRoles(saved.uiRoles)) === JSON.stringify(normalizeUiRoles(uiRoles)) && JSON.stringify(saved.mixColors.map(m => [m.color, normalizeMixWeight(m.weight)])) === JSON.stringify(mixColors.filter(m => m.valid).map(m => [m.color, m.weight])));
         if (isDuplicate) { setFeedbackMessage("This exact palette is already saved."); return; }
-        setSavedPalettes(prev => [newSavedPalette, ...prev].slice(0, MAX_SAVED_PALETTES));
+        setSavedPalettes(prev => [newSavedPalette, ...prev]);
         setFeedbackMessage("Palette Saved!");
-    }, [mixedColor, palette, paletteType, colorCount, gradientDirection, savedPalettes, mixColors]);
+    }, [mixedColor, palette, paletteType, colorCount, gradientDirection, colorSpaceSettings, mixMethod, uiRoles, savedPalettes, mixColors, buildSavedPalette]);
+
+    // --- Accessibility Fixes ---
+    const applyContrastFix = useCallback((changes) => {
+        setSwatchOverrides(prev => {
+            const next = { ...prev };
+            changes.forEach(change => { next[change.index] = { color: change.to, edited: true }; });
+            return next;
+        });
+        setFeedbackMessage(`Contrast fix applied to swatch ${changes.map(c => c.index + 1).join(', ')}.`);
+    }, []);
+    const saveContrastFixAsNew = useCallback((changes, targetLabel) => {
+        if (!mixColors.some(mc => mc.valid)) { setFeedbackMessage("Add at least one valid mix color before saving."); return; }
+        const overrides = { ...swatchOverrides };
+        changes.forEach(change => { overrides[change.index] = { color: change.to, edited: true }; });
+        const newSavedPalette = buildSavedPalette(`${paletteType} (${colorCount}) - ${targetLabel}`, overrides);
+        setSavedPalettes(prev => [newSavedPalette, ...prev]);
+        setFeedbackMessage(`Saved "${newSavedPalette.name}" as a new palette.`);
+    }, [swatchOverrides, buildSavedPalette, paletteType, colorCount, mixColors]);
 
     const loadSavedPalette = useCallback((savedPalette) => {
         if (!savedPalette) return;
-        setMixColors(savedPalette.mixColors.map(mc => ({ id: mc.id || Date.now() + Math.random(), color: mc.color || '#ffffff', valid: mc.valid !== undefined ? mc.valid : chroma.valid(mc.color || '#ffffff'), locked: mc.locked !== undefined ? mc.locked : false })));
+        setMixColors(savedPalette.mixColors.map(mc => ({ ...createMixColorItem(mc.color, mc.weight), locked: mc.locked === true })));
         setPaletteType(savedPalette.type || 'monochromatic');
         setColorCount(savedPalette.count || 5);
         setGradientDirection(savedPalette.gradientDirection || 'to right');
-        setFeedbackMessage(`Loaded: ${savedPalette.name}`);
+        setColorSpaceSettings(normalizeColorSpaceSettings(savedPalette.colorSpace));
+        setMixMethod(normalizeMixMethod(savedPalette.mixMethod));
+        setSwatchOverrides(parseSwatchOverrides(savedPalette.swatchOverrides));
+        setSwatchOrder(parseSwatchOrder(savedPalette.swatchOrder));
+        setUiRoles(normalizeUiRoles(savedPalette.uiRoles));
+        // Palettes from long swatch files hold more colors than the editor's count shows
+        const storedCount = savedPalette.palette?.length ?? 0;
+        setFeedbackMessage(storedCount > savedPalette.count
+            ? `Loaded: ${savedPalette.name} (showing ${savedPalette.count} of its ${storedCount} colors; all stay in the saved palette)`
+            : `Loaded: ${savedPalette.name}`);
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }, []);
 
     const deleteSavedPalette = useCallback((idToDelete) => {
         setSavedPalettes(prev => prev.filter(p => p.id !== idToDelete));
-        setFeedbackMessage("Palette Deleted.");
+        setFeedbackMessage("Palette Deleted. Undo with Ctrl/Cmd+Z.");
     }, []);
 
+    // --- Undo/Redo ---
+    const goToHistoryEntry = useCallback((index, verb) => {
+        // Edits still waiting to be recorded count as the newest step
+        const hasPendingChange = !isSameHistoryState(history.entries[history.index].state, historySnapshot);
+        const targetIndex = hasPendingChange && verb === 'Undo' ? history.index : index;
+        if (targetIndex < 0 || targetIndex >= history.entries.length || (targetIndex === history.index && !hasPendingChange)) return;
+        const entry = history.entries[targetIndex];
+        setMixColors(entry.state.mixColors);
+        setPaletteType(entry.state.paletteType);
+        setColorCount(entry.state.colorCount);
+        setGradientDirection(entry.state.gradientDirection);
+        setSwatchOverrides(entry.state.swatchOverrides);
+        setSwatchOrder(entry.state.swatchOrder);
+        setUiRoles(prev => remapUiRoles(prev, swatchOrder, entry.state.swatchOrder, palette.length)); // Roles aren't in history, so carry them along
+        setSavedPalettes(entry.state.savedPalettes);
+        setHistory(jumpToHistory(history, targetIndex));
+        const undoneLabel = hasPendingChange ? 'latest change' : history.entries[history.index].label;
+        setFeedbackMessage(`${verb}: ${verb === 'Undo' ? undoneLabel : entry.label}`);
+    }, [history, historySnapshot, swatchOrder, palette.length]);
+    const undo = useCallback(() => goToHistoryEntry(history.index - 1, 'Undo'), [goToHistoryEntry, history.index]);
+    const redo = useCallback(() => goToHistoryEntry(history.index + 1, 'Redo'), [goToHistoryEntry, history.index]);
+    const jumpToHistoryEntry = useCallback((index) => goToHistoryEntry(index, 'Restored'), [goToHistoryEntry]);
+    const handleHistoryDepthChange = useCallback((value) => { setHistoryDepth(normalizeHistoryDepth(value)); }, []);
+
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntryTarget(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
+
     const exportPaletteJson = useCallback(() => {
          if (!mixedColor || palette.length === 0 || !chroma.valid(mixedColor)) { setFeedbackMessage("Cannot export an empty or invalid palette."); return; }
-        const exportData = { name: `${paletteType}_${mixedColor.substring(1)}`, mixColors: mixColors.map(item => item.color), mixedColor, paletteType, colorCount, palette, gradientDirection, gradientCSS: `linear-gradient(${gradientDirection}, ${palette.join(', ')})` };
+        const exportData = {
+            ...serializePalette({ name: `${paletteType}_${mixedColor.substring(1)}`, mixColors, mixMethod, mixedColor, type: paletteType, count: colorCount, palette, gradientDirection, colorSpace: colorSpaceSettings, swatchOverrides: serializeSwatchOverrides(swatchOverrides, palette.length), swatchOrder, uiRoles }),
+            gradientCSS: buildGradientCss(resolveGradientStops(palette, gradientSettings), gradientSettings, gradientDirection),
+            uiRoleColors: { light: resolveUiRoles(palette, uiRoles, 'light'), dark: resolveUiRoles(palette, uiRoles, 'dark') },
+        };
         downloadJson(exportData, `palette_${paletteType}_${mixedColor.substring(1)}.json`);
         setFeedbackMessage("Palette JSON exported!");
-    }, [mixedColor, palette, paletteType, colorCount, mixColors, gradientDirection]);
+    }, [mixedColor, palette, paletteType, colorCount, mixColors, gradientDirection, gradientSettings, colorSpaceSettings, mixMethod, swatchOverrides, swatchOrder, uiRoles]);
 
-    // --- Editable Saved Name Handlers ---
-    const startEditingPaletteName = (paletteId, currentName) => { setEditingPaletteId(paletteId); setEditedPaletteName(currentName); };
-    const handleEditNameChange = (event) => { setEditedPaletteName(event.target.value); };
-    const saveEditedPaletteName = () => {
-        if (!editingPaletteId) return;
-        const trimmedName = editedPaletteName.trim();
-        if (trimmedName) { setSavedPalettes(prev => prev.map(p => p.id === editingPaletteId ? { ...p, name: trimmedName } : p)); setFeedbackMessage("Palette name updated."); }
-        else { setFeedbackMessage("Palette name cannot be empty."); }
-        setEditingPaletteId(null); setEditedPaletteName('');
-    };
-    const cancelEditPaletteName = () => { setEditingPaletteId(null); setEditedPaletteName(''); };
-    const handleEditNameKeyDown = (event) => {
-        if (event.key === 'Enter') { saveEditedPaletteName(); }
-        else if (event.key === 'Escape') { cancelEditPaletteName(); }
+    const updateSavedPalette = useCallback((id, changes) => {
+        setSavedPalettes(prev => prev.map(p => p.id === id ? { ...p, ...changes } : p));
+    }, []);
+
+    // --- Import Swatch File Handler (ASE, ACO, GPL, Procreate) ---
+    const importSwatchFile = (file, format) => {
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const { name, colors } = await decodeSwatchFile(format, e.target.result);
+                const importedColors = colors.map(c => c.color);
+                if (importedColors.length === 0) { setFeedbackMessage("Import failed: No colors found in file."); return; }
+                if (swatchImportTarget === 'mix') {
+                    // Appended after the current mix colors, up to as many as a link can carry
+                    const added = importedColors.slice(0, Math.max(0, MAX_URL_MIX_COLORS - mixColors.length));
+                    if (added.length === 0) { setFeedbackMessage(`Import skipped: the mix already has ${MAX_URL_MIX_COLORS} colors, the most it can hold.`); return; }
+                    setMixColors(prev => [...prev, ...added.map(c => createMixColorItem(c))]);
+                    const skipped = importedColors.length - added.length;
+                    setFeedbackMessage(`Added ${added.length} color(s) from the file after the current mix colors.${skipped > 0 ? ` Skipped the last ${skipped}: the mix holds at most ${MAX_URL_MIX_COLORS} colors.` : ''}`);
+                    return;
+                }
+                const newSavedPalette = createSavedPaletteFromColors(importedColors, name || file.name.replace(/\.[^.]+$/, ''));
+                setSavedPalettes(prev => [newSavedPalette, ...prev]);
+                setFeedbackMessage(importedColors.length > MAX_SWATCH_SLOTS
+                    ? `Imported "${newSavedPalette.name}" (first ${MAX_SWATCH_SLOTS} of ${importedColors.length} colors).`
+                    : `Imported "${newSavedPalette.name}" (${importedColors.length} colors).`);
+            } catch (error) { console.error("Swatch Import Error:", error); setFeedbackMessage(`Import failed: ${error.message}`); }
+            finally { if (fileInputRef.current) fileInputRef.current.value = ""; }
+        };
+        reader.onerror = () => { setFeedbackMessage("Import failed: Could not read file."); if (fileInputRef.current) fileInputRef.current.value = ""; };
+        reader.readAsArrayBuffer(file);
     };
 
     // --- Import JSON Palette Handler ---
     const handleFileImport = (event) => {
         const file = event.target.files[0];
         if (!file) { setFeedbackMessage("No file selected."); return; }
-        if (file.type !== "application/json") { setFeedbackMessage("Invalid file type. Please select JSON."); if (fileInputRef.current) fileInputRef.current.value = ""; return; }
+        const swatchFormat = getSwatchFormatFromFileName(file.name);
+        if (swatchFormat) { importSwatchFile(file, swatchFormat); return; }
+        if (file.type !== "application/json" && !/\.json$/i.test(file.name)) { setFeedbackMessage("Invalid file type. Please select JSON, ASE, ACO, GPL or .swatches."); if (fileInputRef.current) fileInputRef.current.value = ""; return; }
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const importedData = JSON.parse(e.target.result);
-                if (importedData && Array.isArray(importedData.palette) && importedData.type && importedData.count && Array.isArray(importedData.mixColors)) {
-                    const paletteToLoad = { id: Date.now(), name: importedData.name || `Imported ${new Date().toLocaleTimeString()}`, mixColors: importedData.mixColors.map(colorOrObj => typeof colorOrObj === 'string' ? createMixColorItem(colorOrObj) : createMixColorItem(colorOrObj.color)), mixedColor: importedData.mixedColor, palette: importedData.palette, type: importedData.type, count: importedData.count, gradientDirection: importedData.gradientDirection || 'to right', };
-                    loadSavedPalette(paletteToLoad); setFeedbackMessage("Palette imported successfully!");
-                } else { setFeedbackMessage("Import failed: Invalid JSON structure."); }
-            } catch (error) { console.error("Import Error:", error); setFeedbackMessage("Import failed: Could not parse JSON."); }
+                let importedData;
+                try { importedData = JSON.parse(e.target.result); }
+                catch { setFeedbackMessage("Import failed: Could not parse JSON."); return; }
+                const backup = parsePaletteFile(importedData);
+                if (backup.entries.length === 0) {
+                    const firstError = backup.errors[0];
+                    setFeedbackMessage(firstError ? `Import failed: entry ${firstError.label} ${firstError.messages.join('; ')}.` : "Import failed: No palettes in file.");
+                    return;
+                }
+                // Single palettes and full backups both go through the restore preview
+                setPendingRestore({ fileName: file.name, backup });
+            } catch (error) { console.error("Import Error:", error); setFeedbackMessage(`Import failed: ${error.message}`); }
             finally { if (fileInputRef.current) fileInputRef.current.value = ""; }
         };
         reader.onerror = () => { setFeedbackMessage("Import failed: Could not read file."); if (fileInputRef.current) fileInputRef.current.value = ""; };
@@ -582,6 +1158,26 @@ function App() {
     };
     const triggerFileInput = () => { fileInputRef.current?.click(); };
 
+    // --- Library Backup / Restore ---
+    const backupLibrary = useCallback(() => {
+        if (savedPalettes.length === 0) { setFeedbackMessage("Nothing to back up yet."); return; }
+        downloadJson(createLibraryBackup(savedPalettes), `palette-library-${new Date().toISOString().slice(0, 10)}.json`);
+        setFeedbackMessage(`Backed up ${savedPalettes.length} palette(s).`);
+    }, [savedPalettes]);
+    const confirmRestore = useCallback((plan, mode) => {
+        setSavedPalettes(plan.result);
+        setPendingRestore(null);
+        const parts = [`${plan.added.length} added`];
+        if (plan.overwritten.length) parts.push(`${plan.overwritten.length} ${mode === 'replace' ? 'replaced' : 'overwritten'}`);
+        if (plan.removed.length) parts.push(`${plan.removed.length} removed`);
+        if (plan.skipped.length) parts.push(`${plan.skipped.length} skipped`);
+        setFeedbackMessage(`${mode === 'replace' ? 'Library replaced' : 'Restored'}: ${parts.join(', ')}.`);
+    }, []);
+    const loadRestoredPaletteIntoEditor = useCallback((savedPalette) => {
+        setPendingRestore(null);
+        loadSavedPalette(savedPalette);
+    }, [loadSavedPalette]);
+
     // --- Image Upload Handlers ---
     const triggerImageInput = () => {
         imageInputRef.current?.click();
@@ -613,6 +1209,22 @@ function App() {
         if (imageInputRef.current) imageInputRef.current.value = "";
     };
 
+    // Callbacks for colors extracted from the image picker modal
+    const handleColorsExtractedFromImage = (colors) => {
+        const validColors = colors.filter(c => chroma.valid(c));
+        if (validColors.length === 0) { setFeedbackMessage("No colors extracted from image."); return; }
+        setMixColors(prev => [...prev, ...validColors.map(c => createMixColorItem(c))]);
+        setFeedbackMessage(`Added ${validColors.length} color(s) from the image.`);
+    };
+    const handlePaletteExtractedFromImage = (colors) => {
+        const validColors = colors.filter(c => chroma.valid(c));
+        if (validColors.length === 0) { setFeedbackMessage("No colors extracted from image."); return; }
+        const now = new Date();
+        const newSavedPalette = createSavedPaletteFromColors(validColors, `Image (${validColors.length}) - ${now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        setSavedPalettes(prev => [newSavedPalette, ...prev]);
+        setFeedbackMessage("Extracted palette saved!");
+    };
+
     // Callback when color is selected from the image picker modal
     const handleColorSelectedFromImage = (color) => {
         if (color && chroma.valid(color)) {
@@ -622,35 +1234,189 @@ function App() {
         }
     };
 
+    // --- Color Names ---
+    const colorNameEntries = useMemo(() => getDictionaryEntries(colorNameDictionary, customColorNames), [colorNameDictionary, customColorNames]);
+    const colorNameLabel = COLOR_NAME_DICTIONARIES.find(d => d.value === colorNameDictionary)?.label || colorNameDictionary;
+    const getColorNameText = useCallback((color) => findNearestColorName(color, colorNameEntries)?.name, [colorNameEntries]);
+    const paletteColorNames = useMemo(() => palette.map(getColorNameText), [palette, getColorNameText]);
+
+    // --- Vision Simulation ---
+    const displayColor = (color) => simulateColor(color, cvdMode);
+    const displayPalette = useMemo(() => simulatePalette(palette, cvdMode), [palette, cvdMode]);
+    const confusablePairs = useMemo(() => findConfusablePairs(palette, cvdMode), [palette, cvdMode]);
+    const mixColorErrors = useMemo(() => Object.fromEntries(
+        mixColors.filter(item => !item.valid).map(item => [item.id, parseColorInput(item.color).error])
+    ), [mixColors]);
+    // Each mix color's share of the mix as the current method weighs it (invalid colors don't count)
+    const mixWeightShares = useMemo(() => {
+        const validItems = mixColors.filter(item => item.valid);
+        const shares = getMixShares(validItems.map(item => item.color), { weights: validItems.map(item => item.weight), method: mixMethod });
+        let next = 0;
+        return mixColors.map(item => (item.valid ? Math.round(shares[next++] * 100) : 0));
+    }, [mixColors, mixMethod]);
+    const cvdLabel = CVD_TYPES.find(t => t.value === cvdMode)?.label || cvdMode;
+
+    // --- Keyboard Shortcuts & Command Palette ---
+    const focusMixColor = (index) => {
+        const input = document.querySelector(`[data-mix-index="${index}"] .color-picker-input`);
+        if (input) input.focus();
+        else setFeedbackMessage(`There is no mix color ${index + 1}.`);
+    };
+    // The mix color or palette swatch that currently holds keyboard focus
+    const getFocusedColor = () => {
+        const active = document.activeElement;
+        const mixIndex = active?.closest?.('[data-mix-index]')?.dataset.mixIndex;
+        if (mixIndex !== undefined && mixColors[Number(mixIndex)]) return { kind: 'mix', index: Number(mixIndex) };
+        const swatchIndex = active?.closest?.('[data-swatch-index]')?.dataset.swatchIndex;
+        if (swatchIndex !== undefined && palette[Number(swatchIndex)]) return { kind: 'swatch', index: Number(swatchIndex) };
+        return null;
+    };
+    const lockFocusedColor = () => {
+        const focused = getFocusedColor();
+        if (!focused) { setFeedbackMessage("Focus a mix color (1-9) or a swatch to lock it."); return; }
+        if (focused.kind === 'swatch') { toggleSwatchLock(focused.index); return; }
+        // Locking disables the row's picker and slider; move focus to the toggle first so it isn't dropped
+        if (!mixColors[focused.index].locked) document.querySelector(`[data-mix-index="${focused.index}"] .lock-button`)?.focus();
+        toggleMixColorLock(mixColors[focused.index].id);
+    };
+    const copyFocusedColor = () => {
+        const focused = getFocusedColor();
+        if (focused?.kind === 'mix') handleCopyValue(mixColors[focused.index].color, 'hex');
+        else if (focused?.kind === 'swatch') handleCopyValue(palette[focused.index], 'hex');
+        else handleCopyValue(mixedColor, 'hex');
+    };
+    const stepPaletteType = (delta) => {
+        const index = PALETTE_TYPES.findIndex(t => t.value === paletteType);
+        const next = PALETTE_TYPES[(index + delta + PALETTE_TYPES.length) % PALETTE_TYPES.length];
+        setPaletteType(next.value);
+        setFeedbackMessage(`Palette type: ${next.label}`);
+    };
+    const stepColorCount = (delta) => {
+        if (paletteType === 'ramp') { setFeedbackMessage("Ramp palettes have a fixed count."); return; }
+        const next = Math.min(MAX_COLOR_COUNT, Math.max(MIN_COLOR_COUNT, colorCount + delta));
+        setColorCount(next);
+        setFeedbackMessage(`Count: ${next}`);
+    };
+
+    // Every action the command palette can run
+    const buildCommands = () => [
+        { id: 'randomize', group: 'Colors', label: 'Randomize unlocked colors', shortcut: 'Space', run: () => randomizeMixColors(null) },
+        { id: 'add-color', group: 'Colors', label: 'Add mix color', run: () => addMixColor() },
+        { id: 'pick-image', group: 'Colors', label: 'Pick colors from an image…', run: triggerImageInput },
+        { id: 'copy-mixed', group: 'Colors', label: 'Copy mixed color', run: () => handleCopyValue(mixedColor, 'hex') },
+        { id: 'save', group: 'Palette', label: 'Save palette', shortcut: 'S', run: saveCurrentPalette },
+        { id: 'export-json', group: 'Palette', label: 'Export palette as JSON', run: exportPaletteJson },
+        { id: 'copy-link', group: 'Palette', label: 'Copy share link', run: copyPermalink },
+        { id: 'reset-swatches', group: 'Palette', label: 'Reset swatch locks, edits and order', run: resetSwatchOverrides },
+        { id: 'count-up', group: 'Palette', label: 'More colors', shortcut: '↑', run: () => stepColorCount(1) },
+        { id: 'count-down', group: 'Palette', label: 'Fewer colors', shortcut: '↓', run: () => stepColorCount(-1) },
+        ...PALETTE_TYPES.map(type => ({ id: `type-${type.value}`, group: 'Palette Type', label: `Palette type: ${type.label}`, run: () => setPaletteType(type.value) })),
+        ...DISPLAY_FORMATS.map(format => ({ id: `format-${format.value}`, group: 'Display', label: `Display format: ${format.label}`, run: () => setDisplayFormat(format.value) })),
+        ...COLOR_NAME_DICTIONARIES.map(dictionary => ({ id: `names-${dictionary.value}`, group: 'Display', label: `Color names: ${dictionary.label}`, run: () => setColorNameDictionary(dictionary.value) })),
+        { id: 'undo', group: 'Edit', label: 'Undo', shortcut: 'Ctrl+Z', run: undo },
+        { id: 'redo', group: 'Edit', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: redo },
+        { id: 'dark-mode', group: 'View', label: isDarkMode ? 'Switch to light mode' : 'Switch to dark mode', run: toggleDarkMode },
+        { id: 'details', group: 'View', label: showDetails ? 'Hide color details' : 'Show color details', run: toggleDetailsDisplay },
+        { id: 'export-menu', group: 'View', label: 'Toggle export menu', run: toggleExportMenu },
+        { id: 'shortcuts', group: 'View', label: 'Show keyboard shortcuts', shortcut: '?', run: () => setShowShortcutHelp(true) },
+        { id: 'import', group: 'Library', label: 'Import palette or backup file…', run: triggerFileInput },
+        { id: 'backup', group: 'Library', label: 'Back up library', run: backupLibrary },
+        { id: 'compare', group: 'Library', label: 'Compare palettes', run: () => setCompareSelection({ before: CURRENT_PALETTE, after: savedPalettes[0]?.id ?? null }) },
+        ...savedPalettes.map(saved => ({ id: `load-${saved.id}`, group: 'Library', label: `Load "${saved.name}"`, run: () => loadSavedPalette(saved) })),
+    ];
+
+    const handleShortcutKey = (e) => {
+        if (isCommandPaletteShortcut(e)) {
+            e.preventDefault();
+            setShowShortcutHelp(false);
+            setShowCommandPalette(prev => !prev);
+            return;
+        }
+        if (e.key === 'Escape' && (showShortcutHelp || showCommandPalette)) {
+            setShowShortcutHelp(false);
+            setShowCommandPalette(false);
+            return;
+        }
+        // Single-key shortcuts stay off while any dialog is open
+        if (showShortcutHelp || showCommandPalette || showImagePicker || pendingRestore) return;
+        const action = getShortcutAction(e);
+        if (!action) return;
+        e.preventDefault();
+        if (action.type === 'randomize') randomizeMixColors(null);
+        else if (action.type === 'lock') lockFocusedColor();
+        else if (action.type === 'copy') copyFocusedColor();
+        else if (action.type === 'save') saveCurrentPalette();
+        else if (action.type === 'help') setShowShortcutHelp(true);
+        else if (action.type === 'focus-mix') focusMixColor(action.index);
+        else if (action.type === 'step-type') stepPaletteType(action.delta);
+        else if (action.type === 'step-count') stepColorCount(action.delta);
+    };
+    // One window listener that always calls the latest handler
+    const shortcutHandlerRef = useRef(handleShortcutKey);
+    useEffect(() => { shortcutHandlerRef.current = handleShortcutKey; });
+    useEffect(() => {
+        const handleKeyDown = (e) => shortcutHandlerRef.current(e);
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
 
     // --- Render Helper ---
     const renderPrimaryValue = (color, format) => {
-        const value = safeColorFormat(color, format);
+        const value = formatColor(color, format);
+        const label = getColorFormatLabel(format);
         const isValid = value !== 'N/A' && value !== 'Error';
         return (
             <div className="primary-value-display">
-                 <span className={`color-code main-format-${format} ${!isValid ? 'invalid-value' : ''}`}>{value}</span>
-                 <button onClick={() => handleCopyValue(value, format.toUpperCase())} className={`copy-detail-button ${copiedValue?.value === value ? 'copied-feedback' : ''}`} title={`Copy ${format.toUpperCase()}`} disabled={!isValid} aria-label={`Copy ${format.toUpperCase()} value ${value}`}>Copy</button>
+                 <span className={`color-code main-format-${format} ${!isValid ? 'invalid-value' : ''}`} title={value}>{value}</span>
+                 <button onClick={() => handleCopyValue(value, label)} className={`copy-detail-button ${copiedValue?.value === value ? 'copied-feedback' : ''}`} title={`Copy ${label}`} disabled={!isValid} aria-label={`Copy ${label} value ${value}`}>Copy</button>
+            </div>
+        );
+    };
+    const renderColorName = (color) => {
+        const match = findNearestColorName(color, colorNameEntries);
+        if (!match) return null;
+        return (
+            <div className="color-name-match" title={`Nearest ${colorNameLabel} name: ${match.name} (${match.hex}), ΔE2000 ${match.distance.toFixed(1)}`}>
+                <span className="color-name">{formatColorNameMatch(match)}</span>
+                <span className="color-name-distance">ΔE {match.distance.toFixed(1)}</span>
             </div>
         );
     };
     const renderSecondaryDetails = (color) => {
         if (!showDetails || !chroma.valid(color)) return null;
-        const name = safeColorFormat(color, 'name');
-        const rgb = safeColorFormat(color, 'rgb');
-        const hsl = safeColorFormat(color, 'hsl');
-        const hex = safeColorFormat(color, 'hex');
-        const copyButton = (value, format) => (<button onClick={() => handleCopyValue(value, format)} className={`copy-detail-button ${copiedValue?.value === value ? 'copied-feedback' : ''}`} title={`Copy ${format.toUpperCase()}`} aria-label={`Copy ${format.toUpperCase()} value ${value}`}>Copy</button>);
+        const formats = detailFormats.filter(format => format !== displayFormat);
+        if (formats.length === 0) return null;
         return (
             <div className="color-details">
-                {name && name !== 'N/A' && name !== 'Error' && !name.startsWith('~') && <span className="color-name">{name}</span>}
-                {displayFormat !== 'rgb' && (<div className="detail-line"><span className="detail-value">{rgb}</span>{copyButton(rgb, 'rgb')}</div>)}
-                {displayFormat !== 'hsl' && (<div className="detail-line"><span className="detail-value">{hsl}</span>{copyButton(hsl, 'hsl')}</div>)}
-                {displayFormat !== 'hex' && (<div className="detail-line"><span className="detail-value">{hex}</span>{copyButton(hex, 'hex')}</div>)}
+                {formats.map(format => {
+                    const value = formatColor(color, format);
+                    const label = getColorFormatLabel(format);
+                    return (
+                        <div key={format} className="detail-line">
+                            <span className="detail-value" title={`${label}: ${value}`}>{value}</span>
+                            <button onClick={() => handleCopyValue(value, label)} className={`copy-detail-button ${copiedValue?.value === value ? 'copied-feedback' : ''}`} title={`Copy ${label}`} aria-label={`Copy ${label} value ${value}`}>Copy</button>
+                        </div>
+                    );
+                })}
             </div>
         );
     };
 
+    const renderContrastBadges = (color) => {
+        if (!chroma.valid(color)) return null;
+        const best = getBestTextColor(color);
+        const levels = getWcagLevels(best.ratio);
+        const badge = (label, passed) => (<span className={`contrast-badge ${passed ? 'pass' : 'fail'}`} title={`${label}: ${passed ? 'Pass' : 'Fail'}`}>{label}</span>);
+        return (
+            <div className="swatch-contrast" aria-label={`Contrast with ${best.color === '#000000' ? 'black' : 'white'} text: ${best.ratio.toFixed(2)} to 1`}>
+                <span className="swatch-contrast-ratio" style={{ backgroundColor: color, color: best.color }}>Aa {best.ratio.toFixed(2)}:1</span>
+                {badge('AA', levels.aaNormal)}
+                {badge('AAA', levels.aaaNormal)}
+                {badge('AA Lg', levels.aaLarge)}
+                {badge('AAA Lg', levels.aaaLarge)}
+            </div>
+        );
+    };
 
     // --- Render Logic ---
     return (
@@ -661,12 +1427,20 @@ function App() {
             {/* Dark Mode Toggle */}
             <button onClick={toggleDarkMode} className="dark-mode-toggle" aria-label={isDarkMode ? "Switch to light mode" : "Switch to dark mode"} title={isDarkMode ? "Switch to light mode" : "Switch to dark mode"}><span>{isDarkMode ? '☀️' : '🌙'}</span></button>
 
+            {/* Keyboard Shortcut Help */}
+            <button onClick={() => setShowShortcutHelp(true)} className="shortcut-help-toggle" aria-label="Show keyboard shortcuts" title="Keyboard shortcuts (?) · Command palette (Ctrl/⌘+K)"><span>⌨</span></button>
+            {showShortcutHelp && <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />}
+            {showCommandPalette && <CommandPalette commands={buildCommands()} onClose={() => setShowCommandPalette(false)} />}
+
             {/* Image Picker Modal */}
             <ImagePickerModal
                 isOpen={showImagePicker}
                 imageSrc={uploadedImageSrc}
                 onClose={() => setShowImagePicker(false)}
                 onColorSelect={handleColorSelectedFromImage}
+                onColorsAdd={handleColorsExtractedFromImage}
+                onPaletteSave={handlePaletteExtractedFromImage}
+                cvdMode={cvdMode}
             />
 
             {/* Main Content Card */}
@@ -684,15 +1458,19 @@ function App() {
                         <label id="mix-label" className="control-label">1. Mix Base Colors</label>
                         <div className="mix-inputs-container" role="group" aria-labelledby="mix-label">
                             {mixColors.map((item, index) => (
-                                <div key={item.id} className="mix-color-input-group">
+                                <div key={item.id} className="mix-color-input-group" data-mix-index={index}>
                                     <button onClick={() => toggleMixColorLock(item.id)} className={`button icon-only lock-button ${item.locked ? 'locked' : ''}`} title={item.locked ? "Unlock Color" : "Lock Color"} aria-pressed={item.locked} aria-label={`Lock or Unlock mix color ${index + 1}`}>{item.locked ? '🔒' : '🔓'}</button>
                                     <div className="color-input-wrapper">
-                                        <input type="color" value={item.color} onChange={(e) => handleMixColorChange(item.id, e.target.value)} className="color-picker-input" aria-label={`Mix color ${index + 1} picker`} disabled={item.locked} />
-                                        <input type="text" value={item.color} onChange={(e) => handleMixColorChange(item.id, e.target.value)} className={`color-text-input ${!item.valid ? 'invalid' : ''}`} aria-invalid={!item.valid} aria-label={`Mix color ${index + 1} hex code`} disabled={item.locked} maxLength="7" />
+                                        <input type="color" value={item.valid ? item.color.slice(0, 7) : '#000000'} onChange={(e) => handleMixColorChange(item.id, e.target.value)} className="color-picker-input" aria-label={`Mix color ${index + 1} picker`} disabled={item.locked} />
+                                        <input type="text" value={mixColorDrafts[item.id] ?? item.color} onChange={(e) => handleMixColorTextChange(item.id, e.target.value)} onBlur={() => commitMixColorText(item.id)} onPaste={item.locked ? undefined : (e) => handleMixColorPaste(item.id, e)} className={`color-text-input ${!item.valid ? 'invalid' : ''}`} aria-invalid={!item.valid} aria-describedby={!item.valid ? `mix-color-error-${item.id}` : undefined} aria-label={`Mix color ${index + 1}`} title={mixColorErrors[item.id] || 'Hex, CSS color (rgb, hsl, hwb, lab, lch, oklab, oklch, color()), CMYK or r, g, b. Paste a list to add several.'} spellCheck={false} readOnly={item.locked} aria-readonly={item.locked} />
                                     </div>
                                     <button onClick={() => randomizeMixColors(item.id)} className="button icon-only randomize-single-button" title="Randomize this color" aria-label={`Randomize mix color ${index + 1}`} disabled={item.locked}>🎲</button>
+                                    <div className="mix-weight-control">
+                                        <input type="range" min={MIN_MIX_WEIGHT} max={MAX_MIX_WEIGHT} step="1" value={item.weight} onChange={(e) => handleMixWeightChange(item.id, e.target.value)} className="range-slider mix-weight-slider" aria-label={`Mix color ${index + 1} weight`} disabled={item.locked} />
+                                        <span className="mix-weight-value" title={mixMethod === 'pigment' ? 'Weight (share of the pigment, weight² × lightness)' : 'Weight (share of the mix)'}>×{item.weight} ({mixWeightShares[index]}%)</span>
+                                    </div>
                                     {mixColors.length > 2 && (<button onClick={() => removeMixColor(item.id)} className="button icon-only remove-color-button" title="Remove Color" aria-label={`Remove mix color ${index + 1}`}>&times;</button>)}
-                                    {!item.valid && <p className="error-message small">Invalid hex</p>}
+                                    {!item.valid && <p id={`mix-color-error-${item.id}`} className="error-message small mix-color-error">{mixColorErrors[item.id]}</p>}
                                 </div>
                             ))}
                         </div>
@@ -722,6 +1500,12 @@ function App() {
                             )}
                             <button onClick={() => randomizeMixColors(null)} className="button randomize-button" title="Randomize All Unlocked Mix Colors">Randomize Unlocked</button>
                         </div>
+                        <div className="sub-control-group">
+                            <label htmlFor="mixMethodSelect" className="sub-label">Mixing Model:</label>
+                            <select id="mixMethodSelect" value={mixMethod} onChange={handleMixMethodChange} className="select-input small">
+                                {MIX_METHODS.map(method => <option key={method.value} value={method.value}>{method.label}</option>)}
+                            </select>
+                        </div>
                     </div>
                     {/* Palette Generation Controls */}
                     <div className="control-group palette-controls">
@@ -733,19 +1517,63 @@ function App() {
                             </select>
                         </div>
                         <div className="sub-control-group">
-                            <label htmlFor="colorCountSlider" className="slider-label sub-label">Count: <span>{colorCount}</span></label>
-                            <input type="range" id="colorCountSlider" min="3" max="12" value={colorCount} onChange={handleCountChange} className="range-slider" aria-label={`Select number of colors for palette, current: ${colorCount}`} aria-labelledby="generate-label" />
+                            <label htmlFor="colorCountSlider" className="slider-label sub-label">Count: <span>{paletteType === 'ramp' ? `${RAMP_STEP_COUNT} (fixed)` : colorCount}</span></label>
+                            <input type="range" id="colorCountSlider" min={MIN_COLOR_COUNT} max={MAX_COLOR_COUNT} value={colorCount} onChange={handleCountChange} className="range-slider" aria-label={`Select number of colors for palette, current: ${colorCount}`} aria-labelledby="generate-label" disabled={paletteType === 'ramp'} />
                         </div>
                         <div className="sub-control-group">
                              <label htmlFor="displayFormatSelect" className="sub-label">Primary Display Format:</label>
                              <select id="displayFormatSelect" value={displayFormat} onChange={handleDisplayFormatChange} className="select-input small" aria-labelledby="generate-label">
-                                 {DISPLAY_FORMATS.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+                                 {COLOR_FORMAT_GROUPS.map(group => (
+                                     <optgroup key={group} label={group}>
+                                         {DISPLAY_FORMATS.filter(format => format.group === group).map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+                                     </optgroup>
+                                 ))}
+                             </select>
+                        </div>
+                        <div className="sub-control-group">
+                             <label htmlFor="colorNameDictionarySelect" className="sub-label">Color Names:</label>
+                             <select id="colorNameDictionarySelect" value={colorNameDictionary} onChange={(e) => setColorNameDictionary(e.target.value)} className="select-input small">
+                                 {COLOR_NAME_DICTIONARIES.map(dictionary => <option key={dictionary.value} value={dictionary.value}>{dictionary.label}</option>)}
+                             </select>
+                             {colorNameDictionary === 'custom' && <CustomColorNames entries={customColorNames} onChange={setCustomColorNames} onFeedback={setFeedbackMessage} />}
+                        </div>
+                        <div className="sub-control-group color-space-controls">
+                            <label htmlFor="mixModeSelect" className="sub-label">Mix Color Space:</label>
+                            <select id="mixModeSelect" value={colorSpaceSettings.mixMode} onChange={(e) => handleColorSpaceSettingChange('mixMode', e.target.value)} className="select-input small" disabled={mixMethod === 'pigment'} title={mixMethod === 'pigment' ? 'Pigment mixing blends reflectance spectra, not a color space' : undefined}>
+                                {COLOR_SPACES.map(space => <option key={space.value} value={space.value}>{space.label}</option>)}
+                            </select>
+                            <label htmlFor="interpolationModeSelect" className="sub-label">Interpolation Space:</label>
+                            <select id="interpolationModeSelect" value={colorSpaceSettings.interpolationMode} onChange={(e) => handleColorSpaceSettingChange('interpolationMode', e.target.value)} className="select-input small" disabled={colorSpaceSettings.bezier || paletteType === 'ramp'} title={colorSpaceSettings.bezier ? 'Bezier interpolation always uses Lab' : undefined}>
+                                {COLOR_SPACES.map(space => <option key={space.value} value={space.value}>{space.label}</option>)}
+                            </select>
+                            <label className="sub-label checkbox-label">
+                                <input type="checkbox" checked={colorSpaceSettings.correctLightness} onChange={(e) => handleColorSpaceSettingChange('correctLightness', e.target.checked)} disabled={paletteType === 'ramp'} /> Lightness correction
+                            </label>
+                            <label className="sub-label checkbox-label">
+                                <input type="checkbox" checked={colorSpaceSettings.bezier} onChange={(e) => handleColorSpaceSettingChange('bezier', e.target.checked)} disabled={paletteType === 'ramp'} /> Bezier interpolation
+                            </label>
+                        </div>
+                        <div className="sub-control-group">
+                             <label htmlFor="cvdModeSelect" className="sub-label">Vision Simulation:</label>
+                             <select id="cvdModeSelect" value={cvdMode} onChange={handleCvdModeChange} className="select-input small">
+                                 {CVD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
                              </select>
                         </div>
                         <div className="toggle-group">
                             <label htmlFor="showDetailsToggle" className="sub-label toggle-label">Show Secondary Details:</label>
                             <input type="checkbox" id="showDetailsToggle" className="info-toggle-checkbox" checked={showDetails} onChange={toggleDetailsDisplay} aria-labelledby="generate-label" />
                         </div>
+                        {showDetails && (
+                            <fieldset className="detail-format-options">
+                                <legend className="sub-label">Secondary Formats:</legend>
+                                {DISPLAY_FORMATS.map(format => (
+                                    <label key={format.value} className={`detail-format-option ${format.value === displayFormat ? 'is-primary' : ''}`} title={format.value === displayFormat ? 'Shown as the primary value' : format.group}>
+                                        <input type="checkbox" checked={detailFormats.includes(format.value)} onChange={() => toggleDetailFormat(format.value)} />
+                                        {format.label}
+                                    </label>
+                                ))}
+                            </fieldset>
+                        )}
                     </div>
                 </section>
 
@@ -756,9 +1584,10 @@ function App() {
                         <div className="mixed-result-display">
                             <h2>Mix Result</h2>
                             <div className="mixed-color-display">
-                                <div className={`color-swatch large ${!chroma.valid(mixedColor) ? 'invalid-swatch' : ''}`} style={{ backgroundColor: mixedColor || '#cccccc' }} aria-label={`Mixed color swatch ${mixedColor}`}></div>
+                                <div className={`color-swatch large ${!chroma.valid(mixedColor) ? 'invalid-swatch' : ''}`} style={{ backgroundColor: displayColor(mixedColor) || '#cccccc' }} aria-label={`Mixed color swatch ${mixedColor}`}></div>
                                 <div className="swatch-info">
                                     {renderPrimaryValue(mixedColor, displayFormat)}
+                                    {renderColorName(mixedColor)}
                                     {renderSecondaryDetails(mixedColor)}
                                 </div>
                             </div>
@@ -772,20 +1601,63 @@ function App() {
                             <div className="palette-actions">
                                 {mixedColor && chroma.valid(mixedColor) && palette.length > 0 && (<>
                                     <button onClick={exportPaletteJson} className="button export-button" title="Export Palette as JSON"><span className="button-text">Export JSON</span></button>
+                                    <button onClick={toggleExportMenu} className={`button export-button ${showExportMenu ? 'active' : ''}`} title="Export Palette as Code" aria-expanded={showExportMenu}><span className="button-text">Export Code</span></button>
+                                    <button onClick={copyPermalink} className="button export-button" title="Copy a shareable link to this palette">🔗 <span className="button-text">Copy Link</span></button>
+                                    {(Object.keys(swatchOverrides).length > 0 || swatchOrder) && (
+                                        <button onClick={resetSwatchOverrides} className="button export-button" title="Unlock all swatches and restore the generated order"><span className="button-text">Reset Swatches</span></button>
+                                    )}
                                     <button onClick={saveCurrentPalette} className="button save-palette-button" title="Save Current Palette">💾 <span className="button-text">Save</span></button>
                                 </>)}
                             </div>
                         </div>
+                        {showExportMenu && mixedColor && chroma.valid(mixedColor) && palette.length > 0 && (
+                            <ExportMenu palette={palette} colorNames={paletteColorNames} mixedColor={mixedColor} gradientDirection={gradientDirection} gradientSettings={gradientSettings} onCopy={handleCopyValue} onFeedback={setFeedbackMessage} />
+                        )}
+                        {cvdMode !== 'none' && (
+                            <div className={`cvd-warnings ${confusablePairs.length > 0 ? 'has-issues' : ''}`} role="note">
+                                <strong>Simulating {cvdLabel}.</strong>
+                                {confusablePairs.length === 0 ? (
+                                    <span> No swatches become indistinguishable (ΔE ≥ {CVD_DELTA_E_THRESHOLD}).</span>
+                                ) : (
+                                    <ul>
+                                        {confusablePairs.map(pair => (
+                                            <li key={`${pair.indexA}-${pair.indexB}`}>
+                                                <span className="mini-swatch" style={{ backgroundColor: pair.colorA }}></span>
+                                                <span className="mini-swatch" style={{ backgroundColor: pair.colorB }}></span>
+                                                Swatches {pair.indexA + 1} and {pair.indexB + 1} look nearly identical (ΔE {pair.deltaE.toFixed(1)})
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
                         {!mixedColor || !chroma.valid(mixedColor) ? ( <p className="empty-palette-message">Invalid base color. Fix mix colors.</p> )
                         : palette.length > 0 ? (
                             <div className="palette-grid">
                                 {palette.map((color, index) => {
                                     const isValidSwatch = chroma.valid(color);
+                                    const stepName = paletteType === 'ramp' ? getScaleStepNames(palette.length)[index] : null;
+                                    const override = swatchOverrides[index];
+                                    const swatchLabel = stepName || index + 1;
                                     return (
-                                        <div key={`${color}-${index}`} className={`color-swatch-item ${!isValidSwatch ? 'invalid-swatch' : ''}`}>
-                                            <div className="color-swatch" style={{ backgroundColor: isValidSwatch ? color : '#FF0000' }} aria-label={`Color swatch ${index + 1}: ${color}`}></div>
+                                        <div key={`${color}-${index}`} className={`color-swatch-item ${!isValidSwatch ? 'invalid-swatch' : ''} ${override ? 'locked-swatch' : ''}`} data-swatch-index={index}>
+                                            <div className="color-swatch" style={{ backgroundColor: isValidSwatch ? displayPalette[index] : '#FF0000' }} aria-label={`Color swatch ${swatchLabel}: ${color}`}>
+                                                {stepName && <span className="swatch-step-label">{stepName}</span>}
+                                                <div className="swatch-toolbar">
+                                                    <button onClick={() => moveSwatchBy(index, -1)} className="swatch-tool-button" title="Move left" aria-label={`Move swatch ${swatchLabel} left`} disabled={index === 0}>◀</button>
+                                                    <button onClick={() => toggleSwatchLock(index)} className={`swatch-tool-button ${override ? 'active' : ''}`} title={override ? "Unlock (revert to generated color)" : "Lock this color"} aria-pressed={Boolean(override)} aria-label={`Lock or unlock swatch ${swatchLabel}`}>{override ? '🔒' : '🔓'}</button>
+                                                    <button onClick={() => moveSwatchBy(index, 1)} className="swatch-tool-button" title="Move right" aria-label={`Move swatch ${swatchLabel} right`} disabled={index === palette.length - 1}>▶</button>
+                                                </div>
+                                                {override?.edited && <span className="swatch-edited-label">Edited</span>}
+                                            </div>
                                             <div className="swatch-info">
+                                                <div className="swatch-edit-row">
+                                                    <input type="color" value={isValidSwatch ? chroma(color).hex('rgb') : '#000000'} onChange={(e) => editSwatchColor(index, e.target.value)} className="swatch-edit-picker" aria-label={`Edit swatch ${swatchLabel} color`} />
+                                                    <input type="text" key={color} defaultValue={color} onBlur={(e) => commitSwatchText(index, e)} onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }} className="swatch-edit-input" aria-label={`Swatch ${swatchLabel} color value`} spellCheck={false} />
+                                                </div>
                                                 {renderPrimaryValue(color, displayFormat)}
+                                                {isValidSwatch && renderColorName(color)}
+                                                {isValidSwatch && renderContrastBadges(color)}
                                                 {isValidSwatch && renderSecondaryDetails(color)}
                                             </div>
                                         </div>
@@ -795,55 +1667,51 @@ function App() {
                         ) : ( <p className="empty-palette-message">{mixColors.some(item => item.valid) ? 'Generating...' : 'Enter valid colors.'}</p> )}
                     </div>
 
-                    {/* Gradient Preview */}
+                    {/* Gradient Builder */}
                     {palette.length >= 2 && mixedColor && chroma.valid(mixedColor) && (
-                        <div className="gradient-preview-area">
-                            <div className="gradient-header">
-                                <h2>Gradient Preview</h2>
-                                <div className="sub-control-group">
-                                    <label htmlFor="gradientDirectionSelect" className="sub-label">Direction:</label>
-                                    <select id="gradientDirectionSelect" value={gradientDirection} onChange={handleGradientDirectionChange} className="select-input small">
-                                        {GRADIENT_DIRECTIONS.map(dir => <option key={dir} value={dir}>{dir}</option>)}
-                                    </select>
-                                </div>
-                            </div>
-                            <div className="gradient-preview-box" style={{ background: `linear-gradient(${gradientDirection}, ${palette.join(', ')})` }} title="Click to Copy CSS Gradient" onClick={() => handleCopyValue(`background: linear-gradient(${gradientDirection}, ${palette.join(', ')});`, 'CSS Gradient')} aria-label={`Preview of linear gradient. Click to copy CSS.`} role="button" tabIndex={0} onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') handleCopyValue(`background: linear-gradient(${gradientDirection}, ${palette.join(', ')});`, 'CSS Gradient'); }}>
-                                <span className="copy-gradient-text">Click or Press Enter to Copy CSS</span>
-                            </div>
-                        </div>
+                        <GradientBuilder palette={palette} previewPalette={displayPalette} direction={gradientDirection} directions={GRADIENT_DIRECTIONS} onDirectionChange={handleGradientDirectionChange} settings={gradientSettings} onSettingsChange={setGradientSettings} onCopy={handleCopyValue} onFeedback={setFeedbackMessage} />
+                    )}
+
+                    {/* UI Mockup Preview */}
+                    {palette.length > 0 && mixedColor && chroma.valid(mixedColor) && (
+                        <UiPreview palette={palette} assignments={uiRoles} onAssignmentsChange={setUiRoles} />
+                    )}
+
+                    {/* Contrast Matrix */}
+                    {palette.length > 0 && mixedColor && chroma.valid(mixedColor) && (
+                        <ContrastPanel palette={palette} onFeedback={setFeedbackMessage} onApplyFix={applyContrastFix} onSaveFix={saveContrastFixAsNew} />
                     )}
                 </section>
 
+                {pendingRestore && (
+                    <LibraryRestoreDialog fileName={pendingRestore.fileName} library={savedPalettes} backup={pendingRestore.backup} normalize={normalizeSavedPalette} onConfirm={confirmRestore} onLoadIntoEditor={loadRestoredPaletteIntoEditor} onCancel={() => setPendingRestore(null)} />
+                )}
+
+                {/* Undo/Redo History */}
+                <HistoryPanel history={history} depth={historyDepth} onUndo={undo} onRedo={redo} onJump={jumpToHistoryEntry} onDepthChange={handleHistoryDepthChange} />
+
+                {/* Palette Comparison */}
+                {compareSelection && (
+                    <PaletteCompare currentPalette={palette} palettes={savedPalettes} before={compareSelection.before} after={compareSelection.after} onChange={setCompareSelection} onClose={() => setCompareSelection(null)} />
+                )}
+
                 {/* Saved Palettes Section */}
                 <section className={`saved-palettes-section ${savedPalettes.length === 0 ? 'empty' : ''}`} aria-labelledby="saved-heading">
                      <div className="saved-palettes-header">
                         <h2 id="saved-heading">Saved Palettes ({savedPalettes.length})</h2>
                         <div className="saved-palette-actions">
                             {/* Hidden input for JSON import */}
-                            <input type="file" accept=".json" ref={fileInputRef} onChange={handleFileImport} style={{ display: 'none' }} aria-hidden="true" />
-                            <button onClick={triggerFileInput} className="button import-button" title="Import Palette from JSON File"><span className="button-text">Import JSON</span></button>
+                            <input type="file" accept={['.json', ...SWATCH_FILE_EXTENSIONS].join(',')} ref={fileInputRef} onChange={handleFileImport} style={{ display: 'none' }} aria-hidden="true" aria-label="Palette or swatch file" />
+                            <label htmlFor="swatchImportTargetSelect" className="visually-hidden">Import swatch files as</label>
+                            <select id="swatchImportTargetSelect" value={swatchImportTarget} onChange={(e) => setSwatchImportTarget(e.target.value)} className="select-input small" title="Where colors from swatch files (ASE, ACO, GPL, Procreate) go">
+                                {SWATCH_IMPORT_TARGETS.map(target => <option key={target.value} value={target.value}>Swatches → {target.label}</option>)}
+                            </select>
+                            <button onClick={triggerFileInput} className="button import-button" title="Import a palette, a library backup (JSON) or a swatch file (ASE, ACO, GPL, Procreate)"><span className="button-text">Import File</span></button>
+                            <button onClick={backupLibrary} className="button export-button" title="Download the whole library as one JSON backup" disabled={savedPalettes.length === 0}><span className="button-text">Backup Library</span></button>
                         </div>
                     </div>
                     {savedPalettes.length > 0 ? (
-                        <ul className="saved-palettes-list">
-                            {savedPalettes.map((saved) => (
-                                <li key={saved.id} className="saved-palette-item">
-                                    <div className="saved-palette-info">
-                                        {editingPaletteId === saved.id ? (
-                                            <input type="text" value={editedPaletteName} onChange={handleEditNameChange} onBlur={saveEditedPaletteName} onKeyDown={handleEditNameKeyDown} className="edit-palette-name-input" autoFocus aria-label={`Edit palette name for ${saved.name}`} />
-                                        ) : ( <span className="saved-palette-name" onClick={() => startEditingPaletteName(saved.id, saved.name)} title="Click to edit name" role="button" tabIndex={0} onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') startEditingPaletteName(saved.id, saved.name); }}>{saved.name || `Palette ${saved.id}`}</span> )}
-                                        <div className="saved-palette-preview" aria-label="Saved palette color preview">
-                                            {Array.isArray(saved.palette) && saved.palette.slice(0, 7).map((c, i) => (<div key={`${c}-${i}`} style={{ backgroundColor: chroma.valid(c) ? c : '#cccccc' }} className="mini-swatch" title={c}></div>))}
-                                            {Array.isArray(saved.palette) && saved.palette.length > 7 && <span className="mini-swatch-more">...</span>}
-                                        </div>
-                                    </div>
-                                    <div className="saved-palette-actions item-actions">
-                                        <button onClick={() => loadSavedPalette(saved)} className="button load-button" title="Load Palette" aria-label={`Load palette: ${saved.name}`}><span className="button-text">Load</span></button>
-                                        <button onClick={() => deleteSavedPalette(saved.id)} className="button delete-button" title="Delete Palette" aria-label={`Delete palette: ${saved.name}`}><span className="button-text">Delete</span></button>
-                                    </div>
-                                </li>
-                            ))}
-                        </ul>
+                        <PaletteLibrary palettes={savedPalettes} paletteTypes={PALETTE_TYPES} getColorName={getColorNameText} onLoad={loadSavedPalette} onCompare={(id) => setCompareSelection({ before: CURRENT_PALETTE, after: id })} onDelete={deleteSavedPalette} onUpdate={updateSavedPalette} onFeedback={setFeedbackMessage} />
                     ) : (
                          <p className="empty-saved-message">No palettes saved yet. Generate and save one!</p>
                     )}
@@ -1,8 +1,110 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Image extraction runs in a web worker, which jsdom can't load
+jest.mock('./utils/extractColors', () => ({ runColorExtraction: jest.fn() }));
+
+beforeAll(() => {
+  window.matchMedia = window.matchMedia || (() => ({ matches: false, addEventListener: () => {}, removeEventListener: () => {} }));
+  window.scrollTo = () => {}; // Not implemented in jsdom
+});
+
+test('renders the generator with a palette', async () => {
+  render(<App />);
+  // Wait for the saved palette library to load
+  expect(await screen.findByRole('heading', { name: /palette pro/i })).toBeInTheDocument();
+  expect(screen.getAllByLabelText(/^Color swatch/).length).toBeGreaterThan(0);
+});
+
+test('reads any CSS color in the mix fields and adds pasted lists', async () => {
+  render(<App />);
+  await screen.findByRole('heading', { name: /palette pro/i });
+  const first = screen.getByRole('textbox', { name: 'Mix color 1' });
+
+  fireEvent.change(first, { target: { value: 'cmyk(0, 100, 100, 0)' } });
+  expect(first).toHaveAttribute('aria-invalid', 'false');
+  fireEvent.blur(first);
+  expect(first).toHaveValue('#ff0000');
+
+  fireEvent.change(first, { target: { value: 'rgb(300 0 0)' } });
+  expect(screen.getByText(/^Red in rgb\(\) must be between 0 and 255/)).toBeInTheDocument();
+
+  fireEvent.paste(first, { clipboardData: { getData: () => 'oklch(62.8% 0.2577 29.23)\n#00ff00; hwb(240 0% 0%)' } });
+  expect(screen.getAllByRole('textbox', { name: /^Mix color \d+$/ }).map(input => input.value)).toEqual(['#ff0000', '#00ff00', '#0000ff', '#2563eb']);
+});
+
+test('reads any CSS color when editing a swatch and explains values it rejects', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByRole('heading', { name: /palette pro/i });
+  const swatchInput = () => screen.getAllByRole('textbox', { name: /^Swatch .+ color value$/ })[0];
+
+  fireEvent.change(swatchInput(), { target: { value: 'cmyk(0, 100, 100, 0)' } });
+  fireEvent.blur(swatchInput());
+  expect(swatchInput()).toHaveValue('#ff0000');
+
+  fireEvent.change(swatchInput(), { target: { value: 'rgb(300 0 0)' } });
+  fireEvent.blur(swatchInput());
+  expect(screen.getByText(/^Invalid color for swatch 1: Red in rgb\(\) must be between 0 and 255/)).toBeInTheDocument();
+  expect(swatchInput()).toHaveValue('#ff0000');
+});
+
+test('ignores invalid mix colors when checking for a duplicate save', async () => {
+  render(<App />);
+  await screen.findByRole('heading', { name: /palette pro/i });
+  fireEvent.click(screen.getByRole('button', { name: '💾 Save' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Color' }));
+  const added = screen.getAllByRole('textbox', { name: /^Mix color \d+$/ }).pop();
+  fireEvent.change(added, { target: { value: 'not a color' } });
+
+  fireEvent.click(screen.getByRole('button', { name: '💾 Save' }));
+  expect(screen.getByText('This exact palette is already saved.')).toBeInTheDocument();
+});
+
+test('loads an imported swatch file as far as the color count allows and keeps the rest', async () => {
+  render(<App />);
+  await screen.findByRole('heading', { name: /palette pro/i });
+  const colors = Array.from({ length: 14 }, (_, i) => [i * 18, 255 - i * 18, 100]);
+  const gpl = ['GIMP Palette', 'Name: Imported', '#', ...colors.map(([r, g, b]) => `${r} ${g} ${b}`)].join('\n');
+  const file = new File([gpl], 'imported.gpl', { type: 'text/plain' });
+  fireEvent.change(screen.getByLabelText('Palette or swatch file'), { target: { files: [file] } });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Load palette: Imported' }));
+  const hex = (value) => value.toString(16).padStart(2, '0');
+  const expected = colors.map(([r, g, b]) => `#${hex(r)}${hex(g)}${hex(b)}`);
+  expect(screen.getAllByLabelText(/^Color swatch/).map(swatch => swatch.getAttribute('aria-label').split(': ')[1])).toEqual(expected.slice(0, 12));
+  expect(screen.getByText('Loaded: Imported (showing 12 of its 14 colors; all stay in the saved palette)')).toBeInTheDocument();
+});
+
+test('adds swatch file colors after the current mix colors, up to the mix limit', async () => {
+  render(<App />);
+  await screen.findByRole('heading', { name: /palette pro/i });
+  fireEvent.change(screen.getByLabelText('Import swatch files as'), { target: { value: 'mix' } });
+  const mixValues = () => screen.getAllByRole('textbox', { name: /^Mix color \d+$/ }).map(input => input.value);
+  const before = mixValues();
+  const importGpl = (colors) => fireEvent.change(screen.getByLabelText('Palette or swatch file'), {
+    target: { files: [new File([['GIMP Palette', ...colors].join('\n')], 'mix.gpl', { type: 'text/plain' })] },
+  });
+
+  importGpl(['255 0 0']);
+  expect(await screen.findByText('Added 1 color(s) from the file after the current mix colors.')).toBeInTheDocument();
+  expect(mixValues()).toEqual([...before, '#ff0000']);
+
+  importGpl(Array.from({ length: 20 }, () => '0 0 255'));
+  const room = 20 - before.length - 1;
+  expect(await screen.findByText(`Added ${room} color(s) from the file after the current mix colors. Skipped the last ${20 - room}: the mix holds at most 20 colors.`)).toBeInTheDocument();
+  expect(mixValues()).toHaveLength(20);
+});
+
+test('keeps keyboard focus when the focused mix color is locked', async () => {
+  render(<App />);
+  await screen.findByRole('heading', { name: /palette pro/i });
+  const picker = screen.getByLabelText('Mix color 1 picker');
+  picker.focus();
+  fireEvent.keyDown(picker, { key: 'l' });
+
+  const lockButton = screen.getByRole('button', { name: 'Lock or Unlock mix color 1' });
+  expect(lockButton).toHaveAttribute('aria-pressed', 'true');
+  expect(lockButton).toHaveFocus();
+  expect(screen.getByRole('textbox', { name: 'Mix color 1' })).toHaveAttribute('readonly');
+  expect(screen.getByRole('textbox', { name: 'Mix color 1' })).toHaveAttribute('aria-readonly', 'true');
 });
@@ -0,0 +1,239 @@
+import {
+    COLOR_NAME_DICTIONARIES, COLOR_SPACES, DEFAULT_MIX_METHOD, GRADIENT_DIRECTIONS, MAX_COLOR_COUNT, MAX_MIX_WEIGHT, MIN_COLOR_COUNT, MIN_MIX_WEIGHT, MIX_METHODS, PALETTE_TYPES,
+    createPalette, nameColor, normalizeColorSpaceSettings, parseColor, parsePaletteFile, serializePalette,
+} from '../engine/index.js';
+import { DEFAULT_TOKEN_PREFIX, TOKEN_NAMING_SCHEMES, formatPaletteCode, toTokenName } from '../utils/codeExport.js';
+import { DEFAULT_GRADIENT_SETTINGS, buildGradientCss, isCssAngle, resolveGradientStops } from '../utils/gradient.js';
+import { encodeGpl } from '../utils/swatchFiles.js';
+import { resolveUiRoles } from '../utils/uiRoles.js';
+
+// --- Command-Line Palette Generator ---
+//
+// Filesystem and console access are passed in (see bin/palette-pro.mjs), so this
+// module stays free of Node APIs and can be tested like the rest of src.
+
+export const OUTPUT_FORMATS = [
+    { value: 'json', label: 'Palette JSON (same as the app export)' },
+    { value: 'css', label: 'CSS custom properties' },
+    { value: 'scss', label: 'SCSS variables & map' },
+    { value: 'tailwind', label: 'Tailwind config' },
+    { value: 'gpl', label: 'GIMP / Inkscape palette' },
+];
+
+// The custom list only exists in the app's settings
+const BUILT_IN_DICTIONARIES = COLOR_NAME_DICTIONARIES.filter(dictionary => dictionary.entries);
+
+const listValues = (items) => items.map(item => item.value ?? item).join(', ');
+
+export const USAGE = `Usage: palette-pro [options] <color...>
+       palette-pro --input <palette.json> [options]
+
+Generates a palette from one or more base colors (mixed like the web app) or
+turns a palette exported from the app into code.
+
+Generation:
+  -t, --type <type>         Palette type (default: monochromatic)
+                            ${listValues(PALETTE_TYPES)}
+  -n, --count <n>           Number of colors, ${MIN_COLOR_COUNT}-${MAX_COLOR_COUNT} (default: 5; ramp is always 11)
+  -w, --weights <list>      Comma-separated mix weights, one per base color
+  -m, --mix-method <name>   ${listValues(MIX_METHODS)} (default: ${DEFAULT_MIX_METHOD})
+      --mix-space <space>   Space used to average the base colors (default: lab)
+      --interpolation <space>
+                            Space used for the palette scale (default: lch)
+                            ${listValues(COLOR_SPACES)}
+      --correct-lightness   Even out lightness steps
+      --bezier              Bezier interpolation
+  -d, --direction <dir>     Gradient direction, e.g. "to right" or 45deg (default: to right)
+      --name <name>         Palette name used in JSON output
+
+Input:
+  -i, --input <file>        Read an exported palette or library backup (JSON) instead of colors
+  -p, --palette <name|n>    Palette to use when the file holds several (name or 1-based number)
+
+Output:
+  -f, --format <format>     ${listValues(OUTPUT_FORMATS)} (default: json)
+      --prefix <name>       Token prefix for css/scss/tailwind/gpl (default: ${DEFAULT_TOKEN_PREFIX})
+      --naming <scheme>     ${listValues(TOKEN_NAMING_SCHEMES)} (default: index)
+      --names <dictionary>  Dictionary for --naming name: ${listValues(BUILT_IN_DICTIONARIES)} (default: css)
+  -o, --output <file>       Write to a file instead of standard output
+  -h, --help                Show this help
+`;
+
+// name -> { key, flag? }; flags take no value
+const OPTIONS = {
+    type: { key: 'type' }, t: { key: 'type' },
+    count: { key: 'count' }, n: { key: 'count' },
+    weights: { key: 'weights' }, w: { key: 'weights' },
+    'mix-method': { key: 'mixMethod' }, m: { key: 'mixMethod' },
+    'mix-space': { key: 'mixMode' },
+    interpolation: { key: 'interpolationMode' },
+    'correct-lightness': { key: 'correctLightness', flag: true },
+    bezier: { key: 'bezier', flag: true },
+    direction: { key: 'direction' }, d: { key: 'direction' },
+    name: { key: 'name' },
+    input: { key: 'input' }, i: { key: 'input' },
+    palette: { key: 'palette' }, p: { key: 'palette' },
+    format: { key: 'format' }, f: { key: 'format' },
+    prefix: { key: 'prefix' },
+    naming: { key: 'naming' },
+    names: { key: 'names' },
+    output: { key: 'output' }, o: { key: 'output' },
+    help: { key: 'help', flag: true }, h: { key: 'help', flag: true },
+};
+
+// Options that only make sense when generating from colors
+const GENERATION_KEYS = ['type', 'count', 'weights', 'mixMethod', 'mixMode', 'interpolationMode', 'correctLightness', 'bezier', 'direction', 'name'];
+
+// Split argv into { options, colors }; throws on unknown or incomplete options
+export const parseCliArgs = (argv) => {
+    const options = {};
+    const colors = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') { colors.push(...argv.slice(i + 1)); break; }
+        const match = /^--?([a-z-]+)(?:=(.*))?$/i.exec(arg);
+        if (!match) { colors.push(arg); continue; }
+        const [, name, inlineValue] = match;
+        const option = OPTIONS[name];
+        const isLong = arg.startsWith('--');
+        if (!option || isLong !== (name.length > 1)) throw new Error(`Unknown option "${arg}".`);
+        if (option.flag) {
+            if (inlineValue !== undefined) throw new Error(`Option "--${name}" doesn't take a value.`);
+            options[option.key] = true;
+            continue;
+        }
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined) throw new Error(`Option "${arg}" needs a value.`);
+        options[option.key] = value;
+    }
+    return { options, colors };
+};
+
+const oneOf = (list, value, what) => {
+    if (list.some(item => item.value === value)) return value;
+    throw new Error(`Unknown ${what} "${value}" (one of: ${listValues(list)}).`);
+};
+
+// Resolve generation options to the web app's state: { name, mixColors, mixedColor, palette, type, count, ... }
+export const generateFromOptions = (colors, options) => {
+    if (colors.length === 0) throw new Error('Give at least one base color, or --input with an exported palette.');
+    const mixColors = colors.map(value => {
+        const color = parseColor(value);
+        if (!color) throw new Error(`"${value}" is not a valid color.`);
+        return { color, weight: 1, locked: false };
+    });
+    if (options.weights !== undefined) {
+        const weights = options.weights.split(',').map(w => w.trim());
+        if (weights.length !== mixColors.length) throw new Error(`Got ${weights.length} weight(s) for ${mixColors.length} color(s).`);
+        weights.forEach((value, i) => {
+            const weight = Number(value);
+            if (!value || !Number.isInteger(weight) || weight < MIN_MIX_WEIGHT || weight > MAX_MIX_WEIGHT) {
+                throw new Error(`Weight "${value}" must be a whole number from ${MIN_MIX_WEIGHT} to ${MAX_MIX_WEIGHT}.`);
+            }
+            mixColors[i].weight = weight;
+        });
+    }
+    const type = oneOf(PALETTE_TYPES, options.type ?? 'monochromatic', 'palette type');
+    const count = options.count === undefined ? 5 : Number(options.count);
+    if (!Number.isInteger(count) || count < MIN_COLOR_COUNT || count > MAX_COLOR_COUNT) {
+        throw new Error(`Count must be a whole number from ${MIN_COLOR_COUNT} to ${MAX_COLOR_COUNT}.`);
+    }
+    const mixMethod = oneOf(MIX_METHODS, options.mixMethod ?? DEFAULT_MIX_METHOD, 'mix method');
+    ['mixMode', 'interpolationMode'].forEach(key => { if (options[key] !== undefined) oneOf(COLOR_SPACES, options[key], 'color space'); });
+    const colorSpace = normalizeColorSpaceSettings({
+        mixMode: options.mixMode,
+        interpolationMode: options.interpolationMode,
+        correctLightness: options.correctLightness === true,
+        bezier: options.bezier === true,
+    });
+    const gradientDirection = options.direction ?? 'to right';
+    if (!isCssAngle(gradientDirection) && !GRADIENT_DIRECTIONS.includes(gradientDirection)) {
+        throw new Error(`Unknown gradient direction "${gradientDirection}" (an angle like 45deg, or one of: ${GRADIENT_DIRECTIONS.join(', ')}).`);
+    }
+
+    const { mixedColor, palette } = createPalette({ mixColors, type, count, colorSpace, mixMethod });
+    if (!mixedColor || palette.length === 0) throw new Error('Could not generate a palette from these colors.');
+    return {
+        name: options.name ?? `${type}_${mixedColor.substring(1)}`,
+        mixColors, mixedColor, palette, type, count, mixMethod, colorSpace, gradientDirection,
+        swatchOverrides: [], swatchOrder: null, uiRoles: null,
+    };
+};
+
+// Pick one palette out of a parsed palette file (single export or library backup)
+export const selectPaletteFromFile = (data, selector) => {
+    const { entries, errors } = parsePaletteFile(data);
+    if (entries.length === 0) {
+        const details = errors.map(e => `  ${e.label}: ${e.messages.join('; ')}`).join('\n');
+        throw new Error(`No readable palettes in the file.${details ? `\n${details}` : ''}`);
+    }
+    if (selector === undefined) {
+        if (entries.length === 1) return entries[0];
+        throw new Error(`The file has ${entries.length} palettes; pick one with --palette:\n${entries.map((e, i) => `  ${i + 1}. ${e.name}`).join('\n')}`);
+    }
+    const byName = entries.find(e => e.name === selector) || entries.find(e => e.name.toLowerCase() === selector.toLowerCase());
+    const byNumber = /^\d+$/.test(selector) ? entries[Number(selector) - 1] : undefined;
+    const entry = byName || byNumber;
+    if (!entry) throw new Error(`No palette named or numbered "${selector}" in the file.`);
+    return entry;
+};
+
+// Render a palette state (see generateFromOptions) in one of OUTPUT_FORMATS
+export const formatOutput = (state, { format = 'json', prefix = DEFAULT_TOKEN_PREFIX, naming = 'index', names = 'css' } = {}) => {
+    oneOf(OUTPUT_FORMATS, format, 'format');
+    oneOf(TOKEN_NAMING_SCHEMES, naming, 'naming scheme');
+    oneOf(BUILT_IN_DICTIONARIES, names, 'color name dictionary');
+    const { palette, mixedColor, gradientDirection } = state;
+    if (format === 'json') {
+        const data = {
+            ...serializePalette(state),
+            gradientCSS: buildGradientCss(resolveGradientStops(palette, DEFAULT_GRADIENT_SETTINGS), DEFAULT_GRADIENT_SETTINGS, gradientDirection),
+            uiRoleColors: { light: resolveUiRoles(palette, state.uiRoles, 'light'), dark: resolveUiRoles(palette, state.uiRoles, 'dark') },
+        };
+        return `${JSON.stringify(data, null, 2)}\n`;
+    }
+    if (format === 'gpl') {
+        const tokenName = toTokenName(prefix);
+        return encodeGpl({ name: tokenName, colors: palette.map((color, i) => ({ name: `${tokenName}-${i + 1}`, color })) });
+    }
+    const colorNames = naming === 'name' ? palette.map(color => nameColor(color, names)?.name) : undefined;
+    return formatPaletteCode(format, { palette, mixedColor, gradientDirection }, { prefix, naming, names: colorNames });
+};
+
+// Run the CLI. io: { readFile(path) => Promise<string>, writeFile(path, text) => Promise, stdout(text), stderr(text) }.
+// Resolves to the process exit code.
+export const runCli = async (argv, io) => {
+    let parsed;
+    try { parsed = parseCliArgs(argv); }
+    catch (error) {
+        io.stderr(`palette-pro: ${error.message}\nRun "palette-pro --help" for usage.\n`);
+        return 1;
+    }
+    const { options, colors } = parsed;
+    if (options.help) { io.stdout(USAGE); return 0; }
+    try {
+        let state;
+        if (options.input !== undefined) {
+            const used = GENERATION_KEYS.filter(key => options[key] !== undefined);
+            if (colors.length > 0 || used.length > 0) throw new Error('--input uses the saved palette as-is; drop the base colors and generation options.');
+            let data;
+            try { data = JSON.parse(await io.readFile(options.input)); }
+            catch (error) { throw new Error(`Could not read ${options.input}: ${error.message}`); }
+            state = selectPaletteFromFile(data, options.palette);
+        } else {
+            if (options.palette !== undefined) throw new Error('--palette only applies with --input.');
+            state = generateFromOptions(colors, options);
+        }
+        const output = formatOutput(state, options);
+        if (options.output !== undefined) {
+            await io.writeFile(options.output, output);
+            io.stderr(`Wrote ${state.palette.length} colors to ${options.output}\n`);
+        } else {
+            io.stdout(output);
+        }
+        return 0;
+    } catch (error) {
+        io.stderr(`palette-pro: ${error.message}\n`);
+        return 1;
+    }
+};
@@ -0,0 +1,114 @@
+import { createPaletteFromColors, generatePalette, mixBaseColors } from '../engine/index';
+import { createLibraryBackup } from '../utils/libraryBackup';
+import { decodeGpl } from '../utils/swatchFiles';
+import { formatOutput, generateFromOptions, parseCliArgs, runCli } from './index';
+
+const createIo = (files = {}) => {
+  const io = { out: '', err: '', written: {} };
+  io.readFile = async (path) => {
+    if (!(path in files)) throw new Error('ENOENT: no such file');
+    return files[path];
+  };
+  io.writeFile = async (path, text) => { io.written[path] = text; };
+  io.stdout = (text) => { io.out += text; };
+  io.stderr = (text) => { io.err += text; };
+  return io;
+};
+
+test('parses options, inline values, flags and colors', () => {
+  expect(parseCliArgs(['ff0000', '-t', 'triadic', '--count=7', '--bezier', '--', '-x'])).toEqual({
+    options: { type: 'triadic', count: '7', bezier: true },
+    colors: ['ff0000', '-x'],
+  });
+  expect(() => parseCliArgs(['--nope'])).toThrow('Unknown option "--nope".');
+  expect(() => parseCliArgs(['-type', 'ramp'])).toThrow(/Unknown option/);
+  expect(() => parseCliArgs(['--count'])).toThrow(/needs a value/);
+  expect(() => parseCliArgs(['--bezier=yes'])).toThrow(/doesn't take a value/);
+});
+
+test('generates the same palette as the web app', () => {
+  const state = generateFromOptions(['#ff0000', '0000ff'], { type: 'analogous', count: '6', weights: '1, 3', interpolationMode: 'oklch' });
+  const mixed = mixBaseColors([{ color: '#ff0000', weight: 1 }, { color: '#0000ff', weight: 3 }]);
+  expect(state.mixedColor).toBe(mixed);
+  expect(state.palette).toEqual(generatePalette(mixed, 'analogous', 6, { interpolationMode: 'oklch' }));
+  expect(state.name).toBe(`analogous_${mixed.slice(1)}`);
+});
+
+test('rejects bad generation options with specific messages', () => {
+  expect(() => generateFromOptions([], {})).toThrow(/at least one base color/);
+  expect(() => generateFromOptions(['nope'], {})).toThrow('"nope" is not a valid color.');
+  expect(() => generateFromOptions(['red'], { type: 'wild' })).toThrow(/Unknown palette type "wild"/);
+  expect(() => generateFromOptions(['red'], { count: '40' })).toThrow(/Count must be/);
+  expect(() => generateFromOptions(['red', 'blue'], { weights: '1' })).toThrow('Got 1 weight(s) for 2 color(s).');
+  expect(() => generateFromOptions(['red'], { weights: 'x' })).toThrow(/Weight "x"/);
+  expect(() => generateFromOptions(['red'], { mixMode: 'cmyk' })).toThrow(/Unknown color space "cmyk"/);
+  expect(() => generateFromOptions(['red'], { direction: 'sideways' })).toThrow(/gradient direction/);
+});
+
+test('formats json, code and gpl output', () => {
+  const state = generateFromOptions(['#3366cc'], { type: 'shades', count: '4', direction: '30deg' });
+  const json = JSON.parse(formatOutput(state, { format: 'json' }));
+  expect(json).toMatchObject({ format: 'palette-pro-palette', paletteType: 'shades', colorCount: 4, palette: state.palette, gradientDirection: '30deg' });
+  expect(json.gradientCSS).toMatch(/^linear-gradient\(30deg/);
+  expect(formatOutput(state, { format: 'css', prefix: 'Brand' })).toContain(`--brand-1: ${state.palette[0]};`);
+  expect(formatOutput(state, { format: 'scss', naming: 'scale' })).toContain(`$palette-400: ${state.palette[3]};`);
+  expect(formatOutput(state, { format: 'tailwind' })).toContain('module.exports');
+  expect(formatOutput({ ...state, palette: ['#ff6347', '#fe6448'] }, { format: 'css', naming: 'name' })).toMatch(/--palette-tomato: #ff6347;\s+--palette-tomato-2: #fe6448;/);
+  expect(() => formatOutput(state, { format: 'css', naming: 'name', names: 'custom' })).toThrow(/Unknown color name dictionary/);
+  expect(decodeGpl(formatOutput(state, { format: 'gpl', prefix: 'brand' })).colors.map(c => c.color)).toEqual(state.palette);
+  expect(() => formatOutput(state, { format: 'pdf' })).toThrow(/Unknown format "pdf"/);
+});
+
+test('prints to stdout or writes the output file', async () => {
+  const io = createIo();
+  expect(await runCli(['red', '-f', 'css'], io)).toBe(0);
+  expect(io.out).toMatch(/^:root \{/);
+
+  const fileIo = createIo();
+  expect(await runCli(['red', '-n', '3', '-o', 'out.json'], fileIo)).toBe(0);
+  expect(JSON.parse(fileIo.written['out.json']).palette).toHaveLength(3);
+  expect(fileIo.out).toBe('');
+  expect(fileIo.err).toBe('Wrote 3 colors to out.json\n');
+});
+
+test('turns exported palettes and library backups into code', async () => {
+  const exportIo = createIo();
+  await runCli(['#ff6600', '--name', 'Sunset', '-t', 'tints'], exportIo);
+  const exported = exportIo.out;
+  const io = createIo({ 'sunset.json': exported });
+  expect(await runCli(['-i', 'sunset.json', '-f', 'css'], io)).toBe(0);
+  expect(io.out).toContain(`--palette-1: ${JSON.parse(exported).palette[0]};`);
+
+  const backup = JSON.stringify(createLibraryBackup([
+    createPaletteFromColors(['#111111', '#222222', '#333333'], 'Grays'),
+    createPaletteFromColors(['#ff0000', '#00ff00', '#0000ff'], 'Primary'),
+  ]));
+  const pick = createIo({ 'library.json': backup });
+  expect(await runCli(['--input', 'library.json', '--palette', 'primary', '-f', 'gpl'], pick)).toBe(0);
+  expect(decodeGpl(pick.out).colors.map(c => c.color)).toEqual(['#ff0000', '#00ff00', '#0000ff']);
+  const byNumber = createIo({ 'library.json': backup });
+  expect(await runCli(['-i', 'library.json', '-p', '1'], byNumber)).toBe(0);
+  expect(JSON.parse(byNumber.out).name).toBe('Grays');
+
+  const ambiguous = createIo({ 'library.json': backup });
+  expect(await runCli(['-i', 'library.json'], ambiguous)).toBe(1);
+  expect(ambiguous.err).toContain('1. Grays');
+});
+
+test('reports input problems and exits with 1', async () => {
+  const missing = createIo();
+  expect(await runCli(['-i', 'missing.json'], missing)).toBe(1);
+  expect(missing.err).toMatch(/^palette-pro: Could not read missing\.json/);
+
+  const invalid = createIo({ 'bad.json': JSON.stringify({ name: 'Bad', palette: ['nope'] }) });
+  expect(await runCli(['-i', 'bad.json'], invalid)).toBe(1);
+  expect(invalid.err).toMatch(/No readable palettes[\s\S]*palette\[0\]/);
+
+  const mixed = createIo({ 'a.json': '{}' });
+  expect(await runCli(['-i', 'a.json', '-t', 'ramp'], mixed)).toBe(1);
+  expect(mixed.err).toMatch(/--input uses the saved palette as-is/);
+
+  const help = createIo();
+  expect(await runCli(['--help'], help)).toBe(0);
+  expect(help.out).toMatch(/^Usage: palette-pro/);
+});
@@ -0,0 +1,75 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { filterCommands } from '../utils/shortcuts';
+
+const MAX_VISIBLE_COMMANDS = 50;
+
+// --- Command Palette (Ctrl/Cmd+K) ---
+// `commands` are { id, label, group, shortcut?, run }
+const CommandPalette = ({ commands, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+    const results = useMemo(() => filterCommands(commands, query).slice(0, MAX_VISIBLE_COMMANDS), [commands, query]);
+    const active = Math.min(activeIndex, Math.max(0, results.length - 1));
+
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [active, results]);
+
+    const runCommand = (command) => {
+        onClose();
+        command.run();
+    };
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length > 0) setActiveIndex((active + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[active]) runCommand(results[active]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div className="modal-backdrop command-palette-backdrop" onClick={onClose}>
+            <div className="modal-content command-palette" role="dialog" aria-modal="true" aria-label="Command palette" onClick={(e) => e.stopPropagation()}>
+                <input
+                    type="text"
+                    className="command-palette-input"
+                    placeholder="Type a command or a saved palette name…"
+                    value={query}
+                    onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+                    onKeyDown={handleKeyDown}
+                    autoFocus
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="command-palette-list"
+                    aria-activedescendant={results[active] ? `command-${results[active].id}` : undefined}
+                />
+                <ul id="command-palette-list" className="command-palette-list" role="listbox" ref={listRef}>
+                    {results.map((command, i) => (
+                        <li
+                            key={command.id}
+                            id={`command-${command.id}`}
+                            role="option"
+                            aria-selected={i === active}
+                            className={`command-palette-item ${i === active ? 'active' : ''}`}
+                            onMouseEnter={() => setActiveIndex(i)}
+                            onClick={() => runCommand(command)}
+                        >
+                            <span className="command-group">{command.group}</span>
+                            <span className="command-label">{command.label}</span>
+                            {command.shortcut && <kbd>{command.shortcut}</kbd>}
+                        </li>
+                    ))}
+                    {results.length === 0 && <li className="command-palette-empty">No matching commands.</li>}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
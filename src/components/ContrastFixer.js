@@ -0,0 +1,104 @@
+import React, { useMemo, useState } from 'react';
+import { TEXT_REFERENCE_COLORS } from '../utils/contrast';
+import { CONTRAST_TARGETS, fixPaletteContrast, getContrastTarget } from '../utils/contrastFix';
+
+const REFERENCE_LABELS = { '#000000': 'Black', '#ffffff': 'White' };
+
+// Select values: palette slots as 'slot:<index>', reference colors as their hex
+const toRef = (value) => (value.startsWith('slot:') ? Number(value.slice(5)) : value);
+
+const formatContrast = (value, target) => {
+    if (value === null || value === undefined) return '?';
+    return target.metric === 'apca' ? `Lc ${value.toFixed(0)}` : `${value.toFixed(2)}:1`;
+};
+
+// --- Accessibility Auto-Fixer ---
+const ContrastFixer = ({ palette, onApply, onSaveAsNew }) => {
+    const [foreground, setForeground] = useState('slot:0');
+    const [background, setBackground] = useState(TEXT_REFERENCE_COLORS[1]);
+    const [adjust, setAdjust] = useState('foreground');
+    const [targetValue, setTargetValue] = useState('aa');
+    const target = getContrastTarget(targetValue);
+
+    // Fall back to the first slot when the palette shrinks under a selection
+    const validRef = (value) => (value.startsWith('slot:') && Number(value.slice(5)) >= palette.length ? 'slot:0' : value);
+    const fgValue = validRef(foreground);
+    const bgValue = validRef(background);
+    const adjustable = { foreground: fgValue.startsWith('slot:'), background: bgValue.startsWith('slot:') };
+    const side = adjustable[adjust] ? adjust : adjustable.foreground ? 'foreground' : 'background';
+
+    const result = useMemo(() => {
+        if (fgValue === bgValue || (!adjustable.foreground && !adjustable.background)) return null;
+        return fixPaletteContrast(palette, { foreground: toRef(fgValue), background: toRef(bgValue), target, adjust: side });
+    }, [palette, fgValue, bgValue, target, side, adjustable.foreground, adjustable.background]);
+
+    const renderOptions = () => [
+        ...palette.map((color, i) => <option key={`slot-${i}`} value={`slot:${i}`}>{i + 1} · {color}</option>),
+        ...TEXT_REFERENCE_COLORS.map(color => <option key={color} value={color}>{REFERENCE_LABELS[color] || color}</option>),
+    ];
+    const resolveColor = (value, colors) => (value.startsWith('slot:') ? colors[Number(value.slice(5))] : value);
+    const renderSample = (colors, label) => (
+        <div className="fixer-sample">
+            <span className="sub-label">{label}</span>
+            <div className="fixer-sample-box" style={{ backgroundColor: resolveColor(bgValue, colors), color: resolveColor(fgValue, colors) }}>
+                <span className="fixer-sample-large">Aa</span>
+                <span>The quick brown fox jumps over the lazy dog.</span>
+            </div>
+            <span className="fixer-sample-values">{resolveColor(fgValue, colors)} on {resolveColor(bgValue, colors)}</span>
+        </div>
+    );
+
+    return (
+        <div className="contrast-fixer">
+            <h3>Make Accessible</h3>
+            <div className="fixer-controls">
+                <div className="sub-control-group">
+                    <label htmlFor="fixerForeground" className="sub-label">Text:</label>
+                    <select id="fixerForeground" value={fgValue} onChange={(e) => setForeground(e.target.value)} className="select-input small">{renderOptions()}</select>
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="fixerBackground" className="sub-label">Background:</label>
+                    <select id="fixerBackground" value={bgValue} onChange={(e) => setBackground(e.target.value)} className="select-input small">{renderOptions()}</select>
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="fixerTarget" className="sub-label">Target:</label>
+                    <select id="fixerTarget" value={targetValue} onChange={(e) => setTargetValue(e.target.value)} className="select-input small">
+                        {CONTRAST_TARGETS.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                    </select>
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="fixerAdjust" className="sub-label">Adjust:</label>
+                    <select id="fixerAdjust" value={side} onChange={(e) => setAdjust(e.target.value)} className="select-input small">
+                        <option value="foreground" disabled={!adjustable.foreground}>Text color</option>
+                        <option value="background" disabled={!adjustable.background}>Background color</option>
+                    </select>
+                </div>
+            </div>
+            {fgValue === bgValue && <p className="fixer-status">Pick two different colors.</p>}
+            {fgValue !== bgValue && !result && <p className="fixer-status">Pick at least one palette color to adjust.</p>}
+            {result && (
+                <>
+                    <div className="fixer-comparison">
+                        {renderSample(result.before, `Before · ${formatContrast(result.contrastBefore, target)}`)}
+                        {renderSample(result.after, `After · ${formatContrast(result.contrastAfter, target)}`)}
+                    </div>
+                    <p className={`fixer-status ${result.passes ? 'pass' : 'fail'}`}>
+                        {result.passes
+                            ? (result.changes.length === 0
+                                ? 'This pairing already meets the target.'
+                                : `Swatch ${result.changes[0].index + 1}: ${result.changes[0].from} → ${result.changes[0].to} (lightness only, hue kept).`)
+                            : (result.changes.length === 0
+                                ? "The target can't be reached by changing lightness alone; the current color is already the closest."
+                                : `The target can't be reached by changing lightness alone; best effort is ${result.changes[0].to}.`)}
+                    </p>
+                    <div className="fixer-actions">
+                        <button onClick={() => onApply(result.changes)} className="button save-palette-button" disabled={result.changes.length === 0}>Apply as Edit</button>
+                        <button onClick={() => onSaveAsNew(result.changes, target.label)} className="button" disabled={result.changes.length === 0}>Save as New Palette</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ContrastFixer;
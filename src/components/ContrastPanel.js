@@ -0,0 +1,78 @@
+import React, { useMemo, useState } from 'react';
+import { buildContrastMatrix, contrastMatrixToCsv, contrastMatrixToJson, getWcagRating } from '../utils/contrast';
+import { downloadJson, downloadText } from '../utils/download';
+import ContrastFixer from './ContrastFixer';
+
+// --- Contrast Matrix Panel ---
+const ContrastPanel = ({ palette, onFeedback, onApplyFix, onSaveFix }) => {
+    const [metric, setMetric] = useState('wcag'); // 'wcag' or 'apca'
+    const matrix = useMemo(() => buildContrastMatrix(palette), [palette]);
+
+    if (matrix.backgrounds.length === 0) return null;
+
+    const exportCsv = () => {
+        downloadText(contrastMatrixToCsv(matrix), 'palette_contrast.csv', 'text/csv');
+        onFeedback("Contrast matrix exported as CSV!");
+    };
+    const exportJson = () => {
+        downloadJson(contrastMatrixToJson(matrix), 'palette_contrast.json');
+        onFeedback("Contrast matrix exported as JSON!");
+    };
+
+    const renderCell = (cell) => {
+        if (cell.foreground === cell.background) {
+            return <td key={cell.background} className="contrast-cell same" aria-label="Same color">—</td>;
+        }
+        const rating = getWcagRating(cell.ratio);
+        const value = metric === 'apca'
+            ? `Lc ${cell.apca !== null ? Math.abs(cell.apca).toFixed(0) : '?'}`
+            : `${cell.ratio !== null ? cell.ratio.toFixed(2) : '?'}:1`;
+        return (
+            <td key={cell.background} className="contrast-cell" style={{ backgroundColor: cell.background, color: cell.foreground }} title={`${cell.foreground} on ${cell.background}`}>
+                <span className="contrast-sample">Aa</span>
+                <span className="contrast-value">{value}</span>
+                <span className={`contrast-badge ${rating === 'Fail' ? 'fail' : 'pass'}`}>{rating}</span>
+            </td>
+        );
+    };
+
+    return (
+        <div className="contrast-panel-area">
+            <div className="contrast-header">
+                <h2>Contrast Matrix</h2>
+                <div className="contrast-actions">
+                    <select value={metric} onChange={(e) => setMetric(e.target.value)} className="select-input small" aria-label="Contrast metric">
+                        <option value="wcag">WCAG 2.x Ratio</option>
+                        <option value="apca">APCA Lc</option>
+                    </select>
+                    <button onClick={exportCsv} className="button export-button" title="Export Contrast Matrix as CSV"><span className="button-text">Export CSV</span></button>
+                    <button onClick={exportJson} className="button export-button" title="Export Contrast Matrix as JSON"><span className="button-text">Export JSON</span></button>
+                </div>
+            </div>
+            <div className="contrast-table-wrapper">
+                <table className="contrast-table">
+                    <thead>
+                        <tr>
+                            <th scope="col" className="contrast-corner">Text ↓ / Background →</th>
+                            {matrix.backgrounds.map((bg, i) => (
+                                <th key={`${bg}-${i}`} scope="col"><span className="mini-swatch" style={{ backgroundColor: bg }}></span>{bg}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {matrix.rows.map((row, i) => (
+                            <tr key={`${row.foreground}-${i}`}>
+                                <th scope="row"><span className="mini-swatch" style={{ backgroundColor: row.foreground }}></span>{row.foreground}</th>
+                                {row.cells.map(renderCell)}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="contrast-legend">AA: 4.5:1 normal / 3:1 large text · AAA: 7:1 normal / 4.5:1 large text · APCA Lc 60+ for body text, 75+ preferred.</p>
+            <ContrastFixer palette={palette} onApply={onApplyFix} onSaveAsNew={onSaveFix} />
+        </div>
+    );
+};
+
+export default ContrastPanel;
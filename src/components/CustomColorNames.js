@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { formatCustomColorNames, parseCustomColorNames } from '../utils/colorNames';
+
+// --- Custom Color Name List Editor ---
+// `entries` are [name, hex] pairs; edits apply on "Save List"
+const CustomColorNames = ({ entries, onChange, onFeedback }) => {
+    const [text, setText] = useState(() => formatCustomColorNames(entries));
+    const [errors, setErrors] = useState([]);
+
+    const handleSave = () => {
+        const parsed = parseCustomColorNames(text);
+        setErrors(parsed.errors);
+        onChange(parsed.entries);
+        onFeedback(parsed.errors.length > 0
+            ? `Saved ${parsed.entries.length} name(s); ${parsed.errors.length} line(s) skipped.`
+            : `Saved ${parsed.entries.length} custom color name(s).`);
+    };
+
+    return (
+        <div className="custom-color-names">
+            <label htmlFor="customColorNames" className="sub-label">Custom names (one "Name #hex" per line):</label>
+            <textarea
+                id="customColorNames"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                className="custom-color-names-input"
+                rows={5}
+                spellCheck={false}
+                placeholder={'Brand Blue #1d4ed8\nPaper #fafaf9'}
+            />
+            {errors.length > 0 && (
+                <ul className="custom-color-names-errors">
+                    {errors.map(error => <li key={error.line}>Line {error.line} {error.message}</li>)}
+                </ul>
+            )}
+            <button onClick={handleSave} className="button">Save List</button>
+        </div>
+    );
+};
+
+export default CustomColorNames;
@@ -0,0 +1,77 @@
+import React, { useMemo, useState } from 'react';
+import { CODE_EXPORT_FORMATS, DEFAULT_TOKEN_PREFIX, TOKEN_NAMING_SCHEMES, formatPaletteCode, toTokenName } from '../utils/codeExport';
+import { downloadBinary, downloadText } from '../utils/download';
+import { SWATCH_FILE_FORMATS, encodeSwatchFile } from '../utils/swatchFiles';
+
+// --- Code Export Menu ---
+const ExportMenu = ({ palette, colorNames = [], mixedColor, gradientDirection, gradientSettings, onCopy, onFeedback }) => {
+    const [format, setFormat] = useState('css');
+    const [prefix, setPrefix] = useState(DEFAULT_TOKEN_PREFIX);
+    const [naming, setNaming] = useState('index');
+
+    const formatInfo = CODE_EXPORT_FORMATS.find(f => f.value === format) || CODE_EXPORT_FORMATS[0];
+    const code = useMemo(() => {
+        try { return formatPaletteCode(format, { palette, mixedColor, gradientDirection, gradientSettings }, { prefix, naming, names: colorNames }); }
+        catch (error) { console.error("Export Error:", error); return ''; }
+    }, [format, palette, colorNames, mixedColor, gradientDirection, gradientSettings, prefix, naming]);
+
+    const handleDownload = () => {
+        if (!code) { onFeedback("Export failed: nothing to export."); return; }
+        downloadText(code, `${toTokenName(prefix)}.${formatInfo.extension}`, formatInfo.mimeType);
+        onFeedback(`${formatInfo.label} exported!`);
+    };
+
+    const handleSwatchDownload = (swatchFormat) => {
+        const tokenName = toTokenName(prefix);
+        try {
+            const content = encodeSwatchFile(swatchFormat.value, { name: tokenName, colors: palette.map((color, i) => ({ name: `${tokenName}-${i + 1}`, color })) });
+            const filename = `${tokenName}.${swatchFormat.extension}`;
+            if (typeof content === 'string') downloadText(content, filename, swatchFormat.mimeType);
+            else downloadBinary(content, filename, swatchFormat.mimeType);
+            onFeedback(swatchFormat.maxColors && palette.length > swatchFormat.maxColors
+                ? `${swatchFormat.label} exported with the first ${swatchFormat.maxColors} of ${palette.length} colors; the format holds at most ${swatchFormat.maxColors}.`
+                : `${swatchFormat.label} exported!`);
+        } catch (error) {
+            console.error("Swatch Export Error:", error);
+            onFeedback("Swatch export failed.");
+        }
+    };
+
+    return (
+        <div className="export-menu" role="region" aria-label="Export palette as code">
+            <div className="export-menu-controls">
+                <div className="sub-control-group">
+                    <label htmlFor="exportFormatSelect" className="sub-label">Format</label>
+                    <select id="exportFormatSelect" value={format} onChange={(e) => setFormat(e.target.value)} className="select-input small">
+                        {CODE_EXPORT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="exportPrefixInput" className="sub-label">Token Prefix</label>
+                    <input id="exportPrefixInput" type="text" value={prefix} onChange={(e) => setPrefix(e.target.value)} onBlur={() => setPrefix(toTokenName(prefix))} className="export-prefix-input" spellCheck={false} />
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="exportNamingSelect" className="sub-label">Token Names</label>
+                    <select id="exportNamingSelect" value={naming} onChange={(e) => setNaming(e.target.value)} className="select-input small">
+                        {TOKEN_NAMING_SCHEMES.map(n => <option key={n.value} value={n.value}>{n.label}</option>)}
+                    </select>
+                </div>
+            </div>
+            <pre className="export-code-preview" aria-label={`${formatInfo.label} preview`}><code>{code}</code></pre>
+            <div className="export-menu-actions">
+                <button onClick={() => onCopy(code, formatInfo.label)} className="button export-button" disabled={!code}><span className="button-text">Copy</span></button>
+                <button onClick={handleDownload} className="button export-button" disabled={!code}><span className="button-text">Download .{formatInfo.extension}</span></button>
+            </div>
+            <div className="export-swatch-files">
+                <span className="sub-label">Swatch Files</span>
+                <div className="export-menu-actions">
+                    {SWATCH_FILE_FORMATS.map(f => (
+                        <button key={f.value} onClick={() => handleSwatchDownload(f)} className="button export-button" title={`Download ${f.label}`}><span className="button-text">.{f.extension}</span></button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,157 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+    GRADIENT_EASINGS, GRADIENT_TYPES, MAX_GRADIENT_SMOOTHING, buildGradientCss, buildGradientSvg,
+    directionToAngle, normalizeGradientStops, paintGradient, resolveGradientStops,
+} from '../utils/gradient';
+import { downloadBinary, downloadText } from '../utils/download';
+
+const EXPORT_WIDTH = 1600;
+const EXPORT_HEIGHT = 800;
+
+// --- Gradient Builder ---
+// `palette` is exported; `previewPalette` (e.g. a color vision simulation) is only displayed.
+const GradientBuilder = ({ palette, previewPalette, direction, directions, onDirectionChange, settings, onSettingsChange, onCopy, onFeedback }) => {
+    const trackRef = useRef(null);
+    const [selectedStop, setSelectedStop] = useState(0);
+    const [draggingStop, setDraggingStop] = useState(null);
+
+    const stops = useMemo(() => normalizeGradientStops(settings.stops, palette.length), [settings.stops, palette.length]);
+    const angle = directionToAngle(direction);
+    const css = useMemo(() => buildGradientCss(resolveGradientStops(palette, settings), settings, direction), [palette, settings, direction]);
+    const previewCss = useMemo(() => buildGradientCss(resolveGradientStops(previewPalette, settings), settings, direction), [previewPalette, settings, direction]);
+    // The stop track always runs left to right, whatever the gradient type
+    const trackCss = useMemo(() => buildGradientCss(resolveGradientStops(previewPalette, settings), { ...settings, type: 'linear' }, 'to right'), [previewPalette, settings]);
+    const selected = Math.min(selectedStop, stops.length - 1);
+
+    const updateSettings = (changes) => onSettingsChange({ ...settings, ...changes });
+    const updateStop = (index, changes) => updateSettings({ stops: stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)) });
+
+    const getTrackPosition = (clientX) => {
+        const rect = trackRef.current.getBoundingClientRect();
+        return Math.round(Math.min(100, Math.max(0, ((clientX - rect.left) / rect.width) * 100)) * 10) / 10;
+    };
+    const handlePointerDown = (e, index) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setSelectedStop(index);
+        setDraggingStop(index);
+    };
+    const handlePointerMove = (e, index) => {
+        if (draggingStop === index) updateStop(index, { position: getTrackPosition(e.clientX) });
+    };
+    const handleStopKeyDown = (e, index) => {
+        const step = e.shiftKey ? 10 : 1;
+        const delta = e.key === 'ArrowLeft' || e.key === 'ArrowDown' ? -step : e.key === 'ArrowRight' || e.key === 'ArrowUp' ? step : 0;
+        if (delta === 0) return;
+        e.preventDefault();
+        updateStop(index, { position: Math.min(100, Math.max(0, stops[index].position + delta)) });
+    };
+
+    const copyCss = () => onCopy(`background: ${css};`, 'CSS Gradient');
+    const downloadSvg = () => {
+        downloadText(buildGradientSvg(resolveGradientStops(palette, settings), settings, direction), 'gradient.svg', 'image/svg+xml');
+        onFeedback("Gradient exported as SVG!");
+    };
+    const downloadPng = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = EXPORT_WIDTH;
+        canvas.height = EXPORT_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        if (!ctx || !paintGradient(ctx, resolveGradientStops(palette, settings), settings, direction, EXPORT_WIDTH, EXPORT_HEIGHT)) {
+            onFeedback("PNG export failed: this browser can't draw this gradient type.");
+            return;
+        }
+        canvas.toBlob(blob => {
+            if (!blob) { onFeedback("PNG export failed."); return; }
+            downloadBinary(blob, 'gradient.png', 'image/png');
+            onFeedback("Gradient exported as PNG!");
+        }, 'image/png');
+    };
+
+    const usesAngle = settings.type !== 'radial';
+    const usesCenter = settings.type !== 'linear';
+
+    return (
+        <div className="gradient-preview-area">
+            <div className="gradient-header">
+                <h2>Gradient Builder</h2>
+                <div className="gradient-actions">
+                    <button onClick={copyCss} className="button export-button" title="Copy CSS Gradient"><span className="button-text">Copy CSS</span></button>
+                    <button onClick={downloadSvg} className="button export-button" disabled={settings.type === 'conic'} title={settings.type === 'conic' ? 'SVG has no conic gradients' : 'Download as SVG'}><span className="button-text">SVG</span></button>
+                    <button onClick={downloadPng} className="button export-button" title="Download as PNG"><span className="button-text">PNG</span></button>
+                </div>
+            </div>
+            <div className="gradient-controls">
+                <div className="sub-control-group">
+                    <label htmlFor="gradientTypeSelect" className="sub-label">Type:</label>
+                    <select id="gradientTypeSelect" value={settings.type} onChange={(e) => updateSettings({ type: e.target.value })} className="select-input small">
+                        {GRADIENT_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                    </select>
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="gradientAngleSlider" className="sub-label">{settings.type === 'conic' ? 'Start Angle' : 'Angle'}: {angle}°</label>
+                    <input type="range" id="gradientAngleSlider" min="0" max="359" value={angle} onChange={(e) => onDirectionChange(`${e.target.value}deg`)} className="range-slider" disabled={!usesAngle} />
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="gradientDirectionSelect" className="sub-label">Preset:</label>
+                    <select id="gradientDirectionSelect" value={directions.includes(direction) ? direction : ''} onChange={(e) => onDirectionChange(e.target.value)} className="select-input small" disabled={!usesAngle}>
+                        {!directions.includes(direction) && <option value="" disabled>Custom</option>}
+                        {directions.map(dir => <option key={dir} value={dir}>{dir}</option>)}
+                    </select>
+                </div>
+                {usesCenter && ['centerX', 'centerY'].map(key => (
+                    <div key={key} className="sub-control-group">
+                        <label htmlFor={`gradient-${key}`} className="sub-label">Center {key === 'centerX' ? 'X' : 'Y'}: {settings[key]}%</label>
+                        <input type="range" id={`gradient-${key}`} min="0" max="100" value={settings[key]} onChange={(e) => updateSettings({ [key]: Number(e.target.value) })} className="range-slider" />
+                    </div>
+                ))}
+                <div className="sub-control-group">
+                    <label htmlFor="gradientSmoothingSlider" className="sub-label" title="Extra stops mixed in OKLab between each pair of colors, to avoid gray dead zones">OKLab Stops: {settings.smoothing}</label>
+                    <input type="range" id="gradientSmoothingSlider" min="0" max={MAX_GRADIENT_SMOOTHING} value={settings.smoothing} onChange={(e) => updateSettings({ smoothing: Number(e.target.value) })} className="range-slider" />
+                </div>
+                <div className="sub-control-group">
+                    <label htmlFor="gradientEasingSelect" className="sub-label">Easing:</label>
+                    <select id="gradientEasingSelect" value={settings.easing} onChange={(e) => updateSettings({ easing: e.target.value })} className="select-input small" disabled={settings.smoothing === 0} title={settings.smoothing === 0 ? 'Add OKLab stops to ease between colors' : ''}>
+                        {GRADIENT_EASINGS.map(easing => <option key={easing.value} value={easing.value}>{easing.label}</option>)}
+                    </select>
+                </div>
+            </div>
+            <div className={`gradient-preview-box ${settings.type !== 'linear' ? 'tall' : ''}`} style={{ backgroundImage: previewCss }} title="Click to Copy CSS Gradient" onClick={copyCss} aria-label={`Preview of ${settings.type} gradient. Click to copy CSS.`} role="button" tabIndex={0} onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') copyCss(); }}>
+                <span className="copy-gradient-text">Click or Press Enter to Copy CSS</span>
+            </div>
+            <div className="gradient-stop-track" ref={trackRef} style={{ backgroundImage: trackCss }}>
+                {stops.map((stop, i) => (
+                    <button
+                        key={i}
+                        type="button"
+                        className={`gradient-stop-handle ${i === selected ? 'selected' : ''}`}
+                        style={{ left: `${stop.position}%`, backgroundColor: previewPalette[i] }}
+                        onPointerDown={(e) => handlePointerDown(e, i)}
+                        onPointerMove={(e) => handlePointerMove(e, i)}
+                        onPointerUp={() => setDraggingStop(null)}
+                        onPointerCancel={() => setDraggingStop(null)}
+                        onKeyDown={(e) => handleStopKeyDown(e, i)}
+                        onFocus={() => setSelectedStop(i)}
+                        role="slider"
+                        aria-label={`Stop ${i + 1} (${palette[i]}) position`}
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={stop.position}
+                    />
+                ))}
+            </div>
+            {stops[selected] && (
+                <div className="gradient-stop-editor">
+                    <span className="mini-swatch" style={{ backgroundColor: previewPalette[selected] }}></span>
+                    <span className="sub-label">Stop {selected + 1} · {palette[selected]}</span>
+                    <label className="sub-label" htmlFor="gradientStopPosition">Position:</label>
+                    <input type="number" id="gradientStopPosition" min="0" max="100" step="0.5" value={stops[selected].position} onChange={(e) => updateStop(selected, { position: Math.min(100, Math.max(0, Number(e.target.value) || 0)) })} className="gradient-stop-input" />
+                    <label className="sub-label" htmlFor="gradientStopOpacity">Opacity: {Math.round(stops[selected].opacity * 100)}%</label>
+                    <input type="range" id="gradientStopOpacity" min="0" max="100" value={Math.round(stops[selected].opacity * 100)} onChange={(e) => updateStop(selected, { opacity: Number(e.target.value) / 100 })} className="range-slider gradient-opacity-slider" />
+                    <button onClick={() => updateSettings({ stops: null })} className="button" disabled={!settings.stops} title="Spread stops evenly and make them opaque">Reset Stops</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GradientBuilder;
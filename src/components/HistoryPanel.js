@@ -0,0 +1,35 @@
+import React from 'react';
+import { MAX_HISTORY_DEPTH, MIN_HISTORY_DEPTH, canRedo, canUndo } from '../utils/history';
+
+const SHORTCUT_MODIFIER = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl+';
+
+// --- Undo/Redo History Panel ---
+const HistoryPanel = ({ history, depth, onUndo, onRedo, onJump, onDepthChange }) => {
+    if (!history) return null;
+
+    return (
+        <section className="history-section" aria-labelledby="history-heading">
+            <div className="history-header">
+                <h2 id="history-heading">History</h2>
+                <div className="history-actions">
+                    <button onClick={onUndo} className="button" disabled={!canUndo(history)} title={`Undo (${SHORTCUT_MODIFIER}Z)`}><span className="button-text">Undo</span></button>
+                    <button onClick={onRedo} className="button" disabled={!canRedo(history)} title={`Redo (${SHORTCUT_MODIFIER}Shift+Z)`}><span className="button-text">Redo</span></button>
+                    <label htmlFor="historyDepthInput" className="sub-label">Depth</label>
+                    <input id="historyDepthInput" type="number" min={MIN_HISTORY_DEPTH} max={MAX_HISTORY_DEPTH} value={depth} onChange={(e) => onDepthChange(e.target.value)} className="history-depth-input" />
+                </div>
+            </div>
+            <ol className="history-list">
+                {history.entries.map((entry, i) => (
+                    <li key={entry.id} className={`history-item ${i === history.index ? 'current' : ''} ${i > history.index ? 'future' : ''}`}>
+                        <button onClick={() => onJump(i)} className="history-item-button" aria-current={i === history.index ? 'step' : undefined} disabled={i === history.index}>
+                            <span className="history-item-label">{entry.label}</span>
+                            <time className="history-item-time" dateTime={new Date(entry.time).toISOString()}>{new Date(entry.time).toLocaleTimeString()}</time>
+                        </button>
+                    </li>
+                ))}
+            </ol>
+        </section>
+    );
+};
+
+export default HistoryPanel;
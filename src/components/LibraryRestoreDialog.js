@@ -0,0 +1,77 @@
+import React, { useMemo, useState } from 'react';
+import { RESTORE_MODES, planLibraryRestore } from '../utils/libraryBackup';
+
+const PREVIEW_LIMIT = 50; // Entries listed per group before summarizing
+
+const PaletteStrip = ({ palette }) => (
+    <span className="restore-strip" aria-hidden="true">
+        {(palette.palette || []).slice(0, 8).map((c, i) => <span key={`${c}-${i}`} className="mini-swatch" style={{ backgroundColor: c }}></span>)}
+    </span>
+);
+
+const PreviewGroup = ({ title, items, render }) => {
+    if (items.length === 0) return null;
+    return (
+        <details className="restore-group" open={items.length <= 10}>
+            <summary>{title} ({items.length})</summary>
+            <ul>
+                {items.slice(0, PREVIEW_LIMIT).map(render)}
+                {items.length > PREVIEW_LIMIT && <li className="restore-more">…and {items.length - PREVIEW_LIMIT} more</li>}
+            </ul>
+        </details>
+    );
+};
+
+// --- Library Restore Preview ---
+const LibraryRestoreDialog = ({ fileName, library, backup, normalize, onConfirm, onLoadIntoEditor, onCancel }) => {
+    const [mode, setMode] = useState(backup.isSinglePalette ? 'skip-duplicates' : 'merge');
+    const plan = useMemo(() => planLibraryRestore(library, backup.entries, mode, normalize), [library, backup, mode, normalize]);
+    const hasChanges = plan.added.length + plan.overwritten.length + plan.removed.length > 0;
+
+    return (
+        <div className="modal-backdrop" onClick={onCancel}>
+            <div className="modal-content restore-dialog" role="dialog" aria-modal="true" aria-labelledby="restore-heading" onClick={(e) => e.stopPropagation()}>
+                <h3 id="restore-heading">Restore from {fileName}</h3>
+                <p className="restore-summary">
+                    {backup.entries.length} valid palette(s){backup.errors.length > 0 && `, ${backup.errors.length} with errors`}.
+                </p>
+                <div className="restore-modes" role="radiogroup" aria-label="Restore mode">
+                    {RESTORE_MODES.map(option => (
+                        <label key={option.value} className={`restore-mode ${mode === option.value ? 'active' : ''}`}>
+                            <input type="radio" name="restoreMode" value={option.value} checked={mode === option.value} onChange={() => setMode(option.value)} />
+                            <span><strong>{option.label}</strong> — {option.description}</span>
+                        </label>
+                    ))}
+                </div>
+                <div className="restore-preview">
+                    <PreviewGroup title="Will be added" items={plan.added} render={p => (
+                        <li key={`add-${p.id}`} className="restore-item added"><PaletteStrip palette={p} /> {p.name}</li>
+                    )} />
+                    <PreviewGroup title={mode === 'replace' ? 'Will be replaced' : 'Will be overwritten'} items={plan.overwritten} render={({ existing, incoming, reason }) => (
+                        <li key={`over-${existing.id}`} className="restore-item overwritten"><PaletteStrip palette={existing} /> {existing.name} → <PaletteStrip palette={incoming} /> {incoming.name} <em>({reason})</em></li>
+                    )} />
+                    <PreviewGroup title="Will be removed" items={plan.removed} render={p => (
+                        <li key={`remove-${p.id}`} className="restore-item removed"><PaletteStrip palette={p} /> {p.name}</li>
+                    )} />
+                    <PreviewGroup title="Skipped" items={plan.skipped} render={({ incoming, existing, reason }, i) => (
+                        <li key={`skip-${i}`} className="restore-item skipped"><PaletteStrip palette={incoming} /> {incoming.name} <em>({reason}{existing ? ` as "${existing.name}"` : ''})</em></li>
+                    )} />
+                    <PreviewGroup title="Errors" items={backup.errors} render={error => (
+                        <li key={`error-${error.index}`} className="restore-item error">Entry {error.label}: {error.messages.join('; ')}</li>
+                    )} />
+                </div>
+                <div className="modal-actions">
+                    {backup.isSinglePalette && backup.entries.length === 1 && (
+                        <button onClick={() => onLoadIntoEditor(plan.added[0] || normalize(backup.entries[0]))} className="button">Load into Editor</button>
+                    )}
+                    <button onClick={onCancel} className="button">Cancel</button>
+                    <button onClick={() => onConfirm(plan, mode)} className={`button ${mode === 'replace' ? 'delete-button' : 'save-palette-button'}`} disabled={!hasChanges}>
+                        {mode === 'replace' ? 'Replace Library' : 'Restore'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LibraryRestoreDialog;
@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_MAX_PAIR_DISTANCE, comparePalettes, describeComparison, formatShift, rateDeltaE } from '../utils/paletteCompare';
+
+export const CURRENT_PALETTE = 'current'; // Selection value for the palette in the editor
+
+const Swatch = ({ color, label }) => (
+    <span className="compare-swatch">
+        <span className="mini-swatch" style={{ backgroundColor: color }} aria-hidden="true"></span>
+        <span className="compare-hex">{color}</span>
+        {label && <span className="compare-index">{label}</span>}
+    </span>
+);
+
+// --- Palette Comparison ---
+// `before` / `after` are CURRENT_PALETTE or a saved palette id
+const PaletteCompare = ({ currentPalette, palettes, before, after, onChange, onClose }) => {
+    const sectionRef = useRef(null);
+    useEffect(() => { sectionRef.current?.scrollIntoView?.({ behavior: 'smooth', block: 'start' }); }, []);
+
+    const resolve = (selection) => {
+        if (selection === CURRENT_PALETTE) return { name: 'Current palette', colors: currentPalette };
+        const saved = palettes.find(p => p.id === selection);
+        return saved ? { name: saved.name || `Palette ${saved.id}`, colors: saved.palette } : null;
+    };
+    const beforePalette = resolve(before);
+    const afterPalette = resolve(after);
+    const beforeColors = beforePalette?.colors;
+    const afterColors = afterPalette?.colors;
+    const result = useMemo(
+        () => (beforeColors && afterColors ? comparePalettes(beforeColors, afterColors) : null),
+        [beforeColors, afterColors]
+    );
+
+    // Pairs and removed colors in "before" order, then added colors in "after" order
+    const rows = result ? [
+        ...result.pairs.map(pair => ({ kind: 'pair', index: pair.beforeIndex, pair })),
+        ...result.removed.map(item => ({ kind: 'removed', index: item.index, item })),
+    ].sort((a, b) => a.index - b.index).concat(result.added.map(item => ({ kind: 'added', index: item.index, item }))) : [];
+
+    // Option values are strings; map them back to the palette id (ids may be numbers)
+    const handleSelect = (key, value) => {
+        const selection = value === CURRENT_PALETTE ? CURRENT_PALETTE : palettes.find(p => String(p.id) === value)?.id;
+        if (selection !== undefined) onChange({ before, after, [key]: selection });
+    };
+    const renderSelect = (id, label, value, key) => (
+        <label htmlFor={id} className="compare-select">
+            <span className="sub-label">{label}</span>
+            <select id={id} value={value ?? ''} onChange={(e) => handleSelect(key, e.target.value)} className="select-input small">
+                {value === null && <option value="" disabled>Choose a palette…</option>}
+                <option value={CURRENT_PALETTE}>Current palette</option>
+                {palettes.map(p => <option key={p.id} value={p.id}>{p.name || `Palette ${p.id}`} ({p.palette.length})</option>)}
+            </select>
+        </label>
+    );
+
+    const renderRow = (row) => {
+        if (row.kind === 'removed') {
+            return (
+                <tr key={`removed-${row.index}`} className="compare-row removed">
+                    <td><Swatch color={row.item.color} label={`#${row.index + 1}`} /></td>
+                    <td className="compare-delta"><span className="compare-badge removed">Removed</span></td>
+                    <td></td>
+                    <td></td>
+                </tr>
+            );
+        }
+        if (row.kind === 'added') {
+            return (
+                <tr key={`added-${row.index}`} className="compare-row added">
+                    <td></td>
+                    <td className="compare-delta"><span className="compare-badge added">Added</span></td>
+                    <td><Swatch color={row.item.color} label={`#${row.index + 1}`} /></td>
+                    <td></td>
+                </tr>
+            );
+        }
+        const { pair } = row;
+        const rating = rateDeltaE(pair.deltaE);
+        return (
+            <tr key={`pair-${pair.beforeIndex}`} className={`compare-row ${rating.value}`}>
+                <td><Swatch color={pair.before} label={`#${pair.beforeIndex + 1}`} /></td>
+                <td className="compare-delta">
+                    <span className={`compare-badge ${rating.value}`} title={rating.label}>ΔE {pair.deltaE.toFixed(1)}</span>
+                    {pair.beforeIndex !== pair.afterIndex && <span className="compare-moved" title="Position changed">↕</span>}
+                </td>
+                <td><Swatch color={pair.after} label={`#${pair.afterIndex + 1}`} /></td>
+                <td className="compare-shift">
+                    <span title="Lightness (CIE L)">L {formatShift(pair.lightness)}</span>
+                    <span title="Chroma (CIE C)">C {formatShift(pair.chroma)}</span>
+                    <span title="Hue (degrees)">H {pair.hue === null ? '—' : `${formatShift(pair.hue, 0)}°`}</span>
+                </td>
+            </tr>
+        );
+    };
+
+    return (
+        <section className="compare-section" aria-labelledby="compare-heading" ref={sectionRef}>
+            <div className="compare-header">
+                <h2 id="compare-heading">Compare Palettes</h2>
+                <div className="compare-controls">
+                    {renderSelect('compareBeforeSelect', 'Before', before, 'before')}
+                    <button onClick={() => onChange({ before: after, after: before })} className="button icon-only" title="Swap palettes" aria-label="Swap palettes" disabled={before === null || after === null}>⇄</button>
+                    {renderSelect('compareAfterSelect', 'After', after, 'after')}
+                    <button onClick={onClose} className="button" title="Close comparison"><span className="button-text">Close</span></button>
+                </div>
+            </div>
+            {!result ? (
+                <p className="compare-empty">Choose two palettes to compare.</p>
+            ) : (
+                <>
+                    <ul className="compare-summary" aria-label={`${beforePalette.name} compared with ${afterPalette.name}`}>
+                        {describeComparison(result).map(line => <li key={line}>{line}</li>)}
+                    </ul>
+                    <div className="compare-table-wrapper">
+                        <table className="compare-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">{beforePalette.name}</th>
+                                    <th scope="col">ΔE2000</th>
+                                    <th scope="col">{afterPalette.name}</th>
+                                    <th scope="col">Shift</th>
+                                </tr>
+                            </thead>
+                            <tbody>{rows.map(renderRow)}</tbody>
+                        </table>
+                    </div>
+                    <p className="compare-legend">ΔE under 1 is not perceptible, 1–2 needs a close look, 2–10 is noticeable. Colors more than {DEFAULT_MAX_PAIR_DISTANCE} apart are counted as removed and added.</p>
+                </>
+            )}
+        </section>
+    );
+};
+
+export default PaletteCompare;
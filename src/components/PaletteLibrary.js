@@ -0,0 +1,127 @@
+import React, { useMemo, useState } from 'react';
+import chroma from 'chroma-js';
+import { LIBRARY_SORT_OPTIONS, filterPalettes, getLibraryCollections, getLibraryTags, normalizeTags, sortPalettes } from '../utils/library';
+
+// --- Saved Palette Library (search, filters, tags, favorites, collections) ---
+const PaletteLibrary = ({ palettes, paletteTypes, getColorName, onLoad, onCompare, onDelete, onUpdate, onFeedback }) => {
+    const [query, setQuery] = useState('');
+    const [typeFilter, setTypeFilter] = useState('');
+    const [tagFilter, setTagFilter] = useState('');
+    const [collectionFilter, setCollectionFilter] = useState('');
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const [nearColorEnabled, setNearColorEnabled] = useState(false);
+    const [nearColor, setNearColor] = useState('#2563eb');
+    const [sortBy, setSortBy] = useState('date-desc');
+    const [editingId, setEditingId] = useState(null);
+    const [editedName, setEditedName] = useState('');
+
+    const tags = useMemo(() => getLibraryTags(palettes), [palettes]);
+    const collections = useMemo(() => getLibraryCollections(palettes), [palettes]);
+    const visiblePalettes = useMemo(() => sortPalettes(filterPalettes(palettes, {
+        query,
+        type: typeFilter,
+        tag: tagFilter,
+        collection: collectionFilter,
+        favoritesOnly,
+        nearColor: nearColorEnabled ? nearColor : null,
+        getColorName,
+    }), sortBy), [palettes, query, typeFilter, tagFilter, collectionFilter, favoritesOnly, nearColorEnabled, nearColor, getColorName, sortBy]);
+
+    const startEditingName = (saved) => { setEditingId(saved.id); setEditedName(saved.name); };
+    const cancelEditingName = () => { setEditingId(null); setEditedName(''); };
+    const saveEditedName = () => {
+        if (editingId === null) return;
+        const trimmedName = editedName.trim();
+        if (trimmedName) { onUpdate(editingId, { name: trimmedName }); onFeedback("Palette name updated."); }
+        else { onFeedback("Palette name cannot be empty."); }
+        cancelEditingName();
+    };
+    const commitTags = (saved, value) => {
+        const nextTags = normalizeTags(value);
+        if (nextTags.join(',') !== (saved.tags || []).join(',')) onUpdate(saved.id, { tags: nextTags });
+    };
+    const commitCollection = (saved, value) => {
+        const collection = value.trim();
+        if (collection !== (saved.collection || '')) onUpdate(saved.id, { collection });
+    };
+    const blurOnEnter = (e) => { if (e.key === 'Enter') e.target.blur(); };
+    const hasFilters = query || typeFilter || tagFilter || collectionFilter || favoritesOnly || nearColorEnabled;
+    const clearFilters = () => {
+        setQuery(''); setTypeFilter(''); setTagFilter(''); setCollectionFilter(''); setFavoritesOnly(false); setNearColorEnabled(false);
+    };
+
+    return (
+        <div className="palette-library">
+            <div className="library-toolbar" role="search">
+                <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search name, tag, type, hex or color name…" className="library-search-input" aria-label="Search saved palettes" />
+                <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="select-input small" aria-label="Filter by type">
+                    <option value="">All types</option>
+                    {paletteTypes.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                </select>
+                <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} className="select-input small" aria-label="Filter by tag" disabled={tags.length === 0}>
+                    <option value="">All tags</option>
+                    {tags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+                </select>
+                <select value={collectionFilter} onChange={(e) => setCollectionFilter(e.target.value)} className="select-input small" aria-label="Filter by collection" disabled={collections.length === 0}>
+                    <option value="">All collections</option>
+                    {collections.map(collection => <option key={collection} value={collection}>{collection}</option>)}
+                </select>
+                <label className="library-near-color" title="Only palettes containing a color close to this one (ΔE2000)">
+                    <input type="checkbox" checked={nearColorEnabled} onChange={(e) => setNearColorEnabled(e.target.checked)} /> Near
+                    <input type="color" value={nearColor} onChange={(e) => { setNearColor(e.target.value); setNearColorEnabled(true); }} aria-label="Color to search near" />
+                </label>
+                <button onClick={() => setFavoritesOnly(prev => !prev)} className={`button library-favorites-toggle ${favoritesOnly ? 'active' : ''}`} aria-pressed={favoritesOnly} title="Show favorites only">★</button>
+                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="select-input small" aria-label="Sort palettes">
+                    {LIBRARY_SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            </div>
+            {hasFilters && (
+                <p className="library-result-count">
+                    Showing {visiblePalettes.length} of {palettes.length} <button onClick={clearFilters} className="link-button">Clear filters</button>
+                </p>
+            )}
+            <datalist id="libraryCollections">
+                {collections.map(collection => <option key={collection} value={collection} />)}
+            </datalist>
+            {visiblePalettes.length > 0 ? (
+                <ul className="saved-palettes-list">
+                    {visiblePalettes.map((saved) => (
+                        <li key={saved.id} className="saved-palette-item">
+                            <div className="saved-palette-info">
+                                <div className="saved-palette-title">
+                                    <button onClick={() => onUpdate(saved.id, { favorite: !saved.favorite })} className={`favorite-button ${saved.favorite ? 'active' : ''}`} aria-pressed={Boolean(saved.favorite)} title={saved.favorite ? "Remove from favorites" : "Add to favorites"} aria-label={`Favorite palette: ${saved.name}`}>{saved.favorite ? '★' : '☆'}</button>
+                                    {editingId === saved.id ? (
+                                        <input type="text" value={editedName} onChange={(e) => setEditedName(e.target.value)} onBlur={saveEditedName} onKeyDown={(e) => { if (e.key === 'Enter') saveEditedName(); else if (e.key === 'Escape') cancelEditingName(); }} className="edit-palette-name-input" autoFocus aria-label={`Edit palette name for ${saved.name}`} />
+                                    ) : ( <span className="saved-palette-name" onClick={() => startEditingName(saved)} title="Click to edit name" role="button" tabIndex={0} onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') startEditingName(saved); }}>{saved.name || `Palette ${saved.id}`}</span> )}
+                                </div>
+                                <div className="saved-palette-preview" aria-label="Saved palette color preview">
+                                    {Array.isArray(saved.palette) && saved.palette.slice(0, 7).map((c, i) => (<div key={`${c}-${i}`} style={{ backgroundColor: chroma.valid(c) ? c : '#cccccc' }} className="mini-swatch" title={c}></div>))}
+                                    {Array.isArray(saved.palette) && saved.palette.length > 7 && <span className="mini-swatch-more">...</span>}
+                                </div>
+                                <div className="saved-palette-meta">
+                                    <span className="saved-palette-type">{saved.type}</span>
+                                    {saved.collection && <button onClick={() => setCollectionFilter(saved.collection)} className="saved-palette-collection" title="Show this collection">📁 {saved.collection}</button>}
+                                    {(saved.tags || []).map(tag => <button key={tag} onClick={() => setTagFilter(tag)} className="tag-chip" title={`Show palettes tagged ${tag}`}>#{tag}</button>)}
+                                </div>
+                                <details className="saved-palette-organize">
+                                    <summary>Tags &amp; collection</summary>
+                                    <input type="text" key={`tags-${(saved.tags || []).join(',')}`} defaultValue={(saved.tags || []).join(', ')} onBlur={(e) => commitTags(saved, e.target.value)} onKeyDown={blurOnEnter} placeholder="brand, warm, web" className="library-meta-input" aria-label={`Tags for ${saved.name}, comma separated`} />
+                                    <input type="text" key={`collection-${saved.collection || ''}`} defaultValue={saved.collection || ''} onBlur={(e) => commitCollection(saved, e.target.value)} onKeyDown={blurOnEnter} list="libraryCollections" placeholder="Collection" className="library-meta-input" aria-label={`Collection for ${saved.name}`} />
+                                </details>
+                            </div>
+                            <div className="saved-palette-actions item-actions">
+                                <button onClick={() => onLoad(saved)} className="button load-button" title="Load Palette" aria-label={`Load palette: ${saved.name}`}><span className="button-text">Load</span></button>
+                                <button onClick={() => onCompare(saved.id)} className="button load-button" title="Compare with the current palette" aria-label={`Compare palette: ${saved.name}`}><span className="button-text">Compare</span></button>
+                                <button onClick={() => onDelete(saved.id)} className="button delete-button" title="Delete Palette" aria-label={`Delete palette: ${saved.name}`}><span className="button-text">Delete</span></button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="empty-saved-message">No saved palettes match these filters.</p>
+            )}
+        </div>
+    );
+};
+
+export default PaletteLibrary;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { SHORTCUTS } from '../utils/shortcuts';
+
+// --- Keyboard Shortcut Help Overlay ---
+const ShortcutHelp = ({ onClose }) => (
+    <div className="modal-backdrop" onClick={onClose}>
+        <div className="modal-content shortcut-help" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-heading" onClick={(e) => e.stopPropagation()}>
+            <h3 id="shortcut-help-heading">Keyboard Shortcuts</h3>
+            <p className="shortcut-help-note">Single-key shortcuts are ignored while typing in a text field.</p>
+            <dl className="shortcut-list">
+                {SHORTCUTS.map(shortcut => (
+                    <div key={shortcut.description} className="shortcut-row">
+                        <dt>{shortcut.keys.map((key, i) => <kbd key={i}>{key}</kbd>)}</dt>
+                        <dd>{shortcut.description}</dd>
+                    </div>
+                ))}
+            </dl>
+            <div className="modal-actions">
+                <button onClick={onClose} className="button" autoFocus>Close</button>
+            </div>
+        </div>
+    </div>
+);
+
+export default ShortcutHelp;
@@ -0,0 +1,111 @@
+import React, { useMemo, useState } from 'react';
+import { UI_ROLES, UI_VARIANTS, assignUiRole, resolveUiRoles } from '../utils/uiRoles';
+
+const SAMPLE_STATS = [
+    { label: 'Revenue', value: '$48.2k', change: '+12%' },
+    { label: 'Active Users', value: '3,918', change: '+4%' },
+    { label: 'Churn', value: '1.8%', change: '-0.3%' },
+];
+const SAMPLE_BARS = [40, 65, 50, 80, 55, 90, 70];
+
+// --- UI Mockup Preview ---
+// Role assignments are palette slot indexes per variant; unassigned roles are picked automatically.
+const UiPreview = ({ palette, assignments, onAssignmentsChange }) => {
+    const [variant, setVariant] = useState('light');
+    const roles = useMemo(() => resolveUiRoles(palette, assignments, variant), [palette, assignments, variant]);
+    const automatic = useMemo(() => resolveUiRoles(palette, null, variant), [palette, variant]);
+    if (!roles) return null;
+
+    const chosen = assignments?.[variant] || {};
+    const handleRoleChange = (role, value) => onAssignmentsChange(assignUiRole(assignments, variant, role, value === 'auto' ? null : Number(value)));
+    const style = {
+        '--ui-background': roles.background,
+        '--ui-surface': roles.surface,
+        '--ui-primary': roles.primary,
+        '--ui-on-primary': roles.onPrimary,
+        '--ui-primary-soft': roles.primarySoft,
+        '--ui-accent': roles.accent,
+        '--ui-on-accent': roles.onAccent,
+        '--ui-accent-soft': roles.accentSoft,
+        '--ui-text': roles.text,
+        '--ui-muted': roles.mutedText,
+        '--ui-border': roles.border,
+    };
+
+    return (
+        <div className="ui-preview-area">
+            <div className="ui-preview-header">
+                <h2>UI Preview</h2>
+                <div className="ui-variant-toggle" role="group" aria-label="Preview variant">
+                    {UI_VARIANTS.map(v => (
+                        <button key={v.value} onClick={() => setVariant(v.value)} className={`button ${variant === v.value ? 'active' : ''}`} aria-pressed={variant === v.value}>{v.label}</button>
+                    ))}
+                </div>
+            </div>
+            <div className="ui-role-editor">
+                {UI_ROLES.map(role => {
+                    const value = Number.isInteger(chosen[role.key]) && chosen[role.key] < palette.length ? String(chosen[role.key]) : 'auto';
+                    return (
+                        <div key={role.key} className="ui-role-control">
+                            <label htmlFor={`ui-role-${role.key}`} className="sub-label">
+                                <span className="mini-swatch" style={{ backgroundColor: roles[role.key] }}></span>{role.label}
+                            </label>
+                            <select id={`ui-role-${role.key}`} value={value} onChange={(e) => handleRoleChange(role.key, e.target.value)} className="select-input small">
+                                <option value="auto">Auto ({automatic[role.key]})</option>
+                                {palette.map((color, i) => <option key={`${color}-${i}`} value={i}>{i + 1} · {color}</option>)}
+                            </select>
+                        </div>
+                    );
+                })}
+                <button onClick={() => onAssignmentsChange(null)} className="button" disabled={!assignments} title="Pick every role automatically">Reset Roles</button>
+            </div>
+
+            <div className="ui-mockup" style={style} aria-label={`Sample interface using the palette (${variant})`}>
+                <div className="ui-mockup-nav">
+                    <span className="ui-mockup-logo">●</span>
+                    <strong>Dashboard</strong>
+                    <span className="ui-mockup-nav-link active">Overview</span>
+                    <span className="ui-mockup-nav-link">Reports</span>
+                    <span className="ui-mockup-avatar">AB</span>
+                </div>
+                <div className="ui-mockup-body">
+                    <div className="ui-mockup-stats">
+                        {SAMPLE_STATS.map(stat => (
+                            <div key={stat.label} className="ui-mockup-card">
+                                <span className="ui-mockup-muted">{stat.label}</span>
+                                <span className="ui-mockup-stat">{stat.value}</span>
+                                <span className="ui-mockup-badge">{stat.change}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="ui-mockup-columns">
+                        <div className="ui-mockup-card">
+                            <strong>Weekly Activity</strong>
+                            <div className="ui-mockup-chart" aria-hidden="true">
+                                {SAMPLE_BARS.map((height, i) => <span key={i} className={i === 5 ? 'highlight' : ''} style={{ height: `${height}%` }}></span>)}
+                            </div>
+                            <div className="ui-mockup-buttons">
+                                <span className="ui-mockup-button primary">Primary</span>
+                                <span className="ui-mockup-button accent">Accent</span>
+                                <span className="ui-mockup-button outline">Outline</span>
+                            </div>
+                        </div>
+                        <div className="ui-mockup-card">
+                            <strong>Invite Teammate</strong>
+                            <span className="ui-mockup-label">Email</span>
+                            <span className="ui-mockup-input">name@example.com</span>
+                            <span className="ui-mockup-label">Role</span>
+                            <span className="ui-mockup-input select">Editor ▾</span>
+                            <span className="ui-mockup-check"><span className="box checked">✓</span> Send welcome email</span>
+                            <span className="ui-mockup-check"><span className="toggle on"></span> Notify admins</span>
+                        </div>
+                    </div>
+                    <div className="ui-mockup-alert primary"><strong>Heads up:</strong> Your trial ends in 5 days.</div>
+                    <div className="ui-mockup-alert accent"><strong>New:</strong> Export reports as PDF.</div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UiPreview;
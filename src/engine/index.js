@@ -0,0 +1,460 @@
+import chroma from 'chroma-js';
+import { COLOR_NAME_DICTIONARIES, findNearestColorName, getDictionaryEntries } from '../utils/colorNames.js';
+import { COLOR_FORMATS, formatColorValue } from '../utils/colorFormats.js';
+import { parseColorInput, parseColorList } from '../utils/colorParser.js';
+import { parseLibraryBackup } from '../utils/libraryBackup.js';
+import { DEFAULT_MIX_WEIGHT, MAX_MIX_WEIGHT, MIN_MIX_WEIGHT, MIX_METHODS, mixColorList, normalizeMixWeight } from '../utils/mixing.js';
+import { SCHEMA_VERSION, createId, formatSchemaErrors, readPaletteRecord, validatePaletteRecord } from '../utils/schema.js';
+import { MAX_SWATCH_SLOTS } from '../utils/swatchOverrides.js';
+
+// --- Palette Engine (headless public API) ---
+//
+// Everything the generator needs without React or the DOM: mixing, generating,
+// formatting, parsing, serializing and validating palettes. Runs in the browser
+// and in Node (relative imports carry their .js extension for Node's ESM loader).
+
+/**
+ * A CSS color string chroma-js understands (hex, rgb(), hsl(), named, …).
+ * @typedef {string} Color
+ */
+
+/**
+ * @typedef {'monochromatic'|'analogous'|'complementary'|'split-complementary'|'triadic'|'tetradic'|'square'|'compound'|'shades'|'tints'|'tones'|'ramp'} PaletteType
+ */
+
+/**
+ * @typedef {'rgb'|'lab'|'lch'|'oklab'|'oklch'|'hsl'} ColorSpace
+ */
+
+/**
+ * @typedef {Object} ColorSpaceSettings
+ * @property {ColorSpace} mixMode Space used to average the mix colors
+ * @property {ColorSpace} interpolationMode Space used for palette scales
+ * @property {boolean} correctLightness Even out lightness steps along the scale
+ * @property {boolean} bezier Bezier interpolation (Lab-based, 2-5 stops)
+ */
+
+/**
+ * A base color to mix: a bare color or a weighted entry.
+ * @typedef {Color|{ color: Color, weight?: number, locked?: boolean }} MixInput
+ */
+
+/**
+ * @typedef {Object} PaletteOptions
+ * @property {MixInput[]} mixColors Base colors; invalid entries are ignored
+ * @property {PaletteType} [type='monochromatic']
+ * @property {number} [count=5] Ignored by 'ramp', which always has RAMP_STEP_COUNT steps
+ * @property {Partial<ColorSpaceSettings>} [colorSpace]
+ * @property {'average'|'pigment'} [mixMethod='average']
+ */
+
+/**
+ * A saved palette at the current schema version (see utils/schema.js).
+ * @typedef {Object} PaletteRecord
+ * @property {number} schemaVersion
+ * @property {string} id
+ * @property {string} name
+ * @property {{ color: Color, weight: number, locked: boolean }[]} mixColors
+ * @property {Color} mixedColor
+ * @property {Color[]} palette
+ * @property {PaletteType} type
+ * @property {number} count
+ * @property {string} gradientDirection
+ * @property {ColorSpaceSettings} colorSpace
+ * @property {string} mixMethod
+ * @property {{ index: number, color: Color }[]} swatchOverrides
+ * @property {number[]|null} swatchOrder
+ * @property {string[]} tags
+ * @property {boolean} favorite
+ * @property {string} collection
+ * @property {number} createdAt
+ * @property {Object|null} uiRoles
+ */
+
+/**
+ * @typedef {{ field: string, message: string }} ValidationError
+ */
+
+// --- Constants ---
+export const MIN_COLOR_COUNT = 3;
+export const MAX_COLOR_COUNT = 12;
+export const RAMP_STEP_COUNT = 11; // 50, 100 … 900, 950
+const RAMP_LIGHTNESS_RANGE = [0.97, 0.25]; // Default OKLCH lightness of the 50 and 950 steps
+export const GRADIENT_DIRECTIONS = [ 'to right', 'to bottom', 'to top left', 'to bottom right', '45deg', '135deg' ];
+export const PALETTE_TYPES = [
+    { value: 'monochromatic', label: 'Monochromatic' },
+    { value: 'analogous', label: 'Analogous' },
+    { value: 'complementary', label: 'Complementary' },
+    { value: 'split-complementary', label: 'Split Complementary' },
+    { value: 'triadic', label: 'Triadic' },
+    { value: 'tetradic', label: 'Tetradic (Rectangle)' },
+    { value: 'square', label: 'Square' },
+    { value: 'compound', label: 'Compound' },
+    { value: 'shades', label: 'Shades' },
+    { value: 'tints', label: 'Tints' },
+    { value: 'tones', label: 'Tones' },
+    { value: 'ramp', label: 'Ramp (50–950)' },
+];
+export const COLOR_SPACES = [
+    { value: 'rgb', label: 'RGB' },
+    { value: 'lab', label: 'CIE Lab' },
+    { value: 'lch', label: 'CIE LCH' },
+    { value: 'oklab', label: 'OKLab' },
+    { value: 'oklch', label: 'OKLCH' },
+    { value: 'hsl', label: 'HSL' },
+];
+/** @type {ColorSpaceSettings} */
+export const DEFAULT_COLOR_SPACE_SETTINGS = {
+    mixMode: 'lab',
+    interpolationMode: 'lch',
+    correctLightness: false,
+    bezier: false,
+};
+export const DEFAULT_MIX_METHOD = 'average';
+/** Display and copy formats: { value, label, group } (CSS strings, design/print, platform code) */
+export const DISPLAY_FORMATS = COLOR_FORMATS;
+export const PALETTE_EXPORT_FORMAT = 'palette-pro-palette';
+
+export { COLOR_NAME_DICTIONARIES, DEFAULT_MIX_WEIGHT, MAX_MIX_WEIGHT, MAX_SWATCH_SLOTS, MIN_MIX_WEIGHT, MIX_METHODS, SCHEMA_VERSION, createId, formatSchemaErrors, normalizeMixWeight, parseColorInput, parseColorList };
+
+// Values the saved palette schema accepts
+export const ALLOWED_VALUES = {
+    paletteTypes: PALETTE_TYPES.map(t => t.value),
+    gradientDirections: GRADIENT_DIRECTIONS,
+    colorSpaces: COLOR_SPACES.map(space => space.value),
+    mixMethods: MIX_METHODS.map(method => method.value),
+    minCount: MIN_COLOR_COUNT,
+    maxCount: MAX_COLOR_COUNT,
+    maxMixWeight: MAX_MIX_WEIGHT,
+};
+
+// --- Normalizing ---
+
+/**
+ * Validate color space settings, falling back to the defaults field by field.
+ * @param {*} settings
+ * @returns {ColorSpaceSettings}
+ */
+export const normalizeColorSpaceSettings = (settings) => {
+    const isSpace = (value) => COLOR_SPACES.some(space => space.value === value);
+    const source = settings && typeof settings === 'object' ? settings : {};
+    return {
+        mixMode: isSpace(source.mixMode) ? source.mixMode : DEFAULT_COLOR_SPACE_SETTINGS.mixMode,
+        interpolationMode: isSpace(source.interpolationMode) ? source.interpolationMode : DEFAULT_COLOR_SPACE_SETTINGS.interpolationMode,
+        correctLightness: typeof source.correctLightness === 'boolean' ? source.correctLightness : DEFAULT_COLOR_SPACE_SETTINGS.correctLightness,
+        bezier: typeof source.bezier === 'boolean' ? source.bezier : DEFAULT_COLOR_SPACE_SETTINGS.bezier,
+    };
+};
+
+/**
+ * @param {*} method
+ * @returns {string} A known mix method, or DEFAULT_MIX_METHOD
+ */
+export const normalizeMixMethod = (method) => (MIX_METHODS.some(m => m.value === method) ? method : DEFAULT_MIX_METHOD);
+
+/**
+ * @param {*} type
+ * @returns {PaletteType} A known palette type, or 'monochromatic'
+ */
+export const normalizePaletteType = (type) => (PALETTE_TYPES.some(t => t.value === type) ? type : 'monochromatic');
+
+/**
+ * Clamp a color count to MIN_COLOR_COUNT–MAX_COLOR_COUNT.
+ * @param {*} count
+ * @returns {number}
+ */
+export const normalizeColorCount = (count) => {
+    const value = Math.round(Number(count));
+    if (!Number.isFinite(value)) return 5;
+    return Math.min(MAX_COLOR_COUNT, Math.max(MIN_COLOR_COUNT, value));
+};
+
+// --- Parsing ---
+
+/**
+ * Parse a single color value: hex (with or without '#'), CSS names, any CSS Color 4 function,
+ * cmyk() or a bare "r, g, b" triple. Use parseColorInput for the reason a value was rejected.
+ * @param {*} input
+ * @returns {Color|null} Lowercase hex (#rrggbb, or #rrggbbaa with alpha), or null if unreadable
+ */
+export const parseColor = (input) => parseColorInput(input).color;
+
+// --- Mixing ---
+
+/**
+ * Mix base colors into one. Invalid entries are skipped.
+ * @param {MixInput[]} inputs
+ * @param {{ method?: string, mode?: ColorSpace }} [options] `mode` is the averaging space for the 'average' method
+ * @returns {Color|null} The mixed hex color, or null when there's nothing valid to mix
+ */
+export const mixBaseColors = (inputs, { method = DEFAULT_MIX_METHOD, mode = DEFAULT_COLOR_SPACE_SETTINGS.mixMode } = {}) => {
+    const entries = (Array.isArray(inputs) ? inputs : [])
+        .map(input => (typeof input === 'string' ? { color: input } : input))
+        .filter(entry => entry && typeof entry.color === 'string' && chroma.valid(entry.color));
+    if (entries.length === 0) return null;
+    return mixColorList(entries.map(entry => entry.color), {
+        weights: entries.map(entry => normalizeMixWeight(entry.weight ?? DEFAULT_MIX_WEIGHT)),
+        method: normalizeMixMethod(method),
+        mode,
+    });
+};
+
+// --- Generating ---
+
+// Reduce chroma until an OKLCH color fits in sRGB (keeps lightness and hue)
+const toDisplayableOklch = (l, c, h) => {
+    let color = chroma.oklch(l, c, h);
+    if (!color.clipped()) return color;
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 16; i++) {
+        const mid = (low + high) / 2;
+        if (chroma.oklch(l, mid, h).clipped()) { high = mid; } else { low = mid; }
+    }
+    return chroma.oklch(l, low, h);
+};
+
+// Tailwind/Radix-style 11-step ramp around the base color. The base becomes the step whose
+// default lightness is closest to its own; the other steps are evenly spaced in OKLCH lightness
+// from there to the ends, with the hue kept and chroma tapered toward the ends.
+const generateRamp = (base) => {
+    const [baseLightness, baseChroma, baseHue] = base.oklch();
+    const hue = isNaN(baseHue) ? 0 : baseHue;
+    const lastStep = RAMP_STEP_COUNT - 1;
+    const lightest = Math.max(RAMP_LIGHTNESS_RANGE[0], baseLightness);
+    const darkest = Math.min(RAMP_LIGHTNESS_RANGE[1], baseLightness);
+    const defaultStep = (RAMP_LIGHTNESS_RANGE[0] - baseLightness) / (RAMP_LIGHTNESS_RANGE[0] - RAMP_LIGHTNESS_RANGE[1]) * lastStep;
+    const anchor = Math.min(lastStep, Math.max(0, Math.round(defaultStep)));
+    const taper = (step) => 0.3 + 0.7 * Math.sin(Math.PI * (0.1 + 0.8 * (step / lastStep))); // Peaks mid-ramp
+    return Array.from({ length: RAMP_STEP_COUNT }, (_, i) => {
+        if (i === anchor) return base.hex();
+        const lightness = i < anchor
+            ? lightest + (baseLightness - lightest) * (i / anchor)
+            : baseLightness + (darkest - baseLightness) * ((i - anchor) / (lastStep - anchor));
+        return toDisplayableOklch(lightness, (baseChroma || 0) * (taper(i) / taper(anchor)), hue).hex();
+    });
+};
+
+// Build a color scale honoring the interpolation settings
+const buildScale = (stops, { interpolationMode, correctLightness, bezier }) => {
+    let scale = bezier && stops.length >= 2 && stops.length <= 5
+        ? chroma.bezier(stops).scale()
+        : chroma.scale(stops).mode(interpolationMode);
+    if (correctLightness) scale = scale.correctLightness();
+    return scale;
+};
+
+/**
+ * Generate a palette from a single base color.
+ * @param {Color} baseColor
+ * @param {PaletteType} [type='monochromatic'] Unknown types fall back to monochromatic
+ * @param {number} [count=5]
+ * @param {Partial<ColorSpaceSettings>} [colorSpaceSettings]
+ * @returns {Color[]} Hex colors; empty for an invalid base color or count
+ */
+export const generatePalette = (baseColor, type = 'monochromatic', count = 5, colorSpaceSettings = DEFAULT_COLOR_SPACE_SETTINGS) => {
+     if (!baseColor || !chroma.valid(baseColor) || count < 1) return [];
+    try {
+        const base = chroma(baseColor);
+        let colors = [];
+        const baseHex = base.hex(); // Use hex for consistency in scales
+        const settings = normalizeColorSpaceSettings(colorSpaceSettings);
+
+        if (type === 'ramp') { // Fixed-length scale, handles black/white itself
+            colors = generateRamp(base);
+        } else if (base.luminance() === 0) { // Black
+            colors = buildScale(['#000000', base.brighten(2).hex(), '#888888'], settings).colors(count);
+        } else if (base.luminance() === 1) { // White
+            colors = buildScale(['#888888', base.darken(2).hex(), '#ffffff'], settings).colors(count).reverse();
+        } else {
+            switch (type) {
+                case 'analogous':
+                    colors = buildScale([base.set('hsl.h', '+30'), base, base.set('hsl.h', '-30')], settings).colors(count);
+                    break;
+                case 'complementary':
+                    const complementHue = (base.hsl()[0] + 180) % 360;
+                    const complement = base.set('hsl.h', complementHue);
+                    colors = (count <= 2)
+                        ? [baseHex, complement.hex()].slice(0, count)
+                        : buildScale([baseHex, complement.hex()], settings).colors(count);
+                    break;
+                case 'triadic':
+                    const t1 = base.set('hsl.h', '+120');
+                    const t2 = base.set('hsl.h', '-120');
+                    colors = buildScale([base, t1, t2, base], settings).colors(count);
+                    break;
+                case 'split-complementary':
+                    const sc1 = base.set('hsl.h', '+150');
+                    const sc2 = base.set('hsl.h', '-150');
+                    colors = buildScale([base, sc1, sc2, base], settings).colors(count);
+                    break;
+                case 'tetradic': // Rectangle: two complementary pairs 60° apart
+                    colors = buildScale([base, base.set('hsl.h', '+60'), base.set('hsl.h', '+180'), base.set('hsl.h', '+240')], settings).colors(count);
+                    break;
+                case 'square':
+                    colors = buildScale([base, base.set('hsl.h', '+90'), base.set('hsl.h', '+180'), base.set('hsl.h', '+270')], settings).colors(count);
+                    break;
+                case 'compound': // Analogous neighbour plus the complement and its neighbour
+                    colors = buildScale([base, base.set('hsl.h', '+30'), base.set('hsl.h', '+180'), base.set('hsl.h', '+210')], settings).colors(count);
+                    break;
+                case 'shades': // Mixed toward black (pure black excluded)
+                    colors = buildScale([base, '#000000'], settings).colors(count + 1).slice(0, count);
+                    break;
+                case 'tints': // Mixed toward white (pure white excluded)
+                    colors = buildScale([base, '#ffffff'], settings).colors(count + 1).slice(0, count);
+                    break;
+                case 'tones': // Mixed toward the gray of equal lightness
+                    colors = buildScale([base, base.desaturate(10)], settings).colors(count + 1).slice(0, count);
+                    break;
+                case 'monochromatic':
+                default:
+                    colors = buildScale([base.darken(2), base, base.brighten(2)], settings).colors(count);
+                    break;
+            }
+        }
+        return colors.map(c => {
+            try { return chroma.valid(c) ? chroma(c).hex() : '#FF0000'; }
+            catch { return '#FF0000'; }
+        });
+    } catch (error) {
+        console.error(`Error generating ${type} palette for ${baseColor}:`, error);
+        return [];
+    }
+};
+
+/**
+ * Mix the base colors and generate a palette from the result - what the generator shows.
+ * @param {PaletteOptions} options
+ * @returns {{ mixedColor: Color|null, palette: Color[] }}
+ */
+export const createPalette = ({ mixColors, type = 'monochromatic', count = 5, colorSpace, mixMethod = DEFAULT_MIX_METHOD }) => {
+    const settings = normalizeColorSpaceSettings(colorSpace);
+    const mixedColor = mixBaseColors(mixColors, { method: mixMethod, mode: settings.mixMode });
+    return { mixedColor, palette: mixedColor ? generatePalette(mixedColor, type, count, settings) : [] };
+};
+
+// --- Formatting ---
+
+/**
+ * Format a color for display or copying.
+ * @param {Color} color
+ * @param {string} format One of DISPLAY_FORMATS, or 'name' for the nearest CSS color name (see nameColor).
+ *   Unknown formats give hex.
+ * @returns {string} The formatted value, 'N/A' for an invalid color
+ */
+export const formatColor = (color, format) => {
+     if (!color || !chroma.valid(color)) return 'N/A';
+    try {
+        if (format === 'name') return nameColor(chroma(color).hex()).name;
+        return formatColorValue(color, format);
+    } catch {
+        return 'Error';
+    }
+};
+
+/**
+ * Nearest named color by CIEDE2000 distance.
+ * @param {Color} color
+ * @param {string} [dictionary='css'] One of COLOR_NAME_DICTIONARIES
+ * @param {[string, Color][]} [customEntries] [name, hex] pairs for the 'custom' dictionary
+ * @returns {{ name: string, hex: Color, distance: number }|null} null for an invalid color or empty dictionary
+ */
+export const nameColor = (color, dictionary = 'css', customEntries = []) => findNearestColorName(color, getDictionaryEntries(dictionary, customEntries));
+
+// --- Serializing ---
+
+const toMixColorEntries = (mixColors) => (Array.isArray(mixColors) ? mixColors : [])
+    .map(input => (typeof input === 'string' ? { color: input } : input))
+    .filter(entry => entry && entry.valid !== false && typeof entry.color === 'string' && chroma.valid(entry.color))
+    .map(entry => ({ color: entry.color, weight: normalizeMixWeight(entry.weight ?? DEFAULT_MIX_WEIGHT), locked: entry.locked === true }));
+
+/**
+ * Build the single-palette JSON export (what "Export JSON" downloads). Derived
+ * extras such as gradientCSS are left to the caller.
+ * @param {Object} state
+ * @param {string} state.name
+ * @param {MixInput[]} state.mixColors
+ * @param {Color} state.mixedColor
+ * @param {Color[]} state.palette
+ * @param {PaletteType} state.type
+ * @param {number} state.count
+ * @param {string} [state.mixMethod]
+ * @param {string} [state.gradientDirection='to right']
+ * @param {Partial<ColorSpaceSettings>} [state.colorSpace]
+ * @param {{ index: number, color: Color }[]} [state.swatchOverrides]
+ * @param {number[]|null} [state.swatchOrder]
+ * @param {Object|null} [state.uiRoles]
+ * @returns {Object} A plain object ready for JSON.stringify
+ */
+export const serializePalette = ({ name, mixColors, mixedColor, palette, type, count, mixMethod, gradientDirection = 'to right', colorSpace, swatchOverrides = [], swatchOrder = null, uiRoles = null }) => ({
+    format: PALETTE_EXPORT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    name,
+    mixColors: toMixColorEntries(mixColors),
+    mixMethod: normalizeMixMethod(mixMethod),
+    mixedColor,
+    paletteType: type,
+    colorCount: count,
+    palette: [...palette],
+    gradientDirection,
+    colorSpace: normalizeColorSpaceSettings(colorSpace),
+    swatchOverrides,
+    swatchOrder,
+    uiRoles,
+});
+
+/**
+ * Build a saved palette record from a plain list of colors (swatch files, image extraction).
+ * Every color is pinned as an edited swatch. `count` stays in the editor's range; colors past
+ * it are kept as overrides beyond `count` (and in `palette`), so the record holds the whole file.
+ * @param {Color[]} colors Valid colors, at least one (only the first MAX_SWATCH_SLOTS are kept)
+ * @param {string} name
+ * @returns {PaletteRecord}
+ */
+export const createPaletteFromColors = (colors, name) => {
+    const kept = colors.slice(0, MAX_SWATCH_SLOTS);
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        id: createId(),
+        name,
+        mixColors: kept.map(color => ({ color, weight: DEFAULT_MIX_WEIGHT, locked: false })),
+        mixedColor: chroma.average(kept, DEFAULT_COLOR_SPACE_SETTINGS.mixMode).hex(),
+        palette: [...kept],
+        type: 'monochromatic',
+        count: normalizeColorCount(kept.length),
+        gradientDirection: 'to right',
+        colorSpace: { ...DEFAULT_COLOR_SPACE_SETTINGS },
+        mixMethod: DEFAULT_MIX_METHOD,
+        swatchOverrides: kept.map((color, index) => ({ index, color, edited: true })),
+        swatchOrder: null,
+        tags: [],
+        favorite: false,
+        collection: '',
+        createdAt: Date.now(),
+        uiRoles: null,
+    };
+};
+
+// --- Validating ---
+
+/**
+ * Strictly check a current-version palette record.
+ * @param {PaletteRecord} record
+ * @returns {ValidationError[]} Empty when valid
+ */
+export const validatePalette = (record) => validatePaletteRecord(record, ALLOWED_VALUES);
+
+/**
+ * Migrate a stored palette of any known schema version, fill optional fields and validate it.
+ * @param {*} raw
+ * @returns {{ record: PaletteRecord|null, errors: ValidationError[] }} record is null when there are errors
+ */
+export const readPalette = (raw) => readPaletteRecord(raw, ALLOWED_VALUES);
+
+/**
+ * Read a parsed JSON file: a single palette export, a library backup or a bare list of palettes.
+ * @param {*} data
+ * @returns {{ entries: PaletteRecord[], errors: { index: number, label: string, messages: string[] }[], isSinglePalette: boolean }}
+ * @throws {Error} When the file isn't a palette file this version can read
+ */
+export const parsePaletteFile = (data) => parseLibraryBackup(data, ALLOWED_VALUES);
@@ -0,0 +1,266 @@
+import chroma from 'chroma-js';
+import {
+  ALLOWED_VALUES, DEFAULT_COLOR_SPACE_SETTINGS, MAX_COLOR_COUNT, MAX_SWATCH_SLOTS, MIN_COLOR_COUNT, PALETTE_EXPORT_FORMAT, PALETTE_TYPES, RAMP_STEP_COUNT, SCHEMA_VERSION,
+  createPalette, createPaletteFromColors, formatColor, generatePalette, mixBaseColors, nameColor, normalizeColorCount, normalizeColorSpaceSettings,
+  normalizeMixMethod, normalizePaletteType, parseColor, parsePaletteFile, readPalette, serializePalette, validatePalette,
+} from './index';
+import { applySwatchOverrides, parseSwatchOverrides } from '../utils/swatchOverrides';
+
+const isHex = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+describe('generatePalette', () => {
+  test('produces the requested number of hex colors for every type', () => {
+    PALETTE_TYPES.filter(t => t.value !== 'ramp').forEach(({ value }) => {
+      const colors = generatePalette('#3366cc', value, 7);
+      expect(colors).toHaveLength(7);
+      colors.forEach(color => expect(isHex(color)).toBe(true));
+    });
+  });
+
+  test('is deterministic', () => {
+    expect(generatePalette('#3366cc', 'triadic', 6)).toEqual(generatePalette('#3366cc', 'triadic', 6));
+  });
+
+  test('ramp always has 11 steps going from light to dark', () => {
+    ['#3366cc', '#fef3c7', '#1e1b4b', '#808080', '#e11d48', '#000000', '#ffffff'].forEach(base => {
+      const ramp = generatePalette(base, 'ramp', 4);
+      expect(ramp).toHaveLength(RAMP_STEP_COUNT);
+      const lightness = ramp.map(color => chroma(color).oklch()[0]);
+      lightness.slice(1).forEach((l, i) => expect(l).toBeLessThan(lightness[i]));
+    });
+  });
+
+  test('ramp contains the base color at the step matching its lightness', () => {
+    expect(generatePalette('#3366cc', 'ramp').indexOf('#3366cc')).toBe(6); // OKLCH L 0.53 -> 600
+    expect(generatePalette('#fef3c7', 'ramp').indexOf('#fef3c7')).toBe(0);
+    expect(generatePalette('#1e1b4b', 'ramp').indexOf('#1e1b4b')).toBe(RAMP_STEP_COUNT - 1);
+    expect(generatePalette('#000000', 'ramp')[RAMP_STEP_COUNT - 1]).toBe('#000000');
+    expect(generatePalette('#ffffff', 'ramp')[0]).toBe('#ffffff');
+  });
+
+  test('color wheel types place their stops at the expected hue offsets', () => {
+    const baseHue = chroma('#3366cc').hsl()[0];
+    const offsetOf = (color) => (chroma(color).hsl()[0] - baseHue + 360) % 360;
+    const expectOffsets = (type, offsets) => {
+      generatePalette('#3366cc', type, offsets.length).forEach((color, i) => {
+        const difference = Math.abs(offsetOf(color) - offsets[i]);
+        expect(Math.min(difference, 360 - difference)).toBeLessThan(2);
+      });
+    };
+    expectOffsets('complementary', [0, 180]);
+    expectOffsets('triadic', [0, 120, 240, 0]);
+    expectOffsets('split-complementary', [0, 150, 210, 0]);
+    expectOffsets('tetradic', [0, 60, 180, 240]);
+    expectOffsets('square', [0, 90, 180, 270]);
+    expectOffsets('compound', [0, 30, 180, 210]);
+    expectOffsets('analogous', [30, 0, 330]);
+  });
+
+  test('shades, tints and tones keep the base color first', () => {
+    ['shades', 'tints', 'tones'].forEach(type => expect(generatePalette('#3366cc', type, 5)[0]).toBe('#3366cc'));
+    expect(generatePalette('#3366cc', 'shades', 5)).not.toContain('#000000');
+    expect(generatePalette('#3366cc', 'tints', 5)).not.toContain('#ffffff');
+  });
+
+  test('shades darken, tints lighten and tones lose chroma step by step', () => {
+    const lightness = (type) => generatePalette('#3366cc', type, 6).map(color => chroma(color).get('lab.l'));
+    const chromaOf = (type) => generatePalette('#3366cc', type, 6).map(color => chroma(color).get('lch.c'));
+    lightness('shades').slice(1).forEach((l, i) => expect(l).toBeLessThan(lightness('shades')[i]));
+    lightness('tints').slice(1).forEach((l, i) => expect(l).toBeGreaterThan(lightness('tints')[i]));
+    chromaOf('tones').slice(1).forEach((c, i) => expect(c).toBeLessThan(chromaOf('tones')[i]));
+  });
+
+  test('handles black and white bases', () => {
+    expect(generatePalette('#000000', 'analogous', 5)[0]).toBe('#000000');
+    expect(generatePalette('#ffffff', 'analogous', 5)[0]).toBe('#ffffff');
+  });
+
+  test('honors the color space settings', () => {
+    const lch = generatePalette('#ff0000', 'complementary', 5, { interpolationMode: 'lch' });
+    const rgb = generatePalette('#ff0000', 'complementary', 5, { interpolationMode: 'rgb' });
+    expect(lch).not.toEqual(rgb);
+    expect(rgb[0]).toBe('#ff0000');
+    expect(rgb[4]).toBe('#00ffff');
+  });
+
+  test('returns an empty list for invalid input', () => {
+    expect(generatePalette('not-a-color', 'triadic', 5)).toEqual([]);
+    expect(generatePalette('', 'triadic', 5)).toEqual([]);
+    expect(generatePalette('#3366cc', 'triadic', 0)).toEqual([]);
+  });
+
+  test('falls back to monochromatic for unknown types', () => {
+    expect(generatePalette('#3366cc', 'nope', 5)).toEqual(generatePalette('#3366cc', 'monochromatic', 5));
+  });
+});
+
+describe('mixBaseColors', () => {
+  test('mixes bare colors and weighted entries', () => {
+    expect(mixBaseColors(['#ff0000'])).toBe('#ff0000');
+    expect(mixBaseColors(['#000000', '#ffffff'], { mode: 'rgb' })).toBe(chroma.average(['#000000', '#ffffff'], 'rgb').hex());
+    const weighted = mixBaseColors([{ color: '#000000', weight: 3 }, { color: '#ffffff', weight: 1 }], { mode: 'rgb' });
+    expect(weighted).toBe(chroma.average(['#000000', '#ffffff'], 'rgb', [3, 1]).hex());
+  });
+
+  test('supports the pigment model', () => {
+    const green = chroma(mixBaseColors(['#0000ff', '#ffff00'], { method: 'pigment' }));
+    expect(green.get('rgb.g')).toBeGreaterThan(green.get('rgb.r'));
+    expect(green.get('rgb.g')).toBeGreaterThan(green.get('rgb.b'));
+  });
+
+  test('skips invalid entries and returns null when nothing is left', () => {
+    expect(mixBaseColors(['#ff0000', 'nope', { color: 42 }, null])).toBe('#ff0000');
+    expect(mixBaseColors(['nope'])).toBeNull();
+    expect(mixBaseColors([])).toBeNull();
+    expect(mixBaseColors(undefined)).toBeNull();
+  });
+});
+
+describe('createPalette', () => {
+  test('matches mixing then generating', () => {
+    const options = { mixColors: ['#ff0000', { color: '#0000ff', weight: 2 }], type: 'analogous', count: 6, colorSpace: { mixMode: 'oklab' } };
+    const { mixedColor, palette } = createPalette(options);
+    expect(mixedColor).toBe(mixBaseColors(options.mixColors, { mode: 'oklab' }));
+    expect(palette).toEqual(generatePalette(mixedColor, 'analogous', 6, { ...DEFAULT_COLOR_SPACE_SETTINGS, mixMode: 'oklab' }));
+  });
+
+  test('returns an empty palette without valid colors', () => {
+    expect(createPalette({ mixColors: ['nope'] })).toEqual({ mixedColor: null, palette: [] });
+  });
+});
+
+describe('formatColor', () => {
+  test('formats hex, rgb, hsl and names', () => {
+    expect(formatColor('#FF0000', 'hex')).toBe('#ff0000');
+    expect(formatColor('#ff0000', 'rgb')).toBe('rgb(255, 0, 0)');
+    expect(formatColor('#ff0000', 'hsl')).toBe('hsl(0, 100%, 50%)');
+    expect(formatColor('#808080', 'hsl')).toBe('hsl(0, 0%, 50%)');
+    expect(formatColor('#e11d48', 'oklch')).toBe('oklch(58.59% 0.2221 17.59)');
+    expect(formatColor('#e11d48', 'compose')).toBe('Color(0xFFE11D48)');
+    expect(formatColor('#e11d48', 'unknown')).toBe('#e11d48');
+    expect(formatColor('#ff0000', 'name')).toBe('red');
+    expect(formatColor('#191971', 'name')).toBe('midnightblue');
+  });
+
+  test('reports invalid colors', () => {
+    expect(formatColor('nope', 'hex')).toBe('N/A');
+    expect(formatColor(null, 'rgb')).toBe('N/A');
+  });
+});
+
+describe('nameColor', () => {
+  test('finds the nearest name in the chosen dictionary', () => {
+    expect(nameColor('#ff6347')).toEqual({ name: 'tomato', hex: '#ff6347', distance: 0 });
+    expect(nameColor('#c1121d', 'ral').name).toBe('RAL 3020 Traffic red');
+    expect(nameColor('#0f4c80', 'pantone').name).toBe('Classic Blue');
+    expect(nameColor('#0f4c80', 'custom', [['Brand', '#0f4c81']])).toMatchObject({ name: 'Brand', hex: '#0f4c81' });
+    expect(nameColor('#0f4c80', 'custom')).toBeNull();
+    expect(nameColor('nope')).toBeNull();
+  });
+});
+
+describe('parseColor', () => {
+  test('returns lowercase hex for any CSS color', () => {
+    expect(parseColor(' #FF0000 ')).toBe('#ff0000');
+    expect(parseColor('rgb(0, 128, 0)')).toBe('#008000');
+    expect(parseColor('rebeccapurple')).toBe('#663399');
+    expect(parseColor('cmyk(0, 100, 100, 0)')).toBe('#ff0000');
+    expect(parseColor('oklch(62.8% 0.2577 29.23 / 50%)')).toBe('#ff000080');
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseColor('nope')).toBeNull();
+    expect(parseColor('')).toBeNull();
+    expect(parseColor(42)).toBeNull();
+  });
+});
+
+describe('normalizers', () => {
+  test('fill in defaults field by field', () => {
+    expect(normalizeColorSpaceSettings(null)).toEqual(DEFAULT_COLOR_SPACE_SETTINGS);
+    expect(normalizeColorSpaceSettings({ mixMode: 'oklch', bezier: 'yes' })).toEqual({ ...DEFAULT_COLOR_SPACE_SETTINGS, mixMode: 'oklch' });
+    expect(normalizeMixMethod('pigment')).toBe('pigment');
+    expect(normalizeMixMethod('magic')).toBe('average');
+    expect(normalizePaletteType('ramp')).toBe('ramp');
+    expect(normalizePaletteType('magic')).toBe('monochromatic');
+  });
+
+  test('clamp color counts', () => {
+    expect(normalizeColorCount(1)).toBe(MIN_COLOR_COUNT);
+    expect(normalizeColorCount(99)).toBe(MAX_COLOR_COUNT);
+    expect(normalizeColorCount('6')).toBe(6);
+    expect(normalizeColorCount('many')).toBe(5);
+  });
+});
+
+describe('serializing and validating', () => {
+  const state = {
+    name: 'Sunset',
+    mixColors: [{ color: '#ff6600', weight: 2, locked: true, valid: true, id: 1 }, { color: 'oops', valid: false }],
+    mixedColor: '#ff6600',
+    palette: ['#ff6600', '#cc5200', '#993d00'],
+    type: 'shades',
+    count: 3,
+    mixMethod: 'average',
+    colorSpace: { mixMode: 'oklab' },
+  };
+
+  test('serializes the export format', () => {
+    const data = serializePalette(state);
+    expect(data).toMatchObject({ format: PALETTE_EXPORT_FORMAT, schemaVersion: SCHEMA_VERSION, name: 'Sunset', paletteType: 'shades', colorCount: 3, gradientDirection: 'to right' });
+    expect(data.mixColors).toEqual([{ color: '#ff6600', weight: 2, locked: true }]);
+    expect(data.colorSpace).toEqual({ ...DEFAULT_COLOR_SPACE_SETTINGS, mixMode: 'oklab' });
+    expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+  });
+
+  test('round-trips an export through parsePaletteFile', () => {
+    const { entries, errors, isSinglePalette } = parsePaletteFile(JSON.parse(JSON.stringify(serializePalette(state))));
+    expect(errors).toEqual([]);
+    expect(isSinglePalette).toBe(true);
+    expect(entries[0]).toMatchObject({ name: 'Sunset', type: 'shades', count: 3, palette: state.palette });
+    expect(validatePalette(entries[0])).toEqual([]);
+  });
+
+  test('reports invalid entries in a file', () => {
+    const { entries, errors } = parsePaletteFile([createPaletteFromColors(['#ff0000', '#00ff00'], 'Good'), { name: 'Bad', palette: ['nope'] }]);
+    expect(entries.map(e => e.name)).toEqual(['Good']);
+    expect(errors[0].label).toBe('#2 "Bad"');
+    expect(errors[0].messages.some(m => m.startsWith('palette[0]'))).toBe(true);
+    expect(() => parsePaletteFile({ format: 'palette-pro-library', version: 99, palettes: [] })).toThrow(/newer/);
+  });
+
+  test('builds valid records from plain color lists', () => {
+    const record = createPaletteFromColors(['#ff0000', '#0000ff'], 'Two');
+    expect(validatePalette(record)).toEqual([]);
+    expect(record.count).toBe(MIN_COLOR_COUNT);
+    expect(record.swatchOverrides).toEqual([{ index: 0, color: '#ff0000', edited: true }, { index: 1, color: '#0000ff', edited: true }]);
+    expect(record.mixedColor).toBe(chroma.average(['#ff0000', '#0000ff'], 'lab').hex());
+
+    // Long swatch files keep the editor's count but every color up to the swatch slot limit
+    const colors = Array.from({ length: MAX_SWATCH_SLOTS + 6 }, (_, i) => chroma.hsl(i * 5, 0.6, 0.5).hex());
+    const large = createPaletteFromColors(colors, 'Large');
+    expect(validatePalette(large)).toEqual([]);
+    expect(large.count).toBe(MAX_COLOR_COUNT);
+    expect(large.palette).toEqual(colors.slice(0, MAX_SWATCH_SLOTS));
+    expect(parseSwatchOverrides(large.swatchOverrides)[MAX_SWATCH_SLOTS - 1].color).toBe(colors[MAX_SWATCH_SLOTS - 1]);
+  });
+
+  test('reloads extracted image colors as extracted, in coverage order', () => {
+    const extracted = ['#2f4f2f', '#e8d9b5', '#1b2a41', '#c0563a', '#8fa3ad'];
+    const { record } = readPalette(JSON.parse(JSON.stringify(createPaletteFromColors(extracted, 'Image (5)'))));
+    // What loading a saved palette does: regenerate from the record, then apply its overrides
+    const generated = generatePalette(record.mixedColor, record.type, record.count, record.colorSpace);
+    expect(applySwatchOverrides(generated, record.swatchOrder, parseSwatchOverrides(record.swatchOverrides))).toEqual(extracted);
+  });
+
+  test('migrates old records and validates against the engine values', () => {
+    const { record, errors } = readPalette({ id: 1700000000000, name: 'Old', mixColors: ['#ff0000'], mixedColor: '#ff0000', palette: ['#ff0000'], type: 'triadic', count: 5, gradientDirection: 'to right' });
+    expect(errors).toEqual([]);
+    expect(record).toMatchObject({ schemaVersion: SCHEMA_VERSION, id: '1700000000000', mixMethod: 'average' });
+
+    const bad = readPalette({ ...record, type: 'made-up', count: MAX_COLOR_COUNT + 1 });
+    expect(bad.record).toBeNull();
+    expect(bad.errors.map(e => e.field)).toEqual(['type', 'count']);
+    expect(ALLOWED_VALUES.paletteTypes).toContain('ramp');
+  });
+});
@@ -0,0 +1,130 @@
+import chroma from 'chroma-js';
+import { DEFAULT_GRADIENT_SETTINGS, buildGradientCss, resolveGradientStops } from './gradient.js';
+
+// --- Code Export Formats ---
+
+export const CODE_EXPORT_FORMATS = [
+    { value: 'css', label: 'CSS Custom Properties', extension: 'css', mimeType: 'text/css' },
+    { value: 'scss', label: 'SCSS Variables & Map', extension: 'scss', mimeType: 'text/x-scss' },
+    { value: 'tailwind', label: 'Tailwind Config', extension: 'js', mimeType: 'text/javascript' },
+    { value: 'dtcg', label: 'W3C Design Tokens (DTCG)', extension: 'tokens.json', mimeType: 'application/json' },
+];
+
+export const TOKEN_NAMING_SCHEMES = [
+    { value: 'index', label: 'Numbered (1, 2, 3…)' },
+    { value: 'scale', label: 'Scale (100, 200, 300…)' },
+    { value: 'name', label: 'Color names (nearest match)' },
+];
+
+export const DEFAULT_TOKEN_PREFIX = 'palette';
+
+// Turn free text into a safe kebab-case token name
+export const toTokenName = (value, fallback = DEFAULT_TOKEN_PREFIX) => {
+    const cleaned = String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return cleaned || fallback;
+};
+
+// Token name that can start a CSS/SCSS variable: identifiers may not begin with a digit
+export const toVariableName = (value, fallback = DEFAULT_TOKEN_PREFIX) => {
+    const name = toTokenName(value, fallback);
+    return /^\d/.test(name) ? `${DEFAULT_TOKEN_PREFIX}-${name}` : name;
+};
+
+// Step names for a palette of the given length
+export const getScaleStepNames = (count) => {
+    if (count === 11) return ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+    return Array.from({ length: count }, (_, i) => String((i + 1) * 100));
+};
+
+// Token keys from color names; repeats get a numeric suffix ("teal", "teal-2")
+const getNameKeys = (names) => {
+    const counts = {};
+    return names.map((name, i) => {
+        const key = toTokenName(name, String(i + 1));
+        counts[key] = (counts[key] || 0) + 1;
+        return counts[key] > 1 ? `${key}-${counts[key]}` : key;
+    });
+};
+
+// Collect the named tokens shared by every export format.
+// `names` (one per palette color) are used as keys by the 'name' naming scheme.
+// The gradient follows the gradient builder's settings, so it matches its "Copy CSS".
+export const buildColorTokens = ({ palette = [], mixedColor = null, gradientDirection = 'to right', gradientSettings = DEFAULT_GRADIENT_SETTINGS }, { prefix = DEFAULT_TOKEN_PREFIX, naming = 'index', names = [] } = {}) => {
+    const group = toVariableName(prefix);
+    const validIndexes = palette.map((c, i) => (chroma.valid(c) ? i : -1)).filter(i => i >= 0);
+    const colors = validIndexes.map(i => chroma(palette[i]).hex());
+    const gradientStops = resolveGradientStops(palette, gradientSettings);
+    const stepNames = naming === 'scale' ? getScaleStepNames(colors.length)
+        : naming === 'name' ? getNameKeys(validIndexes.map(i => names[i] || ''))
+        : colors.map((_, i) => String(i + 1));
+    return {
+        group,
+        colors: colors.map((value, i) => ({ key: stepNames[i], value })),
+        mixed: mixedColor && chroma.valid(mixedColor) ? { key: 'mixed', value: chroma(mixedColor).hex() } : null,
+        gradient: colors.length >= 2 ? {
+            key: 'gradient',
+            direction: gradientDirection,
+            stops: gradientStops,
+            css: buildGradientCss(gradientStops, gradientSettings, gradientDirection),
+        } : null,
+    };
+};
+
+const toCssVariables = (tokens) => {
+    const lines = tokens.colors.map(t => `  --${tokens.group}-${t.key}: ${t.value};`);
+    if (tokens.mixed) lines.push(`  --${tokens.group}-${tokens.mixed.key}: ${tokens.mixed.value};`);
+    if (tokens.gradient) lines.push(`  --${tokens.group}-${tokens.gradient.key}: ${tokens.gradient.css};`);
+    return `:root {\n${lines.join('\n')}\n}\n`;
+};
+
+const toScss = (tokens) => {
+    const variables = tokens.colors.map(t => `$${tokens.group}-${t.key}: ${t.value};`);
+    if (tokens.mixed) variables.push(`$${tokens.group}-${tokens.mixed.key}: ${tokens.mixed.value};`);
+    if (tokens.gradient) variables.push(`$${tokens.group}-${tokens.gradient.key}: ${tokens.gradient.css};`);
+    const mapEntries = tokens.colors.map(t => `  '${t.key}': ${t.value},`);
+    if (tokens.mixed) mapEntries.push(`  '${tokens.mixed.key}': ${tokens.mixed.value},`);
+    return `${variables.join('\n')}\n\n$${tokens.group}: (\n${mapEntries.join('\n')}\n);\n`;
+};
+
+const toTailwind = (tokens) => {
+    const quoteKey = (key) => (/^[a-z_$][a-z0-9_$]*$/i.test(key) ? key : `'${key}'`);
+    const colorLines = tokens.colors.map(t => `          ${quoteKey(t.key)}: '${t.value}',`);
+    if (tokens.mixed) colorLines.push(`          DEFAULT: '${tokens.mixed.value}',`);
+    const backgroundImage = tokens.gradient
+        ? `,\n      backgroundImage: {\n        '${tokens.group}-${tokens.gradient.key}': '${tokens.gradient.css}',\n      }`
+        : '';
+    return `/** @type {import('tailwindcss').Config} */\nmodule.exports = {\n  theme: {\n    extend: {\n      colors: {\n        ${quoteKey(tokens.group)}: {\n${colorLines.join('\n')}\n        },\n      }${backgroundImage},\n    },\n  },\n};\n`;
+};
+
+const toDesignTokens = (tokens) => {
+    const group = { $type: 'color' };
+    tokens.colors.forEach(t => { group[t.key] = { $value: t.value }; });
+    if (tokens.mixed) group[tokens.mixed.key] = { $value: tokens.mixed.value, $description: 'Mixed base color' };
+    const document = { [tokens.group]: group };
+    if (tokens.gradient) {
+        document[`${tokens.group}-${tokens.gradient.key}`] = {
+            $type: 'gradient',
+            $value: tokens.gradient.stops.map(stop => ({ color: chroma(stop.color).alpha(stop.opacity).hex(), position: Number((stop.position / 100).toFixed(4)) })),
+            $description: tokens.gradient.css,
+        };
+    }
+    return `${JSON.stringify(document, null, 2)}\n`;
+};
+
+const FORMATTERS = {
+    css: toCssVariables,
+    scss: toScss,
+    tailwind: toTailwind,
+    dtcg: toDesignTokens,
+};
+
+// Render the palette in one of CODE_EXPORT_FORMATS
+export const formatPaletteCode = (format, source, options) => {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new Error(`Unknown export format: ${format}`);
+    return formatter(buildColorTokens(source, options));
+};
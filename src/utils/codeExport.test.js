@@ -0,0 +1,56 @@
+import { buildColorTokens, formatPaletteCode, getScaleStepNames, toTokenName, toVariableName } from './codeExport';
+
+const source = { palette: ['#111111', '#888888', '#eeeeee'], mixedColor: '#888888', gradientDirection: 'to right' };
+
+test('sanitizes token names', () => {
+  expect(toTokenName('  Brand Colors! ')).toBe('brand-colors');
+  expect(toTokenName('***')).toBe('palette');
+  expect(toVariableName('1 Primary')).toBe('palette-1-primary');
+  expect(toVariableName('Brand 2')).toBe('brand-2');
+});
+
+test('never starts a variable name with a digit', () => {
+  expect(formatPaletteCode('scss', source, { prefix: '1-primary' })).toContain('$palette-1-primary-1: #111111;');
+  expect(formatPaletteCode('scss', source, { prefix: '2024' })).toContain('$palette-2024: (');
+  expect(formatPaletteCode('css', source, { prefix: '1-primary' })).toContain('--palette-1-primary-1: #111111;');
+});
+
+test('names tokens by index, scale step or color name', () => {
+  expect(buildColorTokens(source).colors.map(t => t.key)).toEqual(['1', '2', '3']);
+  expect(buildColorTokens(source, { naming: 'scale' }).colors.map(t => t.key)).toEqual(['100', '200', '300']);
+  expect(buildColorTokens(source, { naming: 'name', names: ['Near Black', 'gray', 'Gray'] }).colors.map(t => t.key)).toEqual(['near-black', 'gray', 'gray-2']);
+  expect(buildColorTokens(source, { naming: 'name' }).colors.map(t => t.key)).toEqual(['1', '2', '3']);
+  expect(getScaleStepNames(11)[0]).toBe('50');
+});
+
+test('formats CSS custom properties', () => {
+  const css = formatPaletteCode('css', source, { prefix: 'brand' });
+  expect(css).toContain('--brand-1: #111111;');
+  expect(css).toContain('--brand-mixed: #888888;');
+  expect(css).toContain('--brand-gradient: linear-gradient(90deg, #111111 0%, #888888 50%, #eeeeee 100%);');
+});
+
+test('builds the gradient token from the gradient builder settings', () => {
+  const gradientSettings = { type: 'radial', centerX: 25, centerY: 75, easing: 'linear', smoothing: 0, stops: [{ position: 0, opacity: 1 }, { position: 20, opacity: 0.5 }, { position: 100, opacity: 1 }] };
+  const withSettings = { ...source, gradientSettings };
+  expect(formatPaletteCode('css', withSettings)).toContain('--palette-gradient: radial-gradient(circle at 25% 75%, #111111 0%, rgba(136, 136, 136, 0.5) 20%, #eeeeee 100%);');
+  expect(formatPaletteCode('scss', withSettings)).toContain('$palette-gradient: radial-gradient(circle at 25% 75%');
+  expect(formatPaletteCode('tailwind', withSettings)).toContain("'palette-gradient': 'radial-gradient(circle at 25% 75%");
+  const tokens = JSON.parse(formatPaletteCode('dtcg', withSettings));
+  expect(tokens['palette-gradient'].$value[1]).toEqual({ color: '#88888880', position: 0.2 });
+  // Smoothing adds the builder's OKLab stops
+  expect(JSON.parse(formatPaletteCode('dtcg', { ...source, gradientSettings: { ...gradientSettings, smoothing: 1, stops: null } }))['palette-gradient'].$value).toHaveLength(5);
+});
+
+test('formats SCSS, Tailwind and DTCG output', () => {
+  expect(formatPaletteCode('scss', source)).toContain("$palette: (\n  '1': #111111,");
+  expect(formatPaletteCode('tailwind', source)).toContain("'1': '#111111',");
+  const tokens = JSON.parse(formatPaletteCode('dtcg', source));
+  expect(tokens.palette.$type).toBe('color');
+  expect(tokens.palette['2'].$value).toBe('#888888');
+  expect(tokens['palette-gradient'].$value[2]).toEqual({ color: '#eeeeee', position: 1 });
+});
+
+test('rejects unknown formats', () => {
+  expect(() => formatPaletteCode('xml', source)).toThrow('Unknown export format');
+});
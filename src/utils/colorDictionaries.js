@@ -0,0 +1,103 @@
+import chroma from 'chroma-js';
+
+// --- Bundled Color Name Dictionaries ---
+//
+// Each dictionary is a list of [name, hex]. Sources:
+//   css     - the CSS Color 4 named colors (from chroma-js)
+//   xkcd    - the most common names from Randall Munroe's XKCD color survey (public domain)
+//   pantone - well-known Pantone "Color of the Year" shades under their common names, as
+//             approximate sRGB (not official Pantone data)
+//   ral     - RAL Classic, as approximate sRGB (RAL publishes no official screen values)
+
+// CSS spells every gray both ways; keep the "gray" spelling
+export const CSS_COLOR_NAMES = Object.entries(chroma.colors)
+    .filter(([name]) => !(name.includes('grey') && name.replace('grey', 'gray') in chroma.colors))
+    .map(([name, hex]) => [name, hex.toLowerCase()]);
+
+export const XKCD_COLOR_NAMES = [
+    ['purple', '#7e1e9c'], ['green', '#15b01a'], ['blue', '#0343df'], ['pink', '#ff81c0'], ['brown', '#653700'],
+    ['red', '#e50000'], ['light blue', '#95d0fc'], ['teal', '#029386'], ['orange', '#f97306'], ['light green', '#96f97b'],
+    ['magenta', '#c20078'], ['yellow', '#ffff14'], ['sky blue', '#75bbfd'], ['grey', '#929591'], ['lime green', '#89fe05'],
+    ['light purple', '#bf77f6'], ['violet', '#9a0eea'], ['dark green', '#033500'], ['turquoise', '#06c2ac'], ['lavender', '#c79fef'],
+    ['dark blue', '#00035b'], ['tan', '#d1b26f'], ['cyan', '#00ffff'], ['aqua', '#13eac9'], ['forest green', '#06470c'],
+    ['mauve', '#ae7181'], ['dark purple', '#35063e'], ['bright green', '#01ff07'], ['maroon', '#650021'], ['olive', '#6e750e'],
+    ['salmon', '#ff796c'], ['beige', '#e6daa6'], ['royal blue', '#0504aa'], ['navy blue', '#001146'], ['lilac', '#cea2fd'],
+    ['black', '#000000'], ['hot pink', '#ff028d'], ['light brown', '#ad8150'], ['pale green', '#c7fdb5'], ['peach', '#ffb07c'],
+    ['olive green', '#677a04'], ['dark pink', '#cb416b'], ['periwinkle', '#8e82fe'], ['sea green', '#53fca1'], ['lime', '#aaff32'],
+    ['indigo', '#380282'], ['mustard', '#ceb301'], ['light pink', '#ffd1df'], ['rose', '#cf6275'], ['bright blue', '#0165fc'],
+    ['neon green', '#0cff0c'], ['burnt orange', '#c04e01'], ['aquamarine', '#04d8b2'], ['navy', '#01153e'], ['grass green', '#3f9b0b'],
+    ['pale blue', '#d0fefe'], ['dark red', '#840000'], ['bright purple', '#be03fd'], ['yellow green', '#c0fb2d'], ['baby blue', '#a2cffe'],
+    ['gold', '#dbb40c'], ['mint green', '#8fff9f'], ['plum', '#580f41'], ['royal purple', '#4b006e'], ['brick red', '#8f1402'],
+    ['dark teal', '#014d4e'], ['burgundy', '#610023'], ['khaki', '#aaa662'], ['blue green', '#137e6d'], ['seafoam green', '#7af9ab'],
+    ['kelly green', '#02ab2e'], ['light turquoise', '#7ef4cc'], ['pea green', '#8eab12'], ['slate blue', '#5b7c99'], ['mint', '#9ffeb0'],
+    ['cerulean', '#0485d1'], ['coral', '#fc5a50'], ['light teal', '#90e4c1'], ['fuchsia', '#ed0dd9'], ['light violet', '#d6b4fc'],
+    ['emerald', '#01a049'], ['chartreuse', '#c1f80a'], ['ochre', '#bf9005'], ['cobalt', '#1e488f'], ['crimson', '#8c000f'],
+    ['bright pink', '#fe01b1'], ['sand', '#e2ca76'], ['cream', '#ffffc2'], ['scarlet', '#be0119'], ['raspberry', '#b00149'],
+    ['slate', '#516572'], ['eggplant', '#380835'], ['denim blue', '#3b5b92'], ['terracotta', '#ca6641'], ['brick', '#a03623'],
+    ['charcoal', '#343837'], ['ivory', '#ffffcb'], ['cornflower', '#6a79f7'], ['sage', '#87ae73'], ['rust', '#a83c09'],
+    ['mahogany', '#4a0100'], ['ocean blue', '#03719c'], ['midnight blue', '#020035'], ['sunflower', '#ffc512'], ['butter', '#ffff81'],
+    ['apricot', '#ffb16d'], ['lemon', '#fdff52'], ['steel blue', '#5a7d9a'], ['taupe', '#b9a281'],
+    ['dusty rose', '#c0737a'], ['wine', '#80013f'], ['off white', '#ffffe4'], ['light grey', '#d8dcd6'], ['dark grey', '#363737'],
+    ['white', '#ffffff'], ['blush', '#f29e8e'], ['moss green', '#658b38'], ['electric blue', '#0652ff'], ['amber', '#feb308'],
+    ['windows blue', '#3778bf'], ['dusty teal', '#4c9085'], ['spruce', '#0a5f38'], ['cloudy blue', '#acc2d9'], ['tea', '#65ab7c'],
+];
+
+export const PANTONE_LIKE_COLOR_NAMES = [
+    ['Cerulean', '#9bb7d4'], ['Fuchsia Rose', '#c74375'], ['True Red', '#bf1932'], ['Aqua Sky', '#7bc4c4'],
+    ['Tigerlily', '#e2583e'], ['Blue Turquoise', '#53b0ae'], ['Sand Dollar', '#decdbe'], ['Chili Pepper', '#9b1b30'],
+    ['Blue Iris', '#5a5b9f'], ['Mimosa', '#f0c05a'], ['Turquoise', '#45b5aa'], ['Honeysuckle', '#d94f70'],
+    ['Tangerine Tango', '#dd4124'], ['Emerald', '#009473'], ['Radiant Orchid', '#b163a3'], ['Marsala', '#955251'],
+    ['Rose Quartz', '#f7cac9'], ['Serenity', '#92a8d1'], ['Greenery', '#88b04b'], ['Ultra Violet', '#5f4b8b'],
+    ['Living Coral', '#ff6f61'], ['Classic Blue', '#0f4c81'], ['Illuminating', '#f5df4d'], ['Ultimate Gray', '#939597'],
+    ['Very Peri', '#6667ab'], ['Viva Magenta', '#bb2649'], ['Peach Fuzz', '#ffbe98'], ['Mocha Mousse', '#a47864'],
+];
+
+export const RAL_COLOR_NAMES = [
+    ['RAL 1000 Green beige', '#cdba88'], ['RAL 1001 Beige', '#d0b084'], ['RAL 1002 Sand yellow', '#d2aa6d'], ['RAL 1003 Signal yellow', '#f9a800'],
+    ['RAL 1004 Golden yellow', '#e49e00'], ['RAL 1005 Honey yellow', '#cb8e00'], ['RAL 1006 Maize yellow', '#e29000'], ['RAL 1007 Daffodil yellow', '#e88c00'],
+    ['RAL 1011 Brown beige', '#af804f'], ['RAL 1012 Lemon yellow', '#ddaf27'], ['RAL 1013 Oyster white', '#e3d9c6'], ['RAL 1014 Ivory', '#ddc49a'],
+    ['RAL 1015 Light ivory', '#e6d2b5'], ['RAL 1016 Sulfur yellow', '#f1dd38'], ['RAL 1017 Saffron yellow', '#f6a950'], ['RAL 1018 Zinc yellow', '#faca30'],
+    ['RAL 1019 Grey beige', '#a48f7a'], ['RAL 1020 Olive yellow', '#a08f65'], ['RAL 1021 Rape yellow', '#f6b600'], ['RAL 1023 Traffic yellow', '#f7b500'],
+    ['RAL 1024 Ochre yellow', '#ba8f4c'], ['RAL 1027 Curry', '#a77f0e'], ['RAL 1028 Melon yellow', '#ff9b00'], ['RAL 1032 Broom yellow', '#e2a300'],
+    ['RAL 1033 Dahlia yellow', '#f99a1c'], ['RAL 1034 Pastel yellow', '#eb9c52'], ['RAL 2000 Yellow orange', '#da6e00'], ['RAL 2001 Red orange', '#ba481b'],
+    ['RAL 2002 Vermilion', '#bf3922'], ['RAL 2003 Pastel orange', '#f67828'], ['RAL 2004 Pure orange', '#e25303'], ['RAL 2008 Bright red orange', '#ec6b22'],
+    ['RAL 2009 Traffic orange', '#de5307'], ['RAL 2010 Signal orange', '#d05d28'], ['RAL 2011 Deep orange', '#e26e0e'], ['RAL 2012 Salmon orange', '#d5654d'],
+    ['RAL 3000 Flame red', '#ab2524'], ['RAL 3001 Signal red', '#a02128'], ['RAL 3002 Carmine red', '#a1232b'], ['RAL 3003 Ruby red', '#8d1d2c'],
+    ['RAL 3004 Purple red', '#701f29'], ['RAL 3005 Wine red', '#5e2028'], ['RAL 3007 Black red', '#402225'], ['RAL 3009 Oxide red', '#703731'],
+    ['RAL 3011 Brown red', '#7e292c'], ['RAL 3012 Beige red', '#cb8d73'], ['RAL 3013 Tomato red', '#9c322e'], ['RAL 3014 Antique pink', '#d47479'],
+    ['RAL 3015 Light pink', '#e1a6ad'], ['RAL 3016 Coral red', '#ac4034'], ['RAL 3017 Rose', '#d3545f'], ['RAL 3018 Strawberry red', '#d14152'],
+    ['RAL 3020 Traffic red', '#c1121c'], ['RAL 3022 Salmon pink', '#d56d56'], ['RAL 3027 Raspberry red', '#b42041'], ['RAL 3031 Orient red', '#a72a37'],
+    ['RAL 4001 Red lilac', '#816183'], ['RAL 4002 Red violet', '#8d3c4b'], ['RAL 4003 Heather violet', '#c4618c'], ['RAL 4004 Claret violet', '#651e38'],
+    ['RAL 4005 Blue lilac', '#76689a'], ['RAL 4006 Traffic purple', '#903373'], ['RAL 4007 Purple violet', '#47243c'], ['RAL 4008 Signal violet', '#844c82'],
+    ['RAL 4009 Pastel violet', '#9d8692'], ['RAL 4010 Telemagenta', '#bc4077'], ['RAL 5000 Violet blue', '#344f6e'], ['RAL 5001 Green blue', '#0f4c64'],
+    ['RAL 5002 Ultramarine blue', '#00387b'], ['RAL 5003 Sapphire blue', '#1f3855'], ['RAL 5004 Black blue', '#191e28'], ['RAL 5005 Signal blue', '#005387'],
+    ['RAL 5007 Brilliant blue', '#376b8c'], ['RAL 5008 Grey blue', '#2b3a44'], ['RAL 5009 Azure blue', '#215f78'], ['RAL 5010 Gentian blue', '#004f7c'],
+    ['RAL 5011 Steel blue', '#1a2b3c'], ['RAL 5012 Light blue', '#0089b6'], ['RAL 5013 Cobalt blue', '#193153'], ['RAL 5014 Pigeon blue', '#637d96'],
+    ['RAL 5015 Sky blue', '#007cb0'], ['RAL 5017 Traffic blue', '#005b8c'], ['RAL 5018 Turquoise blue', '#058b8c'], ['RAL 5019 Capri blue', '#005e83'],
+    ['RAL 5020 Ocean blue', '#00414b'], ['RAL 5021 Water blue', '#007577'], ['RAL 5022 Night blue', '#222d5a'], ['RAL 5023 Distant blue', '#41698c'],
+    ['RAL 5024 Pastel blue', '#6093ac'], ['RAL 6000 Patina green', '#3c7460'], ['RAL 6001 Emerald green', '#366735'], ['RAL 6002 Leaf green', '#325928'],
+    ['RAL 6003 Olive green', '#50533c'], ['RAL 6004 Blue green', '#024442'], ['RAL 6005 Moss green', '#114232'], ['RAL 6006 Grey olive', '#3c392e'],
+    ['RAL 6007 Bottle green', '#2c3222'], ['RAL 6008 Brown green', '#37342a'], ['RAL 6009 Fir green', '#27352a'], ['RAL 6010 Grass green', '#4d6f39'],
+    ['RAL 6011 Reseda green', '#6b7c59'], ['RAL 6012 Black green', '#2f3d3a'], ['RAL 6013 Reed green', '#7c765a'], ['RAL 6014 Yellow olive', '#474135'],
+    ['RAL 6015 Black olive', '#3d3d36'], ['RAL 6016 Turquoise green', '#00694c'], ['RAL 6017 May green', '#587f40'], ['RAL 6018 Yellow green', '#61993b'],
+    ['RAL 6019 Pastel green', '#b9ceac'], ['RAL 6020 Chrome green', '#37422f'], ['RAL 6021 Pale green', '#8a9977'], ['RAL 6024 Traffic green', '#008351'],
+    ['RAL 6025 Fern green', '#5e6e3b'], ['RAL 6026 Opal green', '#005f4e'], ['RAL 6027 Light green', '#7ebab5'], ['RAL 6028 Pine green', '#315442'],
+    ['RAL 6029 Mint green', '#006f3d'], ['RAL 6032 Signal green', '#237f52'], ['RAL 6033 Mint turquoise', '#46877f'], ['RAL 6034 Pastel turquoise', '#7aacac'],
+    ['RAL 7000 Squirrel grey', '#7a888e'], ['RAL 7001 Silver grey', '#8c979c'], ['RAL 7002 Olive grey', '#817863'], ['RAL 7003 Moss grey', '#7a7669'],
+    ['RAL 7004 Signal grey', '#9b9b9b'], ['RAL 7005 Mouse grey', '#6c6e6b'], ['RAL 7006 Beige grey', '#766a5e'], ['RAL 7008 Khaki grey', '#745e3d'],
+    ['RAL 7009 Green grey', '#5d6058'], ['RAL 7010 Tarpaulin grey', '#585c56'], ['RAL 7011 Iron grey', '#52595d'], ['RAL 7012 Basalt grey', '#575d5e'],
+    ['RAL 7013 Brown grey', '#575044'], ['RAL 7015 Slate grey', '#4f5358'], ['RAL 7016 Anthracite grey', '#383e42'], ['RAL 7021 Black grey', '#2f3234'],
+    ['RAL 7022 Umbra grey', '#4c4a44'], ['RAL 7023 Concrete grey', '#808076'], ['RAL 7024 Graphite grey', '#45494e'], ['RAL 7026 Granite grey', '#374345'],
+    ['RAL 7030 Stone grey', '#928e85'], ['RAL 7031 Blue grey', '#5b686d'], ['RAL 7032 Pebble grey', '#b5b0a1'], ['RAL 7033 Cement grey', '#7f8274'],
+    ['RAL 7034 Yellow grey', '#92886f'], ['RAL 7035 Light grey', '#c5c7c4'], ['RAL 7036 Platinum grey', '#979392'], ['RAL 7037 Dusty grey', '#7a7b7a'],
+    ['RAL 7038 Agate grey', '#b0b0a9'], ['RAL 7039 Quartz grey', '#6b665e'], ['RAL 7040 Window grey', '#989ea1'], ['RAL 7042 Traffic grey A', '#8e9291'],
+    ['RAL 7043 Traffic grey B', '#4f5250'], ['RAL 7044 Silk grey', '#b7b3a8'], ['RAL 7045 Telegrey 1', '#8d9295'], ['RAL 7046 Telegrey 2', '#7f868a'],
+    ['RAL 7047 Telegrey 4', '#c8c8c7'], ['RAL 8000 Green brown', '#89693e'], ['RAL 8001 Ochre brown', '#9d622b'], ['RAL 8002 Signal brown', '#794d3e'],
+    ['RAL 8003 Clay brown', '#7e4b26'], ['RAL 8004 Copper brown', '#8d4931'], ['RAL 8007 Fawn brown', '#70452a'], ['RAL 8008 Olive brown', '#724a25'],
+    ['RAL 8011 Nut brown', '#5a3826'], ['RAL 8012 Red brown', '#66332b'], ['RAL 8014 Sepia brown', '#4a3526'], ['RAL 8015 Chestnut brown', '#5e2f26'],
+    ['RAL 8016 Mahogany brown', '#4c2b20'], ['RAL 8017 Chocolate brown', '#442f29'], ['RAL 8019 Grey brown', '#3d3635'], ['RAL 8022 Black brown', '#1a1718'],
+    ['RAL 8023 Orange brown', '#a45729'], ['RAL 8024 Beige brown', '#795038'], ['RAL 8025 Pale brown', '#755847'], ['RAL 8028 Terra brown', '#513a2a'],
+    ['RAL 9001 Cream', '#e9e0d2'], ['RAL 9002 Grey white', '#d7d5cb'], ['RAL 9003 Signal white', '#ecece7'], ['RAL 9004 Signal black', '#2b2b2c'],
+    ['RAL 9005 Jet black', '#0e0e10'], ['RAL 9010 Pure white', '#f7f9ef'], ['RAL 9011 Graphite black', '#292c2f'], ['RAL 9016 Traffic white', '#f7fbf5'],
+    ['RAL 9017 Traffic black', '#2a2d2f'], ['RAL 9018 Papyrus white', '#cfd3cd'],
+];
@@ -0,0 +1,110 @@
+import chroma from 'chroma-js';
+import { withD50 } from './colorParser.js';
+
+// --- Color Display & Copy Formats ---
+//
+// CSS strings paste back into a style sheet (and into the mix color fields); lab() and lch() are
+// D50 as in CSS. CMYK is a plain device conversion, not a press profile. Code snippets are
+// ready to paste into each platform's source.
+
+export const COLOR_FORMATS = [
+    { value: 'hex', label: 'HEX', group: 'CSS' },
+    { value: 'rgb', label: 'RGB', group: 'CSS' },
+    { value: 'hsl', label: 'HSL', group: 'CSS' },
+    { value: 'hwb', label: 'HWB', group: 'CSS' },
+    { value: 'lab', label: 'CIE Lab', group: 'CSS' },
+    { value: 'lch', label: 'CIE LCH', group: 'CSS' },
+    { value: 'oklab', label: 'OKLab', group: 'CSS' },
+    { value: 'oklch', label: 'OKLCH', group: 'CSS' },
+    { value: 'color-srgb', label: 'color(srgb)', group: 'CSS' },
+    { value: 'color-p3', label: 'color(display-p3)', group: 'CSS' },
+    { value: 'hsv', label: 'HSV / HSB', group: 'Design & Print' },
+    { value: 'cmyk', label: 'CMYK', group: 'Design & Print' },
+    { value: 'swiftui', label: 'SwiftUI', group: 'Code' },
+    { value: 'uikit', label: 'UIKit', group: 'Code' },
+    { value: 'android', label: 'Android', group: 'Code' },
+    { value: 'android-xml', label: 'Android XML', group: 'Code' },
+    { value: 'compose', label: 'Compose', group: 'Code' },
+    { value: 'flutter', label: 'Flutter', group: 'Code' },
+];
+export const COLOR_FORMAT_GROUPS = [...new Set(COLOR_FORMATS.map(format => format.group))];
+export const DEFAULT_DETAIL_FORMATS = ['rgb', 'hsl', 'hex'];
+
+export const getColorFormatLabel = (format) => COLOR_FORMATS.find(f => f.value === format)?.label || String(format).toUpperCase();
+
+// Stored detail-format lists must be known format ids
+export const isColorFormatList = (value) => Array.isArray(value) && value.every(format => COLOR_FORMATS.some(f => f.value === format));
+
+// Round and drop trailing zeros: 0.500 -> "0.5"
+const num = (value, digits) => String(Number((Number.isFinite(value) ? value : 0).toFixed(digits)));
+const pct = (value, digits = 0) => `${num(value * 100, digits)}%`;
+const hue = (value) => num(Number.isFinite(value) ? value : 0, 2); // Grays have no hue
+const cssAlpha = (alpha) => (alpha < 1 ? ` / ${num(alpha, 3)}` : '');
+
+// sRGB -> Display P3 (both D65), through linear light and XYZ
+const LINEAR_SRGB_TO_XYZ = [[0.41239079926595934, 0.357584339383878, 0.1804807884018343], [0.21263900587151027, 0.715168678767756, 0.07219231536073371], [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]];
+const XYZ_TO_LINEAR_P3 = [[2.493496911941425, -0.9313836179191239, -0.40271078445071684], [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577], [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]];
+const multiply = (matrix, v) => matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+const toDisplayP3 = (color) => {
+    const linear = color.rgb(false).map(v => v / 255).map(v => (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4));
+    return multiply(XYZ_TO_LINEAR_P3, multiply(LINEAR_SRGB_TO_XYZ, linear))
+        .map(v => (v > 0.0031308 ? 1.055 * v ** (1 / 2.4) - 0.055 : v * 12.92))
+        .map(v => Math.min(1, Math.max(0, v)));
+};
+
+// "#AARRGGBB" digits for Android and Flutter/Compose
+const argbDigits = (color) => {
+    const hex = color.hex('rgba').slice(1).toUpperCase();
+    return `${hex.slice(6)}${hex.slice(0, 6)}`;
+};
+
+const FORMATTERS = {
+    hex: (c) => c.hex(),
+    rgb: (c) => `rgb(${c.rgb().join(', ')})`,
+    hsl: (c) => {
+        const [h, s, l] = c.hsl();
+        return `hsl(${Math.round(Number.isFinite(h) ? h : 0)}, ${Math.round((s || 0) * 100)}%, ${Math.round((l || 0) * 100)}%)`;
+    },
+    hwb: (c) => {
+        const [h, s, v] = c.hsv();
+        return `hwb(${hue(h)} ${pct((1 - (s || 0)) * v, 1)} ${pct(1 - v, 1)}${cssAlpha(c.alpha())})`;
+    },
+    lab: (c) => {
+        const [l, a, b] = withD50(() => c.lab());
+        return `lab(${num(l, 2)}% ${num(a, 2)} ${num(b, 2)}${cssAlpha(c.alpha())})`;
+    },
+    lch: (c) => {
+        const [l, ch, h] = withD50(() => c.lch());
+        return `lch(${num(l, 2)}% ${num(ch, 2)} ${hue(h)}${cssAlpha(c.alpha())})`;
+    },
+    oklab: (c) => {
+        const [l, a, b] = c.oklab();
+        return `oklab(${pct(l, 2)} ${num(a, 4)} ${num(b, 4)}${cssAlpha(c.alpha())})`;
+    },
+    oklch: (c) => {
+        const [l, ch, h] = c.oklch();
+        return `oklch(${pct(l, 2)} ${num(ch, 4)} ${hue(h)}${cssAlpha(c.alpha())})`;
+    },
+    'color-srgb': (c) => `color(srgb ${c.gl().slice(0, 3).map(v => num(v, 4)).join(' ')}${cssAlpha(c.alpha())})`,
+    'color-p3': (c) => `color(display-p3 ${toDisplayP3(c).map(v => num(v, 4)).join(' ')}${cssAlpha(c.alpha())})`,
+    hsv: (c) => {
+        const [h, s, v] = c.hsv();
+        return `hsv(${Math.round(Number.isFinite(h) ? h : 0)}, ${pct(s || 0)}, ${pct(v)})`;
+    },
+    cmyk: (c) => `cmyk(${c.cmyk().map(v => pct(v)).join(', ')})`,
+    swiftui: (c) => {
+        const [r, g, b, a] = c.gl();
+        return `Color(red: ${num(r, 3)}, green: ${num(g, 3)}, blue: ${num(b, 3)}${a < 1 ? `, opacity: ${num(a, 3)}` : ''})`;
+    },
+    uikit: (c) => {
+        const [r, g, b, a] = c.gl();
+        return `UIColor(red: ${num(r, 3)}, green: ${num(g, 3)}, blue: ${num(b, 3)}, alpha: ${num(a, 3)})`;
+    },
+    android: (c) => `Color.parseColor("#${c.alpha() < 1 ? argbDigits(c) : c.hex('rgb').slice(1).toUpperCase()}")`,
+    'android-xml': (c) => `<color name="color_${c.hex('rgb').slice(1)}">#${c.alpha() < 1 ? argbDigits(c) : c.hex('rgb').slice(1).toUpperCase()}</color>`,
+    compose: (c) => `Color(0x${argbDigits(c)})`,
+    flutter: (c) => `const Color(0x${argbDigits(c)})`,
+};
+
+// Format a valid chroma color; unknown formats fall back to hex
+export const formatColorValue = (color, format) => (FORMATTERS[format] || FORMATTERS.hex)(chroma(color));
@@ -0,0 +1,41 @@
+import { COLOR_FORMATS, formatColorValue, getColorFormatLabel, isColorFormatList } from './colorFormats';
+import { parseColorInput } from './colorParser';
+
+const format = (color, name) => formatColorValue(color, name);
+
+test('formats CSS color strings that read back as the same color', () => {
+  expect(format('#e11d48', 'hwb')).toBe('hwb(346.84 11.4% 11.8%)');
+  expect(format('#e11d48', 'lab')).toBe('lab(49.53% 71.6 30.46)');
+  expect(format('#e11d48', 'lch')).toBe('lch(49.53% 77.81 23.05)');
+  expect(format('#e11d48', 'oklab')).toBe('oklab(58.59% 0.2117 0.0671)');
+  expect(format('#e11d48', 'color-srgb')).toBe('color(srgb 0.8824 0.1137 0.2824)');
+  expect(format('#e11d48', 'color-p3')).toBe('color(display-p3 0.8103 0.2117 0.299)');
+  expect(format('#11223380', 'oklch')).toBe('oklch(24.62% 0.0398 249.73 / 0.5)');
+  expect(format('#808080', 'lch')).toBe('lch(53.59% 0 0)');
+  // rgb() and hsl() keep their rounded, alpha-free legacy output
+  const cssFormats = COLOR_FORMATS.filter(f => f.group === 'CSS' && !['rgb', 'hsl'].includes(f.value)).map(f => f.value);
+  ['#e11d48', '#11223380', '#000000', '#ffffff'].forEach(color => {
+    cssFormats.forEach(name => expect(parseColorInput(format(color, name)).color).toBe(color));
+  });
+});
+
+test('formats print values and platform snippets', () => {
+  expect(format('#e11d48', 'hsv')).toBe('hsv(347, 87%, 88%)');
+  expect(format('#808080', 'cmyk')).toBe('cmyk(0%, 0%, 0%, 50%)');
+  expect(format('#e11d48', 'swiftui')).toBe('Color(red: 0.882, green: 0.114, blue: 0.282)');
+  expect(format('#11223380', 'swiftui')).toBe('Color(red: 0.067, green: 0.133, blue: 0.2, opacity: 0.5)');
+  expect(format('#e11d48', 'uikit')).toBe('UIColor(red: 0.882, green: 0.114, blue: 0.282, alpha: 1)');
+  expect(format('#e11d48', 'android')).toBe('Color.parseColor("#E11D48")');
+  expect(format('#11223380', 'android')).toBe('Color.parseColor("#80112233")');
+  expect(format('#e11d48', 'android-xml')).toBe('<color name="color_e11d48">#E11D48</color>');
+  expect(format('#e11d48', 'compose')).toBe('Color(0xFFE11D48)');
+  expect(format('#11223380', 'flutter')).toBe('const Color(0x80112233)');
+});
+
+test('labels formats and validates stored lists', () => {
+  expect(getColorFormatLabel('hsv')).toBe('HSV / HSB');
+  expect(getColorFormatLabel('mystery')).toBe('MYSTERY');
+  expect(isColorFormatList(['rgb', 'swiftui'])).toBe(true);
+  expect(isColorFormatList(['rgb', 'nope'])).toBe(false);
+  expect(isColorFormatList('rgb')).toBe(false);
+});
@@ -0,0 +1,88 @@
+import chroma from 'chroma-js';
+import { CSS_COLOR_NAMES, PANTONE_LIKE_COLOR_NAMES, RAL_COLOR_NAMES, XKCD_COLOR_NAMES } from './colorDictionaries.js';
+
+// --- Nearest Color Names (CIEDE2000) ---
+//
+// A dictionary is a list of [name, hex]. Lookups return the closest entry and its ΔE2000
+// distance; under 1 is generally indistinguishable, under ~5 a close match.
+
+export const COLOR_NAME_DICTIONARIES = [
+    { value: 'css', label: 'CSS Named Colors', entries: CSS_COLOR_NAMES },
+    { value: 'xkcd', label: 'XKCD Color Survey', entries: XKCD_COLOR_NAMES },
+    { value: 'pantone', label: 'Pantone-like', entries: PANTONE_LIKE_COLOR_NAMES },
+    { value: 'ral', label: 'RAL Classic', entries: RAL_COLOR_NAMES },
+    { value: 'custom', label: 'Custom List', entries: null }, // Supplied by the user
+];
+export const DEFAULT_COLOR_NAME_DICTIONARY = 'css';
+export const EXACT_NAME_DISTANCE = 0.5; // Below this a name is shown as an exact match
+const MAX_CUSTOM_NAME_LENGTH = 60;
+const MAX_CACHED_LOOKUPS = 4096;
+
+// Entries for a dictionary id; 'custom' (and unknown ids with custom entries) use `customEntries`
+export const getDictionaryEntries = (dictionary, customEntries = []) => {
+    const found = COLOR_NAME_DICTIONARIES.find(d => d.value === dictionary);
+    if (found?.entries) return found.entries;
+    return found ? customEntries : CSS_COLOR_NAMES;
+};
+
+// Read a custom list: one "Name #hex" (or "#hex Name", "Name: #hex") per line; "//" lines are comments.
+// Returns { entries: [[name, hex]], errors: [{ line, message }] }
+export const parseCustomColorNames = (text) => {
+    const entries = [];
+    const errors = [];
+    String(text || '').split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('//')) return;
+        const hexMatch = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\b/i.exec(line);
+        if (!hexMatch) { errors.push({ line: i + 1, message: 'needs a hex color like #1a2b3c' }); return; }
+        const name = (line.slice(0, hexMatch.index) + ' ' + line.slice(hexMatch.index + hexMatch[0].length))
+            .replace(/[\s:,=;\t]+/g, ' ')
+            .trim()
+            .slice(0, MAX_CUSTOM_NAME_LENGTH);
+        if (!name) { errors.push({ line: i + 1, message: 'needs a name' }); return; }
+        entries.push([name, chroma(hexMatch[0]).hex('rgb')]);
+    });
+    return { entries, errors };
+};
+
+export const formatCustomColorNames = (entries) => entries.map(([name, hex]) => `${name} ${hex}`).join('\n');
+
+// Stored custom lists must be [[name, hex]]
+export const isColorNameList = (value) => Array.isArray(value) && value.every(entry => (
+    Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string' && entry[0].trim() !== '' && typeof entry[1] === 'string' && chroma.valid(entry[1])
+));
+
+// Per-dictionary caches: prepared colors and past lookups (dictionaries are static arrays)
+const preparedEntries = new WeakMap();
+const lookupCache = new WeakMap();
+const prepare = (entries) => {
+    if (!preparedEntries.has(entries)) {
+        preparedEntries.set(entries, entries.map(([name, hex]) => ({ name, hex, color: chroma(hex) })));
+        lookupCache.set(entries, new Map());
+    }
+    return preparedEntries.get(entries);
+};
+
+// Closest dictionary entry to `color`: { name, hex, distance } or null
+export const findNearestColorName = (color, entries) => {
+    if (!Array.isArray(entries) || entries.length === 0 || !chroma.valid(color)) return null;
+    const prepared = prepare(entries);
+    const cache = lookupCache.get(entries);
+    const key = chroma(color).hex('rgb');
+    if (cache.has(key)) return cache.get(key);
+    const target = chroma(key);
+    let best = null;
+    prepared.forEach(entry => {
+        const distance = chroma.deltaE(target, entry.color);
+        if (!best || distance < best.distance) best = { name: entry.name, hex: entry.hex, distance };
+    });
+    if (cache.size >= MAX_CACHED_LOOKUPS) cache.clear();
+    cache.set(key, best);
+    return best;
+};
+
+// Short label for a match: "Tomato" or "≈ Tomato"
+export const formatColorNameMatch = (match) => {
+    if (!match) return '';
+    return match.distance < EXACT_NAME_DISTANCE ? match.name : `≈ ${match.name}`;
+};
@@ -0,0 +1,37 @@
+import { CSS_COLOR_NAMES, RAL_COLOR_NAMES, XKCD_COLOR_NAMES } from './colorDictionaries';
+import { findNearestColorName, formatColorNameMatch, getDictionaryEntries, isColorNameList, parseCustomColorNames } from './colorNames';
+
+test('finds exact and nearest names with their CIEDE2000 distance', () => {
+  expect(findNearestColorName('#FF6347', CSS_COLOR_NAMES)).toEqual({ name: 'tomato', hex: '#ff6347', distance: 0 });
+  const near = findNearestColorName('#fe6448', CSS_COLOR_NAMES);
+  expect(near.name).toBe('tomato');
+  expect(near.distance).toBeGreaterThan(0);
+  expect(near.distance).toBeLessThan(1);
+  expect(findNearestColorName('#c1121c', RAL_COLOR_NAMES).name).toBe('RAL 3020 Traffic red');
+  expect(findNearestColorName('#029386', XKCD_COLOR_NAMES).name).toBe('teal');
+  expect(findNearestColorName('nope', CSS_COLOR_NAMES)).toBeNull();
+  expect(findNearestColorName('#ff0000', [])).toBeNull();
+});
+
+test('labels approximate matches', () => {
+  expect(formatColorNameMatch({ name: 'tomato', distance: 0 })).toBe('tomato');
+  expect(formatColorNameMatch({ name: 'tomato', distance: 3.2 })).toBe('≈ tomato');
+  expect(formatColorNameMatch(null)).toBe('');
+});
+
+test('keeps one spelling of each CSS gray', () => {
+  const names = CSS_COLOR_NAMES.map(([name]) => name);
+  expect(names).toContain('slategray');
+  expect(names).not.toContain('slategrey');
+});
+
+test('parses custom name lists and reports bad lines', () => {
+  const { entries, errors } = parseCustomColorNames('Brand Blue #1A2B3C\n#fff: Paper\n// comment\n\nAccent, #f60\nno color here\n#123456');
+  expect(entries).toEqual([['Brand Blue', '#1a2b3c'], ['Paper', '#ffffff'], ['Accent', '#ff6600']]);
+  expect(errors).toEqual([{ line: 6, message: 'needs a hex color like #1a2b3c' }, { line: 7, message: 'needs a name' }]);
+  expect(isColorNameList(entries)).toBe(true);
+  expect(isColorNameList([['x', 'nope']])).toBe(false);
+  expect(getDictionaryEntries('custom', entries)).toBe(entries);
+  expect(findNearestColorName('#1a2b3d', entries).name).toBe('Brand Blue');
+  expect(getDictionaryEntries('unknown')).toBe(CSS_COLOR_NAMES);
+});
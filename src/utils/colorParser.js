@@ -0,0 +1,279 @@
+import chroma from 'chroma-js';
+
+// --- Tolerant Color Parsing ---
+//
+// Reads what people paste from design tools, style sheets and print specs:
+//   hex with or without '#' (3, 4, 6 or 8 digits), CSS named colors and `transparent`,
+//   rgb() hsl() hwb() lab() lch() oklab() oklch() color() in modern or legacy (comma) syntax,
+//   cmyk(), device-cmyk() and "C0 M100 Y100 K0", and bare "r, g, b" triples (0-255).
+// Colors come back as lowercase hex: #rrggbb, or #rrggbbaa when alpha is below 1.
+// Out-of-gamut values (wide-gamut color(), lab/lch/oklab/oklch) are clipped to sRGB.
+
+const NUMBER = /^([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i;
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+const HEX_DIGITS = /^[0-9a-f]+$/i;
+const HEX_LENGTHS = [3, 4, 6, 8];
+const CMYK_LABELS = /^c\s*[:=]?\s*([^\s,;:=]+)[\s,;]*m\s*[:=]?\s*([^\s,;:=]+)[\s,;]*y\s*[:=]?\s*([^\s,;:=]+)[\s,;]*k\s*[:=]?\s*([^\s,;:=]+)$/i;
+
+// --- Channels ---
+// `percent` is what 100% means; numbers are taken as-is and must fall within [min, max]
+
+const HUE = { name: 'Hue', hue: true };
+const channel = (name, percent, min = -Infinity, max = Infinity) => ({ name, percent, min, max });
+const rgbChannels = ['Red', 'Green', 'Blue'].map(name => channel(name, 255, 0, 255));
+const cmykChannels = (percent) => ['Cyan', 'Magenta', 'Yellow', 'Black'].map(name => channel(name, percent, 0, percent));
+
+// CSS lab() and lch() are relative to a D50 white; chroma defaults to D65
+export const withD50 = (create) => {
+    const whitePoint = chroma.getLabWhitePoint();
+    chroma.setLabWhitePoint('d50');
+    try { return create(); }
+    finally { chroma.setLabWhitePoint(whitePoint); }
+};
+
+const hwbToColor = ([hue, whiteness, blackness]) => {
+    const white = whiteness / 100;
+    const black = blackness / 100;
+    if (white + black >= 1) {
+        const gray = white / (white + black) * 255;
+        return chroma.rgb(gray, gray, gray);
+    }
+    const pure = chroma.hsl(hue, 1, 0.5).rgb(false);
+    return chroma.rgb(...pure.map(v => v * (1 - white - black) + white * 255));
+};
+
+const FUNCTIONS = {
+    rgb: { channels: rgbChannels, toColor: ([r, g, b]) => chroma.rgb(r, g, b) },
+    hsl: {
+        channels: [HUE, channel('Saturation', 100, 0, 100), channel('Lightness', 100, 0, 100)],
+        toColor: ([h, s, l]) => chroma.hsl(h, s / 100, l / 100),
+    },
+    hwb: { channels: [HUE, channel('Whiteness', 100, 0, 100), channel('Blackness', 100, 0, 100)], toColor: hwbToColor },
+    lab: {
+        channels: [channel('Lightness', 100, 0, 100), channel('a', 125), channel('b', 125)],
+        toColor: ([l, a, b]) => withD50(() => chroma.lab(l, a, b)),
+    },
+    lch: {
+        channels: [channel('Lightness', 100, 0, 100), channel('Chroma', 150, 0), HUE],
+        toColor: ([l, c, h]) => withD50(() => chroma.lch(l, c, h)),
+    },
+    oklab: { channels: [channel('Lightness', 1, 0, 1), channel('a', 0.4), channel('b', 0.4)], toColor: ([l, a, b]) => chroma.oklab(l, a, b) },
+    oklch: { channels: [channel('Lightness', 1, 0, 1), channel('Chroma', 0.4, 0), HUE], toColor: ([l, c, h]) => chroma.oklch(l, c, h) },
+    // Print specs write CMYK as percentages; device-cmyk() follows CSS (numbers are 0-1)
+    cmyk: { channels: cmykChannels(100), toColor: ([c, m, y, k]) => chroma.cmyk(c / 100, m / 100, y / 100, k / 100) },
+    'device-cmyk': { channels: cmykChannels(1), toColor: ([c, m, y, k]) => chroma.cmyk(c, m, y, k) },
+};
+FUNCTIONS.rgba = FUNCTIONS.rgb;
+FUNCTIONS.hsla = FUNCTIONS.hsl;
+
+// --- color() Spaces ---
+// Each space decodes to linear light, then (except the sRGB pair) goes through XYZ D65 to linear sRGB
+
+const multiply = (matrix, v) => matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+const signed = (fn) => (v) => Math.sign(v) * fn(Math.abs(v));
+const srgbToLinear = signed(v => (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4));
+const linearToSrgb = signed(v => (v > 0.0031308 ? 1.055 * v ** (1 / 2.4) - 0.055 : v * 12.92));
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+const P3_TO_XYZ = [[0.4865709486482162, 0.26566769316909306, 0.1982172852343625], [0.2289745640697488, 0.6917385218365064, 0.079286914093745], [0, 0.04511338185890264, 1.043944368900976]];
+const A98_TO_XYZ = [[0.5766690429101305, 0.1855582379065463, 0.1882286462349947], [0.29734497525053605, 0.6273635662554661, 0.07529145849399788], [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]];
+const PROPHOTO_TO_XYZ_D50 = [[0.7977666449006423, 0.13518129740053308, 0.0313477341283922], [0.2880748288194013, 0.711835234241873, 0.00008993693872564], [0, 0, 0.8251046025104602]];
+const REC2020_TO_XYZ = [[0.6369580483012914, 0.14461690358620832, 0.1688809751641721], [0.2627002120112671, 0.6779980715188708, 0.05930171646986196], [0, 0.028072693049087428, 1.060985057710791]];
+const D50_TO_D65 = [[0.955473421488075, -0.02309845494876471, 0.06325924320057072], [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323], [0.012314014864481998, -0.020507649298898964, 1.330365926242124]];
+const XYZ_TO_LINEAR_SRGB = [[3.2409699419045226, -1.537383177570094, -0.4986107602930034], [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559], [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]];
+
+const identity = (v) => v;
+const COLOR_SPACES = {
+    srgb: { toLinear: srgbToLinear, toXyz: null },
+    'srgb-linear': { toLinear: identity, toXyz: null },
+    'display-p3': { toLinear: srgbToLinear, toXyz: [P3_TO_XYZ] },
+    'a98-rgb': { toLinear: signed(v => v ** (563 / 256)), toXyz: [A98_TO_XYZ] },
+    'prophoto-rgb': { toLinear: signed(v => (v <= 16 / 512 ? v / 16 : v ** 1.8)), toXyz: [PROPHOTO_TO_XYZ_D50, D50_TO_D65] },
+    rec2020: {
+        toLinear: signed(v => (v < REC2020_BETA * 4.5 ? v / 4.5 : ((v + REC2020_ALPHA - 1) / REC2020_ALPHA) ** (1 / 0.45))),
+        toXyz: [REC2020_TO_XYZ],
+    },
+    xyz: { toLinear: identity, toXyz: [] },
+    'xyz-d65': { toLinear: identity, toXyz: [] },
+    'xyz-d50': { toLinear: identity, toXyz: [D50_TO_D65] },
+};
+
+const colorSpaceToColor = (space, values) => {
+    const { toLinear, toXyz } = COLOR_SPACES[space];
+    const linear = values.map(toLinear);
+    const linearSrgb = toXyz ? multiply(XYZ_TO_LINEAR_SRGB, toXyz.reduce((xyz, matrix) => multiply(matrix, xyz), linear)) : linear;
+    return chroma.rgb(...linearSrgb.map(v => Math.min(1, Math.max(0, linearToSrgb(v))) * 255));
+};
+
+// --- Reading Values ---
+
+const readToken = (token, fn) => {
+    if (/^none$/i.test(token)) return { value: 0, unit: '' }; // CSS "missing" component
+    const match = NUMBER.exec(token);
+    if (!match) throw new Error(`"${token}" is not a number in ${fn}().`);
+    return { value: parseFloat(match[1]), unit: (match[2] || '').toLowerCase() };
+};
+
+const readChannel = (token, spec, fn) => {
+    const { value, unit } = readToken(token, fn);
+    if (spec.hue) {
+        if (unit === '%') throw new Error(`Hue in ${fn}() can't be a percentage ("${token}").`);
+        return ((value * (ANGLE_UNITS[unit] ?? 1)) % 360 + 360) % 360;
+    }
+    if (unit && unit !== '%') throw new Error(`${spec.name} in ${fn}() can't be an angle ("${token}").`);
+    const result = unit === '%' ? value / 100 * spec.percent : value;
+    if (result < spec.min || result > spec.max) {
+        throw new Error(spec.max === Infinity
+            ? `${spec.name} in ${fn}() can't be negative ("${token}").`
+            : `${spec.name} in ${fn}() must be between ${spec.min} and ${spec.max} (or 0% and 100%); got "${token}".`);
+    }
+    return result;
+};
+
+const readAlpha = (token, fn) => {
+    if (token === undefined) return 1;
+    const { value, unit } = readToken(token, fn);
+    if (unit && unit !== '%') throw new Error(`Alpha in ${fn}() can't be an angle ("${token}").`);
+    const alpha = unit === '%' ? value / 100 : value;
+    if (alpha < 0 || alpha > 1) throw new Error(`Alpha in ${fn}() must be between 0 and 1 (or 0% and 100%); got "${token}".`);
+    return alpha;
+};
+
+// Split "a b c / alpha" or legacy "a, b, c, alpha" into { values, alpha }. A value past the
+// expected count is read as alpha in both syntaxes.
+const readArguments = (body, fn, count) => {
+    const [main, alphaPart, extra] = body.split('/');
+    if (extra !== undefined) throw new Error(`${fn}() has more than one "/".`);
+    const values = main.includes(',') ? main.split(',').map(v => v.trim()) : main.trim().split(/\s+/).filter(Boolean);
+    if (values.some(v => !v)) throw new Error(`${fn}() has an empty value between commas.`);
+    let alpha = alphaPart?.trim();
+    if (alphaPart !== undefined && !alpha) throw new Error(`${fn}() is missing the alpha value after "/".`);
+    if (alpha === undefined && values.length === count + 1) alpha = values.pop();
+    if (values.length !== count) throw new Error(`${fn}() needs ${count} values, got ${values.length}.`);
+    return { values, alpha };
+};
+
+// chroma leaves alpha as NaN on some constructors (e.g. chroma.oklch), so treat that as opaque
+const toHex = (color, alpha = 1) => {
+    const base = color.alpha();
+    return color.alpha((Number.isFinite(base) ? base : 1) * alpha).hex();
+};
+
+const parseFunction = (fn, body) => {
+    if (fn === 'color') {
+        const [space, ...rest] = body.trim().split(/\s+/);
+        const spaceName = (space || '').toLowerCase();
+        if (!COLOR_SPACES[spaceName]) {
+            throw new Error(`Unknown color() space "${space || ''}" (use ${Object.keys(COLOR_SPACES).join(', ')}).`);
+        }
+        const { values, alpha } = readArguments(rest.join(' '), 'color', 3);
+        const channels = values.map(token => readChannel(token, channel('Value', 1), 'color'));
+        return toHex(colorSpaceToColor(spaceName, channels), readAlpha(alpha, 'color'));
+    }
+    const spec = FUNCTIONS[fn];
+    if (!spec) throw new Error(`Unknown color function "${fn}()".`);
+    const { values, alpha } = readArguments(body, fn, spec.channels.length);
+    const channels = values.map((token, i) => readChannel(token, spec.channels[i], fn));
+    return toHex(spec.toColor(channels), readAlpha(alpha, fn));
+};
+
+// Expanded by hand: chroma rounds hex alpha to two decimals (#ff000088 would come back as ...87)
+const expandHex = (digits) => {
+    const full = (digits.length <= 4 ? [...digits].map(d => d + d).join('') : digits).toLowerCase();
+    return full.length === 8 && full.endsWith('ff') ? `#${full.slice(0, 6)}` : `#${full}`;
+};
+
+const parseHexDigits = (digits, original) => {
+    if (!digits) throw new Error('Add hex digits after "#".');
+    if (!HEX_DIGITS.test(digits)) throw new Error(`"${original}" has characters that aren't hex digits.`);
+    if (!HEX_LENGTHS.includes(digits.length)) throw new Error(`Hex colors need 3, 4, 6 or 8 digits; "${original}" has ${digits.length}.`);
+    return expandHex(digits);
+};
+
+const readColor = (value, { requireHexDigit = false } = {}) => {
+    const lower = value.toLowerCase();
+    // Color names (none is made only of hex letters, so words like "face" are left to the hex rules)
+    if (/^[a-z]+$/.test(lower) && !HEX_DIGITS.test(lower) && chroma.valid(lower)) return chroma(lower).hex();
+    if (value.startsWith('#')) return parseHexDigits(value.slice(1), value);
+
+    const open = value.indexOf('(');
+    if (open > 0) {
+        const fn = lower.slice(0, open).trim();
+        if (!/^[a-z][a-z0-9-]*$/.test(fn)) throw new Error(`Couldn't read "${value}" as a color.`);
+        if (!value.endsWith(')')) throw new Error(`Missing ")" at the end of ${fn}().`);
+        return parseFunction(fn, value.slice(open + 1, -1));
+    }
+
+    const labels = CMYK_LABELS.exec(value);
+    if (labels) {
+        const channels = labels.slice(1).map((token, i) => readChannel(token, FUNCTIONS.cmyk.channels[i], 'cmyk'));
+        return toHex(FUNCTIONS.cmyk.toColor(channels));
+    }
+
+    const hex = lower.startsWith('0x') ? lower.slice(2) : lower;
+    if (HEX_DIGITS.test(hex) && HEX_LENGTHS.includes(hex.length)) {
+        if (requireHexDigit && hex === lower && !/\d/.test(hex)) throw new Error(`"${value}" looks like a word; write "#${hex}" for a hex color.`);
+        return expandHex(hex);
+    }
+
+    // Bare numbers: "255, 128, 0", "(255 128 0)"
+    const numbers = value.replace(/^\((.*)\)$/, '$1').split(/[\s,]+/).filter(Boolean);
+    if (numbers.every(token => NUMBER.test(token))) {
+        if (numbers.length === 3) return toHex(FUNCTIONS.rgb.toColor(numbers.map((token, i) => readChannel(token, rgbChannels[i], 'rgb'))));
+        if (numbers.length === 4) throw new Error('Four numbers could be RGBA or CMYK; write rgb(r g b / alpha) or cmyk(c, m, y, k).');
+        if (numbers.length > 1) throw new Error(`Got ${numbers.length} numbers; an RGB color needs 3 (0-255).`);
+    }
+    if (/^[a-z]+$/.test(lower)) throw new Error(`"${value}" is not a CSS color name.`);
+    throw new Error(`Couldn't read "${value}" as a color.`);
+};
+
+// Parse one color: { color: hex, error: null } or { color: null, error: message }.
+// `requireHexDigit` rejects bare all-letter hex ("cafe", "bad"), which in a list is more likely a word.
+export const parseColorInput = (text, { requireHexDigit = false } = {}) => {
+    const value = typeof text === 'string' ? text.trim() : '';
+    if (!value) return { color: null, error: 'Enter a color.' };
+    try { return { color: readColor(value, { requireHexDigit }), error: null }; }
+    catch (error) { return { color: null, error: error.message }; }
+};
+
+// --- Lists ---
+
+// Split on `separators` (a single-character pattern), keeping parenthesized groups whole
+const splitOutsideParens = (text, separators) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        else if (char === ')') depth = Math.max(0, depth - 1);
+        if (depth === 0 && separators.test(char)) { parts.push(current); current = ''; }
+        else current += char;
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Parse pasted text holding several colors: one per line (or ';'), or several per line separated by
+// commas/spaces. A line that is one color as a whole ("255, 128, 0", "C0 M100 Y100 K0") stays one color.
+// Bare hex made only of letters ("face") counts only when it is the whole text; list items need "#".
+// Returns { colors: [hex], errors: [{ input, message }] }
+export const parseColorList = (text) => {
+    const colors = [];
+    const errors = [];
+    const source = String(text ?? '');
+    const options = { requireHexDigit: splitOutsideParens(source, /[\s,;]/).length > 1 };
+    const add = (input, { color, error } = parseColorInput(input, options)) => {
+        if (color) colors.push(color);
+        else errors.push({ input, message: error });
+    };
+    splitOutsideParens(source, /[\n\r;]/).forEach(line => {
+        const whole = parseColorInput(line, options);
+        const tokens = whole.color ? [] : splitOutsideParens(line, /[\s,]/);
+        // Keep a bad number tuple whole so its error is about the tuple, not each number read as hex
+        const isNumberTuple = tokens.length >= 3 && tokens.length <= 4 && tokens.every(token => NUMBER.test(token.replace(/^\(|\)$/g, '')));
+        if (whole.color || tokens.length < 2 || isNumberTuple) add(line, whole);
+        else tokens.forEach(token => add(token));
+    });
+    return { colors, errors };
+};
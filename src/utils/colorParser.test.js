@@ -0,0 +1,80 @@
+import { parseColorInput, parseColorList } from './colorParser';
+
+const parse = (text) => parseColorInput(text).color;
+const error = (text) => parseColorInput(text).error;
+
+test('reads hex with or without # and keeps alpha', () => {
+  expect(parse(' #FF0000 ')).toBe('#ff0000');
+  expect(parse('ff0000')).toBe('#ff0000');
+  expect(parse('0xABCDEF')).toBe('#abcdef');
+  expect(parse('#f008')).toBe('#ff000088');
+  expect(parse('#11223380')).toBe('#11223380');
+  expect(parse('#112233ff')).toBe('#112233');
+  expect(parse('RebeccaPurple')).toBe('#663399');
+  expect(parse('transparent')).toBe('#00000000');
+});
+
+test('reads every CSS Color 4 function in modern and legacy syntax', () => {
+  expect(parse('rgb(255 0 0 / 50%)')).toBe('#ff000080');
+  expect(parse('rgba(255, 0, 0, 0.5)')).toBe('#ff000080');
+  expect(parse('rgb(100% 50% 0%)')).toBe('#ff8000');
+  expect(parse('hsl(120deg 100% 25%)')).toBe('#008000');
+  expect(parse('hsl(0.5turn, 50%, 50%)')).toBe('#40bfbf');
+  expect(parse('hwb(120 20% 20%)')).toBe('#33cc33');
+  expect(parse('hwb(0 60% 60%)')).toBe('#808080');
+  expect(parse('lab(54.29 80.8 69.89)')).toBe('#ff0000');
+  expect(parse('lch(54.29 106.84 40.85)')).toBe('#ff0000');
+  expect(parse('oklab(0.628 0.2249 0.1258)')).toBe('#ff0000');
+  expect(parse('oklch(62.8% 0.2577 29.23)')).toBe('#ff0000');
+  expect(parse('oklch(0.6 0.1 29.23 / 0.5)')).toBe('#b4685d80');
+  expect(parse('color(srgb-linear 0.5 0.5 0.5)')).toBe('#bcbcbc');
+  expect(parse('color(display-p3 0.5 0.5 0.5 / 0.25)')).toBe('#80808040');
+  ['a98-rgb', 'prophoto-rgb', 'rec2020'].forEach(space => expect(parse(`color(${space} 1 1 1)`)).toBe('#ffffff'));
+  expect(parse('color(xyz-d50 0.9642 1 0.8251)')).toBe('#ffffff');
+});
+
+test('reads CMYK and bare RGB triples', () => {
+  expect(parse('cmyk(0, 100, 100, 0)')).toBe('#ff0000');
+  expect(parse('device-cmyk(0 1 1 0)')).toBe('#ff0000');
+  expect(parse('C0 M100 Y100 K0')).toBe('#ff0000');
+  expect(parse('c:0 m:50 y:100 k:20')).toBe('#cc6600');
+  expect(parse('255, 128, 0')).toBe('#ff8000');
+  expect(parse('(255 128 0)')).toBe('#ff8000');
+});
+
+test('explains what is wrong', () => {
+  expect(error('')).toBe('Enter a color.');
+  expect(error('#12345')).toBe('Hex colors need 3, 4, 6 or 8 digits; "#12345" has 5.');
+  expect(error('#ggg')).toMatch(/aren't hex digits/);
+  expect(error('rgb(300 0 0)')).toMatch(/^Red in rgb\(\) must be between 0 and 255/);
+  expect(error('rgb(1 2)')).toBe('rgb() needs 3 values, got 2.');
+  expect(error('rgb(1 2 3')).toBe('Missing ")" at the end of rgb().');
+  expect(error('hsl(10% 50% 50%)')).toMatch(/Hue in hsl\(\) can't be a percentage/);
+  expect(error('oklch(60 0.1 30)')).toMatch(/Lightness in oklch\(\) must be between 0 and 1/);
+  expect(error('rgb(1 2 3 / 2)')).toMatch(/^Alpha in rgb\(\)/);
+  expect(error('foo(1 2 3)')).toBe('Unknown color function "foo()".');
+  expect(error('color(cmyk 1 2 3)')).toMatch(/^Unknown color\(\) space "cmyk"/);
+  expect(error('blurple')).toBe('"blurple" is not a CSS color name.');
+  expect(error('255, 0, 0, 1')).toMatch(/RGBA or CMYK/);
+});
+
+test('splits pasted lists into colors and reports the rest', () => {
+  expect(parseColorList('#ff0000, #00ff00 rgb(0, 0, 255)\n255, 128, 0\nC0 M100 Y100 K0; hsl(120 50% 50%)\nRed: #123456\n255, 0, 300')).toEqual({
+    colors: ['#ff0000', '#00ff00', '#0000ff', '#ff8000', '#ff0000', '#40bf40', '#123456'],
+    errors: [
+      { input: 'Red:', message: 'Couldn\'t read "Red:" as a color.' },
+      { input: '255, 0, 300', message: 'Blue in rgb() must be between 0 and 255 (or 0% and 100%); got "300".' },
+    ],
+  });
+  expect(parseColorList('')).toEqual({ colors: [], errors: [] });
+});
+
+test('reads bare letter-only hex in a list only when it is the whole text', () => {
+  expect(parseColorList('bad face, cafe decade')).toEqual({
+    colors: [],
+    errors: ['bad', 'face', 'cafe', 'decade'].map(input => ({ input, message: `"${input}" looks like a word; write "#${input}" for a hex color.` })),
+  });
+  expect(parseColorList('#bad, c0ffee 0xface').colors).toEqual(['#bbaadd', '#c0ffee', '#ffaaccee']);
+  expect(parseColorList('cafe')).toEqual({ colors: ['#ccaaffee'], errors: [] });
+  expect(parse('decade')).toBe('#decade');
+});
@@ -0,0 +1,108 @@
+import chroma from 'chroma-js';
+
+// --- WCAG / APCA Contrast Helpers ---
+
+// WCAG 2.x minimum ratios for each conformance level
+export const WCAG_THRESHOLDS = {
+    AA_NORMAL: 4.5,
+    AA_LARGE: 3,
+    AAA_NORMAL: 7,
+    AAA_LARGE: 4.5,
+};
+
+// Reference text colors included in every matrix
+export const TEXT_REFERENCE_COLORS = ['#000000', '#ffffff'];
+
+// WCAG 2.x contrast ratio (1-21), or null for invalid input
+export const getContrastRatio = (colorA, colorB) => {
+    if (!chroma.valid(colorA) || !chroma.valid(colorB)) return null;
+    try { return chroma.contrast(colorA, colorB); }
+    catch { return null; }
+};
+
+// APCA lightness contrast (Lc) for text on a background; sign shows polarity
+export const getApcaContrast = (textColor, backgroundColor) => {
+    if (!chroma.valid(textColor) || !chroma.valid(backgroundColor)) return null;
+    try { return chroma.contrastAPCA(textColor, backgroundColor); }
+    catch { return null; }
+};
+
+// Pass/fail flags for every WCAG level at the given ratio
+export const getWcagLevels = (ratio) => ({
+    aaNormal: ratio !== null && ratio >= WCAG_THRESHOLDS.AA_NORMAL,
+    aaLarge: ratio !== null && ratio >= WCAG_THRESHOLDS.AA_LARGE,
+    aaaNormal: ratio !== null && ratio >= WCAG_THRESHOLDS.AAA_NORMAL,
+    aaaLarge: ratio !== null && ratio >= WCAG_THRESHOLDS.AAA_LARGE,
+});
+
+// Short badge label for the best level reached ('AAA', 'AA', 'AA Large' or 'Fail')
+export const getWcagRating = (ratio) => {
+    const levels = getWcagLevels(ratio);
+    if (levels.aaaNormal) return 'AAA';
+    if (levels.aaNormal) return 'AA';
+    if (levels.aaLarge) return 'AA Large';
+    return 'Fail';
+};
+
+// Pick black or white text for a background, whichever contrasts more
+export const getBestTextColor = (backgroundColor) => {
+    const [dark, light] = TEXT_REFERENCE_COLORS;
+    const darkRatio = getContrastRatio(dark, backgroundColor) ?? 0;
+    const lightRatio = getContrastRatio(light, backgroundColor) ?? 0;
+    return darkRatio >= lightRatio
+        ? { color: dark, ratio: darkRatio }
+        : { color: light, ratio: lightRatio };
+};
+
+// Build a foreground x background matrix for the palette plus black/white text
+export const buildContrastMatrix = (colors) => {
+    const paletteColors = (colors || []).filter(c => chroma.valid(c)).map(c => chroma(c).hex());
+    const foregrounds = [...paletteColors, ...TEXT_REFERENCE_COLORS];
+    const backgrounds = paletteColors;
+    const rows = foregrounds.map(foreground => ({
+        foreground,
+        cells: backgrounds.map(background => {
+            const ratio = getContrastRatio(foreground, background);
+            return {
+                foreground,
+                background,
+                ratio,
+                apca: getApcaContrast(foreground, background),
+                levels: getWcagLevels(ratio),
+            };
+        }),
+    }));
+    return { foregrounds, backgrounds, rows };
+};
+
+// Serialize a contrast matrix to CSV (one row per foreground/background pair)
+export const contrastMatrixToCsv = (matrix) => {
+    const header = ['foreground', 'background', 'wcag_ratio', 'apca_lc', 'aa_normal', 'aa_large', 'aaa_normal', 'aaa_large'];
+    const lines = [header.join(',')];
+    matrix.rows.forEach(row => row.cells.forEach(cell => {
+        if (cell.foreground === cell.background) return;
+        lines.push([
+            cell.foreground,
+            cell.background,
+            cell.ratio !== null ? cell.ratio.toFixed(2) : '',
+            cell.apca !== null ? cell.apca.toFixed(1) : '',
+            cell.levels.aaNormal, cell.levels.aaLarge, cell.levels.aaaNormal, cell.levels.aaaLarge,
+        ].join(','));
+    }));
+    return lines.join('\n');
+};
+
+// Plain-object version of the matrix for JSON export
+export const contrastMatrixToJson = (matrix) => ({
+    foregrounds: matrix.foregrounds,
+    backgrounds: matrix.backgrounds,
+    pairs: matrix.rows.flatMap(row => row.cells
+        .filter(cell => cell.foreground !== cell.background)
+        .map(cell => ({
+            foreground: cell.foreground,
+            background: cell.background,
+            ratio: cell.ratio !== null ? Number(cell.ratio.toFixed(2)) : null,
+            apca: cell.apca !== null ? Number(cell.apca.toFixed(1)) : null,
+            ...cell.levels,
+        }))),
+});
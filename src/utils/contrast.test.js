@@ -0,0 +1,29 @@
+import { buildContrastMatrix, contrastMatrixToCsv, getBestTextColor, getContrastRatio, getWcagLevels, getWcagRating } from './contrast';
+
+test('computes WCAG ratios for black and white', () => {
+  expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+  expect(getContrastRatio('#ffffff', '#ffffff')).toBeCloseTo(1, 5);
+  expect(getContrastRatio('not-a-color', '#ffffff')).toBeNull();
+});
+
+test('maps ratios to WCAG levels and ratings', () => {
+  expect(getWcagLevels(4.6)).toEqual({ aaNormal: true, aaLarge: true, aaaNormal: false, aaaLarge: true });
+  expect(getWcagRating(3.2)).toBe('AA Large');
+  expect(getWcagRating(8)).toBe('AAA');
+  expect(getWcagRating(null)).toBe('Fail');
+});
+
+test('picks the text color with the higher contrast', () => {
+  expect(getBestTextColor('#111827').color).toBe('#ffffff');
+  expect(getBestTextColor('#fde047').color).toBe('#000000');
+});
+
+test('builds a matrix with black and white text rows', () => {
+  const matrix = buildContrastMatrix(['#e11d48', '#2563eb']);
+  expect(matrix.foregrounds).toEqual(['#e11d48', '#2563eb', '#000000', '#ffffff']);
+  expect(matrix.rows).toHaveLength(4);
+  expect(matrix.rows[0].cells).toHaveLength(2);
+  const csv = contrastMatrixToCsv(matrix).split('\n');
+  expect(csv[0]).toBe('foreground,background,wcag_ratio,apca_lc,aa_normal,aa_large,aaa_normal,aaa_large');
+  expect(csv).toHaveLength(1 + 4 * 2 - 2);
+});
@@ -0,0 +1,100 @@
+import chroma from 'chroma-js';
+import { getApcaContrast, getContrastRatio, WCAG_THRESHOLDS } from './contrast.js';
+
+// --- Accessibility Auto-Fixer ---
+//
+// Moves one color of a foreground/background pair along OKLCH lightness until the pair meets a
+// contrast target. Hue is kept; chroma is kept unless the lighter/darker color would fall outside
+// sRGB, in which case it is reduced just enough to fit.
+
+export const CONTRAST_TARGETS = [
+    { value: 'aa', label: `WCAG AA (${WCAG_THRESHOLDS.AA_NORMAL}:1)`, metric: 'wcag', min: WCAG_THRESHOLDS.AA_NORMAL },
+    { value: 'aa-large', label: `WCAG AA Large (${WCAG_THRESHOLDS.AA_LARGE}:1)`, metric: 'wcag', min: WCAG_THRESHOLDS.AA_LARGE },
+    { value: 'aaa', label: `WCAG AAA (${WCAG_THRESHOLDS.AAA_NORMAL}:1)`, metric: 'wcag', min: WCAG_THRESHOLDS.AAA_NORMAL },
+    { value: 'apca-90', label: 'APCA Lc 90 (preferred body text)', metric: 'apca', min: 90 },
+    { value: 'apca-75', label: 'APCA Lc 75 (body text)', metric: 'apca', min: 75 },
+    { value: 'apca-60', label: 'APCA Lc 60 (content text)', metric: 'apca', min: 60 },
+    { value: 'apca-45', label: 'APCA Lc 45 (large text)', metric: 'apca', min: 45 },
+];
+
+const SEARCH_STEPS = 24; // Binary search iterations (lightness resolution ~1e-7)
+
+export const getContrastTarget = (value) => CONTRAST_TARGETS.find(t => t.value === value) || CONTRAST_TARGETS[0];
+
+// Contrast of text on background in the target's metric (APCA as absolute Lc)
+export const measureContrast = (foreground, background, target) => {
+    if (getContrastTarget(target.value).metric === 'apca') {
+        const lc = getApcaContrast(foreground, background);
+        return lc === null ? null : Math.abs(lc);
+    }
+    return getContrastRatio(foreground, background);
+};
+
+export const meetsContrastTarget = (foreground, background, target) => (measureContrast(foreground, background, target) ?? 0) >= target.min;
+
+// sRGB color at OKLCH lightness `l` with the given hue and as much of `c` as fits the gamut
+export const fitOklch = (l, c, h) => {
+    const hue = Number.isNaN(h) ? 0 : h;
+    if (!chroma.oklch(l, c, hue).clipped()) return chroma.oklch(l, c, hue).hex();
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+        const mid = (low + high) / 2;
+        if (chroma.oklch(l, mid, hue).clipped()) high = mid;
+        else low = mid;
+    }
+    return chroma.oklch(l, low, hue).hex();
+};
+
+// Smallest lightness change to `color` that makes the pair pass. `role` says whether `color`
+// is the 'foreground' or the 'background'. Returns { color, passes, contrast, lightnessShift }.
+export const adjustLightnessForContrast = (color, other, target, role = 'foreground') => {
+    const measure = (candidate) => (role === 'foreground' ? measureContrast(candidate, other, target) : measureContrast(other, candidate, target)) ?? 0;
+    const [l, c, h] = chroma(color).oklch();
+    const original = chroma(color).hex();
+    if (measure(original) >= target.min) return { color: original, passes: true, contrast: measure(original), lightnessShift: 0 };
+
+    // Try darkening and lightening; keep whichever passes with the smaller change
+    const options = [0, 1].map(limit => {
+        const atLimit = fitOklch(limit, c, h);
+        if (measure(atLimit) < target.min) return { color: atLimit, passes: false, contrast: measure(atLimit), lightnessShift: Math.abs(limit - l) };
+        let near = l;
+        let far = limit;
+        for (let i = 0; i < SEARCH_STEPS; i++) {
+            const mid = (near + far) / 2;
+            if (measure(fitOklch(mid, c, h)) >= target.min) far = mid;
+            else near = mid;
+        }
+        const fixed = fitOklch(far, c, h);
+        return { color: fixed, passes: true, contrast: measure(fixed), lightnessShift: Math.abs(far - l) };
+    });
+    const passing = options.filter(o => o.passes).sort((a, b) => a.lightnessShift - b.lightnessShift);
+    if (passing.length > 0) return passing[0];
+    // Neither direction gets there; return the best effort
+    return [...options].sort((a, b) => b.contrast - a.contrast)[0];
+};
+
+// Fix one pairing in a palette. `foreground`/`background` are palette indexes or reference
+// colors ('#000000'); `adjust` names the side to change and must be a palette index.
+// Returns { before, after, changes: [{ index, from, to }], contrastBefore, contrastAfter, passes }
+export const fixPaletteContrast = (palette, { foreground, background, target, adjust = 'foreground' }) => {
+    const resolve = (ref) => (typeof ref === 'number' ? palette[ref] : ref);
+    const fg = resolve(foreground);
+    const bg = resolve(background);
+    if (!chroma.valid(fg) || !chroma.valid(bg)) return null;
+    const adjustIndex = adjust === 'background' ? background : foreground;
+    const contrastBefore = measureContrast(fg, bg, target);
+    if (typeof adjustIndex !== 'number') return null;
+
+    const result = adjustLightnessForContrast(
+        adjust === 'background' ? bg : fg,
+        adjust === 'background' ? fg : bg,
+        target,
+        adjust,
+    );
+    const after = palette.map((color, i) => (i === adjustIndex ? result.color : color));
+    const changes = result.color !== chroma(palette[adjustIndex]).hex()
+        ? [{ index: adjustIndex, from: palette[adjustIndex], to: result.color }]
+        : [];
+    return { before: [...palette], after, changes, contrastBefore, contrastAfter: result.contrast, passes: result.passes };
+};
@@ -0,0 +1,50 @@
+import chroma from 'chroma-js';
+import { adjustLightnessForContrast, fitOklch, fixPaletteContrast, getContrastTarget, meetsContrastTarget } from './contrastFix';
+
+const hueOf = (color) => chroma(color).oklch()[2];
+
+test('reaches WCAG targets with the smallest lightness change', () => {
+  const target = getContrastTarget('aa');
+  const fixed = adjustLightnessForContrast('#7c9cff', '#ffffff', target, 'foreground');
+  expect(fixed.passes).toBe(true);
+  expect(fixed.contrast).toBeGreaterThanOrEqual(4.5);
+  expect(fixed.contrast).toBeLessThan(4.6);
+  expect(chroma(fixed.color).oklch()[0]).toBeLessThan(chroma('#7c9cff').oklch()[0]);
+  expect(Math.abs(hueOf(fixed.color) - hueOf('#7c9cff'))).toBeLessThan(3);
+});
+
+test('adjusts backgrounds and APCA targets too', () => {
+  const target = getContrastTarget('apca-75');
+  const fixed = adjustLightnessForContrast('#3b82f6', '#111827', target, 'background');
+  expect(fixed.passes).toBe(true);
+  expect(meetsContrastTarget('#111827', fixed.color, target)).toBe(true);
+});
+
+test('leaves passing colors alone and reports impossible targets', () => {
+  expect(adjustLightnessForContrast('#000000', '#ffffff', getContrastTarget('aaa'), 'foreground')).toMatchObject({ color: '#000000', lightnessShift: 0 });
+  const impossible = adjustLightnessForContrast('#777777', '#777777', { value: 'aaa', metric: 'wcag', min: 25 }, 'foreground');
+  expect(impossible.passes).toBe(false);
+});
+
+test('keeps colors inside sRGB when lightening saturated hues', () => {
+  const light = fitOklch(0.97, 0.3, 264);
+  expect(chroma(light).oklch()[0]).toBeCloseTo(0.97, 2);
+});
+
+test('fixes one pairing in a palette', () => {
+  const palette = ['#f8fafc', '#94a3b8', '#0f172a'];
+  const result = fixPaletteContrast(palette, { foreground: 1, background: 0, target: getContrastTarget('aa') });
+  expect(result.passes).toBe(true);
+  expect(result.changes).toHaveLength(1);
+  expect(result.changes[0]).toMatchObject({ index: 1, from: '#94a3b8' });
+  expect(result.after[0]).toBe('#f8fafc');
+  expect(result.contrastBefore).toBeLessThan(4.5);
+  expect(fixPaletteContrast(palette, { foreground: '#000000', background: 0, target: getContrastTarget('aa') })).toBeNull();
+});
+
+test('reports no change without passing when the original color is the best effort', () => {
+  const result = fixPaletteContrast(['#000000', '#777777'], { foreground: 0, background: 1, target: getContrastTarget('aaa') });
+  expect(result.changes).toEqual([]);
+  expect(result.passes).toBe(false);
+  expect(result.contrastAfter).toBeLessThan(7);
+});
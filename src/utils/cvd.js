@@ -0,0 +1,113 @@
+import chroma from 'chroma-js';
+
+// --- Color Vision Deficiency (CVD) Simulation ---
+
+export const CVD_TYPES = [
+    { value: 'none', label: 'Normal Vision' },
+    { value: 'protanopia', label: 'Protanopia (no red cones)' },
+    { value: 'deuteranopia', label: 'Deuteranopia (no green cones)' },
+    { value: 'tritanopia', label: 'Tritanopia (no blue cones)' },
+    { value: 'achromatopsia', label: 'Achromatopsia (no color)' },
+];
+
+// Swatches closer than this CIEDE2000 distance are considered indistinguishable
+export const CVD_DELTA_E_THRESHOLD = 8;
+
+// Machado, Oliveira & Fernandes (2009) matrices at full severity, applied in linear RGB
+const MACHADO_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+};
+
+const srgbToLinear = (value) => {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+const linearToSrgb = (value) => {
+    const v = Math.min(1, Math.max(0, value));
+    const s = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(s * 255);
+};
+
+// 8-bit lookup table, so simulating whole images stays fast
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, i) => srgbToLinear(i));
+
+// Simulate one RGB triple (0-255) under the given deficiency
+const simulateRgb = (r, g, b, type) => {
+    const lr = SRGB_TO_LINEAR[r];
+    const lg = SRGB_TO_LINEAR[g];
+    const lb = SRGB_TO_LINEAR[b];
+    if (type === 'achromatopsia') {
+        const y = linearToSrgb(0.2126 * lr + 0.7152 * lg + 0.0722 * lb);
+        return [y, y, y];
+    }
+    const m = MACHADO_MATRICES[type];
+    if (!m) return [r, g, b];
+    return [
+        linearToSrgb(m[0][0] * lr + m[0][1] * lg + m[0][2] * lb),
+        linearToSrgb(m[1][0] * lr + m[1][1] * lg + m[1][2] * lb),
+        linearToSrgb(m[2][0] * lr + m[2][1] * lg + m[2][2] * lb),
+    ];
+};
+
+// Simulate a single color; returns the input unchanged for 'none' or invalid colors
+export const simulateColor = (color, type) => {
+    if (!type || type === 'none' || !chroma.valid(color)) return color;
+    try {
+        const c = chroma(color);
+        const [r, g, b] = c.rgb();
+        return chroma(simulateRgb(r, g, b, type)).alpha(c.alpha()).hex();
+    } catch {
+        return color;
+    }
+};
+
+export const simulatePalette = (colors, type) => (colors || []).map(c => simulateColor(c, type));
+
+// Simulate canvas ImageData, returning a new pixel buffer (alpha is preserved)
+export const simulateImageData = (imageData, type) => {
+    const source = imageData.data;
+    const output = new Uint8ClampedArray(source.length);
+    for (let i = 0; i < source.length; i += 4) {
+        const [r, g, b] = simulateRgb(source[i], source[i + 1], source[i + 2], type);
+        output[i] = r;
+        output[i + 1] = g;
+        output[i + 2] = b;
+        output[i + 3] = source[i + 3];
+    }
+    return output;
+};
+
+// Find palette swatch pairs that become nearly identical under a deficiency
+export const findConfusablePairs = (colors, type, threshold = CVD_DELTA_E_THRESHOLD) => {
+    if (!type || type === 'none') return [];
+    const valid = (colors || []).map((color, index) => ({ color, index })).filter(item => chroma.valid(item.color));
+    const simulated = valid.map(item => ({ ...item, simulated: simulateColor(item.color, type) }));
+    const pairs = [];
+    for (let i = 0; i < simulated.length; i++) {
+        for (let j = i + 1; j < simulated.length; j++) {
+            const a = simulated[i];
+            const b = simulated[j];
+            // Colors that already look alike to everyone are not a CVD problem
+            if (chroma.deltaE(a.color, b.color) < threshold) continue;
+            const deltaE = chroma.deltaE(a.simulated, b.simulated);
+            if (deltaE < threshold) {
+                pairs.push({ indexA: a.index, indexB: b.index, colorA: a.color, colorB: b.color, deltaE });
+            }
+        }
+    }
+    return pairs;
+};
@@ -0,0 +1,30 @@
+import { findConfusablePairs, simulateColor, simulateImageData } from './cvd';
+
+test('leaves colors untouched for normal vision', () => {
+  expect(simulateColor('#e11d48', 'none')).toBe('#e11d48');
+});
+
+test('simulates achromatopsia as grayscale', () => {
+  const simulated = simulateColor('#2563eb', 'achromatopsia');
+  expect(simulated.slice(1, 3)).toBe(simulated.slice(3, 5));
+  expect(simulated.slice(3, 5)).toBe(simulated.slice(5, 7));
+});
+
+test('keeps black and white fixed under every deficiency', () => {
+  ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'].forEach(type => {
+    expect(simulateColor('#000000', type)).toBe('#000000');
+    expect(simulateColor('#ffffff', type)).toBe('#ffffff');
+  });
+});
+
+test('flags red/green pairs as confusable for deuteranopia', () => {
+  const pairs = findConfusablePairs(['#d95f5f', '#8c8f3a', '#1d4ed8'], 'deuteranopia', 12);
+  expect(pairs.some(p => p.indexA === 0 && p.indexB === 1)).toBe(true);
+  expect(findConfusablePairs(['#d95f5f', '#8c8f3a'], 'none')).toEqual([]);
+});
+
+test('simulates image data and preserves alpha', () => {
+  const output = simulateImageData({ data: new Uint8ClampedArray([255, 0, 0, 128]) }, 'protanopia');
+  expect(output[3]).toBe(128);
+  expect(output[0]).not.toBe(255);
+});
@@ -0,0 +1,27 @@
+// --- File Download Helpers ---
+
+// Download any text content as a file
+export const downloadText = (content, filename, mimeType = 'text/plain') => {
+     const dataUrl = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+     const link = document.createElement("a");
+     link.href = dataUrl;
+     link.download = filename;
+     link.click();
+     link.remove();
+};
+
+// Download helper for JSON data
+export const downloadJson = (data, filename = 'palette.json') => {
+     downloadText(JSON.stringify(data, null, 2), filename, 'text/json');
+};
+
+// Download binary data (Uint8Array / ArrayBuffer) as a file
+export const downloadBinary = (bytes, filename, mimeType = 'application/octet-stream') => {
+     const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+     const link = document.createElement("a");
+     link.href = url;
+     link.download = filename;
+     link.click();
+     link.remove();
+     setTimeout(() => URL.revokeObjectURL(url), 0);
+};
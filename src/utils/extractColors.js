@@ -0,0 +1,36 @@
+import { downsamplePixels, extractDominantColors } from './quantize.js';
+
+// --- Run dominant color extraction off the main thread ---
+
+let nextRequestId = 0;
+
+// Resolves to [{ color, coverage }]; falls back to the main thread where Workers are unavailable.
+// Only the sampled pixels are handed over, never a copy of the full-resolution image.
+export const runColorExtraction = (pixels, count, method) => {
+    const sampled = downsamplePixels(pixels);
+    if (typeof Worker === 'undefined') {
+        return Promise.resolve(extractDominantColors(sampled, count, { method }));
+    }
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('../workers/extractColors.worker.js', import.meta.url));
+        } catch (error) {
+            console.warn("Worker unavailable, extracting on main thread:", error);
+            resolve(extractDominantColors(sampled, count, { method }));
+            return;
+        }
+        const id = ++nextRequestId;
+        worker.onmessage = (event) => {
+            if (event.data.id !== id) return;
+            worker.terminate();
+            if (event.data.error) reject(new Error(event.data.error));
+            else resolve(event.data.colors);
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Extraction worker failed.'));
+        };
+        worker.postMessage({ id, pixels: sampled, count, method }, [sampled.buffer]);
+    });
+};
@@ -0,0 +1,171 @@
+import chroma from 'chroma-js';
+
+// --- Gradient Builder Helpers ---
+//
+// A gradient is the palette plus settings { type, centerX, centerY, easing, smoothing, stops }.
+// The angle comes from the gradient direction ('to right', '45deg', ...). `stops` holds one
+// { position (0-100), opacity (0-1) } per palette color, or null for evenly spaced opaque stops.
+
+export const GRADIENT_TYPES = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'radial', label: 'Radial' },
+    { value: 'conic', label: 'Conic' },
+];
+
+// Easing applied to the extra stops between two palette colors
+export const GRADIENT_EASINGS = [
+    { value: 'linear', label: 'Linear', ease: (t) => t },
+    { value: 'ease-in', label: 'Ease In', ease: (t) => t * t },
+    { value: 'ease-out', label: 'Ease Out', ease: (t) => 1 - (1 - t) * (1 - t) },
+    { value: 'ease-in-out', label: 'Ease In-Out', ease: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)) },
+];
+
+export const MAX_GRADIENT_SMOOTHING = 8; // Extra OKLab stops between each pair of colors
+
+export const DEFAULT_GRADIENT_SETTINGS = { type: 'linear', centerX: 50, centerY: 50, easing: 'linear', smoothing: 0, stops: null };
+
+const KEYWORD_ANGLES = {
+    'to top': 0, 'to top right': 45, 'to right top': 45, 'to right': 90, 'to bottom right': 135, 'to right bottom': 135,
+    'to bottom': 180, 'to bottom left': 225, 'to left bottom': 225, 'to left': 270, 'to top left': 315, 'to left top': 315,
+};
+const ANGLE_PATTERN = /^(-?\d+(?:\.\d+)?)deg$/;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// True for a plain CSS angle such as '45deg'
+export const isCssAngle = (value) => typeof value === 'string' && ANGLE_PATTERN.test(value);
+
+// Angle in degrees (0-359, clockwise from top) for a direction keyword or 'Ndeg'
+export const directionToAngle = (direction) => {
+    if (direction in KEYWORD_ANGLES) return KEYWORD_ANGLES[direction];
+    const match = ANGLE_PATTERN.exec(direction || '');
+    return match ? ((Number(match[1]) % 360) + 360) % 360 : 90;
+};
+
+// One stop per color, spread evenly and fully opaque
+export const createEvenStops = (count) => Array.from({ length: count }, (_, i) => ({
+    position: count > 1 ? round((i / (count - 1)) * 100) : 0,
+    opacity: 1,
+}));
+
+// Stops for `count` colors; falls back to even stops when the saved ones don't fit
+export const normalizeGradientStops = (stops, count) => {
+    if (!Array.isArray(stops) || stops.length !== count) return createEvenStops(count);
+    return stops.map(stop => ({
+        position: Number.isFinite(stop?.position) ? clamp(round(stop.position), 0, 100) : 0,
+        opacity: Number.isFinite(stop?.opacity) ? clamp(round(stop.opacity), 0, 1) : 1,
+    }));
+};
+
+export const normalizeGradientSettings = (raw) => {
+    const settings = raw && typeof raw === 'object' ? raw : {};
+    const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+    return {
+        type: GRADIENT_TYPES.some(t => t.value === settings.type) ? settings.type : DEFAULT_GRADIENT_SETTINGS.type,
+        centerX: isPercent(settings.centerX) ? settings.centerX : DEFAULT_GRADIENT_SETTINGS.centerX,
+        centerY: isPercent(settings.centerY) ? settings.centerY : DEFAULT_GRADIENT_SETTINGS.centerY,
+        easing: GRADIENT_EASINGS.some(e => e.value === settings.easing) ? settings.easing : DEFAULT_GRADIENT_SETTINGS.easing,
+        smoothing: Number.isInteger(settings.smoothing) ? clamp(settings.smoothing, 0, MAX_GRADIENT_SMOOTHING) : DEFAULT_GRADIENT_SETTINGS.smoothing,
+        stops: Array.isArray(settings.stops) ? normalizeGradientStops(settings.stops, settings.stops.length) : null,
+    };
+};
+
+// Final color stops [{ color, opacity, position }] sorted by position, including any
+// eased OKLab stops inserted between neighbours (avoids the gray band sRGB blending gives)
+export const resolveGradientStops = (colors, settings = DEFAULT_GRADIENT_SETTINGS) => {
+    const valid = colors.filter(c => chroma.valid(c));
+    if (valid.length === 0) return [];
+    const stops = normalizeGradientStops(valid.length === colors.length ? settings.stops : null, valid.length);
+    const base = valid
+        .map((color, i) => ({ color: chroma(color).hex(), opacity: stops[i].opacity, position: stops[i].position }))
+        .sort((a, b) => a.position - b.position);
+    const steps = clamp(settings.smoothing || 0, 0, MAX_GRADIENT_SMOOTHING);
+    if (steps === 0) return base;
+    const ease = (GRADIENT_EASINGS.find(e => e.value === settings.easing) || GRADIENT_EASINGS[0]).ease;
+    const result = [base[0]];
+    for (let i = 1; i < base.length; i++) {
+        const from = base[i - 1];
+        const to = base[i];
+        for (let k = 1; k <= steps; k++) {
+            const t = k / (steps + 1);
+            const mixed = ease(t);
+            result.push({
+                color: chroma.mix(from.color, to.color, mixed, 'oklab').hex(),
+                opacity: round(from.opacity + (to.opacity - from.opacity) * mixed),
+                position: round(from.position + (to.position - from.position) * t),
+            });
+        }
+        result.push(to);
+    }
+    return result;
+};
+
+// Legacy rgba() syntax so canvas color stops accept it everywhere
+const formatStopColor = ({ color, opacity }) => (opacity >= 1 ? color : `rgba(${chroma(color).rgb().join(', ')}, ${opacity})`);
+
+// CSS background-image value for the resolved stops
+export const buildGradientCss = (stops, settings, direction) => {
+    const list = stops.map(stop => `${formatStopColor(stop)} ${stop.position}%`).join(', ');
+    const at = `at ${settings.centerX}% ${settings.centerY}%`;
+    if (settings.type === 'radial') return `radial-gradient(circle ${at}, ${list})`;
+    if (settings.type === 'conic') return `conic-gradient(from ${directionToAngle(direction)}deg ${at}, ${list})`;
+    return `linear-gradient(${directionToAngle(direction)}deg, ${list})`;
+};
+
+// Start/end points of a CSS linear gradient line in a width x height box
+export const getLinearGradientLine = (angle, width, height) => {
+    const radians = (angle * Math.PI) / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const cx = width / 2;
+    const cy = height / 2;
+    return { x1: round(cx - dx * halfLength), y1: round(cy - dy * halfLength), x2: round(cx + dx * halfLength), y2: round(cy + dy * halfLength) };
+};
+
+// Radius that reaches the farthest corner (CSS `circle` default)
+const getFarthestCornerRadius = (cx, cy, width, height) => Math.max(
+    Math.hypot(cx, cy), Math.hypot(width - cx, cy), Math.hypot(cx, height - cy), Math.hypot(width - cx, height - cy),
+);
+
+// SVG document for linear/radial gradients; null for conic (SVG has no conic gradient)
+export const buildGradientSvg = (stops, settings, direction, { width = 800, height = 400 } = {}) => {
+    if (settings.type === 'conic') return null;
+    const stopMarkup = stops.map(stop => (
+        `    <stop offset="${stop.position}%" stop-color="${stop.color}"${stop.opacity < 1 ? ` stop-opacity="${stop.opacity}"` : ''}/>`
+    )).join('\n');
+    let gradient;
+    if (settings.type === 'radial') {
+        const cx = round((settings.centerX / 100) * width);
+        const cy = round((settings.centerY / 100) * height);
+        const r = round(getFarthestCornerRadius(cx, cy, width, height));
+        gradient = `  <radialGradient id="gradient" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}">\n${stopMarkup}\n  </radialGradient>`;
+    } else {
+        const { x1, y1, x2, y2 } = getLinearGradientLine(directionToAngle(direction), width, height);
+        gradient = `  <linearGradient id="gradient" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">\n${stopMarkup}\n  </linearGradient>`;
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n<defs>\n${gradient}\n</defs>\n  <rect width="${width}" height="${height}" fill="url(#gradient)"/>\n</svg>\n`;
+};
+
+// Paint the gradient onto a 2D canvas context; returns false if the browser can't draw it
+export const paintGradient = (ctx, stops, settings, direction, width, height) => {
+    const cx = (settings.centerX / 100) * width;
+    const cy = (settings.centerY / 100) * height;
+    let gradient;
+    if (settings.type === 'radial') {
+        gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, getFarthestCornerRadius(cx, cy, width, height));
+    } else if (settings.type === 'conic') {
+        if (typeof ctx.createConicGradient !== 'function') return false;
+        // Canvas measures from 3 o'clock, CSS from 12 o'clock
+        gradient = ctx.createConicGradient(((directionToAngle(direction) - 90) * Math.PI) / 180, cx, cy);
+    } else {
+        const { x1, y1, x2, y2 } = getLinearGradientLine(directionToAngle(direction), width, height);
+        gradient = ctx.createLinearGradient(x1, y1, x2, y2);
+    }
+    stops.forEach(stop => gradient.addColorStop(stop.position / 100, formatStopColor(stop)));
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    return true;
+};
@@ -0,0 +1,52 @@
+import {
+  DEFAULT_GRADIENT_SETTINGS, buildGradientCss, buildGradientSvg, directionToAngle, getLinearGradientLine,
+  isCssAngle, normalizeGradientSettings, resolveGradientStops,
+} from './gradient';
+
+test('converts direction keywords and angles', () => {
+  expect(directionToAngle('to right')).toBe(90);
+  expect(directionToAngle('to top left')).toBe(315);
+  expect(directionToAngle('-45deg')).toBe(315);
+  expect(directionToAngle('nonsense')).toBe(90);
+  expect(isCssAngle('12.5deg')).toBe(true);
+  expect(isCssAngle('to right')).toBe(false);
+});
+
+test('spreads stops evenly and sorts dragged ones', () => {
+  const even = resolveGradientStops(['#ff0000', '#00ff00', '#0000ff']);
+  expect(even.map(s => s.position)).toEqual([0, 50, 100]);
+  const dragged = resolveGradientStops(['#ff0000', '#0000ff'], { ...DEFAULT_GRADIENT_SETTINGS, stops: [{ position: 80, opacity: 0.5 }, { position: 20, opacity: 1 }] });
+  expect(dragged).toEqual([
+    { color: '#0000ff', opacity: 1, position: 20 },
+    { color: '#ff0000', opacity: 0.5, position: 80 },
+  ]);
+});
+
+test('inserts eased OKLab stops between colors', () => {
+  const stops = resolveGradientStops(['#0000ff', '#ffff00'], { ...DEFAULT_GRADIENT_SETTINGS, smoothing: 3, easing: 'ease-in' });
+  expect(stops).toHaveLength(5);
+  expect(stops.map(s => s.position)).toEqual([0, 25, 50, 75, 100]);
+  // The OKLab midpoint of blue and yellow stays far from the sRGB gray (#808080)
+  expect(stops[2].color).not.toBe('#808080');
+});
+
+test('builds CSS for each gradient type', () => {
+  const stops = [{ color: '#ff0000', opacity: 1, position: 0 }, { color: '#0000ff', opacity: 0.5, position: 100 }];
+  expect(buildGradientCss(stops, DEFAULT_GRADIENT_SETTINGS, 'to bottom')).toBe('linear-gradient(180deg, #ff0000 0%, rgba(0, 0, 255, 0.5) 100%)');
+  expect(buildGradientCss(stops, { ...DEFAULT_GRADIENT_SETTINGS, type: 'radial', centerX: 25 }, '90deg')).toMatch(/^radial-gradient\(circle at 25% 50%, /);
+  expect(buildGradientCss(stops, { ...DEFAULT_GRADIENT_SETTINGS, type: 'conic' }, '45deg')).toMatch(/^conic-gradient\(from 45deg at 50% 50%, /);
+});
+
+test('builds SVG markup matching the CSS geometry', () => {
+  expect(getLinearGradientLine(90, 200, 100)).toEqual({ x1: 0, y1: 50, x2: 200, y2: 50 });
+  const stops = [{ color: '#ff0000', opacity: 1, position: 0 }, { color: '#0000ff', opacity: 0.5, position: 100 }];
+  const svg = buildGradientSvg(stops, DEFAULT_GRADIENT_SETTINGS, 'to right', { width: 200, height: 100 });
+  expect(svg).toContain('<linearGradient id="gradient" gradientUnits="userSpaceOnUse" x1="0" y1="50" x2="200" y2="50">');
+  expect(svg).toContain('<stop offset="100%" stop-color="#0000ff" stop-opacity="0.5"/>');
+  expect(buildGradientSvg(stops, { ...DEFAULT_GRADIENT_SETTINGS, type: 'radial' }, 'to right')).toContain('<radialGradient');
+  expect(buildGradientSvg(stops, { ...DEFAULT_GRADIENT_SETTINGS, type: 'conic' }, 'to right')).toBeNull();
+});
+
+test('normalizes stored settings', () => {
+  expect(normalizeGradientSettings({ type: 'spiral', smoothing: 99, centerX: 150 })).toEqual({ ...DEFAULT_GRADIENT_SETTINGS, smoothing: 8 });
+});
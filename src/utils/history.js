@@ -0,0 +1,91 @@
+// --- Undo/Redo History ---
+//
+// A history is { entries: [{ id, label, time, state }], index, nextId }.
+// `index` points at the entry matching the current app state; entries after it can be redone.
+
+export const DEFAULT_HISTORY_DEPTH = 50;
+export const MIN_HISTORY_DEPTH = 5;
+export const MAX_HISTORY_DEPTH = 200;
+
+export const normalizeHistoryDepth = (depth) => {
+    const value = parseInt(depth, 10);
+    if (!Number.isFinite(value)) return DEFAULT_HISTORY_DEPTH;
+    return Math.min(MAX_HISTORY_DEPTH, Math.max(MIN_HISTORY_DEPTH, value));
+};
+
+export const createHistory = (state, label = 'Initial state') => ({
+    entries: [{ id: 1, label, time: Date.now(), state }],
+    index: 0,
+    nextId: 2,
+});
+
+// Drop the oldest entries beyond `depth`, keeping the index on the same entry
+export const trimHistory = (history, depth) => {
+    const overflow = history.entries.length - normalizeHistoryDepth(depth);
+    if (overflow <= 0) return history;
+    const dropped = Math.min(overflow, history.index); // Never drop the current entry
+    if (dropped === 0) return history;
+    return { ...history, entries: history.entries.slice(dropped), index: history.index - dropped };
+};
+
+// Add a new state after the current one, discarding any redo entries
+export const recordHistory = (history, state, label, depth = DEFAULT_HISTORY_DEPTH) => {
+    const entry = { id: history.nextId, label, time: Date.now(), state };
+    const entries = [...history.entries.slice(0, history.index + 1), entry];
+    return trimHistory({ entries, index: entries.length - 1, nextId: history.nextId + 1 }, depth);
+};
+
+export const canUndo = (history) => Boolean(history) && history.index > 0;
+export const canRedo = (history) => Boolean(history) && history.index < history.entries.length - 1;
+
+export const jumpToHistory = (history, index) => (
+    index >= 0 && index < history.entries.length ? { ...history, index } : history
+);
+export const undoHistory = (history) => jumpToHistory(history, history.index - 1);
+export const redoHistory = (history) => jumpToHistory(history, history.index + 1);
+
+// Compare two snapshots key by key (reference first, then contents)
+export const isSameHistoryState = (a, b) => {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    return [...keys].every(key => a?.[key] === b?.[key] || JSON.stringify(a?.[key]) === JSON.stringify(b?.[key]));
+};
+
+const describeMixColorChange = (prev = [], next = []) => {
+    if (next.length > prev.length) return next.length - prev.length === 1 ? 'Added mix color' : `Added ${next.length - prev.length} mix colors`;
+    if (next.length < prev.length) return 'Removed mix color';
+    const changed = next.filter((item, i) => item.color !== prev[i]?.color);
+    if (changed.length > 1) return `Changed ${changed.length} mix colors`;
+    if (changed.length === 1) return `Mix color → ${changed[0].color}`;
+    if (next.some((item, i) => item.locked !== prev[i]?.locked)) return 'Toggled mix color lock';
+    if (next.some((item, i) => item.weight !== prev[i]?.weight)) return 'Changed mix weight';
+    return 'Changed mix colors';
+};
+
+const describeSavedPaletteChange = (prev = [], next = []) => {
+    const prevIds = new Set(prev.map(p => p.id));
+    const nextIds = new Set(next.map(p => p.id));
+    const added = next.filter(p => !prevIds.has(p.id));
+    const removed = prev.filter(p => !nextIds.has(p.id));
+    if (added.length === 1 && removed.length === 0) return `Saved "${added[0].name}"`;
+    if (added.length > 1 && removed.length === 0) return `Added ${added.length} palettes`;
+    if (removed.length === 1 && added.length === 0) return `Deleted "${removed[0].name}"`;
+    if (removed.length > 1 && added.length === 0) return `Deleted ${removed.length} palettes`;
+    const renamed = next.find(p => prevIds.has(p.id) && prev.find(old => old.id === p.id).name !== p.name);
+    if (renamed && added.length === 0 && removed.length === 0) {
+        return `Renamed "${prev.find(old => old.id === renamed.id).name}" → "${renamed.name}"`;
+    }
+    return 'Changed saved palettes';
+};
+
+// Human-readable summary of what changed between two snapshots
+export const describeStateChange = (prev, next) => {
+    const parts = [];
+    if (!isSameHistoryState({ v: prev.mixColors }, { v: next.mixColors })) parts.push(describeMixColorChange(prev.mixColors, next.mixColors));
+    if (prev.paletteType !== next.paletteType) parts.push(`Type: ${next.paletteType}`);
+    if (prev.colorCount !== next.colorCount) parts.push(`Count: ${next.colorCount}`);
+    if (prev.gradientDirection !== next.gradientDirection) parts.push(`Gradient: ${next.gradientDirection}`);
+    if (!isSameHistoryState({ v: prev.swatchOrder }, { v: next.swatchOrder })) parts.push('Reordered swatches');
+    else if (!isSameHistoryState({ v: prev.swatchOverrides }, { v: next.swatchOverrides })) parts.push('Changed swatch locks/edits');
+    if (!isSameHistoryState({ v: prev.savedPalettes }, { v: next.savedPalettes })) parts.push(describeSavedPaletteChange(prev.savedPalettes, next.savedPalettes));
+    return parts.length > 0 ? parts.join(', ') : 'Changed state';
+};
@@ -0,0 +1,42 @@
+import { canRedo, canUndo, createHistory, describeStateChange, jumpToHistory, recordHistory, redoHistory, undoHistory } from './history';
+
+const state = (overrides = {}) => ({
+  mixColors: [{ color: '#e11d48', locked: false, weight: 1 }, { color: '#2563eb', locked: false, weight: 1 }],
+  paletteType: 'monochromatic',
+  colorCount: 5,
+  gradientDirection: 'to right',
+  savedPalettes: [],
+  ...overrides,
+});
+
+test('undoes, redoes and drops redo entries on a new change', () => {
+  let history = createHistory(state());
+  history = recordHistory(history, state({ colorCount: 6 }), 'Count: 6');
+  history = recordHistory(history, state({ colorCount: 7 }), 'Count: 7');
+  history = undoHistory(undoHistory(history));
+  expect(history.index).toBe(0);
+  expect(canUndo(history)).toBe(false);
+  history = redoHistory(history);
+  expect(history.entries[history.index].state.colorCount).toBe(6);
+  history = recordHistory(history, state({ paletteType: 'triadic' }), 'Type: triadic');
+  expect(history.entries.map(e => e.label)).toEqual(['Initial state', 'Count: 6', 'Type: triadic']);
+  expect(canRedo(history)).toBe(false);
+  expect(jumpToHistory(history, 99)).toBe(history);
+});
+
+test('keeps at most `depth` entries', () => {
+  let history = createHistory(state());
+  for (let n = 3; n <= 12; n++) history = recordHistory(history, state({ colorCount: n }), `Count: ${n}`, 5);
+  expect(history.entries).toHaveLength(5);
+  expect(history.index).toBe(4);
+  expect(history.entries[0].label).toBe('Count: 8');
+});
+
+test('describes what changed', () => {
+  const saved = [{ id: 1, name: 'Sunset' }, { id: 2, name: 'Ocean' }];
+  expect(describeStateChange(state(), state({ paletteType: 'triadic', colorCount: 7 }))).toBe('Type: triadic, Count: 7');
+  expect(describeStateChange(state({ savedPalettes: saved }), state({ savedPalettes: [saved[1]] }))).toBe('Deleted "Sunset"');
+  expect(describeStateChange(state({ savedPalettes: saved }), state({ savedPalettes: [saved[0], { id: 2, name: 'Sea' }] }))).toBe('Renamed "Ocean" → "Sea"');
+  const randomized = state().mixColors.map((item, i) => ({ ...item, color: i ? '#000000' : '#ffffff' }));
+  expect(describeStateChange(state(), state({ mixColors: randomized }))).toBe('Changed 2 mix colors');
+});
@@ -0,0 +1,86 @@
+import chroma from 'chroma-js';
+
+// --- Image Picker Sampling & View ---
+//
+// Picks read the image's own full-resolution pixels, never the scaled canvas. A view is
+// { scale, x, y }: canvas pixels per image pixel, and the image pixel at the canvas's
+// top-left corner. A frame is { imageWidth, imageHeight, canvasWidth, canvasHeight }.
+
+export const SAMPLE_SIZES = [
+    { value: 1, label: '1×1 (single pixel)' },
+    { value: 3, label: '3×3 average' },
+    { value: 5, label: '5×5 average' },
+    { value: 11, label: '11×11 average' },
+];
+export const LOUPE_ZOOMS = [4, 8, 16, 32];
+export const MAX_VIEW_SCALE = 32; // One image pixel at most 32 canvas pixels wide
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Scale that shows the whole image in the canvas
+export const getFitScale = ({ imageWidth, imageHeight, canvasWidth, canvasHeight }) => Math.min(canvasWidth / imageWidth, canvasHeight / imageHeight);
+
+export const fitView = (frame) => ({ scale: getFitScale(frame), x: 0, y: 0 });
+
+// Keep the scale in range and the image covering the canvas
+export const clampView = (view, frame) => {
+    const fit = getFitScale(frame);
+    const scale = clamp(view.scale, fit, Math.max(fit, MAX_VIEW_SCALE));
+    return {
+        scale,
+        x: clamp(view.x, 0, Math.max(0, frame.imageWidth - frame.canvasWidth / scale)),
+        y: clamp(view.y, 0, Math.max(0, frame.imageHeight - frame.canvasHeight / scale)),
+    };
+};
+
+// Zoom by `factor` keeping the image point under canvas point ({ x, y }) in place
+export const zoomView = (view, factor, point, frame) => {
+    const scale = clampView({ ...view, scale: view.scale * factor }, frame).scale;
+    return clampView({
+        scale,
+        x: view.x + point.x / view.scale - point.x / scale,
+        y: view.y + point.y / view.scale - point.y / scale,
+    }, frame);
+};
+
+// Move the image by a canvas-pixel drag distance
+export const panView = (view, dx, dy, frame) => clampView({ ...view, x: view.x - dx / view.scale, y: view.y - dy / view.scale }, frame);
+
+// Canvas pixel -> image pixel ({ x, y } integers, may fall outside the image)
+export const canvasToImagePoint = (view, canvasX, canvasY) => ({
+    x: Math.floor(view.x + canvasX / view.scale),
+    y: Math.floor(view.y + canvasY / view.scale),
+});
+
+// Image pixel (center) -> canvas pixel
+export const imageToCanvasPoint = (view, imageX, imageY) => ({
+    x: (imageX + 0.5 - view.x) * view.scale,
+    y: (imageY + 0.5 - view.y) * view.scale,
+});
+
+/**
+ * Average the `size` x `size` pixels centered on (x, y) of an ImageData-like { data, width, height }.
+ * The window is clipped at the image edges and pixels are weighted by alpha.
+ * Returns a hex color, or null when the point is outside the image or fully transparent.
+ */
+export const sampleImageData = (imageData, x, y, size = 1) => {
+    const { data, width, height } = imageData;
+    if (x < 0 || y < 0 || x >= width || y >= height) return null;
+    const radius = Math.floor(size / 2);
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let weight = 0;
+    for (let row = Math.max(0, y - radius); row <= Math.min(height - 1, y + radius); row++) {
+        for (let column = Math.max(0, x - radius); column <= Math.min(width - 1, x + radius); column++) {
+            const offset = (row * width + column) * 4;
+            const alpha = data[offset + 3];
+            r += data[offset] * alpha;
+            g += data[offset + 1] * alpha;
+            b += data[offset + 2] * alpha;
+            weight += alpha;
+        }
+    }
+    if (weight === 0) return null;
+    return chroma.rgb(r / weight, g / weight, b / weight).hex();
+};
@@ -0,0 +1,41 @@
+import { canvasToImagePoint, clampView, fitView, imageToCanvasPoint, panView, sampleImageData, zoomView } from './imageSampling';
+
+// 4x4 image: left half red, right half blue, bottom-right pixel transparent
+const createImage = () => {
+  const data = new Uint8ClampedArray(4 * 4 * 4);
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const offset = (y * 4 + x) * 4;
+      data.set(x < 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], offset);
+    }
+  }
+  data[(3 * 4 + 3) * 4 + 3] = 0;
+  return { data, width: 4, height: 4 };
+};
+
+test('samples single pixels and averages clipped windows', () => {
+  const image = createImage();
+  expect(sampleImageData(image, 0, 0)).toBe('#ff0000');
+  expect(sampleImageData(image, 2, 0, 1)).toBe('#0000ff');
+  expect(sampleImageData(image, 1, 1, 3)).toBe('#aa0055'); // 6 red + 3 blue
+  expect(sampleImageData(image, 0, 0, 11)).toBe('#880077'); // 8 red + 7 blue, the transparent pixel is ignored
+  expect(sampleImageData(image, 3, 3)).toBeNull();
+  expect(sampleImageData(image, 4, 0)).toBeNull();
+  expect(sampleImageData(image, -1, 2, 3)).toBeNull();
+});
+
+test('zooms around a point and keeps the image inside the canvas', () => {
+  const frame = { imageWidth: 1000, imageHeight: 500, canvasWidth: 500, canvasHeight: 250 };
+  const fit = fitView(frame);
+  expect(fit).toEqual({ scale: 0.5, x: 0, y: 0 });
+
+  const zoomed = zoomView(fit, 4, { x: 250, y: 125 }, frame);
+  expect(zoomed.scale).toBe(2);
+  expect(canvasToImagePoint(zoomed, 250, 125)).toEqual({ x: 500, y: 250 });
+  expect(imageToCanvasPoint(zoomed, 500, 250)).toEqual({ x: 251, y: 126 });
+
+  expect(zoomView(fit, 0.1, { x: 0, y: 0 }, frame)).toEqual(fit);
+  expect(zoomView(fit, 1000, { x: 0, y: 0 }, frame).scale).toBe(32);
+  expect(panView(zoomed, 10000, -10000, frame)).toEqual({ scale: 2, x: 0, y: 375 });
+  expect(clampView({ scale: 2, x: -5, y: 900 }, frame)).toEqual({ scale: 2, x: 0, y: 375 });
+});
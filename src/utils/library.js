@@ -0,0 +1,70 @@
+import chroma from 'chroma-js';
+
+// --- Saved Palette Library: tags, collections, search, sorting ---
+
+export const LIBRARY_SORT_OPTIONS = [
+    { value: 'date-desc', label: 'Newest first' },
+    { value: 'date-asc', label: 'Oldest first' },
+    { value: 'name', label: 'Name (A-Z)' },
+    { value: 'hue', label: 'Hue' },
+];
+export const NEAR_COLOR_THRESHOLD = 12; // CIEDE2000 distance counted as "near"
+const MAX_TAG_LENGTH = 40;
+
+// Accept "a, b" strings or arrays; trims, lowercases and de-duplicates
+export const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+    return [...new Set(list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean))];
+};
+
+export const getPaletteDate = (palette) => palette.createdAt || (typeof palette.id === 'number' ? palette.id : 0);
+
+export const getLibraryTags = (palettes) => [...new Set(palettes.flatMap(p => p.tags || []))].sort();
+export const getLibraryCollections = (palettes) => [...new Set(palettes.map(p => p.collection).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Smallest ΔE2000 between `color` and any swatch of the palette
+export const getNearestColorDistance = (palette, color) => {
+    if (!chroma.valid(color)) return Infinity;
+    return (palette.palette || []).reduce((best, swatch) => (
+        chroma.valid(swatch) ? Math.min(best, chroma.deltaE(color, swatch)) : best
+    ), Infinity);
+};
+
+// filters: { query, tag, type, collection, favoritesOnly, nearColor, nearThreshold, getColorName }
+// getColorName(hex) names swatches so they can be searched by color name
+export const filterPalettes = (palettes, filters = {}) => {
+    const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const threshold = filters.nearThreshold ?? NEAR_COLOR_THRESHOLD;
+    return palettes.filter(p => {
+        if (filters.favoritesOnly && !p.favorite) return false;
+        if (filters.type && p.type !== filters.type) return false;
+        if (filters.tag && !(p.tags || []).includes(filters.tag)) return false;
+        if (filters.collection && (p.collection || '') !== filters.collection) return false;
+        if (filters.nearColor && getNearestColorDistance(p, filters.nearColor) > threshold) return false;
+        if (terms.length === 0) return true;
+        // Every search word has to appear in the name, type, collection, a tag, a swatch hex or a swatch's color name
+        const colorNames = filters.getColorName ? (p.palette || []).map(filters.getColorName) : [];
+        const haystack = [p.name, p.type, p.collection, ...(p.tags || []), ...(p.palette || []), ...colorNames].filter(Boolean).join(' ').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+};
+
+const getPaletteHue = (palette) => {
+    const color = chroma.valid(palette.mixedColor) ? chroma(palette.mixedColor) : null;
+    const hue = color ? color.get('lch.h') : NaN;
+    // Near-grays have no meaningful hue; keep them after the colorful ones
+    return Number.isNaN(hue) || color.get('lch.c') < 5 ? Infinity : hue;
+};
+
+export const sortPalettes = (palettes, sortBy = 'date-desc') => {
+    const sorted = [...palettes];
+    switch (sortBy) {
+        case 'date-asc': return sorted.sort((a, b) => getPaletteDate(a) - getPaletteDate(b));
+        case 'name': return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' }));
+        case 'hue': return sorted.sort((a, b) => getPaletteHue(a) - getPaletteHue(b) || getPaletteDate(b) - getPaletteDate(a));
+        default: return sorted.sort((a, b) => getPaletteDate(b) - getPaletteDate(a));
+    }
+};
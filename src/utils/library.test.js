@@ -0,0 +1,36 @@
+import { filterPalettes, getLibraryCollections, getLibraryTags, normalizeTags, sortPalettes } from './library';
+
+const palettes = [
+  { id: 1, createdAt: 100, name: 'Ocean', type: 'analogous', tags: ['brand', 'cool'], collection: 'Client A', favorite: true, mixedColor: '#2563eb', palette: ['#1e3a8a', '#2563eb', '#93c5fd'] },
+  { id: 2, createdAt: 300, name: 'Sunset', type: 'triadic', tags: ['warm'], collection: '', favorite: false, mixedColor: '#f97316', palette: ['#f97316', '#e11d48', '#facc15'] },
+  { id: 3, createdAt: 200, name: 'Slate', type: 'monochromatic', tags: [], collection: 'Client A', favorite: false, mixedColor: '#808080', palette: ['#333333', '#808080'] },
+];
+
+test('normalizes tags from strings and arrays', () => {
+  expect(normalizeTags(' Brand, cool ,brand,, ')).toEqual(['brand', 'cool']);
+  expect(normalizeTags(['A', 3, ''])).toEqual(['a']);
+  expect(normalizeTags(undefined)).toEqual([]);
+});
+
+test('filters by text, tag, type, collection, favorites and nearby color', () => {
+  const names = (list) => list.map(p => p.name);
+  expect(names(filterPalettes(palettes, { query: 'client a' }))).toEqual(['Ocean', 'Slate']);
+  expect(names(filterPalettes(palettes, { query: 'e11d48' }))).toEqual(['Sunset']);
+  expect(names(filterPalettes(palettes, { tag: 'warm' }))).toEqual(['Sunset']);
+  expect(names(filterPalettes(palettes, { type: 'monochromatic', collection: 'Client A' }))).toEqual(['Slate']);
+  expect(names(filterPalettes(palettes, { favoritesOnly: true }))).toEqual(['Ocean']);
+  expect(names(filterPalettes(palettes, { nearColor: '#2a60e0' }))).toEqual(['Ocean']);
+  const getColorName = (hex) => ({ '#e11d48': 'Crimson', '#333333': 'Charcoal' })[hex];
+  expect(names(filterPalettes(palettes, { query: 'crimson', getColorName }))).toEqual(['Sunset']);
+  expect(names(filterPalettes(palettes, { query: 'crimson' }))).toEqual([]);
+  expect(getLibraryTags(palettes)).toEqual(['brand', 'cool', 'warm']);
+  expect(getLibraryCollections(palettes)).toEqual(['Client A']);
+});
+
+test('sorts by date, name and hue', () => {
+  expect(sortPalettes(palettes).map(p => p.id)).toEqual([2, 3, 1]);
+  expect(sortPalettes(palettes, 'date-asc').map(p => p.id)).toEqual([1, 3, 2]);
+  expect(sortPalettes(palettes, 'name').map(p => p.name)).toEqual(['Ocean', 'Slate', 'Sunset']);
+  // Orange before blue; gray last
+  expect(sortPalettes(palettes, 'hue').map(p => p.name)).toEqual(['Sunset', 'Ocean', 'Slate']);
+});
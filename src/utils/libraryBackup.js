@@ -0,0 +1,105 @@
+import { SCHEMA_VERSION, readPaletteRecord } from './schema.js';
+
+// --- Library Backup & Restore ---
+//
+// Backup file: { format: 'palette-pro-library', version: 1, schemaVersion, exportedAt, palettes: [...] }.
+// `version` is the container format; each palette carries its own schemaVersion (see schema.js).
+// Restore also accepts a bare array of palettes or a single exported palette.
+
+export const LIBRARY_BACKUP_FORMAT = 'palette-pro-library';
+export const LIBRARY_BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = [
+    { value: 'merge', label: 'Merge', description: 'Add new palettes and overwrite matching ones' },
+    { value: 'skip-duplicates', label: 'Skip duplicates', description: 'Add only palettes not already in the library' },
+    { value: 'replace', label: 'Replace', description: 'Replace the whole library with the backup' },
+];
+
+export const createLibraryBackup = (palettes) => ({
+    format: LIBRARY_BACKUP_FORMAT,
+    version: LIBRARY_BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    palettes,
+});
+
+export const isLibraryBackup = (data) => Array.isArray(data) || (Boolean(data) && data.format === LIBRARY_BACKUP_FORMAT);
+
+// Colors identify a palette regardless of its ID or name
+export const getPaletteContentKey = (palette) => (palette.palette || []).map(c => String(c).toLowerCase()).join(',');
+
+const describeEntry = (entry, index) => (
+    entry && typeof entry.name === 'string' && entry.name.trim() ? `#${index + 1} "${entry.name.trim()}"` : `#${index + 1}`
+);
+
+// Single-palette exports use paletteType/colorCount and carry derived gradientCSS/uiRoleColors
+const fromPaletteExport = (entry) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return entry;
+    const { format, paletteType, colorCount, gradientCSS, uiRoleColors, ...rest } = entry;
+    return { ...rest, type: entry.type ?? paletteType, count: entry.count ?? colorCount };
+};
+
+// Split a parsed file into valid, migrated entries and per-entry errors.
+// `allowed` is passed to the schema validator. Returns { entries, errors: [{ index, label, messages }], isSinglePalette }
+export const parseLibraryBackup = (data, allowed = {}) => {
+    if (data && typeof data === 'object' && data.format === LIBRARY_BACKUP_FORMAT && data.version > LIBRARY_BACKUP_VERSION) {
+        throw new Error(`Backup version ${data.version} is newer than this app supports (${LIBRARY_BACKUP_VERSION}).`);
+    }
+    const isSinglePalette = !isLibraryBackup(data);
+    const list = Array.isArray(data) ? data : isSinglePalette ? [data] : data.palettes;
+    if (!Array.isArray(list)) throw new Error('Backup has no "palettes" list.');
+    const entries = [];
+    const errors = [];
+    list.forEach((entry, index) => {
+        const { record, errors: problems } = readPaletteRecord(fromPaletteExport(entry), allowed);
+        if (record) entries.push(record);
+        else errors.push({ index, label: describeEntry(entry, index), messages: problems.map(p => `${p.field} ${p.message}`) });
+    });
+    return { entries, errors, isSinglePalette };
+};
+
+// Work out what a restore would do. `normalize` fills in defaults for incoming entries.
+// Returns { added, overwritten: [{ existing, incoming }], skipped: [{ incoming, existing, reason }], removed, result }
+export const planLibraryRestore = (library, entries, mode = 'merge', normalize = (p) => p) => {
+    const incoming = entries.map(normalize);
+    if (mode === 'replace') {
+        // Entries whose ID is already in the library replace it; the rest of the library goes away
+        const byId = new Map(library.map(p => [p.id, p]));
+        const incomingIds = new Set(incoming.map(p => p.id));
+        return {
+            added: incoming.filter(p => !byId.has(p.id)),
+            overwritten: incoming.filter(p => byId.has(p.id)).map(p => ({ existing: byId.get(p.id), incoming: p, reason: 'Same ID' })),
+            skipped: [],
+            removed: library.filter(p => !incomingIds.has(p.id)),
+            result: incoming,
+        };
+    }
+
+    const byId = new Map(library.map(p => [p.id, p]));
+    const byContent = new Map(library.map(p => [getPaletteContentKey(p), p]));
+    const plan = { added: [], overwritten: [], skipped: [], removed: [] };
+    const replacements = new Map(); // existing id -> incoming palette
+    const seen = new Set(); // Guard against duplicates inside the backup itself
+    incoming.forEach(entry => {
+        const contentKey = getPaletteContentKey(entry);
+        if (seen.has(entry.id) || seen.has(contentKey)) {
+            plan.skipped.push({ incoming: entry, existing: null, reason: 'Duplicate within the file' });
+            return;
+        }
+        seen.add(entry.id);
+        seen.add(contentKey);
+        const existing = byId.get(entry.id) || byContent.get(contentKey);
+        if (!existing) { plan.added.push(entry); return; }
+        const reason = byId.get(entry.id) ? 'Same ID' : 'Same colors';
+        if (mode === 'skip-duplicates' || replacements.has(existing.id)) {
+            plan.skipped.push({ incoming: entry, existing, reason });
+            return;
+        }
+        // Overwrite in place, keeping the library's ID so links to it stay valid
+        const replacement = { ...entry, id: existing.id };
+        replacements.set(existing.id, replacement);
+        plan.overwritten.push({ existing, incoming: replacement, reason });
+    });
+    plan.result = [...plan.added, ...library.map(p => replacements.get(p.id) || p)];
+    return plan;
+};
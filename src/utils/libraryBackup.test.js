@@ -0,0 +1,62 @@
+import { createLibraryBackup, parseLibraryBackup, planLibraryRestore } from './libraryBackup';
+
+const library = [
+  { id: 'a', name: 'Ocean', palette: ['#1e3a8a', '#2563eb'] },
+  { id: 'b', name: 'Sunset', palette: ['#f97316', '#e11d48'] },
+];
+
+const entry = (overrides) => ({
+  name: 'Entry', type: 'triadic', count: 3, gradientDirection: 'to right', mixedColor: '#808080',
+  mixColors: ['#ff0000', '#0000ff'], palette: ['#ff0000', '#00ff00', '#0000ff'], ...overrides,
+});
+
+test('reports validation errors per entry', () => {
+  const { entries, errors } = parseLibraryBackup(createLibraryBackup([
+    entry({ name: 'Good' }),
+    entry({ name: 'Broken', palette: ['#fff', 'zzz'] }),
+    'nope',
+    entry({ name: 'Wrong count', count: 2.5 }),
+  ]), { minCount: 3, maxCount: 12 });
+  expect(entries.map(e => e.name)).toEqual(['Good']);
+  expect(errors).toEqual([
+    { index: 1, label: '#2 "Broken"', messages: ['palette[1] is not a valid color: "zzz"'] },
+    { index: 2, label: '#3', messages: ['(entry) must be an object'] },
+    { index: 3, label: '#4 "Wrong count"', messages: ['count must be a whole number from 3 to 12'] },
+  ]);
+  expect(() => parseLibraryBackup({ format: 'palette-pro-library', version: 99, palettes: [] })).toThrow(/newer/);
+});
+
+test('reads a single exported palette', () => {
+  const { entries, isSinglePalette } = parseLibraryBackup({ format: 'palette-pro-palette', name: 'One', paletteType: 'triadic', colorCount: 3, palette: ['#ff0000', '#00ff00', '#0000ff'], mixColors: ['#ff0000', '#0000ff'], mixedColor: '#800080', gradientDirection: 'to right', gradientCSS: 'x', uiRoles: { light: { primary: 1 } }, uiRoleColors: {} });
+  expect(isSinglePalette).toBe(true);
+  expect(entries[0]).toMatchObject({ name: 'One', type: 'triadic', count: 3 });
+  expect(entries[0].gradientCSS).toBeUndefined();
+  expect(entries[0].uiRoleColors).toBeUndefined();
+  expect(entries[0].uiRoles).toEqual({ light: { primary: 1 } });
+  expect(typeof entries[0].id).toBe('string');
+});
+
+test('plans merge, skip-duplicates and replace restores', () => {
+  const incoming = [
+    { id: 'a', name: 'Ocean v2', palette: ['#000000'] }, // Same ID
+    { id: 'x', name: 'Sunset copy', palette: ['#F97316', '#e11d48'] }, // Same colors
+    { id: 'y', name: 'New', palette: ['#ffffff'] },
+  ];
+  const merge = planLibraryRestore(library, incoming, 'merge');
+  expect(merge.added.map(p => p.name)).toEqual(['New']);
+  expect(merge.overwritten.map(o => [o.existing.name, o.incoming.name, o.incoming.id, o.reason])).toEqual([
+    ['Ocean', 'Ocean v2', 'a', 'Same ID'],
+    ['Sunset', 'Sunset copy', 'b', 'Same colors'],
+  ]);
+  expect(merge.result.map(p => p.name)).toEqual(['New', 'Ocean v2', 'Sunset copy']);
+
+  const skip = planLibraryRestore(library, incoming, 'skip-duplicates');
+  expect(skip.skipped).toHaveLength(2);
+  expect(skip.result.map(p => p.name)).toEqual(['New', 'Ocean', 'Sunset']);
+
+  const replace = planLibraryRestore(library, incoming, 'replace');
+  expect(replace.added.map(p => p.name)).toEqual(['Sunset copy', 'New']);
+  expect(replace.overwritten.map(o => [o.existing.name, o.incoming.name, o.reason])).toEqual([['Ocean', 'Ocean v2', 'Same ID']]);
+  expect(replace.removed.map(p => p.name)).toEqual(['Sunset']);
+  expect(replace.result).toHaveLength(3);
+});
@@ -0,0 +1,163 @@
+import chroma from 'chroma-js';
+
+// --- Base Color Mixing (weighted average / pigment-style) ---
+
+export const MIX_METHODS = [
+    { value: 'average', label: 'Average (color space)' },
+    { value: 'pigment', label: 'Pigment (spectral)' },
+];
+
+export const DEFAULT_MIX_WEIGHT = 1;
+export const MIN_MIX_WEIGHT = 0;
+export const MAX_MIX_WEIGHT = 10;
+
+// Clamp a weight to the slider range, falling back to the default for junk input
+export const normalizeMixWeight = (weight) => {
+    const value = Number(weight);
+    if (!Number.isFinite(value)) return DEFAULT_MIX_WEIGHT;
+    return Math.min(MAX_MIX_WEIGHT, Math.max(MIN_MIX_WEIGHT, Math.round(value)));
+};
+
+// --- Spectral Pigment Model ---
+//
+// Each color becomes a reflectance curve sampled every 10 nm from 380 to 730 nm, built
+// from seven primary curves (white, cyan, magenta, yellow, red, green, blue) the same
+// way as Scott Burns' RGB -> reflectance decomposition. Curves are mixed with
+// Kubelka-Munk K/S coefficients and the result is seen under D65 and converted back to sRGB.
+
+const WAVELENGTHS = Array.from({ length: 36 }, (_, i) => 380 + i * 10);
+const MIN_REFLECTANCE = 0.001; // Keeps K/S finite for curves that absorb everything
+
+// CIE 1931 2° observer, multi-lobe Gaussian fit (Wyman, Sloan & Shirley 2013)
+const lobe = (x, mean, below, above) => Math.exp(-0.5 * ((x - mean) / (x < mean ? below : above)) ** 2);
+const cieX = (l) => 1.056 * lobe(l, 599.8, 37.9, 31.0) + 0.362 * lobe(l, 442.0, 16.0, 26.7) - 0.065 * lobe(l, 501.1, 20.4, 26.2);
+const cieY = (l) => 0.821 * lobe(l, 568.8, 46.9, 40.5) + 0.286 * lobe(l, 530.9, 16.3, 31.1);
+const cieZ = (l) => 1.217 * lobe(l, 437.0, 11.8, 36.0) + 0.681 * lobe(l, 459.0, 26.0, 13.8);
+
+const D65 = [
+    49.98, 54.65, 82.75, 91.49, 93.43, 86.68, 104.86, 117.01, 117.81, 114.86, 115.92, 108.81,
+    109.35, 107.80, 104.79, 107.69, 104.41, 104.05, 100.00, 96.33, 95.79, 88.69, 90.01, 89.60,
+    87.70, 83.29, 83.70, 80.03, 80.21, 82.28, 78.28, 69.72, 71.61, 74.35, 61.60, 69.89,
+];
+
+const XYZ_TO_LINEAR_RGB = [
+    [3.2404542, -1.5371385, -0.4985314],
+    [-0.9692660, 1.8760108, 0.0415560],
+    [0.0556434, -0.2040259, 1.0572252],
+];
+
+// sRGB companding, 0-1 channels
+const toLinear = (v) => (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4);
+const fromLinear = (v) => (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055);
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+// Reflectance -> linear sRGB, one row per channel; a flat 100% curve maps to exactly white
+const SPECTRUM_TO_RGB = (() => {
+    const xyz = [cieX, cieY, cieZ].map(cmf => WAVELENGTHS.map((l, i) => cmf(l) * D65[i]));
+    const rows = XYZ_TO_LINEAR_RGB.map(row => WAVELENGTHS.map((_, i) => dot(row, xyz.map(channel => channel[i]))));
+    return rows.map(row => {
+        const whiteLevel = row.reduce((sum, v) => sum + v, 0);
+        return row.map(v => v / whiteLevel);
+    });
+})();
+
+const spectrumToLinearRgb = (curve) => SPECTRUM_TO_RGB.map(row => dot(row, curve));
+const spectrumLuminance = (curve) => dot([0.2126, 0.7152, 0.0722], spectrumToLinearRgb(curve));
+
+const invert3 = ([[a, b, c], [d, e, f], [g, h, i]]) => {
+    const cofactors = [
+        [e * i - f * h, c * h - b * i, b * f - c * e],
+        [f * g - d * i, a * i - c * g, c * d - a * f],
+        [d * h - e * g, b * g - a * h, a * e - b * d],
+    ];
+    const det = a * cofactors[0][0] + b * cofactors[1][0] + c * cofactors[2][0];
+    return cofactors.map(row => row.map(v => v / det));
+};
+
+// Nudge a smooth starting curve until it renders as `target` (linear RGB), keeping it in range
+const calibrateCurve = (curve, target) => {
+    const gram = invert3(SPECTRUM_TO_RGB.map(a => SPECTRUM_TO_RGB.map(b => dot(a, b))));
+    let calibrated = curve;
+    for (let step = 0; step < 50; step++) {
+        const rendered = spectrumToLinearRgb(calibrated);
+        const correction = gram.map(row => dot(row, target.map((t, i) => t - rendered[i])));
+        calibrated = calibrated.map((v, j) => Math.min(1, Math.max(MIN_REFLECTANCE, v + dot(correction, SPECTRUM_TO_RGB.map(row => row[j])))));
+    }
+    return calibrated;
+};
+
+const rise = (l, center) => 1 / (1 + Math.exp(-(l - center) / 12));
+const fall = (l, center) => 1 - rise(l, center);
+
+const PRIMARY_CURVES = {
+    white: WAVELENGTHS.map(() => 1),
+    cyan: calibrateCurve(WAVELENGTHS.map(l => fall(l, 575)), [0, 1, 1]),
+    magenta: calibrateCurve(WAVELENGTHS.map(l => Math.min(1, fall(l, 495) + rise(l, 595))), [1, 0, 1]),
+    yellow: calibrateCurve(WAVELENGTHS.map(l => rise(l, 490)), [1, 1, 0]),
+    red: calibrateCurve(WAVELENGTHS.map(l => rise(l, 595)), [1, 0, 0]),
+    green: calibrateCurve(WAVELENGTHS.map(l => rise(l, 490) * fall(l, 575)), [0, 1, 0]),
+    blue: calibrateCurve(WAVELENGTHS.map(l => fall(l, 475)), [0, 0, 1]),
+};
+
+// Linear RGB -> reflectance: white, then the secondaries two channels share, then what's left
+const linearRgbToSpectrum = ([r, g, b]) => {
+    const white = Math.min(r, g, b);
+    r -= white; g -= white; b -= white;
+    const cyan = Math.min(g, b);
+    const magenta = Math.min(r, b);
+    const yellow = Math.min(r, g);
+    const amounts = {
+        white, cyan, magenta, yellow,
+        red: Math.max(0, r - magenta - yellow),
+        green: Math.max(0, g - cyan - yellow),
+        blue: Math.max(0, b - cyan - magenta),
+    };
+    return WAVELENGTHS.map((_, j) => Math.max(MIN_REFLECTANCE, Object.entries(amounts).reduce((sum, [primary, amount]) => sum + amount * PRIMARY_CURVES[primary][j], 0)));
+};
+
+// Kubelka-Munk absorption/scattering ratio and its inverse
+const toKs = (reflectance) => (1 - reflectance) ** 2 / (2 * reflectance);
+const fromKs = (ks) => 1 + ks - Math.sqrt(ks ** 2 + 2 * ks);
+
+// Equal weights when none are given or they sum to zero
+const resolveWeights = (count, weights) => {
+    const resolved = Array.from({ length: count }, (_, i) => (weights && weights[i] !== undefined ? normalizeMixWeight(weights[i]) : DEFAULT_MIX_WEIGHT));
+    return resolved.some(w => w > 0) ? resolved : resolved.map(() => DEFAULT_MIX_WEIGHT);
+};
+
+const toSpectrum = (color) => linearRgbToSpectrum(chroma(color).rgb(false).map(v => toLinear(v / 255)));
+
+// Pigment concentration: weight squared times luminance, so dark pigments don't swamp
+// light ones the way raw K/S would
+const pigmentConcentrations = (curves, weights) => {
+    const resolved = resolveWeights(curves.length, weights);
+    return curves.map((curve, i) => resolved[i] ** 2 * spectrumLuminance(curve));
+};
+
+// Mix like paint: blend the colors' K/S curves in proportion to their concentrations
+export const mixPigments = (colors, weights) => {
+    const curves = colors.map(toSpectrum);
+    const concentrations = pigmentConcentrations(curves, weights);
+    const total = concentrations.reduce((sum, c) => sum + c, 0);
+    const mixed = WAVELENGTHS.map((_, j) => fromKs(curves.reduce((sum, curve, i) => sum + toKs(curve[j]) * concentrations[i] / total, 0)));
+    return chroma.rgb(...spectrumToLinearRgb(mixed).map(v => fromLinear(Math.min(1, Math.max(0, v))) * 255)).hex();
+};
+
+// Mix a list of colors with optional weights; `mode` is the averaging color space
+export const mixColorList = (colors, { weights, method = 'average', mode = 'lab' } = {}) => {
+    if (colors.length === 0) return null;
+    if (colors.length === 1) return chroma(colors[0]).hex();
+    if (method === 'pigment') return mixPigments(colors, weights);
+    return chroma.average(colors, mode, resolveWeights(colors.length, weights)).hex();
+};
+
+// Each color's fraction (0-1) of the mix: its weight for 'average', its concentration for 'pigment'
+export const getMixShares = (colors, { weights, method = 'average' } = {}) => {
+    if (colors.length === 0) return [];
+    const amounts = method === 'pigment'
+        ? pigmentConcentrations(colors.map(toSpectrum), weights)
+        : resolveWeights(colors.length, weights);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    return amounts.map(amount => (total > 0 ? amount / total : 1 / colors.length));
+};
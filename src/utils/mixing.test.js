@@ -0,0 +1,62 @@
+import chroma from 'chroma-js';
+import { getMixShares, mixColorList, mixPigments, normalizeMixWeight } from './mixing';
+
+const hueOf = (color) => chroma(color).get('oklch.h');
+
+test('pigment mixing turns blue and yellow into green', () => {
+  const [r, g, b] = chroma(mixPigments(['#0000ff', '#ffff00'])).rgb();
+  expect(g).toBeGreaterThan(r);
+  expect(g).toBeGreaterThan(b);
+  expect(chroma(mixColorList(['#0000ff', '#ffff00'], { method: 'average', mode: 'rgb' })).hex()).toBe('#808080');
+});
+
+test('pigment mixing follows paint for other pairs', () => {
+  // Cyan + magenta -> blue
+  const violetBlue = mixPigments(['#00ffff', '#ff00ff']);
+  expect(hueOf(violetBlue)).toBeGreaterThan(250);
+  expect(hueOf(violetBlue)).toBeLessThan(300);
+  // Red + yellow -> orange, between the two hues
+  const orange = mixPigments(['#ff0000', '#ffff00']);
+  expect(hueOf(orange)).toBeGreaterThan(hueOf('#ff0000'));
+  expect(hueOf(orange)).toBeLessThan(hueOf('#ffff00'));
+  // Phthalo blue + cadmium yellow -> green
+  expect(hueOf(mixPigments(['#002185', '#fcd200']))).toBeGreaterThan(130);
+});
+
+test('white tints a pigment without going gray', () => {
+  const red = chroma('#ff0000');
+  const tint = chroma(mixPigments(['#ff0000', '#ffffff']));
+  const paleTint = chroma(mixPigments(['#ff0000', '#ffffff'], [1, 3]));
+  expect(tint.luminance()).toBeGreaterThan(red.luminance());
+  expect(paleTint.luminance()).toBeGreaterThan(tint.luminance());
+  expect(tint.get('oklch.c')).toBeGreaterThan(0.15);
+  expect(Math.abs(hueOf(tint) - hueOf(red))).toBeLessThan(20);
+});
+
+test('pigment mixing keeps a color that is mixed with itself', () => {
+  ['#3366cc', '#123456', '#808080', '#ffffff'].forEach(color => {
+    expect(mixPigments([color, color])).toBe(color);
+  });
+  expect(chroma(mixPigments(['#ff0000', '#0000ff'], [9, 1])).get('rgb.r')).toBeGreaterThan(150);
+});
+
+test('weights pull the mix toward heavier colors', () => {
+  const mixed = mixColorList(['#ff0000', '#0000ff'], { weights: [9, 1], mode: 'rgb' });
+  expect(chroma(mixed).get('rgb.r')).toBeGreaterThan(200);
+  // All-zero weights fall back to an even mix
+  expect(mixColorList(['#000000', '#ffffff'], { weights: [0, 0], mode: 'rgb' })).toBe('#808080');
+  expect(normalizeMixWeight('abc')).toBe(1);
+  expect(normalizeMixWeight(42)).toBe(10);
+});
+
+test('reports each color\'s share of the mix the way the method weighs it', () => {
+  expect(getMixShares(['#ff0000', '#0000ff'], { weights: [3, 1] })).toEqual([0.75, 0.25]);
+  expect(getMixShares(['#000000', '#ffffff'], { weights: [0, 0] })).toEqual([0.5, 0.5]);
+  // Pigment concentration is weight² × luminance: equal weights, but white outweighs navy
+  const [navy, white] = getMixShares(['#000080', '#ffffff'], { method: 'pigment' });
+  expect(white).toBeGreaterThan(navy * 10);
+  expect(navy + white).toBeCloseTo(1, 10);
+  const [single] = getMixShares(['#808080', '#808080'], { weights: [3, 1], method: 'pigment' });
+  expect(single).toBeCloseTo(0.9, 10);
+  expect(getMixShares([])).toEqual([]);
+});
@@ -0,0 +1,171 @@
+import chroma from 'chroma-js';
+
+// --- Palette Comparison ---
+//
+// Swatches are paired by the assignment with the smallest total CIEDE2000 distance, so a
+// reordered palette still pairs each color with its counterpart. Pairs further apart than
+// `maxPairDistance` count as one color removed and another added. Shifts are in CIE LCh:
+// lightness (0-100), chroma and hue in degrees (hue is skipped for near-grays).
+
+export const DEFAULT_MAX_PAIR_DISTANCE = 25;
+export const UNCHANGED_DELTA_E = 1; // Below this the difference isn't perceptible
+const GRAY_CHROMA = 5; // Below this hue is too unstable to compare
+const DELTA_E_RATINGS = [
+    { max: UNCHANGED_DELTA_E, value: 'same', label: 'Not perceptible' },
+    { max: 2, value: 'subtle', label: 'Subtle' },
+    { max: 10, value: 'noticeable', label: 'Noticeable' },
+    { max: Infinity, value: 'large', label: 'Large' },
+];
+
+export const rateDeltaE = (deltaE) => DELTA_E_RATINGS.find(rating => deltaE < rating.max);
+
+// Minimum-cost assignment (Hungarian method) for a rows x columns matrix with rows <= columns.
+// Returns the column chosen for each row.
+const assignRows = (cost) => {
+    const rows = cost.length;
+    const columns = cost[0].length;
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(columns + 1).fill(0);
+    const owner = new Array(columns + 1).fill(0); // 1-based row assigned to each column
+    const way = new Array(columns + 1).fill(0);
+    for (let row = 1; row <= rows; row++) {
+        owner[0] = row;
+        let column = 0;
+        const minimum = new Array(columns + 1).fill(Infinity);
+        const used = new Array(columns + 1).fill(false);
+        do {
+            used[column] = true;
+            const current = owner[column];
+            let delta = Infinity;
+            let next = 0;
+            for (let j = 1; j <= columns; j++) {
+                if (used[j]) continue;
+                const reduced = cost[current - 1][j - 1] - u[current] - v[j];
+                if (reduced < minimum[j]) { minimum[j] = reduced; way[j] = column; }
+                if (minimum[j] < delta) { delta = minimum[j]; next = j; }
+            }
+            for (let j = 0; j <= columns; j++) {
+                if (used[j]) { u[owner[j]] += delta; v[j] -= delta; }
+                else minimum[j] -= delta;
+            }
+            column = next;
+        } while (owner[column] !== 0);
+        do {
+            const previous = way[column];
+            owner[column] = owner[previous];
+            column = previous;
+        } while (column !== 0);
+    }
+    const result = new Array(rows).fill(-1);
+    for (let j = 1; j <= columns; j++) {
+        if (owner[j]) result[owner[j] - 1] = j - 1;
+    }
+    return result;
+};
+
+// Pair indexes of `a` and `b` by smallest total cost: [[aIndex, bIndex]]
+const pairByCost = (a, b, distance) => {
+    if (a.length === 0 || b.length === 0) return [];
+    const flipped = a.length > b.length;
+    const [rows, columns] = flipped ? [b, a] : [a, b];
+    const assignment = assignRows(rows.map(row => columns.map(column => distance(row, column))));
+    return assignment.map((column, row) => (flipped ? [column, row] : [row, column]));
+};
+
+const hueDifference = (from, to) => ((to - from + 540) % 360) - 180;
+
+// LCh shift from one color to another; `hue` is null when either color is near-gray
+const measureShift = (before, after) => {
+    const [l1, c1, h1] = before.lch();
+    const [l2, c2, h2] = after.lch();
+    const hasHue = c1 >= GRAY_CHROMA && c2 >= GRAY_CHROMA && Number.isFinite(h1) && Number.isFinite(h2);
+    return { lightness: l2 - l1, chroma: c2 - c1, hue: hasHue ? hueDifference(h1, h2) : null };
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Compare two palettes (lists of colors). Invalid colors are ignored.
+ * Returns {
+ *   pairs: [{ beforeIndex, afterIndex, before, after, deltaE, lightness, chroma, hue }] (in `before` order),
+ *   removed: [{ index, color }], added: [{ index, color }],
+ *   summary: { paired, changed, unchanged, added, removed, averageDeltaE, maxDeltaE, lightness, chroma, hue }
+ * }
+ * Summary shifts are averages over changed pairs (null when nothing changed).
+ */
+export const comparePalettes = (before, after, { maxPairDistance = DEFAULT_MAX_PAIR_DISTANCE } = {}) => {
+    const toEntries = (colors) => (Array.isArray(colors) ? colors : [])
+        .map((color, index) => ({ index, color, parsed: chroma.valid(color) ? chroma(color) : null }))
+        .filter(entry => entry.parsed);
+    const a = toEntries(before);
+    const b = toEntries(after);
+
+    // Capping the cost stops far-apart leftovers from steering the pairing of close colors
+    const distance = (x, y) => Math.min(chroma.deltaE(x.parsed, y.parsed), maxPairDistance);
+    const pairs = [];
+    const pairedA = new Set();
+    const pairedB = new Set();
+    pairByCost(a, b, distance).forEach(([i, j]) => {
+        const deltaE = chroma.deltaE(a[i].parsed, b[j].parsed);
+        if (deltaE > maxPairDistance) return;
+        pairedA.add(i);
+        pairedB.add(j);
+        pairs.push({
+            beforeIndex: a[i].index,
+            afterIndex: b[j].index,
+            before: a[i].color,
+            after: b[j].color,
+            deltaE,
+            ...measureShift(a[i].parsed, b[j].parsed),
+        });
+    });
+    pairs.sort((x, y) => x.beforeIndex - y.beforeIndex);
+    const removed = a.filter((_, i) => !pairedA.has(i)).map(({ index, color }) => ({ index, color }));
+    const added = b.filter((_, j) => !pairedB.has(j)).map(({ index, color }) => ({ index, color }));
+
+    const changed = pairs.filter(pair => pair.deltaE >= UNCHANGED_DELTA_E);
+    const hues = changed.map(pair => pair.hue).filter(hue => hue !== null);
+    return {
+        pairs,
+        removed,
+        added,
+        summary: {
+            paired: pairs.length,
+            changed: changed.length,
+            unchanged: pairs.length - changed.length,
+            added: added.length,
+            removed: removed.length,
+            averageDeltaE: average(pairs.map(pair => pair.deltaE)),
+            maxDeltaE: pairs.length > 0 ? Math.max(...pairs.map(pair => pair.deltaE)) : null,
+            lightness: average(changed.map(pair => pair.lightness)),
+            chroma: average(changed.map(pair => pair.chroma)),
+            hue: average(hues),
+        },
+    };
+};
+
+// "+2.3", "−0.8", "±0.0"
+export const formatShift = (value, digits = 1) => {
+    const text = Math.abs(value).toFixed(digits);
+    if (Number(text) === 0) return `±${text}`;
+    return `${value > 0 ? '+' : '−'}${text}`;
+};
+
+// Plain-language lines for a comparison summary
+export const describeComparison = ({ summary }) => {
+    const lines = [];
+    const total = summary.paired + summary.removed;
+    if (summary.paired > 0) {
+        lines.push(summary.changed === 0
+            ? `${summary.paired === 1 ? 'The matched color looks' : `All ${summary.paired} matched colors look`} the same (max ΔE ${summary.maxDeltaE.toFixed(1)}).`
+            : `${summary.changed} of ${total} colors changed (average ΔE ${summary.averageDeltaE.toFixed(1)}, max ${summary.maxDeltaE.toFixed(1)}).`);
+    }
+    if (summary.added > 0 || summary.removed > 0) lines.push(`${summary.added} added, ${summary.removed} removed.`);
+    if (summary.changed > 0) {
+        const { lightness, chroma: chromaShift, hue } = summary;
+        lines.push(Math.abs(lightness) < 0.5 ? 'Lightness about the same.' : `${lightness > 0 ? 'Lighter' : 'Darker'} on average (${formatShift(lightness)} L).`);
+        lines.push(Math.abs(chromaShift) < 0.5 ? 'Chroma about the same.' : `${chromaShift > 0 ? 'More' : 'Less'} saturated on average (${formatShift(chromaShift)} C).`);
+        if (hue !== null) lines.push(Math.abs(hue) < 1 ? 'Hues about the same.' : `Hues rotated ${formatShift(hue, 0)}° on average.`);
+    }
+    return lines;
+};
@@ -0,0 +1,45 @@
+import { comparePalettes, describeComparison, formatShift, rateDeltaE } from './paletteCompare';
+
+test('pairs reordered colors with their perceptual match', () => {
+  const result = comparePalettes(['#ff0000', '#00ff00', '#0000ff'], ['#0000ff', '#ff0000', '#00ff00']);
+  expect(result.pairs.map(pair => [pair.beforeIndex, pair.afterIndex])).toEqual([[0, 1], [1, 2], [2, 0]]);
+  expect(result.pairs.every(pair => pair.deltaE === 0)).toBe(true);
+  expect(result.summary).toMatchObject({ paired: 3, changed: 0, unchanged: 3, added: 0, removed: 0 });
+  expect(describeComparison(result)).toEqual(['All 3 matched colors look the same (max ΔE 0.0).']);
+});
+
+test('flags added and removed colors beyond the pairing cutoff', () => {
+  const result = comparePalettes(['#ff0000', '#000000', 'oops'], ['#fa0505', '#ffff00', '#0000ff']);
+  expect(result.pairs).toHaveLength(1);
+  expect(result.pairs[0]).toMatchObject({ beforeIndex: 0, afterIndex: 0, before: '#ff0000', after: '#fa0505' });
+  expect(result.removed).toEqual([{ index: 1, color: '#000000' }]);
+  expect(result.added.map(item => item.color)).toEqual(['#ffff00', '#0000ff']);
+  expect(describeComparison(result)).toContain('2 added, 1 removed.');
+
+  const loose = comparePalettes(['#000000'], ['#333333'], { maxPairDistance: 100 });
+  expect(loose.pairs).toHaveLength(1);
+  expect(comparePalettes(['#000000'], ['#333333'], { maxPairDistance: 5 }).pairs).toHaveLength(0);
+});
+
+test('summarizes lightness, chroma and hue shifts', () => {
+  const result = comparePalettes(['#3b82f6', '#808080'], ['#60a5fa', '#8a8a8a']);
+  const [blue, gray] = result.pairs;
+  expect(blue.lightness).toBeGreaterThan(0);
+  expect(blue.hue).not.toBeNull();
+  expect(gray.hue).toBeNull();
+  expect(result.summary.changed).toBe(2);
+  expect(result.summary.lightness).toBeGreaterThan(0);
+  const lines = describeComparison(result);
+  expect(lines[0]).toMatch(/^2 of 2 colors changed/);
+  expect(lines).toContainEqual(expect.stringMatching(/^Lighter on average \(\+/));
+});
+
+test('rates delta E and formats signed shifts', () => {
+  expect(rateDeltaE(0.4).value).toBe('same');
+  expect(rateDeltaE(1.5).value).toBe('subtle');
+  expect(rateDeltaE(30).value).toBe('large');
+  expect(formatShift(2.345)).toBe('+2.3');
+  expect(formatShift(-0.8)).toBe('−0.8');
+  expect(formatShift(-0.01)).toBe('±0.0');
+  expect(formatShift(12.4, 0)).toBe('+12');
+});
@@ -0,0 +1,114 @@
+// --- Saved Palette Storage (IndexedDB, with a localStorage fallback) ---
+//
+// Palettes are stored one record per palette (keyPath 'id'), so saving touches only what changed.
+// Browsers without IndexedDB (or with it blocked) keep using the legacy single localStorage blob.
+
+const DB_NAME = 'palettePro';
+const DB_VERSION = 1;
+const PALETTE_STORE = 'palettes';
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+let databasePromise = null;
+const openDatabase = () => {
+    if (!databasePromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PALETTE_STORE)) db.createObjectStore(PALETTE_STORE, { keyPath: 'id' });
+        };
+        databasePromise = requestToPromise(request).catch(error => { databasePromise = null; throw error; });
+    }
+    return databasePromise;
+};
+
+const readLegacyPalettes = (legacyKey) => {
+    const raw = localStorage.getItem(legacyKey);
+    if (raw === null) return null;
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+};
+
+// Load the library, moving any legacy localStorage palettes into IndexedDB on first run.
+// `normalize` migrates/validates each stored entry and returns null for unreadable ones,
+// which are left untouched in storage. Resolves { palettes, storage, migrated, invalid, unreadable };
+// `unreadable` holds the raw localStorage entries to pass back to savePaletteChanges.
+export const loadPaletteLibrary = async ({ legacyKey, normalize = (p) => p }) => {
+    const readAll = (list) => {
+        const pairs = list.map(raw => ({ raw, palette: normalize(raw) }));
+        const unreadable = pairs.filter(p => !p.palette).map(p => p.raw);
+        return { pairs, palettes: pairs.filter(p => p.palette).map(p => p.palette), invalid: unreadable.length, unreadable };
+    };
+    const readFallback = () => {
+        const { palettes, invalid, unreadable } = readAll(readLegacyPalettes(legacyKey) || []);
+        return { palettes, storage: 'localStorage', migrated: 0, invalid, unreadable };
+    };
+    if (!isIndexedDbAvailable()) return readFallback();
+    let db;
+    try { db = await openDatabase(); }
+    catch (error) {
+        console.error("IndexedDB Error (Open):", error);
+        return readFallback();
+    }
+    const stored = readAll(await requestToPromise(db.transaction(PALETTE_STORE, 'readonly').objectStore(PALETTE_STORE).getAll()));
+    const legacy = readAll(readLegacyPalettes(legacyKey) || []);
+
+    // Rewrite records that an older schema version upgraded (their id may have changed too)
+    const upgraded = stored.pairs.filter(({ raw, palette }) => palette && (raw.id !== palette.id || raw.schemaVersion !== palette.schemaVersion));
+    // Merge legacy entries the database doesn't know yet
+    const knownIds = new Set(stored.palettes.map(p => p.id));
+    const toMigrate = legacy.palettes.filter(p => !knownIds.has(p.id));
+    if (upgraded.length > 0 || toMigrate.length > 0) {
+        const transaction = db.transaction(PALETTE_STORE, 'readwrite');
+        const store = transaction.objectStore(PALETTE_STORE);
+        upgraded.forEach(({ raw, palette }) => {
+            if (raw.id !== palette.id) store.delete(raw.id);
+            store.put(palette);
+        });
+        toMigrate.forEach(p => store.put(p));
+        await transactionDone(transaction);
+    }
+    // Retire what made it across; unreadable entries stay in the blob (so nothing is migrated twice)
+    if (legacy.pairs.length > 0) {
+        if (legacy.invalid === 0) localStorage.removeItem(legacyKey);
+        else if (legacy.palettes.length > 0) localStorage.setItem(legacyKey, JSON.stringify(legacy.unreadable));
+    }
+    return { palettes: [...stored.palettes, ...toMigrate], storage: 'indexedDB', migrated: toMigrate.length, invalid: stored.invalid + legacy.invalid, unreadable: [] };
+};
+
+// Add palettes saved before the library finished loading (newest first) to the loaded list
+export const mergeLoadedPalettes = (loaded, pending) => {
+    const loadedIds = new Set(loaded.map(p => p.id));
+    return [...pending.filter(p => !loadedIds.has(p.id)), ...loaded];
+};
+
+// Persist the difference between two library snapshots (entries are compared by reference).
+// In localStorage `unreadable` raw entries are written back after the palettes so they aren't lost.
+export const savePaletteChanges = async (previous, next, { storage, legacyKey, unreadable = [] }) => {
+    if (storage !== 'indexedDB') {
+        localStorage.setItem(legacyKey, JSON.stringify([...next, ...unreadable]));
+        return;
+    }
+    const previousById = new Map(previous.map(p => [p.id, p]));
+    const nextIds = new Set(next.map(p => p.id));
+    const changed = next.filter(p => previousById.get(p.id) !== p);
+    const removed = previous.filter(p => !nextIds.has(p.id));
+    if (changed.length === 0 && removed.length === 0) return;
+    const db = await openDatabase();
+    const transaction = db.transaction(PALETTE_STORE, 'readwrite');
+    const store = transaction.objectStore(PALETTE_STORE);
+    changed.forEach(p => store.put(p));
+    removed.forEach(p => store.delete(p.id));
+    await transactionDone(transaction);
+};
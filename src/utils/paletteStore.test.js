@@ -0,0 +1,101 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { loadPaletteLibrary, mergeLoadedPalettes, savePaletteChanges } from './paletteStore';
+
+const legacyKey = 'testPalettes';
+
+afterEach(() => localStorage.clear());
+
+// --- localStorage fallback (jsdom has no IndexedDB) ---
+
+test('falls back to the legacy localStorage blob without IndexedDB', async () => {
+  localStorage.setItem(legacyKey, JSON.stringify([{ id: 1, name: 'Ocean' }]));
+  const library = await loadPaletteLibrary({ legacyKey, normalize: (p) => ({ ...p, tags: [] }) });
+  expect(library).toEqual({ palettes: [{ id: 1, name: 'Ocean', tags: [] }], storage: 'localStorage', migrated: 0, invalid: 0, unreadable: [] });
+
+  await savePaletteChanges(library.palettes, [], { storage: library.storage, legacyKey });
+  expect(JSON.parse(localStorage.getItem(legacyKey))).toEqual([]);
+});
+
+test('skips entries the normalizer rejects', async () => {
+  localStorage.setItem(legacyKey, JSON.stringify([{ id: 1 }, { id: 2, broken: true }]));
+  const library = await loadPaletteLibrary({ legacyKey, normalize: (p) => (p.broken ? null : p) });
+  expect(library.palettes).toEqual([{ id: 1 }]);
+  expect(library.invalid).toBe(1);
+  expect(library.unreadable).toEqual([{ id: 2, broken: true }]);
+
+  // Rewriting the blob keeps the unreadable entry
+  await savePaletteChanges(library.palettes, [{ id: 3 }], { storage: library.storage, legacyKey, unreadable: library.unreadable });
+  expect(JSON.parse(localStorage.getItem(legacyKey))).toEqual([{ id: 3 }, { id: 2, broken: true }]);
+});
+
+test('starts empty when nothing is stored', async () => {
+  expect((await loadPaletteLibrary({ legacyKey })).palettes).toEqual([]);
+});
+
+test('keeps palettes saved before the library finished loading', () => {
+  const loaded = [{ id: 1 }, { id: 2 }];
+  expect(mergeLoadedPalettes(loaded, [])).toEqual(loaded);
+  expect(mergeLoadedPalettes(loaded, [{ id: 3 }, { id: 1, stale: true }])).toEqual([{ id: 3 }, { id: 1 }, { id: 2 }]);
+});
+
+// --- IndexedDB (fake-indexeddb, a fresh database and module per test) ---
+
+describe('with IndexedDB', () => {
+  let store;
+  const upgrade = (p) => (p.broken ? null : { ...p, id: String(p.id), schemaVersion: 3 });
+  const storedPalettes = async () => (await store.loadPaletteLibrary({ legacyKey })).palettes;
+
+  beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+    jest.isolateModules(() => { store = require('./paletteStore'); });
+  });
+  afterEach(() => { delete global.indexedDB; });
+
+  test('moves the legacy blob into the database once', async () => {
+    localStorage.setItem(legacyKey, JSON.stringify([{ id: 1, name: 'Ocean' }, { id: 2, name: 'Forest' }]));
+    const library = await store.loadPaletteLibrary({ legacyKey, normalize: upgrade });
+    expect(library).toMatchObject({ storage: 'indexedDB', migrated: 2, invalid: 0, unreadable: [] });
+    expect(library.palettes.map(p => p.id)).toEqual(['1', '2']);
+    expect(localStorage.getItem(legacyKey)).toBeNull();
+
+    // Running again finds everything in the database and changes nothing
+    const again = await store.loadPaletteLibrary({ legacyKey, normalize: upgrade });
+    expect(again).toMatchObject({ storage: 'indexedDB', migrated: 0, invalid: 0 });
+    expect(again.palettes).toEqual(library.palettes);
+  });
+
+  test('rewrites records an older schema upgraded, replacing the old id', async () => {
+    await store.savePaletteChanges([], [{ id: 7, name: 'Old', schemaVersion: 2 }], { storage: 'indexedDB', legacyKey });
+    const library = await store.loadPaletteLibrary({ legacyKey, normalize: upgrade });
+    expect(library.palettes).toEqual([{ id: '7', name: 'Old', schemaVersion: 3 }]);
+    expect(await storedPalettes()).toEqual([{ id: '7', name: 'Old', schemaVersion: 3 }]);
+  });
+
+  test('leaves unreadable legacy entries in the blob', async () => {
+    localStorage.setItem(legacyKey, JSON.stringify([{ id: 1, name: 'Ocean' }, { id: 2, broken: true }]));
+    const library = await store.loadPaletteLibrary({ legacyKey, normalize: upgrade });
+    expect(library).toMatchObject({ migrated: 1, invalid: 1, unreadable: [] });
+    expect(JSON.parse(localStorage.getItem(legacyKey))).toEqual([{ id: 2, broken: true }]);
+
+    const again = await store.loadPaletteLibrary({ legacyKey, normalize: upgrade });
+    expect(again).toMatchObject({ migrated: 0, invalid: 1 });
+    expect(again.palettes).toHaveLength(1);
+    expect(JSON.parse(localStorage.getItem(legacyKey))).toEqual([{ id: 2, broken: true }]);
+  });
+
+  test('writes only the palettes that changed and deletes removed ones', async () => {
+    const ocean = { id: 'a', name: 'Ocean' };
+    const forest = { id: 'b', name: 'Forest' };
+    const dusk = { id: 'c', name: 'Dusk' };
+    await store.savePaletteChanges([], [ocean, forest, dusk], { storage: 'indexedDB', legacyKey });
+
+    // Entries are compared by reference: the same object counts as unchanged and isn't rewritten
+    ocean.name = 'Not saved';
+    const renamed = { ...forest, name: 'Pine' };
+    await store.savePaletteChanges([ocean, forest, dusk], [ocean, renamed], { storage: 'indexedDB', legacyKey });
+    const saved = await storedPalettes();
+    expect(saved).toHaveLength(2);
+    expect(saved).toEqual(expect.arrayContaining([{ id: 'a', name: 'Ocean' }, { id: 'b', name: 'Pine' }]));
+    expect(localStorage.getItem(legacyKey)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { isCssAngle } from './gradient.js';
+
+// --- Shareable Permalink (URL hash) ---
+//
+// Format: #c=e11d48.2563eb!&t=monochromatic&n=5&g=to%20right&f=hex
+//   c = mix colors as 6-digit hex (8 with alpha), '.'-separated; a trailing '!' marks a locked color
+//   t = palette type, n = color count, g = gradient direction (keyword or angle), f = display format
+//   m = mix color space, i = interpolation color space, x = flags ('l' lightness correction, 'b' bezier)
+//   w = mix color weights, '.'-separated (omitted when all are 1), p = mixing model
+
+const MAX_HASH_LENGTH = 2000;
+export const MAX_URL_MIX_COLORS = 20;
+const HEX_PATTERN = /^[0-9a-f]{6}(?:[0-9a-f]{2})?$/i;
+
+// Serialize generator state into a compact hash string (without the leading '#')
+export const encodeHashState = ({ mixColors = [], paletteType, colorCount, gradientDirection, displayFormat, colorSpace, mixMethod }) => {
+    const validItems = mixColors.filter(item => item.valid && typeof item.color === 'string' && HEX_PATTERN.test(item.color.replace('#', '')));
+    const colors = validItems
+        .map(item => {
+            const hex = item.color.replace('#', '').toLowerCase();
+            return HEX_PATTERN.test(hex) ? `${hex}${item.locked ? '!' : ''}` : null;
+        })
+        .filter(Boolean);
+    const params = [];
+    if (colors.length) params.push(`c=${colors.join('.')}`);
+    const weights = validItems.map(item => item.weight ?? 1);
+    if (weights.some(w => w !== 1)) params.push(`w=${weights.join('.')}`);
+    if (paletteType) params.push(`t=${encodeURIComponent(paletteType)}`);
+    if (colorCount) params.push(`n=${colorCount}`);
+    if (gradientDirection) params.push(`g=${encodeURIComponent(gradientDirection)}`);
+    if (displayFormat) params.push(`f=${encodeURIComponent(displayFormat)}`);
+    if (colorSpace) {
+        if (colorSpace.mixMode) params.push(`m=${encodeURIComponent(colorSpace.mixMode)}`);
+        if (colorSpace.interpolationMode) params.push(`i=${encodeURIComponent(colorSpace.interpolationMode)}`);
+        const flags = `${colorSpace.correctLightness ? 'l' : ''}${colorSpace.bezier ? 'b' : ''}`;
+        if (flags) params.push(`x=${flags}`);
+    }
+    if (mixMethod) params.push(`p=${encodeURIComponent(mixMethod)}`);
+    return params.join('&');
+};
+
+// Parse a location hash; returns only the fields that are present and valid, or null.
+// Links with more than MAX_URL_MIX_COLORS colors keep the first ones and report the rest in `droppedMixColors`.
+// `allowed` lists the accepted values: { paletteTypes, displayFormats, gradientDirections, colorSpaces, mixMethods, minCount, maxCount }
+export const decodeHashState = (hash, allowed = {}) => {
+    if (typeof hash !== 'string') return null;
+    const raw = hash.replace(/^#/, '');
+    if (!raw || raw.length > MAX_HASH_LENGTH) return null;
+
+    const params = {};
+    raw.split('&').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator <= 0) return;
+        const key = part.slice(0, separator);
+        try { params[key] = decodeURIComponent(part.slice(separator + 1)); }
+        catch { /* Ignore malformed escape sequences */ }
+    });
+
+    const state = {};
+    if (params.c) {
+        const tokens = params.c.split('.');
+        const mixColors = tokens.slice(0, MAX_URL_MIX_COLORS).map(token => {
+            const locked = token.endsWith('!');
+            const hex = locked ? token.slice(0, -1) : token;
+            return HEX_PATTERN.test(hex) ? { color: `#${hex.toLowerCase()}`, locked } : null;
+        });
+        // Reject the whole list if any entry is bad, rather than silently dropping colors
+        if (mixColors.length >= 2 && mixColors.every(Boolean)) {
+            // Weights only apply when there is exactly one whole number (0-10) per color
+            const weights = params.w ? params.w.split('.') : [];
+            if (weights.length === tokens.length && weights.every(w => /^(10|\d)$/.test(w))) {
+                mixColors.forEach((item, i) => { item.weight = parseInt(weights[i], 10); });
+            }
+            state.mixColors = mixColors;
+            if (tokens.length > MAX_URL_MIX_COLORS) state.droppedMixColors = tokens.length - MAX_URL_MIX_COLORS;
+        }
+    }
+    if (params.t && (!allowed.paletteTypes || allowed.paletteTypes.includes(params.t))) state.paletteType = params.t;
+    if (params.n && /^\d{1,2}$/.test(params.n)) {
+        const count = parseInt(params.n, 10);
+        if (count >= (allowed.minCount ?? 1) && count <= (allowed.maxCount ?? 99)) state.colorCount = count;
+    }
+    if (params.g && (isCssAngle(params.g) || !allowed.gradientDirections || allowed.gradientDirections.includes(params.g))) state.gradientDirection = params.g;
+    if (params.f && (!allowed.displayFormats || allowed.displayFormats.includes(params.f))) state.displayFormat = params.f;
+    if (params.p && (!allowed.mixMethods || allowed.mixMethods.includes(params.p))) state.mixMethod = params.p;
+    const isColorSpace = (value) => value && (!allowed.colorSpaces || allowed.colorSpaces.includes(value));
+    if (isColorSpace(params.m) || isColorSpace(params.i) || /^[lb]{1,2}$/.test(params.x || '')) {
+        state.colorSpace = {
+            correctLightness: (params.x || '').includes('l'),
+            bezier: (params.x || '').includes('b'),
+        };
+        if (isColorSpace(params.m)) state.colorSpace.mixMode = params.m;
+        if (isColorSpace(params.i)) state.colorSpace.interpolationMode = params.i;
+    }
+
+    return Object.keys(state).length > 0 ? state : null;
+};
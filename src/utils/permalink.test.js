@@ -0,0 +1,79 @@
+import { MAX_URL_MIX_COLORS, decodeHashState, encodeHashState } from './permalink';
+
+const allowed = {
+  paletteTypes: ['monochromatic', 'triadic'],
+  displayFormats: ['hex', 'rgb'],
+  gradientDirections: ['to right', '45deg'],
+  colorSpaces: ['lab', 'lch', 'oklch'],
+  mixMethods: ['average', 'pigment'],
+  minCount: 3,
+  maxCount: 12,
+};
+
+test('round-trips generator state through the hash', () => {
+  const hash = encodeHashState({
+    mixColors: [{ color: '#E11D48', valid: true, locked: true }, { color: '#2563eb', valid: true, locked: false }],
+    paletteType: 'triadic',
+    colorCount: 7,
+    gradientDirection: 'to right',
+    displayFormat: 'rgb',
+  });
+  expect(hash).toBe('c=e11d48!.2563eb&t=triadic&n=7&g=to%20right&f=rgb');
+  expect(encodeHashState({ mixColors: [{ color: '#e11d4880', valid: true }, { color: '#2563eb', valid: true }] })).toBe('c=e11d4880.2563eb');
+  expect(decodeHashState(`#${hash}`, allowed)).toEqual({
+    mixColors: [{ color: '#e11d48', locked: true }, { color: '#2563eb', locked: false }],
+    paletteType: 'triadic',
+    colorCount: 7,
+    gradientDirection: 'to right',
+    displayFormat: 'rgb',
+  });
+});
+
+test('drops invalid or hostile values', () => {
+  expect(decodeHashState('#t=<script>&n=999&f=%E0%A4%A', allowed)).toBeNull();
+  expect(decodeHashState('#c=e11d48.nothex&t=triadic', allowed)).toEqual({ paletteType: 'triadic' });
+  expect(decodeHashState('#c=e11d48', allowed)).toBeNull();
+  expect(decodeHashState(`#t=${'a'.repeat(5000)}`, allowed)).toBeNull();
+  expect(decodeHashState('', allowed)).toBeNull();
+  expect(decodeHashState(undefined, allowed)).toBeNull();
+});
+
+test('accepts free gradient angles', () => {
+  expect(decodeHashState('#g=212.5deg', allowed)).toEqual({ gradientDirection: '212.5deg' });
+  expect(decodeHashState('#g=to%20nowhere', allowed)).toBeNull();
+});
+
+test('round-trips color space settings', () => {
+  const hash = encodeHashState({
+    paletteType: 'triadic',
+    colorSpace: { mixMode: 'oklch', interpolationMode: 'lab', correctLightness: true, bezier: true },
+  });
+  expect(hash).toBe('t=triadic&m=oklch&i=lab&x=lb');
+  expect(decodeHashState(hash, allowed).colorSpace).toEqual({ mixMode: 'oklch', interpolationMode: 'lab', correctLightness: true, bezier: true });
+  expect(decodeHashState('#m=cmyk&i=lch', allowed).colorSpace).toEqual({ interpolationMode: 'lch', correctLightness: false, bezier: false });
+  expect(decodeHashState('#m=cmyk&x=zz', allowed)).toBeNull();
+});
+
+test('round-trips mix weights and the mixing model', () => {
+  const hash = encodeHashState({
+    mixColors: [{ color: '#0000ff', valid: true, weight: 3 }, { color: '#ffff00', valid: true, weight: 1 }],
+    mixMethod: 'pigment',
+  });
+  expect(hash).toBe('c=0000ff.ffff00&w=3.1&p=pigment');
+  expect(decodeHashState(hash, allowed)).toEqual({
+    mixColors: [{ color: '#0000ff', locked: false, weight: 3 }, { color: '#ffff00', locked: false, weight: 1 }],
+    mixMethod: 'pigment',
+  });
+  // Mismatched or out-of-range weights are ignored
+  expect(decodeHashState('#c=0000ff.ffff00&w=3&p=paint', allowed).mixColors[0].weight).toBeUndefined();
+  expect(decodeHashState('#c=0000ff.ffff00&w=3.11', allowed).mixColors[1].weight).toBeUndefined();
+});
+
+test('reports mix colors beyond the link limit instead of dropping them silently', () => {
+  const colors = Array.from({ length: MAX_URL_MIX_COLORS + 3 }, (_, i) => ({ color: `#0000${(i * 10).toString(16).padStart(2, '0')}`, valid: true, weight: i % 2 }));
+  const state = decodeHashState(encodeHashState({ mixColors: colors }), allowed);
+  expect(state.mixColors).toHaveLength(MAX_URL_MIX_COLORS);
+  expect(state.mixColors[1]).toEqual({ color: '#00000a', locked: false, weight: 1 });
+  expect(state.droppedMixColors).toBe(3);
+  expect(decodeHashState('#c=0000ff.ffff00', allowed).droppedMixColors).toBeUndefined();
+});
@@ -0,0 +1,159 @@
+import chroma from 'chroma-js';
+
+// --- Dominant Color Extraction (k-means / median cut in CIE Lab) ---
+
+export const EXTRACTION_METHODS = [
+    { value: 'kmeans', label: 'k-means (Lab)' },
+    { value: 'median-cut', label: 'Median Cut (Lab)' },
+];
+
+const DEFAULT_MAX_SAMPLES = 20000;
+const ALPHA_THRESHOLD = 125; // Skip mostly transparent pixels
+const KMEANS_MAX_ITERATIONS = 24;
+const KMEANS_TOLERANCE = 0.5; // Stop once no centroid moves more than this (Lab units)
+
+// sRGB (0-255) -> CIE Lab (D65), with a lookup table for the gamma curve
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, i) => {
+    const v = i / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+});
+const labF = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+export const rgbToLab = (r, g, b) => {
+    const lr = SRGB_TO_LINEAR[r];
+    const lg = SRGB_TO_LINEAR[g];
+    const lb = SRGB_TO_LINEAR[b];
+    const x = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    const y = labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    const z = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+};
+
+const distanceSq = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+// Small deterministic PRNG so the same image always yields the same palette
+const createRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const getSampleStep = (pixelCount, maxSamples) => Math.max(1, Math.floor(pixelCount / maxSamples));
+
+// Keep only the pixels collectLabSamples would read, as a new RGBA buffer small enough to post to a worker
+export const downsamplePixels = (pixels, maxSamples = DEFAULT_MAX_SAMPLES) => {
+    const pixelCount = Math.floor(pixels.length / 4);
+    const step = getSampleStep(pixelCount, maxSamples);
+    const output = new Uint8ClampedArray(Math.ceil(pixelCount / step) * 4);
+    for (let p = 0, o = 0; p < pixelCount; p += step, o += 4) {
+        output.set(pixels.subarray(p * 4, p * 4 + 4), o);
+    }
+    return output;
+};
+
+// Sample RGBA pixels (Uint8ClampedArray) into Lab points, skipping transparent ones
+export const collectLabSamples = (pixels, maxSamples = DEFAULT_MAX_SAMPLES) => {
+    const pixelCount = Math.floor(pixels.length / 4);
+    const step = getSampleStep(pixelCount, maxSamples);
+    const samples = [];
+    for (let p = 0; p < pixelCount; p += step) {
+        const i = p * 4;
+        if (pixels[i + 3] < ALPHA_THRESHOLD) continue;
+        samples.push(rgbToLab(pixels[i], pixels[i + 1], pixels[i + 2]));
+    }
+    return samples;
+};
+
+// k-means with k-means++ seeding; returns [{ lab, size }]
+export const kMeansLab = (samples, k, seed = 1) => {
+    if (samples.length === 0) return [];
+    const random = createRandom(seed);
+    const centroids = [samples[Math.floor(random() * samples.length)]];
+    const nearest = samples.map(s => distanceSq(s, centroids[0]));
+    while (centroids.length < Math.min(k, samples.length)) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        if (total === 0) break; // Fewer distinct colors than k
+        let target = random() * total;
+        let index = 0;
+        while (index < samples.length - 1 && (target -= nearest[index]) > 0) index++;
+        const next = samples[index];
+        centroids.push(next);
+        samples.forEach((s, i) => { nearest[i] = Math.min(nearest[i], distanceSq(s, next)); });
+    }
+
+    const assignments = new Int32Array(samples.length);
+    for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+        samples.forEach((s, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centroids.forEach((c, j) => {
+                const d = distanceSq(s, c);
+                if (d < bestDistance) { bestDistance = d; best = j; }
+            });
+            assignments[i] = best;
+        });
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        samples.forEach((s, i) => {
+            const sum = sums[assignments[i]];
+            sum[0] += s[0]; sum[1] += s[1]; sum[2] += s[2]; sum[3]++;
+        });
+        let maxShift = 0;
+        sums.forEach((sum, j) => {
+            if (sum[3] === 0) return;
+            const updated = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+            maxShift = Math.max(maxShift, Math.sqrt(distanceSq(updated, centroids[j])));
+            centroids[j] = updated;
+        });
+        if (maxShift < KMEANS_TOLERANCE) break;
+    }
+
+    const sizes = centroids.map(() => 0);
+    assignments.forEach(a => { sizes[a]++; });
+    return centroids.map((lab, j) => ({ lab, size: sizes[j] })).filter(c => c.size > 0);
+};
+
+// Median cut: repeatedly split the box with the widest Lab range at its median
+export const medianCutLab = (samples, k) => {
+    if (samples.length === 0) return [];
+    const boxes = [samples];
+    while (boxes.length < k) {
+        let target = -1;
+        let targetAxis = 0;
+        let widest = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            [0, 1, 2].forEach(axis => {
+                let min = Infinity;
+                let max = -Infinity;
+                box.forEach(s => { if (s[axis] < min) min = s[axis]; if (s[axis] > max) max = s[axis]; });
+                if (max - min > widest) { widest = max - min; target = i; targetAxis = axis; }
+            });
+        });
+        if (target < 0) break; // Nothing left to split
+        const sorted = [...boxes[target]].sort((a, b) => a[targetAxis] - b[targetAxis]);
+        // Split at the value change closest to the median so identical colors stay together
+        const half = Math.floor(sorted.length / 2);
+        const isBoundary = (i) => i > 0 && i < sorted.length && sorted[i][targetAxis] !== sorted[i - 1][targetAxis];
+        let middle = -1;
+        for (let offset = 0; offset < sorted.length && middle < 0; offset++) {
+            if (isBoundary(half - offset)) middle = half - offset;
+            else if (isBoundary(half + offset)) middle = half + offset;
+        }
+        boxes.splice(target, 1, sorted.slice(0, middle), sorted.slice(middle));
+    }
+    return boxes.map(box => {
+        const sum = box.reduce((acc, s) => [acc[0] + s[0], acc[1] + s[1], acc[2] + s[2]], [0, 0, 0]);
+        return { lab: sum.map(v => v / box.length), size: box.length };
+    });
+};
+
+// Extract the `count` most representative colors with their coverage (0-1), largest first
+export const extractDominantColors = (pixels, count = 5, { method = 'kmeans', maxSamples = DEFAULT_MAX_SAMPLES } = {}) => {
+    const samples = collectLabSamples(pixels, maxSamples);
+    if (samples.length === 0) return [];
+    const clusters = method === 'median-cut' ? medianCutLab(samples, count) : kMeansLab(samples, count);
+    const total = clusters.reduce((sum, c) => sum + c.size, 0);
+    return clusters
+        .map(c => ({ color: chroma.lab(...c.lab).hex(), coverage: c.size / total }))
+        .sort((a, b) => b.coverage - a.coverage);
+};
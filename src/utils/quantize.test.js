@@ -0,0 +1,43 @@
+import chroma from 'chroma-js';
+import { collectLabSamples, downsamplePixels, extractDominantColors, rgbToLab } from './quantize';
+
+// Build an RGBA buffer with the given [r, g, b] colors repeated `n` times each
+const makePixels = (entries) => {
+  const pixels = [];
+  entries.forEach(([rgb, n, alpha = 255]) => { for (let i = 0; i < n; i++) pixels.push(...rgb, alpha); });
+  return new Uint8ClampedArray(pixels);
+};
+
+test('converts sRGB to Lab like chroma-js', () => {
+  const [l, a, b] = rgbToLab(225, 29, 72);
+  const expected = chroma('#e11d48').lab();
+  expect(l).toBeCloseTo(expected[0], 0);
+  expect(a).toBeCloseTo(expected[1], 0);
+  expect(b).toBeCloseTo(expected[2], 0);
+});
+
+test('skips transparent pixels', () => {
+  expect(collectLabSamples(makePixels([[[255, 0, 0], 4, 0], [[0, 0, 255], 2]]))).toHaveLength(2);
+});
+
+test('downsamples to exactly the pixels that would be sampled', () => {
+  const pixels = makePixels([[[255, 0, 0], 50], [[0, 0, 255], 49, 0], [[0, 255, 0], 51]]);
+  const sampled = downsamplePixels(pixels, 40);
+  expect(sampled).toHaveLength(50 * 4); // Every third pixel
+  expect(collectLabSamples(sampled, 40)).toEqual(collectLabSamples(pixels, 40));
+  expect(downsamplePixels(pixels, 1000)).toEqual(pixels);
+  expect(downsamplePixels(pixels, 1000)).not.toBe(pixels);
+});
+
+test.each(['kmeans', 'median-cut'])('extracts dominant colors with coverage using %s', (method) => {
+  const pixels = makePixels([[[255, 0, 0], 60], [[0, 0, 255], 30], [[255, 255, 255], 10]]);
+  const colors = extractDominantColors(pixels, 3, { method });
+  expect(colors).toHaveLength(3);
+  expect(colors[0].color).toBe('#ff0000');
+  expect(colors[0].coverage).toBeCloseTo(0.6, 2);
+  expect(colors.map(c => c.color)).toEqual(expect.arrayContaining(['#0000ff', '#ffffff']));
+});
+
+test('returns an empty list for fully transparent images', () => {
+  expect(extractDominantColors(makePixels([[[0, 0, 0], 5, 0]]), 3)).toEqual([]);
+});
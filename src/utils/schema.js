@@ -0,0 +1,140 @@
+import chroma from 'chroma-js';
+import { isCssAngle } from './gradient.js';
+
+// --- Saved Palette Schema (versions, migrations, validation) ---
+//
+// Every saved palette and export carries `schemaVersion`. Records without one are v1.
+//   v1: original format - numeric Date.now() ids, mix colors as hex strings or { color, locked }
+//   v2: mix color weights, `colorSpace` settings and `mixMethod`
+//   v3: string ids, swatch overrides/order, tags, favorite, collection, createdAt
+// Optional fields added since (with defaults, no version bump): uiRoles
+
+export const SCHEMA_VERSION = 3;
+
+// RFC 4122 v4 id; crypto.randomUUID where available
+export const createId = () => {
+    const cryptoApi = typeof crypto !== 'undefined' ? crypto : undefined;
+    if (cryptoApi && typeof cryptoApi.randomUUID === 'function') return cryptoApi.randomUUID();
+    const bytes = new Uint8Array(16);
+    if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') cryptoApi.getRandomValues(bytes);
+    else for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// migrations[n] upgrades a v(n) record to v(n + 1)
+const migrations = {
+    1: (record) => ({
+        ...record,
+        mixColors: Array.isArray(record.mixColors)
+            ? record.mixColors.map(mc => (typeof mc === 'string' ? { color: mc, locked: false, weight: 1 } : { ...mc, weight: mc?.weight ?? 1 }))
+            : record.mixColors,
+        // v1 always mixed in Lab and interpolated in LCH
+        colorSpace: record.colorSpace ?? { mixMode: 'lab', interpolationMode: 'lch', correctLightness: false, bezier: false },
+        mixMethod: record.mixMethod ?? 'average',
+        schemaVersion: 2,
+    }),
+    2: (record) => ({
+        ...record,
+        id: typeof record.id === 'number' ? String(record.id) : record.id,
+        createdAt: record.createdAt ?? (typeof record.id === 'number' ? Math.floor(record.id) : undefined),
+        schemaVersion: 3,
+    }),
+};
+
+// Optional v3 fields and their defaults
+const OPTIONAL_DEFAULTS = {
+    swatchOverrides: () => [],
+    swatchOrder: () => null,
+    tags: () => [],
+    favorite: () => false,
+    collection: () => '',
+    createdAt: () => Date.now(),
+    id: () => createId(),
+    uiRoles: () => null,
+};
+
+const isColor = (value) => typeof value === 'string' && chroma.valid(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const oneOf = (list) => (list ? ` (one of: ${list.join(', ')})` : '');
+
+// Strict check of a current-version record; returns [{ field, message }].
+// `allowed` lists accepted values: { paletteTypes, gradientDirections, colorSpaces, mixMethods, minCount, maxCount, maxMixWeight }
+export const validatePaletteRecord = (record, allowed = {}) => {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const isAllowed = (list, value) => typeof value === 'string' && (!list || list.includes(value));
+
+    if (typeof record.id !== 'string' || !record.id) fail('id', 'must be a non-empty string');
+    if (typeof record.name !== 'string' || !record.name.trim()) fail('name', 'must be non-empty text');
+    if (!Array.isArray(record.palette) || record.palette.length === 0) fail('palette', 'must be a non-empty list of colors');
+    else record.palette.forEach((c, i) => { if (!isColor(c)) fail(`palette[${i}]`, `is not a valid color: ${JSON.stringify(c)}`); });
+    if (!isColor(record.mixedColor)) fail('mixedColor', 'must be a valid color');
+    if (!isAllowed(allowed.paletteTypes, record.type)) fail('type', `must be a known palette type${oneOf(allowed.paletteTypes)}`);
+    if (!isWholeNumber(record.count, allowed.minCount ?? 1, allowed.maxCount ?? 99)) fail('count', `must be a whole number from ${allowed.minCount ?? 1} to ${allowed.maxCount ?? 99}`);
+    if (!isCssAngle(record.gradientDirection) && !isAllowed(allowed.gradientDirections, record.gradientDirection)) {
+        fail('gradientDirection', `must be an angle like "45deg" or a known direction${oneOf(allowed.gradientDirections)}`);
+    }
+
+    if (!Array.isArray(record.mixColors) || record.mixColors.length === 0) fail('mixColors', 'must be a non-empty list');
+    else record.mixColors.forEach((mc, i) => {
+        if (!mc || typeof mc !== 'object') { fail(`mixColors[${i}]`, 'must be an object'); return; }
+        if (!isColor(mc.color)) fail(`mixColors[${i}].color`, `is not a valid color: ${JSON.stringify(mc.color)}`);
+        if (!isWholeNumber(mc.weight, 0, allowed.maxMixWeight ?? 10)) fail(`mixColors[${i}].weight`, `must be a whole number from 0 to ${allowed.maxMixWeight ?? 10}`);
+        if (mc.locked !== undefined && !isBoolean(mc.locked)) fail(`mixColors[${i}].locked`, 'must be true or false');
+    });
+
+    const colorSpace = record.colorSpace;
+    if (!colorSpace || typeof colorSpace !== 'object') fail('colorSpace', 'must be an object');
+    else {
+        ['mixMode', 'interpolationMode'].forEach(key => {
+            if (!isAllowed(allowed.colorSpaces, colorSpace[key])) fail(`colorSpace.${key}`, `must be a known color space${oneOf(allowed.colorSpaces)}`);
+        });
+        ['correctLightness', 'bezier'].forEach(key => { if (!isBoolean(colorSpace[key])) fail(`colorSpace.${key}`, 'must be true or false'); });
+    }
+    if (!isAllowed(allowed.mixMethods, record.mixMethod)) fail('mixMethod', `must be a known mixing model${oneOf(allowed.mixMethods)}`);
+
+    if (!Array.isArray(record.swatchOverrides)) fail('swatchOverrides', 'must be a list');
+    else record.swatchOverrides.forEach((o, i) => {
+        if (!o || !Number.isInteger(o.index) || o.index < 0) fail(`swatchOverrides[${i}].index`, 'must be a whole number ≥ 0');
+        if (!isColor(o?.color)) fail(`swatchOverrides[${i}].color`, 'must be a valid color');
+    });
+    if (record.swatchOrder !== null && !(Array.isArray(record.swatchOrder) && record.swatchOrder.every(i => Number.isInteger(i) && i >= 0))) {
+        fail('swatchOrder', 'must be null or a list of whole numbers');
+    }
+    if (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string')) fail('tags', 'must be a list of text');
+    if (!isBoolean(record.favorite)) fail('favorite', 'must be true or false');
+    if (typeof record.collection !== 'string') fail('collection', 'must be text');
+    if (!Number.isFinite(record.createdAt)) fail('createdAt', 'must be a timestamp');
+    if (record.uiRoles !== null) {
+        const variants = record.uiRoles && typeof record.uiRoles === 'object' ? Object.values(record.uiRoles) : null;
+        if (!variants || variants.some(v => !v || typeof v !== 'object' || Object.values(v).some(i => !Number.isInteger(i) || i < 0))) {
+            fail('uiRoles', 'must be null or { light, dark } mapping roles to swatch numbers');
+        }
+    }
+    return errors;
+};
+
+// Migrate any known version to the current one, fill optional fields and validate.
+// Returns { record, errors } - record is null when there are errors.
+export const readPaletteRecord = (raw, allowed = {}) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { record: null, errors: [{ field: '(entry)', message: 'must be an object' }] };
+    const version = raw.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) return { record: null, errors: [{ field: 'schemaVersion', message: 'must be a whole number ≥ 1' }] };
+    if (version > SCHEMA_VERSION) {
+        return { record: null, errors: [{ field: 'schemaVersion', message: `${version} is newer than this app supports (${SCHEMA_VERSION})` }] };
+    }
+    let record = raw;
+    for (let v = version; v < SCHEMA_VERSION; v++) record = migrations[v](record);
+    record = { ...record };
+    Object.entries(OPTIONAL_DEFAULTS).forEach(([key, createDefault]) => {
+        if (record[key] === undefined) record[key] = createDefault();
+    });
+    const errors = validatePaletteRecord(record, allowed);
+    return { record: errors.length > 0 ? null : record, errors };
+};
+
+export const formatSchemaErrors = (errors) => errors.map(e => `${e.field} ${e.message}`).join('; ');
@@ -0,0 +1,56 @@
+import { SCHEMA_VERSION, createId, readPaletteRecord } from './schema';
+
+const allowed = {
+  paletteTypes: ['monochromatic', 'triadic'],
+  gradientDirections: ['to right'],
+  colorSpaces: ['lab', 'lch', 'oklch'],
+  mixMethods: ['average', 'pigment'],
+  minCount: 3,
+  maxCount: 12,
+};
+
+const v1Record = {
+  id: 1700000000000,
+  name: 'Legacy',
+  mixColors: ['#e11d48', { color: '#2563eb', locked: true }],
+  mixedColor: '#8a1f9a',
+  palette: ['#111111', '#222222', '#333333'],
+  type: 'triadic',
+  count: 3,
+  gradientDirection: 'to right',
+};
+
+test('migrates v1 records through every version', () => {
+  const { record, errors } = readPaletteRecord(v1Record, allowed);
+  expect(errors).toEqual([]);
+  expect(record).toMatchObject({
+    id: '1700000000000',
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: 1700000000000,
+    mixColors: [{ color: '#e11d48', locked: false, weight: 1 }, { color: '#2563eb', locked: true, weight: 1 }],
+    colorSpace: { mixMode: 'lab', interpolationMode: 'lch', correctLightness: false, bezier: false },
+    mixMethod: 'average',
+    tags: [],
+    swatchOrder: null,
+  });
+});
+
+test('names every invalid field', () => {
+  const { record, errors } = readPaletteRecord({ ...v1Record, type: 'rainbow', count: 40, palette: ['#fff', 'nope'] }, allowed);
+  expect(record).toBeNull();
+  expect(errors.map(e => e.field)).toEqual(['palette[1]', 'type', 'count']);
+  expect(errors[1].message).toMatch(/monochromatic, triadic/);
+  expect(readPaletteRecord({ ...v1Record, gradientDirection: '200deg' }, allowed).errors).toEqual([]);
+  expect(readPaletteRecord({ ...v1Record, gradientDirection: 'sideways' }, allowed).errors.map(e => e.field)).toEqual(['gradientDirection']);
+  expect(readPaletteRecord({ ...v1Record, uiRoles: { light: { primary: -1 } } }, allowed).errors.map(e => e.field)).toEqual(['uiRoles']);
+});
+
+test('refuses records from a newer schema', () => {
+  const { errors } = readPaletteRecord({ ...v1Record, schemaVersion: SCHEMA_VERSION + 1 }, allowed);
+  expect(errors[0].field).toBe('schemaVersion');
+});
+
+test('creates RFC 4122 v4 ids', () => {
+  expect(createId()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  expect(createId()).not.toBe(createId());
+});
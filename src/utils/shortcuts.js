@@ -0,0 +1,67 @@
+// --- Keyboard Shortcuts & Command Palette Helpers ---
+
+// Shown in the help overlay; `keys` are display labels
+export const SHORTCUTS = [
+    { keys: ['Space'], description: 'Randomize unlocked mix colors' },
+    { keys: ['L'], description: 'Lock / unlock the focused color' },
+    { keys: ['C'], description: 'Copy the focused color (or the mixed color)' },
+    { keys: ['S'], description: 'Save the current palette' },
+    { keys: ['1', '…', '9'], description: 'Focus mix color 1-9' },
+    { keys: ['←', '→'], description: 'Previous / next palette type' },
+    { keys: ['↑', '↓'], description: 'More / fewer colors' },
+    { keys: ['Ctrl/⌘', 'Z'], description: 'Undo' },
+    { keys: ['Ctrl/⌘', 'Shift', 'Z'], description: 'Redo' },
+    { keys: ['Ctrl/⌘', 'K'], description: 'Open the command palette' },
+    { keys: ['?'], description: 'Show this help' },
+    { keys: ['Esc'], description: 'Close dialogs' },
+];
+
+// Text fields keep their native undo and typing; shortcuts are ignored there
+export const isTextEntryTarget = (target) => target instanceof HTMLElement && (
+    target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' ||
+    (target.tagName === 'INPUT' && !['color', 'range', 'checkbox', 'radio', 'button'].includes(target.type))
+);
+
+// Controls that already use Space or the arrow keys themselves
+const usesSpace = (target) => target instanceof HTMLElement && Boolean(target.closest('button, a[href], summary, input, [role="button"], [role="slider"]'));
+const usesArrows = (target) => target instanceof HTMLElement && Boolean(target.closest('input, [role="slider"], [role="radiogroup"], [role="listbox"]'));
+
+// Map a keydown event to a single-key shortcut action, or null.
+// Actions: { type: 'randomize' | 'lock' | 'copy' | 'save' | 'help' } | { type: 'focus-mix', index }
+//          | { type: 'step-type', delta } | { type: 'step-count', delta }
+export const getShortcutAction = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTextEntryTarget(event.target)) return null;
+    const key = event.key;
+    if (key === ' ' || key === 'Spacebar') return usesSpace(event.target) ? null : { type: 'randomize' };
+    if (key === '?') return { type: 'help' };
+    if (event.shiftKey) return null;
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+    if (lower === 'l') return { type: 'lock' };
+    if (lower === 'c') return { type: 'copy' };
+    if (lower === 's') return { type: 'save' };
+    if (/^[1-9]$/.test(key)) return { type: 'focus-mix', index: Number(key) - 1 };
+    if (usesArrows(event.target)) return null;
+    if (key === 'ArrowLeft' || key === 'ArrowRight') return { type: 'step-type', delta: key === 'ArrowLeft' ? -1 : 1 };
+    if (key === 'ArrowUp' || key === 'ArrowDown') return { type: 'step-count', delta: key === 'ArrowUp' ? 1 : -1 };
+    return null;
+};
+
+export const isCommandPaletteShortcut = (event) => (event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key.toLowerCase() === 'k';
+
+// Rank commands for a query: every query word must appear in the label or group;
+// label prefix matches come first. Commands are { id, label, group, ... }.
+export const filterCommands = (commands, query) => {
+    const words = query.toLowerCase().trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return commands;
+    return commands
+        .map((command, order) => {
+            const label = command.label.toLowerCase();
+            const haystack = `${label} ${(command.group || '').toLowerCase()}`;
+            if (!words.every(word => haystack.includes(word))) return null;
+            const score = (label.startsWith(words[0]) ? 0 : label.split(/\W+/).some(part => part.startsWith(words[0])) ? 1 : 2);
+            return { command, score, order };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.score - b.score || a.order - b.order)
+        .map(entry => entry.command);
+};
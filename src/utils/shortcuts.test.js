@@ -0,0 +1,45 @@
+import { filterCommands, getShortcutAction, isCommandPaletteShortcut, isTextEntryTarget } from './shortcuts';
+
+const keyEvent = (key, options = {}) => ({ key, target: document.body, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...options });
+
+test('maps single keys to actions', () => {
+  expect(getShortcutAction(keyEvent(' '))).toEqual({ type: 'randomize' });
+  expect(getShortcutAction(keyEvent('L'))).toEqual({ type: 'lock' });
+  expect(getShortcutAction(keyEvent('3'))).toEqual({ type: 'focus-mix', index: 2 });
+  expect(getShortcutAction(keyEvent('ArrowRight'))).toEqual({ type: 'step-type', delta: 1 });
+  expect(getShortcutAction(keyEvent('ArrowDown'))).toEqual({ type: 'step-count', delta: -1 });
+  expect(getShortcutAction(keyEvent('?', { shiftKey: true }))).toEqual({ type: 'help' });
+  expect(getShortcutAction(keyEvent('s', { ctrlKey: true }))).toBeNull();
+  expect(getShortcutAction(keyEvent('x'))).toBeNull();
+});
+
+test('stays out of the way of inputs and native controls', () => {
+  const text = document.createElement('input');
+  const range = document.createElement('input');
+  range.type = 'range';
+  const button = document.createElement('button');
+  expect(isTextEntryTarget(text)).toBe(true);
+  expect(getShortcutAction(keyEvent('c', { target: text }))).toBeNull();
+  expect(getShortcutAction(keyEvent('ArrowLeft', { target: range }))).toBeNull();
+  expect(getShortcutAction(keyEvent('l', { target: range }))).toEqual({ type: 'lock' });
+  expect(getShortcutAction(keyEvent(' ', { target: button }))).toBeNull();
+});
+
+test('detects the command palette shortcut', () => {
+  expect(isCommandPaletteShortcut(keyEvent('k', { metaKey: true }))).toBe(true);
+  expect(isCommandPaletteShortcut(keyEvent('k'))).toBe(false);
+});
+
+test('filters and ranks commands', () => {
+  const commands = [
+    { id: 'a', label: 'Toggle dark mode', group: 'View' },
+    { id: 'b', label: 'Load "Dark Ocean"', group: 'Library' },
+    { id: 'c', label: 'Save palette', group: 'Palette' },
+  ];
+  expect(filterCommands(commands, '').map(c => c.id)).toEqual(['a', 'b', 'c']);
+  expect(filterCommands(commands, 'dark').map(c => c.id)).toEqual(['a', 'b']);
+  expect(filterCommands(commands, 'pal').map(c => c.id)).toEqual(['c']);
+  expect(filterCommands(commands, 'o').map(c => c.id)).toEqual(['b', 'a']);
+  expect(filterCommands(commands, 'library ocean').map(c => c.id)).toEqual(['b']);
+  expect(filterCommands(commands, 'zzz')).toEqual([]);
+});
@@ -0,0 +1,378 @@
+import chroma from 'chroma-js';
+
+// --- Designer Swatch Files (ASE, ACO, GPL, Procreate) ---
+
+// Procreate palettes have 30 slots; later colors are left out of the export
+export const PROCREATE_MAX_SWATCHES = 30;
+
+// `maxColors`: formats that hold a limited number of colors
+export const SWATCH_FILE_FORMATS = [
+    { value: 'ase', label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mimeType: 'application/octet-stream' },
+    { value: 'aco', label: 'Photoshop Swatches (.aco)', extension: 'aco', mimeType: 'application/octet-stream' },
+    { value: 'gpl', label: 'GIMP / Inkscape Palette (.gpl)', extension: 'gpl', mimeType: 'text/plain' },
+    { value: 'swatches', label: 'Procreate Swatches (.swatches)', extension: 'swatches', mimeType: 'application/zip', maxColors: PROCREATE_MAX_SWATCHES },
+];
+
+export const SWATCH_FILE_EXTENSIONS = SWATCH_FILE_FORMATS.map(f => `.${f.extension}`);
+
+// Format id for a file name, or null if it is not a swatch file
+export const getSwatchFormatFromFileName = (fileName) => {
+    const match = /\.([a-z]+)$/i.exec(fileName || '');
+    if (!match) return null;
+    const extension = match[1].toLowerCase();
+    return SWATCH_FILE_FORMATS.find(f => f.extension === extension)?.value || null;
+};
+
+const toBytes = (input) => (input instanceof Uint8Array ? input : new Uint8Array(input));
+const safeHex = (value) => { try { return chroma(value).hex('rgb'); } catch { return null; } };
+
+// Convert {name, colors} input to a clean list of named swatches
+const normalizeSwatches = ({ colors = [] }) => colors
+    .map((entry, i) => (typeof entry === 'string' ? { name: `Color ${i + 1}`, color: entry } : entry))
+    .filter(entry => entry && chroma.valid(entry.color))
+    .map((entry, i) => ({ name: entry.name || `Color ${i + 1}`, color: chroma(entry.color).hex('rgb') }));
+
+// --- Binary helpers ---
+
+const writeUtf16Name = (view, offset, name) => {
+    for (let i = 0; i < name.length; i++) view.setUint16(offset + i * 2, name.charCodeAt(i));
+    view.setUint16(offset + name.length * 2, 0);
+    return offset + (name.length + 1) * 2;
+};
+
+const readUtf16Name = (view, offset, length) => {
+    let name = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint16(offset + i * 2);
+        if (code === 0) break;
+        name += String.fromCharCode(code);
+    }
+    return name;
+};
+
+// --- Adobe Swatch Exchange (.ase) ---
+
+const ASE_BLOCK = { GROUP_START: 0xC001, GROUP_END: 0xC002, COLOR: 0x0001 };
+
+export const encodeAse = (palette) => {
+    const swatches = normalizeSwatches(palette);
+    const groupName = palette.name || 'Palette Pro';
+    const groupBlockLength = 2 + (groupName.length + 1) * 2;
+    const colorBlockLengths = swatches.map(s => 2 + (s.name.length + 1) * 2 + 4 + 12 + 2);
+    const totalLength = 12 + (6 + groupBlockLength) + colorBlockLengths.reduce((sum, len) => sum + 6 + len, 0) + 6;
+    const buffer = new ArrayBuffer(totalLength);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    'ASEF'.split('').forEach(ch => view.setUint8(offset++, ch.charCodeAt(0)));
+    view.setUint16(offset, 1); view.setUint16(offset + 2, 0); offset += 4;
+    view.setUint32(offset, swatches.length + 2); offset += 4;
+
+    view.setUint16(offset, ASE_BLOCK.GROUP_START); view.setUint32(offset + 2, groupBlockLength); offset += 6;
+    view.setUint16(offset, groupName.length + 1); offset = writeUtf16Name(view, offset + 2, groupName);
+
+    swatches.forEach((swatch, i) => {
+        view.setUint16(offset, ASE_BLOCK.COLOR); view.setUint32(offset + 2, colorBlockLengths[i]); offset += 6;
+        view.setUint16(offset, swatch.name.length + 1); offset = writeUtf16Name(view, offset + 2, swatch.name);
+        'RGB '.split('').forEach(ch => view.setUint8(offset++, ch.charCodeAt(0)));
+        chroma(swatch.color).rgb().forEach(channel => { view.setFloat32(offset, channel / 255); offset += 4; });
+        view.setUint16(offset, 2); offset += 2; // 2 = normal (non-global, non-spot) color
+    });
+
+    view.setUint16(offset, ASE_BLOCK.GROUP_END); view.setUint32(offset + 2, 0);
+    return new Uint8Array(buffer);
+};
+
+export const decodeAse = (input) => {
+    const bytes = toBytes(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const signature = String.fromCharCode(...bytes.slice(0, 4));
+    if (signature !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file.');
+    const blockCount = view.getUint32(8);
+    let offset = 12;
+    let name = null;
+    const colors = [];
+
+    for (let block = 0; block < blockCount && offset + 6 <= bytes.length; block++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        if (type === ASE_BLOCK.GROUP_START || type === ASE_BLOCK.COLOR) {
+            const nameLength = view.getUint16(body);
+            const blockName = readUtf16Name(view, body + 2, nameLength);
+            if (type === ASE_BLOCK.GROUP_START) {
+                name = name || blockName;
+            } else {
+                let p = body + 2 + nameLength * 2;
+                const model = String.fromCharCode(...bytes.slice(p, p + 4)).trim().toUpperCase();
+                p += 4;
+                const read = (n) => Array.from({ length: n }, (_, i) => view.getFloat32(p + i * 4));
+                let color = null;
+                if (model === 'RGB') color = safeHex(read(3).map(v => Math.round(v * 255)));
+                else if (model === 'CMYK') color = safeHex(chroma.cmyk(...read(4)));
+                else if (model === 'LAB') { const [l, a, b] = read(3); color = safeHex(chroma.lab(l * 100, a, b)); }
+                else if (model === 'GRAY') { const g = Math.round(read(1)[0] * 255); color = safeHex([g, g, g]); }
+                if (color) colors.push({ name: blockName || `Color ${colors.length + 1}`, color });
+            }
+        }
+        offset = body + length;
+    }
+    return { name, colors };
+};
+
+// --- Photoshop Color Swatches (.aco) ---
+
+export const encodeAco = (palette) => {
+    const swatches = normalizeSwatches(palette);
+    const v1Length = 4 + swatches.length * 10;
+    const v2Length = 4 + swatches.reduce((sum, s) => sum + 10 + 4 + (s.name.length + 1) * 2, 0);
+    const buffer = new ArrayBuffer(v1Length + v2Length);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeColor = (swatch) => {
+        const [r, g, b] = chroma(swatch.color).rgb();
+        view.setUint16(offset, 0); // 0 = RGB color space
+        view.setUint16(offset + 2, r * 257);
+        view.setUint16(offset + 4, g * 257);
+        view.setUint16(offset + 6, b * 257);
+        view.setUint16(offset + 8, 0);
+        offset += 10;
+    };
+
+    view.setUint16(offset, 1); view.setUint16(offset + 2, swatches.length); offset += 4;
+    swatches.forEach(writeColor);
+    view.setUint16(offset, 2); view.setUint16(offset + 2, swatches.length); offset += 4;
+    swatches.forEach(swatch => {
+        writeColor(swatch);
+        view.setUint32(offset, swatch.name.length + 1);
+        offset = writeUtf16Name(view, offset + 4, swatch.name);
+    });
+    return new Uint8Array(buffer);
+};
+
+const decodeAcoColor = (space, w, x, y, z) => {
+    switch (space) {
+        case 0: return safeHex([w, x, y].map(v => Math.round(v / 257)));
+        case 1: return safeHex(chroma.hsv((w / 65535) * 360, x / 65535, y / 65535));
+        case 2: return safeHex(chroma.cmyk(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535));
+        case 7: {
+            const signed = (v) => (v > 32767 ? v - 65536 : v);
+            return safeHex(chroma.lab(w / 100, signed(x) / 100, signed(y) / 100));
+        }
+        case 8: { const g = Math.round(255 * (1 - w / 10000)); return safeHex([g, g, g]); }
+        default: return null;
+    }
+};
+
+export const decodeAco = (input) => {
+    const bytes = toBytes(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    let colors = [];
+
+    while (offset + 4 <= bytes.length) {
+        const version = view.getUint16(offset);
+        const count = view.getUint16(offset + 2);
+        if (version !== 1 && version !== 2) break;
+        offset += 4;
+        const section = [];
+        for (let i = 0; i < count && offset + 10 <= bytes.length; i++) {
+            const start = offset;
+            const values = [0, 1, 2, 3, 4].map(k => view.getUint16(start + k * 2));
+            offset += 10;
+            let name = `Color ${i + 1}`;
+            if (version === 2) {
+                const nameLength = view.getUint32(offset);
+                name = readUtf16Name(view, offset + 4, nameLength) || name;
+                offset += 4 + nameLength * 2;
+            }
+            const color = decodeAcoColor(...values);
+            if (color) section.push({ name, color });
+        }
+        // Version 2 repeats the colors with names, so it replaces version 1
+        colors = section;
+        if (version === 2) break;
+    }
+    if (colors.length === 0 && bytes.length > 0 && offset === 0) throw new Error('Not a Photoshop swatch file.');
+    return { name: null, colors };
+};
+
+// --- GIMP / Inkscape Palette (.gpl) ---
+
+export const encodeGpl = (palette) => {
+    const swatches = normalizeSwatches(palette);
+    const lines = ['GIMP Palette', `Name: ${palette.name || 'Palette Pro'}`, `Columns: ${Math.min(swatches.length, 16) || 1}`, '#'];
+    swatches.forEach(swatch => {
+        const [r, g, b] = chroma(swatch.color).rgb();
+        lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${swatch.name}`);
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+export const decodeGpl = (text) => {
+    const lines = String(text).split(/\r?\n/);
+    if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) throw new Error('Not a GIMP palette file.');
+    let name = null;
+    const colors = [];
+    lines.slice(1).forEach(line => {
+        const nameMatch = /^Name:\s*(.*)$/.exec(line);
+        if (nameMatch) { name = nameMatch[1].trim() || null; return; }
+        const colorMatch = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+        if (!colorMatch) return;
+        const color = safeHex(colorMatch.slice(1, 4).map(Number));
+        if (color) colors.push({ name: colorMatch[4].trim() || `Color ${colors.length + 1}`, color });
+    });
+    return { name, colors };
+};
+
+// --- Minimal ZIP container (used by Procreate .swatches) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Build an uncompressed (stored) ZIP archive from [{ name, data: Uint8Array }]
+const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 8, 0, true); // stored
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.nameBytes.length, true);
+        bytes.set(entry.nameBytes, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.nameBytes.length);
+        offset += 30 + entry.nameBytes.length + entry.data.length;
+    });
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.nameBytes.length, true);
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.nameBytes, offset + 46);
+        offset += 46 + entry.nameBytes.length;
+    });
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return bytes;
+};
+
+const inflateRaw = async (data) => {
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress ZIP files.');
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Read one file out of a ZIP archive (stored or deflated entries)
+const readZipEntry = async (input, predicate) => {
+    const bytes = toBytes(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a valid ZIP archive.');
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) break;
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.slice(offset + 46, offset + 46 + nameLength));
+        if (predicate(name)) {
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.slice(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return inflateRaw(data);
+            throw new Error(`Unsupported ZIP compression method ${method}.`);
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+};
+
+// --- Procreate Swatches (.swatches) ---
+
+export const encodeProcreateSwatches = (palette) => {
+    const swatches = normalizeSwatches(palette).slice(0, PROCREATE_MAX_SWATCHES);
+    const document = [{
+        name: palette.name || 'Palette Pro',
+        swatches: swatches.map(swatch => {
+            const [h, s, v] = chroma(swatch.color).hsv();
+            return { hue: (isNaN(h) ? 0 : h) / 360, saturation: s, brightness: v, alpha: 1, colorSpace: 0 };
+        }),
+    }];
+    return createZip([{ name: 'Swatches.json', data: new TextEncoder().encode(JSON.stringify(document)) }]);
+};
+
+export const decodeProcreateSwatches = async (input) => {
+    const data = await readZipEntry(input, name => /(^|\/)swatches\.json$/i.test(name));
+    if (!data) throw new Error('No Swatches.json found in Procreate file.');
+    const parsed = JSON.parse(new TextDecoder().decode(data));
+    const document = Array.isArray(parsed) ? parsed[0] : parsed;
+    if (!document || !Array.isArray(document.swatches)) throw new Error('Invalid Procreate swatches data.');
+    const colors = document.swatches
+        .filter(Boolean)
+        .map((swatch, i) => ({
+            name: `Color ${i + 1}`,
+            color: safeHex(chroma.hsv((Number(swatch.hue) || 0) * 360, Number(swatch.saturation) || 0, Number(swatch.brightness) || 0)),
+        }))
+        .filter(swatch => swatch.color);
+    return { name: document.name || null, colors };
+};
+
+// --- Format dispatch ---
+
+// Encode {name, colors} as a swatch file; returns Uint8Array (binary formats) or string (GPL)
+export const encodeSwatchFile = (format, palette) => {
+    switch (format) {
+        case 'ase': return encodeAse(palette);
+        case 'aco': return encodeAco(palette);
+        case 'gpl': return encodeGpl(palette);
+        case 'swatches': return encodeProcreateSwatches(palette);
+        default: throw new Error(`Unknown swatch format: ${format}`);
+    }
+};
+
+// Decode a swatch file's ArrayBuffer into { name, colors: [{ name, color }] }
+export const decodeSwatchFile = async (format, buffer) => {
+    switch (format) {
+        case 'ase': return decodeAse(buffer);
+        case 'aco': return decodeAco(buffer);
+        case 'gpl': return decodeGpl(new TextDecoder().decode(toBytes(buffer)));
+        case 'swatches': return decodeProcreateSwatches(buffer);
+        default: throw new Error(`Unknown swatch format: ${format}`);
+    }
+};
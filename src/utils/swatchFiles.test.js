@@ -0,0 +1,97 @@
+import { PROCREATE_MAX_SWATCHES, SWATCH_FILE_FORMATS, decodeAco, decodeAse, decodeGpl, decodeProcreateSwatches, encodeAco, encodeAse, encodeGpl, encodeProcreateSwatches, getSwatchFormatFromFileName } from './swatchFiles';
+
+const palette = {
+  name: 'Sunset',
+  colors: [{ name: 'Rose', color: '#e11d48' }, { name: 'Royal', color: '#2563eb' }, '#fbbf24'],
+};
+const expectedColors = ['#e11d48', '#2563eb', '#fbbf24'];
+
+test('detects swatch formats from file names', () => {
+  expect(getSwatchFormatFromFileName('brand.ASE')).toBe('ase');
+  expect(getSwatchFormatFromFileName('my.palette.gpl')).toBe('gpl');
+  expect(getSwatchFormatFromFileName('palette.json')).toBeNull();
+});
+
+test('round-trips Adobe Swatch Exchange files', () => {
+  const decoded = decodeAse(encodeAse(palette));
+  expect(decoded.name).toBe('Sunset');
+  expect(decoded.colors.map(c => c.color)).toEqual(expectedColors);
+  expect(decoded.colors[0].name).toBe('Rose');
+  expect(() => decodeAse(new Uint8Array([1, 2, 3, 4, 0, 0, 0, 0, 0, 0, 0, 0]))).toThrow();
+});
+
+test('round-trips Photoshop ACO files with names', () => {
+  const decoded = decodeAco(encodeAco(palette));
+  expect(decoded.colors.map(c => c.color)).toEqual(expectedColors);
+  expect(decoded.colors[1].name).toBe('Royal');
+});
+
+test('round-trips GIMP palettes', () => {
+  const text = encodeGpl(palette);
+  expect(text.startsWith('GIMP Palette\nName: Sunset')).toBe(true);
+  const decoded = decodeGpl(text);
+  expect(decoded.name).toBe('Sunset');
+  expect(decoded.colors.map(c => c.color)).toEqual(expectedColors);
+  expect(() => decodeGpl('not a palette')).toThrow();
+});
+
+// --- Hand-built files for the color models the encoders never write ---
+
+// ASE with one unnamed color block per [model, values]
+const buildAse = (blocks) => {
+  const bodies = blocks.map(([, values]) => 2 + 2 + 4 + values.length * 4 + 2);
+  const view = new DataView(new ArrayBuffer(12 + bodies.reduce((sum, length) => sum + 6 + length, 0)));
+  'ASEF'.split('').forEach((ch, i) => view.setUint8(i, ch.charCodeAt(0)));
+  view.setUint16(4, 1);
+  view.setUint32(8, blocks.length);
+  let offset = 12;
+  blocks.forEach(([model, values], i) => {
+    view.setUint16(offset, 0x0001); view.setUint32(offset + 2, bodies[i]);
+    view.setUint16(offset + 6, 1); // Name: just the terminator
+    model.padEnd(4).split('').forEach((ch, k) => view.setUint8(offset + 10 + k, ch.charCodeAt(0)));
+    values.forEach((value, k) => view.setFloat32(offset + 14 + k * 4, value));
+    offset += 6 + bodies[i];
+  });
+  return new Uint8Array(view.buffer);
+};
+
+// Version 1 ACO with one [space, w, x, y, z] record per color
+const buildAco = (records) => {
+  const view = new DataView(new ArrayBuffer(4 + records.length * 10));
+  view.setUint16(0, 1); view.setUint16(2, records.length);
+  records.forEach((values, i) => values.forEach((value, k) => view.setUint16(4 + i * 10 + k * 2, value)));
+  return new Uint8Array(view.buffer);
+};
+
+test('decodes ASE CMYK, LAB and Gray colors', () => {
+  const decoded = decodeAse(buildAse([
+    ['CMYK', [0, 1, 1, 0]],
+    ['LAB', [1, 0, 0]],
+    ['LAB', [0.5324, 80.09, 67.2]],
+    ['Gray', [0.5]],
+  ]));
+  expect(decoded.colors.map(c => c.color)).toEqual(['#ff0000', '#ffffff', '#ff0000', '#808080']);
+  expect(decoded.colors[0].name).toBe('Color 1');
+});
+
+test('decodes ACO HSB, CMYK, Lab and Grayscale colors', () => {
+  const decoded = decodeAco(buildAco([
+    [1, 21845, 65535, 65535, 0], // HSB 120° 100% 100%
+    [2, 65535, 0, 0, 65535], // CMYK is stored inverted: 0 = full ink
+    [7, 10000, 0, 0, 0], // Lab: L × 100, a and b signed × 100
+    [7, 3230, 7919, 65536 - 10786, 0],
+    [8, 5000, 0, 0, 0], // Grayscale: 0-10000 of black
+  ]));
+  expect(decoded.colors.map(c => c.color)).toEqual(['#00ff00', '#ff0000', '#ffffff', '#0000ff', '#808080']);
+});
+
+test('round-trips Procreate swatches', async () => {
+  const decoded = await decodeProcreateSwatches(encodeProcreateSwatches(palette));
+  expect(decoded.name).toBe('Sunset');
+  expect(decoded.colors.map(c => c.color)).toEqual(expectedColors);
+
+  // Procreate holds 30 colors; the format lists its limit so the export can say what was left out
+  const many = { name: 'Many', colors: Array.from({ length: 31 }, (_, i) => ({ color: `#${(i * 8).toString(16).padStart(2, '0')}0000` })) };
+  expect((await decodeProcreateSwatches(encodeProcreateSwatches(many))).colors).toHaveLength(PROCREATE_MAX_SWATCHES);
+  expect(SWATCH_FILE_FORMATS.find(f => f.value === 'swatches').maxColors).toBe(PROCREATE_MAX_SWATCHES);
+});
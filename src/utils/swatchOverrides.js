@@ -0,0 +1,64 @@
+import chroma from 'chroma-js';
+
+// --- Per-Swatch Overrides (lock / edit / reorder) ---
+//
+// overrides: { [slot]: { color, edited } } - a present entry pins that slot's color
+//   (edited = the color was changed by hand, otherwise it was locked as generated)
+// order: generated index shown in each slot, or null for the natural order
+
+export const MAX_SWATCH_SLOTS = 64;
+
+// Turn any order into a full permutation of 0..count-1 (unknown entries dropped, missing appended)
+export const normalizeSwatchOrder = (order, count) => {
+    const seen = new Set();
+    const slots = (Array.isArray(order) ? order : []).filter(i => {
+        if (!Number.isInteger(i) || i < 0 || i >= count || seen.has(i)) return false;
+        seen.add(i);
+        return true;
+    });
+    for (let i = 0; i < count; i++) if (!seen.has(i)) slots.push(i);
+    return slots;
+};
+
+export const isNaturalOrder = (order) => !Array.isArray(order) || order.every((value, i) => value === i);
+
+// Final palette: generated colors in slot order, with pinned slots replaced
+export const applySwatchOverrides = (generated, order, overrides = {}) => (
+    normalizeSwatchOrder(order, generated.length).map((source, slot) => overrides[slot]?.color ?? generated[source])
+);
+
+// Swap two slots, carrying their overrides along
+export const moveSwatch = ({ order, overrides }, from, to, count) => {
+    if (from === to || from < 0 || to < 0 || from >= count || to >= count) return { order, overrides };
+    const nextOrder = normalizeSwatchOrder(order, count);
+    [nextOrder[from], nextOrder[to]] = [nextOrder[to], nextOrder[from]];
+    const nextOverrides = { ...overrides };
+    delete nextOverrides[from];
+    delete nextOverrides[to];
+    if (overrides[from]) nextOverrides[to] = overrides[from];
+    if (overrides[to]) nextOverrides[from] = overrides[to];
+    return { order: isNaturalOrder(nextOrder) ? null : nextOrder, overrides: nextOverrides };
+};
+
+// Saved/exported form: [{ index, color, edited }] for the visible slots
+export const serializeSwatchOverrides = (overrides = {}, count = MAX_SWATCH_SLOTS) => Object.keys(overrides)
+    .map(Number)
+    .filter(index => index < count)
+    .sort((a, b) => a - b)
+    .map(index => ({ index, color: overrides[index].color, edited: Boolean(overrides[index].edited) }));
+
+// Read overrides back from saved/imported data, skipping anything malformed
+export const parseSwatchOverrides = (list) => {
+    const overrides = {};
+    if (!Array.isArray(list)) return overrides;
+    list.forEach(entry => {
+        if (!entry || !Number.isInteger(entry.index) || entry.index < 0 || entry.index >= MAX_SWATCH_SLOTS) return;
+        if (typeof entry.color !== 'string' || !chroma.valid(entry.color)) return;
+        overrides[entry.index] = { color: chroma(entry.color).hex(), edited: Boolean(entry.edited) };
+    });
+    return overrides;
+};
+
+export const parseSwatchOrder = (order) => (
+    Array.isArray(order) && order.length <= MAX_SWATCH_SLOTS && !isNaturalOrder(order) ? normalizeSwatchOrder(order, order.length) : null
+);
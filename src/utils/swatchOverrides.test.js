@@ -0,0 +1,27 @@
+import { applySwatchOverrides, moveSwatch, normalizeSwatchOrder, parseSwatchOverrides, parseSwatchOrder, serializeSwatchOverrides } from './swatchOverrides';
+
+const generated = ['#111111', '#222222', '#333333', '#444444'];
+
+test('pins overridden slots while the rest follow the generator', () => {
+  const overrides = { 1: { color: '#ff0000', edited: true }, 6: { color: '#00ff00', edited: false } };
+  expect(applySwatchOverrides(generated, null, overrides)).toEqual(['#111111', '#ff0000', '#333333', '#444444']);
+  // Slot 6 is kept for when the count grows again
+  expect(applySwatchOverrides([...generated, '#5', '#6', '#777777'], null, overrides)[6]).toBe('#00ff00');
+});
+
+test('reorders slots and carries overrides along', () => {
+  const moved = moveSwatch({ order: null, overrides: { 0: { color: '#ff0000', edited: true } } }, 0, 2, 4);
+  expect(moved.order).toEqual([2, 1, 0, 3]);
+  expect(applySwatchOverrides(generated, moved.order, moved.overrides)).toEqual(['#333333', '#222222', '#ff0000', '#444444']);
+  expect(moveSwatch(moved, 2, 0, 4).order).toBeNull();
+  expect(normalizeSwatchOrder([3, 3, 9, 1], 4)).toEqual([3, 1, 0, 2]);
+});
+
+test('serializes and validates overrides', () => {
+  const overrides = { 2: { color: '#ff0000', edited: true }, 0: { color: '#00ff00', edited: false }, 9: { color: '#0000ff' } };
+  const list = serializeSwatchOverrides(overrides, 5);
+  expect(list).toEqual([{ index: 0, color: '#00ff00', edited: false }, { index: 2, color: '#ff0000', edited: true }]);
+  expect(parseSwatchOverrides([...list, { index: -1, color: '#fff' }, { index: 3, color: 'nope' }])).toEqual({ 0: { color: '#00ff00', edited: false }, 2: { color: '#ff0000', edited: true } });
+  expect(parseSwatchOrder([0, 1, 2])).toBeNull();
+  expect(parseSwatchOrder([1, 0])).toEqual([1, 0]);
+});
@@ -0,0 +1,118 @@
+import chroma from 'chroma-js';
+import { getBestTextColor, getContrastRatio } from './contrast.js';
+import { normalizeSwatchOrder } from './swatchOverrides.js';
+
+// --- Semantic UI Roles (mockup preview) ---
+//
+// Assignments are stored as { light: { role: paletteIndex }, dark: { ... } }; a role that is
+// missing (or points past the end of the palette) is picked automatically from the palette.
+// Indexes are swatch slots, so they are remapped whenever the swatch order changes.
+
+export const UI_ROLES = [
+    { key: 'background', label: 'Background' },
+    { key: 'surface', label: 'Surface' },
+    { key: 'primary', label: 'Primary' },
+    { key: 'accent', label: 'Accent' },
+    { key: 'text', label: 'Text' },
+    { key: 'border', label: 'Border' },
+];
+
+export const UI_VARIANTS = [
+    { value: 'light', label: 'Light' },
+    { value: 'dark', label: 'Dark' },
+];
+
+const MIN_TEXT_CONTRAST = 7;
+const MIN_PRIMARY_CONTRAST = 3;
+const MIN_ACCENT_HUE_DISTANCE = 30;
+
+const lightness = (color) => chroma(color).oklch()[0];
+const chromaOf = (color) => chroma(color).oklch()[1] || 0;
+const hueDistance = (a, b) => {
+    const diff = Math.abs((chroma(a).oklch()[2] || 0) - (chroma(b).oklch()[2] || 0)) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+const mix = (a, b, amount) => chroma.mix(a, b, amount, 'oklab').hex();
+
+// Keep only known roles pointing at non-negative integer slots; null when nothing is assigned
+export const normalizeUiRoles = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const result = {};
+    UI_VARIANTS.forEach(({ value: variant }) => {
+        const source = raw[variant] && typeof raw[variant] === 'object' ? raw[variant] : {};
+        const assignments = {};
+        UI_ROLES.forEach(({ key }) => {
+            if (Number.isInteger(source[key]) && source[key] >= 0) assignments[key] = source[key];
+        });
+        result[variant] = assignments;
+    });
+    return UI_VARIANTS.some(({ value }) => Object.keys(result[value]).length > 0) ? result : null;
+};
+
+// Automatic role colors for a palette in the given variant
+export const suggestUiRoles = (palette, variant = 'light') => {
+    const colors = palette.filter(c => chroma.valid(c)).map(c => chroma(c).hex());
+    if (colors.length === 0) return null;
+    const isDark = variant === 'dark';
+    const byLightness = [...colors].sort((a, b) => lightness(a) - lightness(b));
+    const lightest = byLightness[byLightness.length - 1];
+    const darkest = byLightness[0];
+
+    const background = isDark
+        ? (lightness(darkest) <= 0.25 ? darkest : mix(darkest, '#000000', 0.8))
+        : (lightness(lightest) >= 0.92 ? lightest : mix(lightest, '#ffffff', 0.85));
+    const surface = isDark ? mix(background, '#ffffff', 0.08) : mix(background, '#ffffff', 0.7);
+    const textCandidate = isDark ? lightest : darkest;
+    const text = (getContrastRatio(textCandidate, background) ?? 0) >= MIN_TEXT_CONTRAST
+        ? textCandidate
+        : mix(textCandidate, isDark ? '#ffffff' : '#000000', 0.8);
+    const border = mix(background, text, 0.15);
+
+    const byChroma = [...colors].sort((a, b) => chromaOf(b) - chromaOf(a));
+    const primary = byChroma.find(c => (getContrastRatio(c, background) ?? 0) >= MIN_PRIMARY_CONTRAST) || byChroma[0];
+    const accent = byChroma.find(c => c !== primary && hueDistance(c, primary) >= MIN_ACCENT_HUE_DISTANCE)
+        || byChroma.find(c => c !== primary)
+        || primary;
+    return { background, surface, primary, accent, text, border };
+};
+
+// Final role colors plus derived tokens (on-colors, soft tints, muted text)
+export const resolveUiRoles = (palette, assignments, variant = 'light') => {
+    const suggested = suggestUiRoles(palette, variant);
+    if (!suggested) return null;
+    const chosen = assignments?.[variant] || {};
+    const roles = {};
+    UI_ROLES.forEach(({ key }) => {
+        const index = chosen[key];
+        roles[key] = Number.isInteger(index) && chroma.valid(palette[index]) ? chroma(palette[index]).hex() : suggested[key];
+    });
+    return {
+        ...roles,
+        onPrimary: getBestTextColor(roles.primary).color,
+        onAccent: getBestTextColor(roles.accent).color,
+        primarySoft: mix(roles.background, roles.primary, 0.15),
+        accentSoft: mix(roles.background, roles.accent, 0.15),
+        mutedText: mix(roles.text, roles.background, 0.35),
+    };
+};
+
+// Set (index) or clear (null) one role for one variant
+export const assignUiRole = (assignments, variant, role, index) => {
+    const current = normalizeUiRoles(assignments) || { light: {}, dark: {} };
+    const { [role]: _removed, ...rest } = current[variant];
+    return normalizeUiRoles({ ...current, [variant]: index === null ? rest : { ...rest, [role]: index } });
+};
+
+// Keep roles on the same swatches when the slot order goes from `fromOrder` to `toOrder` (see swatchOverrides)
+export const remapUiRoles = (assignments, fromOrder, toOrder, count) => {
+    const current = normalizeUiRoles(assignments);
+    if (!current) return null;
+    const from = normalizeSwatchOrder(fromOrder, count);
+    const to = normalizeSwatchOrder(toOrder, count);
+    const remapped = {};
+    UI_VARIANTS.forEach(({ value: variant }) => {
+        remapped[variant] = Object.fromEntries(Object.entries(current[variant])
+            .map(([role, slot]) => [role, slot < count ? to.indexOf(from[slot]) : slot]));
+    });
+    return normalizeUiRoles(remapped);
+};
@@ -0,0 +1,47 @@
+import { getContrastRatio } from './contrast';
+import { moveSwatch } from './swatchOverrides';
+import { assignUiRole, normalizeUiRoles, remapUiRoles, resolveUiRoles, suggestUiRoles } from './uiRoles';
+
+const palette = ['#0f172a', '#2563eb', '#f97316', '#e2e8f0', '#f8fafc'];
+
+test('suggests readable light and dark roles', () => {
+  const light = suggestUiRoles(palette, 'light');
+  expect(light.background).toBe('#f8fafc');
+  expect(light.text).toBe('#0f172a');
+  expect(light.primary).toBe('#2563eb');
+  expect(light.accent).toBe('#f97316');
+
+  const dark = suggestUiRoles(palette, 'dark');
+  expect(dark.background).toBe('#0f172a');
+  expect(getContrastRatio(dark.text, dark.background)).toBeGreaterThanOrEqual(7);
+  expect(suggestUiRoles([], 'light')).toBeNull();
+});
+
+test('applies assignments per variant and ignores stale slots', () => {
+  const assignments = { light: { primary: 2, accent: 9 }, dark: {} };
+  const roles = resolveUiRoles(palette, assignments, 'light');
+  expect(roles.primary).toBe('#f97316');
+  expect(roles.accent).toBe(suggestUiRoles(palette, 'light').accent);
+  expect(roles.onPrimary).toBe('#000000');
+  expect(resolveUiRoles(palette, assignments, 'dark').primary).toBe(suggestUiRoles(palette, 'dark').primary);
+});
+
+test('assigns, clears and normalizes roles', () => {
+  const assigned = assignUiRole(null, 'dark', 'surface', 1);
+  expect(assigned).toEqual({ light: {}, dark: { surface: 1 } });
+  expect(assignUiRole(assigned, 'dark', 'surface', null)).toBeNull();
+  expect(normalizeUiRoles({ light: { primary: 1.5, text: 0, glow: 2 } })).toEqual({ light: { text: 0 }, dark: {} });
+  expect(normalizeUiRoles('nope')).toBeNull();
+});
+
+test('roles follow their swatches when the order changes', () => {
+  const roles = { light: { primary: 1, text: 0, accent: 9 }, dark: { background: 4 } };
+  const moved = moveSwatch({ order: null, overrides: {} }, 1, 2, palette.length);
+  const remapped = remapUiRoles(roles, null, moved.order, palette.length);
+  expect(remapped).toEqual({ light: { primary: 2, text: 0, accent: 9 }, dark: { background: 4 } });
+  const reordered = moved.order.map(index => palette[index]);
+  expect(resolveUiRoles(reordered, remapped, 'light').primary).toBe(resolveUiRoles(palette, roles, 'light').primary);
+  // Back to the natural order (reset or undo)
+  expect(remapUiRoles(remapped, moved.order, null, palette.length)).toEqual(roles);
+  expect(remapUiRoles(null, null, moved.order, palette.length)).toBeNull();
+});
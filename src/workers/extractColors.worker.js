@@ -0,0 +1,12 @@
+/* eslint-disable no-restricted-globals */
+import { extractDominantColors } from '../utils/quantize';
+
+// --- Dominant Color Extraction Worker ---
+self.onmessage = (event) => {
+    const { id, pixels, count, method } = event.data;
+    try {
+        self.postMessage({ id, colors: extractDominantColors(pixels, count, { method }) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || 'Extraction failed.' });
+    }
+};